@@ -1,8 +1,17 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { pool } = require('../models/database');
+const { limitIdentity } = require('./rateLimit');
+const {
+  isRestricted,
+  assertScope,
+  assertAccountAccess,
+  assertBucketAccess,
+  assertPathAccess
+} = require('../utils/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Authenticate user with JWT token
 const authenticateUser = async (req, res, next) => {
@@ -15,7 +24,7 @@ const authenticateUser = async (req, res, next) => {
 
     const decoded = jwt.verify(token, JWT_SECRET);
     req.user = { id: decoded.userId };
-    next();
+    return limitIdentity(req, res, next);
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
@@ -51,7 +60,7 @@ const authenticateApiKey = async (req, res, next) => {
 
     req.user = { id: validKey.user_id };
     req.apiKey = validKey;
-    next();
+    return limitIdentity(req, res, next);
   } catch (error) {
     res.status(401).json({ error: 'API key authentication failed' });
   }
@@ -74,10 +83,58 @@ const authenticate = async (req, res, next) => {
     // Otherwise treat as JWT
     const decoded = jwt.verify(token, JWT_SECRET);
     req.user = { id: decoded.userId };
-    next();
+    return limitIdentity(req, res, next);
   } catch (error) {
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
-module.exports = { authenticateUser, authenticateApiKey, authenticate };
\ No newline at end of file
+// Require an API key scope (see utils/permissions.js); dashboard sessions always pass.
+// The resource option also checks the key's bucket and path limits: account for
+// account-wide routes, bucket, file or upload for the route param naming the bucket, file
+// or upload session (which is checked against the bucket and name it uploads to).
+// Admin actions on a bucket act on all of it, so path-limited keys can't take them.
+// scope can be a function of the request, for routes whose scope depends on the body.
+const requireScope = (requiredScope, resource = {}) => async (req, res, next) => {
+  try {
+    const { apiKey } = req;
+    if (!apiKey) {
+      return next();
+    }
+
+    const scope = typeof requiredScope === 'function' ? requiredScope(req) : requiredScope;
+    assertScope(apiKey, scope);
+
+    if (resource.account) {
+      assertAccountAccess(apiKey);
+    }
+    if (resource.bucket) {
+      assertBucketAccess(apiKey, req.params[resource.bucket], { wholeBucket: scope === 'admin' });
+    }
+    if (resource.file && isRestricted(apiKey) && UUID_PATTERN.test(req.params[resource.file])) {
+      // Unknown files are left to the route, which answers 404
+      const result = await pool.query(
+        'SELECT bucket_id, original_name FROM files WHERE id = $1 AND user_id = $2',
+        [req.params[resource.file], req.user.id]
+      );
+      if (result.rows[0]) {
+        assertPathAccess(apiKey, result.rows[0].bucket_id, result.rows[0].original_name);
+      }
+    }
+    if (resource.upload && isRestricted(apiKey) && UUID_PATTERN.test(req.params[resource.upload])) {
+      const result = await pool.query(
+        'SELECT bucket_id, original_name FROM upload_sessions WHERE id = $1 AND user_id = $2',
+        [req.params[resource.upload], req.user.id]
+      );
+      if (result.rows[0]) {
+        assertPathAccess(apiKey, result.rows[0].bucket_id, result.rows[0].original_name);
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateUser, authenticateApiKey, authenticate, requireScope };
\ No newline at end of file
@@ -1,5 +1,13 @@
 const crypto = require('crypto');
 
+// HMAC over a CDN path, its expiry (ms) and purpose
+const signCdnPath = (path, expiryTime, purpose = 'download') => {
+  return crypto
+    .createHmac('sha256', process.env.CDN_SECRET || 'default-secret')
+    .update(`${path}:${expiryTime}:${purpose}`)
+    .digest('hex');
+};
+
 // Validate CDN signed URLs
 const validateSignedUrl = (req, res, next) => {
   try {
@@ -17,10 +25,7 @@ const validateSignedUrl = (req, res, next) => {
     }
 
     // Validate signature
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.CDN_SECRET || 'default-secret')
-      .update(`${objectKey}:${expiryTime}:${purpose || 'download'}`)
-      .digest('hex');
+    const expectedSignature = signCdnPath(objectKey, expiryTime, purpose || 'download');
 
     if (signature !== expectedSignature) {
       return res.status(401).json({ error: 'Invalid signature' });
@@ -66,6 +71,7 @@ const setCacheHeaders = (req, res, next) => {
 };
 
 module.exports = {
+  signCdnPath,
   validateSignedUrl,
   setCacheHeaders
 };
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { createError } = require('../utils/errors');
+const { S3Error, sendS3Error } = require('../utils/s3/errors');
+const { consume, refund } = require('../utils/rateLimiter');
+
+// Route classes by path (see utils/rateLimiter.js); anything else counts as 'api'.
+// S3 gateway writes count as uploads.
+const ROUTE_CLASS_PATTERNS = [
+  [/^\/health$/, null],
+  [/^\/api\/auth(\/|$)/, 'auth'],
+  [/^\/cdn(\/|$)/, 'cdn'],
+  [/^\/api\/(storage|tus)(\/|$)/, 'upload'],
+  [/^\/api\/(buckets\/[^/]+\/uploads$|uploads\/|files\/upload$)/, 'upload'],
+  [/^\/api\/(files\/[^/]+\/(transform|srcset)$|transform\/)/, 'transform']
+];
+
+// Classes limited per client IP even when the request carries credentials
+const IP_CLASSES = ['auth', 'cdn'];
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'];
+
+// The route class of a request, or null when it isn't limited
+const classifyRequest = (req) => {
+  if (req.method === 'OPTIONS') {
+    return null;
+  }
+  if (req.path === '/s3' || req.path.startsWith('/s3/')) {
+    return req.method === 'PUT' || req.method === 'POST' ? 'upload' : 'api';
+  }
+
+  const match = ROUTE_CLASS_PATTERNS.find(([pattern]) => pattern.test(req.path));
+  return match ? match[1] : 'api';
+};
+
+// Whether the request carries credentials the auth middleware may verify (bearer token or S3 signature)
+const hasCredentials = (req) => {
+  return Boolean(req.headers.authorization) || req.query['X-Amz-Credential'] !== undefined;
+};
+
+// RateLimit-* headers describe the caller's bucket: Limit is its burst, Remaining the
+// tokens left, Reset the seconds until it is full, and Policy the sustained rate
+const setRateLimitHeaders = (res, result) => {
+  res.set('RateLimit-Limit', String(result.burst));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+  res.set('RateLimit-Policy', `${result.limit};w=60;burst=${result.burst}`);
+};
+
+// Reject a request over its limit, as JSON or, for the S3 gateway, as an S3 SlowDown error
+const sendRateLimited = (req, res, routeClass, result) => {
+  const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+  const message = `Rate limit exceeded for ${routeClass} requests. Try again in ${retryAfter} ${retryAfter === 1 ? 'second' : 'seconds'}.`;
+
+  res.set('Retry-After', String(retryAfter));
+  req.resume(); // Streamed upload bodies aren't read
+
+  if (req.originalUrl.startsWith('/s3')) {
+    return sendS3Error(req, res, new S3Error('SlowDown', message));
+  }
+
+  const error = createError('RATE_LIMIT_EXCEEDED', {
+    routeClass,
+    limit: result.limit,
+    burst: result.burst,
+    retryAfter
+  }, message);
+  const response = error.toJSON();
+  response.error.retryable = true;
+  response.error.retryAfter = retryAfter;
+  res.status(error.statusCode).json(response);
+};
+
+// Take a token and either continue or reject the request
+const applyLimit = async (req, res, next, routeClass, identity, apiKey = null) => {
+  const result = await consume(routeClass, identity, apiKey);
+  if (!result) {
+    return next();
+  }
+
+  setRateLimitHeaders(res, result);
+  if (!result.allowed) {
+    return sendRateLimited(req, res, routeClass, result);
+  }
+  next();
+};
+
+// Rate limit every request by its route class, per client IP. Requests with credentials
+// get their token back from limitIdentity once the auth middleware has verified them and
+// they are limited per API key or user instead. Anything it never verifies (bad
+// credentials, routes that don't use the auth middleware) stays limited per IP. Auth and
+// CDN routes are always limited per IP.
+const rateLimit = async (req, res, next) => {
+  const routeClass = classifyRequest(req);
+  if (!routeClass) {
+    return next();
+  }
+
+  req.rateLimitClass = routeClass;
+  if (IP_CLASSES.includes(routeClass) || !hasCredentials(req)) {
+    req.rateLimited = true;
+  } else {
+    req.ipTokenTaken = true;
+  }
+  return applyLimit(req, res, next, routeClass, `ip:${req.ip}`);
+};
+
+// Rate limit an authenticated request per API key (with the key's own limits), or per
+// user for dashboard sessions, returning the token rateLimit took from the IP's bucket.
+// Requests already limited for good by rateLimit pass through.
+const limitIdentity = async (req, res, next) => {
+  const routeClass = req.rateLimitClass;
+  if (!routeClass || req.rateLimited) {
+    return next();
+  }
+
+  req.rateLimited = true;
+  if (req.ipTokenTaken) {
+    req.ipTokenTaken = false;
+    RATE_LIMIT_HEADERS.forEach(header => res.removeHeader(header));
+    await refund(routeClass, `ip:${req.ip}`);
+  }
+
+  const identity = req.apiKey ? `key:${req.apiKey.id}` : `user:${req.user.id}`;
+  return applyLimit(req, res, next, routeClass, identity, req.apiKey);
+};
+
+module.exports = {
+  classifyRequest,
+  rateLimit,
+  limitIdentity
+};
@@ -0,0 +1,46 @@
+const { FILE_LIMITS } = require('../utils/fileLimits');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+const TUS_MAX_SIZE = Math.max(...Object.values(FILE_LIMITS));
+
+// Advertise tus capabilities on every response, including CORS preflights
+const setTusHeaders = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  res.set('Tus-Version', TUS_VERSION);
+  res.set('Tus-Extension', TUS_EXTENSIONS.join(','));
+  res.set('Tus-Max-Size', String(TUS_MAX_SIZE));
+  next();
+};
+
+// Reject requests from clients speaking a different tus protocol version
+const requireTusResumable = (req, res, next) => {
+  if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    req.resume();
+    return res.status(412).json({ error: `Unsupported tus version. Supported: ${TUS_VERSION}` });
+  }
+  next();
+};
+
+// Parse Upload-Metadata: comma-separated "key base64value" pairs (value optional)
+const parseUploadMetadata = (header = '') => {
+  const metadata = {};
+
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+
+  return metadata;
+};
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  TUS_MAX_SIZE,
+  setTusHeaders,
+  requireTusResumable,
+  parseUploadMetadata
+};
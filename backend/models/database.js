@@ -1,18 +1,22 @@
 const { Pool } = require('pg');
 
-const pool = new Pool(
-  process.env.DATABASE_URL ? {
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-  } : {
-    user: process.env.DB_USER || 'postgres',
-    host: process.env.DB_HOST || 'localhost',
-    database: process.env.DB_NAME || 'remocloud',
-    password: process.env.DB_PASSWORD || 'password',
-    port: process.env.DB_PORT || 5432,
-    ssl: false
-  }
-);
+const config = process.env.DATABASE_URL ? {
+  connectionString: process.env.DATABASE_URL,
+  ssl: { rejectUnauthorized: false }
+} : {
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'remocloud',
+  password: process.env.DB_PASSWORD || 'password',
+  port: process.env.DB_PORT || 5432,
+  ssl: false
+};
+
+const pool = new Pool(config);
+
+// Connections that hold session-level advisory locks while a request streams its body.
+// Kept apart from the request pool, so long-held locks can't starve other queries.
+const lockPool = new Pool({ ...config, max: parseInt(process.env.DB_LOCK_POOL_SIZE) || 10 });
 
 // Initialize database tables
 const initDB = async () => {
@@ -43,6 +47,34 @@ const initDB = async () => {
       )
     `);
 
+    // S3 gateway access key IDs; secrets are derived from the key record
+    await pool.query(`
+      ALTER TABLE api_keys 
+      ADD COLUMN IF NOT EXISTS access_key_id VARCHAR(32) UNIQUE
+    `).catch(() => {});
+
+    // Per-key rate limits by route class, in requests per minute (see utils/rateLimiter.js)
+    await pool.query(`
+      ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limits JSONB
+    `).catch(() => {});
+
+    // Buckets and file name prefixes a key is limited to; null means all (see utils/permissions.js)
+    await pool.query(`
+      ALTER TABLE api_keys
+      ADD COLUMN IF NOT EXISTS bucket_ids UUID[],
+      ADD COLUMN IF NOT EXISTS path_prefixes TEXT[]
+    `).catch(() => {});
+
+    // Token buckets for RATE_LIMIT_STORE=postgres; unlogged, since losing them on a
+    // crash only resets the limits
+    await pool.query(`
+      CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_buckets (
+        key TEXT PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `).catch(() => {});
+
     // Buckets table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS buckets (
@@ -87,6 +119,12 @@ const initDB = async () => {
       ADD COLUMN IF NOT EXISTS metadata_json JSONB DEFAULT '{}'
     `).catch(() => {}); // Ignore if column already exists
 
+    // Bytes received so far, for resumable (tus) uploads
+    await pool.query(`
+      ALTER TABLE upload_sessions 
+      ADD COLUMN IF NOT EXISTS upload_offset BIGINT DEFAULT 0
+    `).catch(() => {});
+
     // Files table with Large Objects support
     await pool.query(`
       CREATE TABLE IF NOT EXISTS files (
@@ -145,6 +183,11 @@ const initDB = async () => {
       ON DELETE SET NULL
     `).catch(() => {}); // Ignore if constraint already exists
 
+    // Key/value tags, kept apart from metadata_json so both can be filtered on
+    await pool.query(`
+      ALTER TABLE files ADD COLUMN IF NOT EXISTS tags JSONB DEFAULT '{}'
+    `).catch(() => {});
+
     // Image derivatives table with file hash support
     await pool.query(`
       CREATE TABLE IF NOT EXISTS image_derivatives (
@@ -191,16 +234,219 @@ const initDB = async () => {
       )
     `);
 
+    // Copies and moves are counted on the destination bucket
+    await pool.query(`
+      ALTER TABLE usage_analytics
+      ADD COLUMN IF NOT EXISTS copies_count INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS moves_count INTEGER DEFAULT 0
+    `).catch(() => {});
+
     // File data table for storing actual file contents
     await pool.query(`
       CREATE TABLE IF NOT EXISTS file_data (
         id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
         file_hash VARCHAR(255) UNIQUE NOT NULL,
-        data BYTEA NOT NULL,
+        data BYTEA,
+        size BIGINT,
+        storage_driver VARCHAR(50) DEFAULT 'postgres',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Blob bytes may live outside Postgres, so file_data acts as the blob index
+    await pool.query(`
+      ALTER TABLE file_data
+      ADD COLUMN IF NOT EXISTS size BIGINT,
+      ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(50) DEFAULT 'postgres',
+      ADD COLUMN IF NOT EXISTS encoding VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS stored_size BIGINT
+    `).catch(() => {});
+
+    await pool.query(`
+      ALTER TABLE file_data ALTER COLUMN data DROP NOT NULL
+    `).catch(() => {});
+
+    // Backfill sizes for blobs stored before the index tracked them
+    await pool.query(`
+      UPDATE file_data SET size = octet_length(data)
+      WHERE size IS NULL AND data IS NOT NULL
+    `).catch(() => {});
+
+    // Uncompressed blobs take up exactly their logical size
+    await pool.query(`
+      UPDATE file_data SET stored_size = size
+      WHERE stored_size IS NULL AND encoding IS NULL
+    `).catch(() => {});
+
+    // Server-side encryption: bucket keys are wrapped by the master key. They outlive
+    // their bucket because blobs shared with other buckets may still be wrapped by them.
+    await pool.query(`
+      ALTER TABLE buckets ADD COLUMN IF NOT EXISTS encryption_enabled BOOLEAN DEFAULT FALSE
+    `).catch(() => {});
+
+    // Default for uploads that don't say whether an archive should be extracted
+    await pool.query(`
+      ALTER TABLE buckets ADD COLUMN IF NOT EXISTS extract_archives BOOLEAN DEFAULT FALSE
+    `).catch(() => {});
+
+    // Trash retention in days (see utils/trash.js); NULL inherits the account's, then
+    // the server's default
+    await pool.query(`
+      ALTER TABLE buckets ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER
+    `).catch(() => {});
+
+    await pool.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS trash_retention_days INTEGER
+    `).catch(() => {});
+
+    // Files trashed before the deadline was stored keep the old fixed 7-day window
+    await pool.query(`
+      UPDATE files SET restore_until = deleted_at + INTERVAL '7 days'
+      WHERE deleted_at IS NOT NULL AND restore_until IS NULL
+    `).catch(() => {});
+
+    // Lifecycle rules (see utils/lifecycle.js) and what their last background run did
+    await pool.query(`
+      ALTER TABLE buckets
+      ADD COLUMN IF NOT EXISTS lifecycle_rules JSONB DEFAULT '[]',
+      ADD COLUMN IF NOT EXISTS lifecycle_last_run JSONB
+    `).catch(() => {});
+
+    // Object lock (see utils/objectLock.js): a bucket's default retention for new
+    // files, and each file's own retention deadline and legal hold
+    await pool.query(`
+      ALTER TABLE buckets
+      ADD COLUMN IF NOT EXISTS object_lock_enabled BOOLEAN DEFAULT FALSE,
+      ADD COLUMN IF NOT EXISTS object_lock_mode VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS object_lock_days INTEGER
+    `).catch(() => {});
+
+    await pool.query(`
+      ALTER TABLE files
+      ADD COLUMN IF NOT EXISTS retention_mode VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS retain_until TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN DEFAULT FALSE
+    `).catch(() => {});
+
+    // Noncurrent version limits (see utils/versions.js); NULL keeps every version
+    await pool.query(`
+      ALTER TABLE buckets
+      ADD COLUMN IF NOT EXISTS max_noncurrent_versions INTEGER,
+      ADD COLUMN IF NOT EXISTS noncurrent_version_days INTEGER
+    `).catch(() => {});
+
+    await pool.query(`
+      ALTER TABLE file_versions
+      ADD COLUMN IF NOT EXISTS label VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS note TEXT
+    `).catch(() => {});
+
+    // Storage and object quotas (see utils/quotas.js); NULL means the server default
+    // for an account and no limit for a bucket
+    await pool.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT,
+      ADD COLUMN IF NOT EXISTS object_quota INTEGER
+    `).catch(() => {});
+
+    await pool.query(`
+      ALTER TABLE buckets
+      ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT,
+      ADD COLUMN IF NOT EXISTS object_quota INTEGER
+    `).catch(() => {});
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bucket_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        bucket_id UUID REFERENCES buckets(id) ON DELETE SET NULL,
+        version INTEGER NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        master_key_id VARCHAR(32) NOT NULL,
+        status VARCHAR(20) DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      ALTER TABLE file_data
+      ADD COLUMN IF NOT EXISTS encryption_key_id UUID REFERENCES bucket_keys(id),
+      ADD COLUMN IF NOT EXISTS wrapped_data_key TEXT,
+      ADD COLUMN IF NOT EXISTS encryption_nonce VARCHAR(32)
+    `).catch(() => {});
+
+    // Findings of the background integrity scrubber, one row per blob hash.
+    // Not keyed to file_data because a referenced blob can be missing from the index.
+    await pool.query(`
+      ALTER TABLE file_data ADD COLUMN IF NOT EXISTS last_scrubbed_at TIMESTAMP
+    `).catch(() => {});
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS corrupted_blobs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        file_hash VARCHAR(255) UNIQUE NOT NULL,
+        issue VARCHAR(30) NOT NULL,
+        computed_hash VARCHAR(64),
+        storage_driver VARCHAR(50),
+        details TEXT,
+        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TIMESTAMP
+      )
+    `);
+
+    // Bytes outside Postgres can't be deleted by a transaction that may still roll back.
+    // Releases queue them here and the cleanup job deletes them once committed.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS blob_deletions (
+        file_hash VARCHAR(255) NOT NULL,
+        storage_driver VARCHAR(50) NOT NULL,
+        queued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_hash, storage_driver)
+      )
+    `);
+
+    // Folders are virtual: a file's folder is the "/"-separated prefix of its name.
+    // This table only records folders created explicitly, so empty ones still show up.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS folders (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        bucket_id UUID REFERENCES buckets(id) ON DELETE CASCADE,
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        path TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(bucket_id, path)
+      )
+    `);
+
+    // ZIP downloads: what a signed /cdn/archives/<id> URL covers (file IDs, or a
+    // bucket and folder prefix), resolved when the archive is streamed
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS archive_downloads (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+        bucket_id UUID REFERENCES buckets(id) ON DELETE CASCADE,
+        prefix TEXT,
+        file_ids UUID[],
+        name VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Extracted text of text and document blobs for content search, one row per blob
+    // hash. Blobs that can't be indexed get a row too (skipped/failed) so they aren't retried.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS file_contents (
+        file_hash VARCHAR(255) PRIMARY KEY REFERENCES file_data(file_hash) ON DELETE CASCADE,
+        status VARCHAR(20) NOT NULL,
+        content TEXT,
+        search_vector TSVECTOR,
+        error TEXT,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for better performance
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_files_bucket_id ON files(bucket_id);
@@ -218,6 +464,185 @@ const initDB = async () => {
       CREATE INDEX IF NOT EXISTS idx_analytics_user_date ON usage_analytics(user_id, date);
       CREATE INDEX IF NOT EXISTS idx_analytics_bucket_date ON usage_analytics(bucket_id, date);
       CREATE INDEX IF NOT EXISTS idx_analytics_date ON usage_analytics(date);
+      CREATE INDEX IF NOT EXISTS idx_file_data_driver ON file_data(storage_driver);
+      CREATE INDEX IF NOT EXISTS idx_files_file_hash ON files(file_hash);
+      CREATE INDEX IF NOT EXISTS idx_file_versions_file_hash ON file_versions(file_hash);
+      CREATE INDEX IF NOT EXISTS idx_derivatives_file_hash ON image_derivatives(file_hash);
+      CREATE INDEX IF NOT EXISTS idx_bucket_keys_bucket ON bucket_keys(bucket_id, status);
+      CREATE INDEX IF NOT EXISTS idx_file_data_encryption_key ON file_data(encryption_key_id);
+      CREATE INDEX IF NOT EXISTS idx_file_data_last_scrubbed ON file_data(last_scrubbed_at NULLS FIRST);
+      CREATE INDEX IF NOT EXISTS idx_corrupted_blobs_open ON corrupted_blobs(detected_at) WHERE resolved_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_files_bucket_name ON files(bucket_id, original_name text_pattern_ops);
+      CREATE INDEX IF NOT EXISTS idx_files_tags ON files USING GIN (tags);
+      CREATE INDEX IF NOT EXISTS idx_files_metadata ON files USING GIN (metadata_json);
+      CREATE INDEX IF NOT EXISTS idx_file_contents_search ON file_contents USING GIN (search_vector);
+    `);
+
+    // Blobs are shared by hash, so count references from files, versions and derivatives.
+    // Triggers catch every insert, hash change and (cascaded) delete in the same transaction.
+    const refCountColumn = await pool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'file_data' AND column_name = 'ref_count'
+    `);
+
+    await pool.query(`
+      ALTER TABLE file_data ADD COLUMN IF NOT EXISTS ref_count INTEGER NOT NULL DEFAULT 0;
+
+      CREATE OR REPLACE FUNCTION track_blob_references() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.file_hash IS NOT NULL THEN
+          UPDATE file_data SET ref_count = ref_count - 1 WHERE file_hash = OLD.file_hash;
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.file_hash IS NOT NULL THEN
+          UPDATE file_data SET ref_count = ref_count + 1 WHERE file_hash = NEW.file_hash;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS files_blob_refs ON files;
+      CREATE TRIGGER files_blob_refs AFTER INSERT OR DELETE ON files
+        FOR EACH ROW EXECUTE FUNCTION track_blob_references();
+      DROP TRIGGER IF EXISTS files_blob_refs_update ON files;
+      CREATE TRIGGER files_blob_refs_update AFTER UPDATE OF file_hash ON files
+        FOR EACH ROW WHEN (OLD.file_hash IS DISTINCT FROM NEW.file_hash)
+        EXECUTE FUNCTION track_blob_references();
+
+      DROP TRIGGER IF EXISTS file_versions_blob_refs ON file_versions;
+      CREATE TRIGGER file_versions_blob_refs AFTER INSERT OR DELETE ON file_versions
+        FOR EACH ROW EXECUTE FUNCTION track_blob_references();
+      DROP TRIGGER IF EXISTS file_versions_blob_refs_update ON file_versions;
+      CREATE TRIGGER file_versions_blob_refs_update AFTER UPDATE OF file_hash ON file_versions
+        FOR EACH ROW WHEN (OLD.file_hash IS DISTINCT FROM NEW.file_hash)
+        EXECUTE FUNCTION track_blob_references();
+
+      DROP TRIGGER IF EXISTS image_derivatives_blob_refs ON image_derivatives;
+      CREATE TRIGGER image_derivatives_blob_refs AFTER INSERT OR DELETE ON image_derivatives
+        FOR EACH ROW EXECUTE FUNCTION track_blob_references();
+      DROP TRIGGER IF EXISTS image_derivatives_blob_refs_update ON image_derivatives;
+      CREATE TRIGGER image_derivatives_blob_refs_update AFTER UPDATE OF file_hash ON image_derivatives
+        FOR EACH ROW WHEN (OLD.file_hash IS DISTINCT FROM NEW.file_hash)
+        EXECUTE FUNCTION track_blob_references();
+
+      CREATE INDEX IF NOT EXISTS idx_file_data_unreferenced ON file_data(created_at) WHERE ref_count <= 0;
+    `);
+
+    // Backfill counts for blobs stored before references were tracked
+    if (refCountColumn.rows.length === 0) {
+      await pool.query(`
+        UPDATE file_data fd SET ref_count =
+          (SELECT COUNT(*) FROM files WHERE file_hash = fd.file_hash) +
+          (SELECT COUNT(*) FROM file_versions WHERE file_hash = fd.file_hash) +
+          (SELECT COUNT(*) FROM image_derivatives WHERE file_hash = fd.file_hash)
+      `);
+    }
+
+    // Quota usage per bucket (see utils/quotas.js), kept by triggers so quota checks don't
+    // scan every file. A file's noncurrent_bytes sums its noncurrent versions, and a bucket
+    // counts its live files with their noncurrent_bytes. Counters of deleted buckets are
+    // left behind and dropped when cleanup reconciles usage.
+    const usageColumn = await pool.query(`
+      SELECT 1 FROM information_schema.columns
+      WHERE table_name = 'files' AND column_name = 'noncurrent_bytes'
+    `);
+
+    await pool.query(`
+      ALTER TABLE files ADD COLUMN IF NOT EXISTS noncurrent_bytes BIGINT NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS bucket_usage (
+        bucket_id UUID PRIMARY KEY,
+        bytes BIGINT NOT NULL DEFAULT 0,
+        objects BIGINT NOT NULL DEFAULT 0
+      );
+    `);
+
+    // Backfill before the triggers exist, so nothing is counted twice
+    if (usageColumn.rows.length === 0) {
+      await pool.query(`
+        UPDATE files f SET noncurrent_bytes = v.bytes
+        FROM (
+          SELECT file_id, SUM(size) AS bytes FROM file_versions
+          WHERE NOT is_current
+          GROUP BY file_id
+        ) v
+        WHERE v.file_id = f.id;
+
+        INSERT INTO bucket_usage (bucket_id, bytes, objects)
+        SELECT bucket_id, COALESCE(SUM(size), 0) + SUM(noncurrent_bytes), COUNT(*)
+        FROM files
+        WHERE deleted_at IS NULL AND bucket_id IS NOT NULL
+        GROUP BY bucket_id
+        ON CONFLICT (bucket_id) DO UPDATE SET bytes = EXCLUDED.bytes, objects = EXCLUDED.objects;
+      `);
+    }
+
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION track_version_usage() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') AND NOT OLD.is_current THEN
+          UPDATE files SET noncurrent_bytes = noncurrent_bytes - COALESCE(OLD.size, 0) WHERE id = OLD.file_id;
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') AND NOT NEW.is_current THEN
+          UPDATE files SET noncurrent_bytes = noncurrent_bytes + COALESCE(NEW.size, 0) WHERE id = NEW.file_id;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE OR REPLACE FUNCTION track_bucket_usage() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.deleted_at IS NULL AND OLD.bucket_id IS NOT NULL THEN
+          UPDATE bucket_usage
+          SET bytes = bytes - COALESCE(OLD.size, 0) - OLD.noncurrent_bytes, objects = objects - 1
+          WHERE bucket_id = OLD.bucket_id;
+        END IF;
+        IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.deleted_at IS NULL AND NEW.bucket_id IS NOT NULL THEN
+          INSERT INTO bucket_usage (bucket_id, bytes, objects)
+          VALUES (NEW.bucket_id, COALESCE(NEW.size, 0) + NEW.noncurrent_bytes, 1)
+          ON CONFLICT (bucket_id) DO UPDATE
+          SET bytes = bucket_usage.bytes + EXCLUDED.bytes, objects = bucket_usage.objects + 1;
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS file_versions_usage ON file_versions;
+      CREATE TRIGGER file_versions_usage AFTER INSERT OR DELETE ON file_versions
+        FOR EACH ROW EXECUTE FUNCTION track_version_usage();
+      DROP TRIGGER IF EXISTS file_versions_usage_update ON file_versions;
+      CREATE TRIGGER file_versions_usage_update AFTER UPDATE OF size, is_current, file_id ON file_versions
+        FOR EACH ROW WHEN (OLD.size IS DISTINCT FROM NEW.size OR OLD.is_current IS DISTINCT FROM NEW.is_current
+          OR OLD.file_id IS DISTINCT FROM NEW.file_id)
+        EXECUTE FUNCTION track_version_usage();
+
+      DROP TRIGGER IF EXISTS files_usage ON files;
+      CREATE TRIGGER files_usage AFTER INSERT OR DELETE ON files
+        FOR EACH ROW EXECUTE FUNCTION track_bucket_usage();
+      DROP TRIGGER IF EXISTS files_usage_update ON files;
+      CREATE TRIGGER files_usage_update AFTER UPDATE OF size, deleted_at, bucket_id, noncurrent_bytes ON files
+        FOR EACH ROW WHEN (OLD.size IS DISTINCT FROM NEW.size OR OLD.deleted_at IS DISTINCT FROM NEW.deleted_at
+          OR OLD.bucket_id IS DISTINCT FROM NEW.bucket_id OR OLD.noncurrent_bytes IS DISTINCT FROM NEW.noncurrent_bytes)
+        EXECUTE FUNCTION track_bucket_usage();
+    `);
+
+    // S3 ETags: the MD5 of each blob's content, and the md5-of-md5s-N of objects put
+    // together by a multipart upload, which no longer applies once the content changes
+    await pool.query(`
+      ALTER TABLE file_data ADD COLUMN IF NOT EXISTS md5 VARCHAR(32);
+      ALTER TABLE files ADD COLUMN IF NOT EXISTS multipart_etag VARCHAR(50);
+
+      CREATE OR REPLACE FUNCTION clear_multipart_etag() RETURNS trigger AS $$
+      BEGIN
+        NEW.multipart_etag := NULL;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS files_multipart_etag ON files;
+      CREATE TRIGGER files_multipart_etag BEFORE UPDATE OF file_hash ON files
+        FOR EACH ROW WHEN (OLD.file_hash IS DISTINCT FROM NEW.file_hash
+          AND OLD.multipart_etag IS NOT DISTINCT FROM NEW.multipart_etag)
+        EXECUTE FUNCTION clear_multipart_etag();
     `);
 
     console.log('Database initialized successfully');
@@ -311,4 +736,4 @@ const deleteLargeObject = async (client, oid) => {
   }
 };
 
-module.exports = { pool, initDB, createLargeObject, readLargeObject, deleteLargeObject };
\ No newline at end of file
+module.exports = { pool, lockPool, initDB, createLargeObject, readLargeObject, deleteLargeObject };
\ No newline at end of file
@@ -1,11 +1,13 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { pool } = require('../models/database');
 const analyticsService = require('../utils/analytics');
+const { getUsageReport } = require('../utils/quotas');
 
 const router = express.Router();
 
 // Get analytics overview
-router.get('/analytics/overview', authenticate, async (req, res) => {
+router.get('/analytics/overview', authenticate, requireScope('analytics', { account: true }), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const userId = req.user.id;
@@ -28,7 +30,7 @@ router.get('/analytics/overview', authenticate, async (req, res) => {
 });
 
 // Get bucket-specific analytics
-router.get('/analytics/buckets/:bucketId', authenticate, async (req, res) => {
+router.get('/analytics/buckets/:bucketId', authenticate, requireScope('analytics', { bucket: 'bucketId' }), async (req, res) => {
   try {
     const { bucketId } = req.params;
     const { startDate, endDate } = req.query;
@@ -52,7 +54,7 @@ router.get('/analytics/buckets/:bucketId', authenticate, async (req, res) => {
 });
 
 // Get storage usage by bucket
-router.get('/analytics/storage', authenticate, async (req, res) => {
+router.get('/analytics/storage', authenticate, requireScope('analytics', { account: true }), async (req, res) => {
   try {
     const userId = req.user.id;
     const storage = await analyticsService.getStorageByBucket(userId);
@@ -63,8 +65,19 @@ router.get('/analytics/storage', authenticate, async (req, res) => {
   }
 });
 
+// Get quota usage and headroom for the account and each bucket
+router.get('/analytics/usage', authenticate, requireScope('analytics', { account: true }), async (req, res) => {
+  try {
+    const usage = await getUsageReport(pool, req.user.id);
+    res.json(usage);
+  } catch (error) {
+    console.error('Usage analytics error:', error);
+    res.status(500).json({ error: 'Failed to fetch usage' });
+  }
+});
+
 // Get top files by downloads
-router.get('/analytics/top-files', authenticate, async (req, res) => {
+router.get('/analytics/top-files', authenticate, requireScope('analytics', { account: true }), async (req, res) => {
   try {
     const userId = req.user.id;
     const topFiles = await analyticsService.getTopFiles(userId, 3);
@@ -76,7 +89,7 @@ router.get('/analytics/top-files', authenticate, async (req, res) => {
 });
 
 // Export analytics data
-router.get('/analytics/export', authenticate, async (req, res) => {
+router.get('/analytics/export', authenticate, requireScope('analytics', { account: true }), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const userId = req.user.id;
@@ -2,15 +2,19 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../models/database');
-const { authenticateUser, authenticateApiKey } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { isGatewayEnabled, generateAccessKeyId, deriveSecretAccessKey } = require('../utils/s3/sigv4');
+const { RATE_LIMITS_MESSAGE, validateRateLimits } = require('../utils/rateLimiter');
+const { createError, asyncHandler } = require('../utils/errors');
+const { validateKeyPermissions, isWithinPermissions } = require('../utils/permissions');
 
 const router = express.Router();
 
 // Get all API keys for user
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticate, requireScope('keys'), async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT id, name, scopes, created_at, last_used_at, revoked_at FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+      'SELECT id, name, scopes, bucket_ids, path_prefixes, rate_limits, access_key_id, created_at, last_used_at, revoked_at FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
       [req.user.id]
     );
     res.json(result.rows);
@@ -19,36 +23,141 @@ router.get('/', authenticateUser, async (req, res) => {
   }
 });
 
-// Create new API key
-router.post('/', authenticateUser, async (req, res) => {
+// Create new API key, optionally limited to some buckets and path prefixes. A key
+// creating keys can only hand out permissions it has itself.
+router.post('/', authenticate, requireScope('keys'), asyncHandler(async (req, res) => {
+  const { name, rate_limits = null } = req.body;
+
+  if (!name) {
+    throw createError('INVALID_REQUEST', { field: 'name' }, 'API key name required');
+  }
+
+  if (!validateRateLimits(rate_limits)) {
+    throw createError('INVALID_REQUEST', { field: 'rate_limits' }, RATE_LIMITS_MESSAGE);
+  }
+
+  const permissions = validateKeyPermissions(req.body);
+
+  if (!isWithinPermissions(permissions, req.apiKey)) {
+    throw createError('INSUFFICIENT_PERMISSIONS', {}, 'An API key cannot create a key with more access than its own');
+  }
+
+  if (permissions.bucketIds) {
+    const bucketResult = await pool.query(
+      'SELECT id FROM buckets WHERE id = ANY($1::uuid[]) AND user_id = $2 AND deleted_at IS NULL',
+      [permissions.bucketIds, req.user.id]
+    );
+    const found = bucketResult.rows.map(row => row.id);
+    const missing = permissions.bucketIds.filter(id => !found.includes(id));
+    if (missing.length > 0) {
+      throw createError('BUCKET_NOT_FOUND', { bucketIds: missing });
+    }
+  }
+
+  const rawKey = `rk_${uuidv4().replace(/-/g, '')}`;
+  const keyHash = await bcrypt.hash(rawKey, 12);
+  const accessKeyId = generateAccessKeyId();
+
+  const result = await pool.query(`
+    INSERT INTO api_keys (user_id, key_hash, name, scopes, bucket_ids, path_prefixes, access_key_id, rate_limits)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id, name, scopes, bucket_ids, path_prefixes, rate_limits, access_key_id, created_at
+  `, [
+    req.user.id,
+    keyHash,
+    name,
+    permissions.scopes,
+    permissions.bucketIds,
+    permissions.pathPrefixes,
+    accessKeyId,
+    rate_limits && JSON.stringify(rate_limits)
+  ]);
+
+  const apiKey = result.rows[0];
+
+  res.status(201).json({
+    ...apiKey,
+    key: rawKey, // Only returned once
+    s3Credentials: isGatewayEnabled() ? {
+      accessKeyId,
+      secretAccessKey: deriveSecretAccessKey(accessKeyId, keyHash)
+    } : null
+  });
+}));
+
+// Set a key's own rate limits ({ class: requests per minute }); null goes back to the server's
+router.put('/:keyId/rate-limits', authenticate, requireScope('keys'), async (req, res) => {
   try {
-    const { name, scopes = ['read', 'write'] } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: 'API key name required' });
+    const { keyId } = req.params;
+    const { rate_limits } = req.body;
+
+    if (rate_limits === undefined || !validateRateLimits(rate_limits)) {
+      return res.status(400).json({ error: RATE_LIMITS_MESSAGE });
     }
 
-    const rawKey = `rk_${uuidv4().replace(/-/g, '')}`;
-    const keyHash = await bcrypt.hash(rawKey, 12);
+    const result = await pool.query(
+      'UPDATE api_keys SET rate_limits = $1 WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL RETURNING id, name, rate_limits',
+      [rate_limits && JSON.stringify(rate_limits), keyId, req.user.id]
+    );
 
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update rate limits' });
+  }
+});
+
+// Issue new S3 gateway credentials for a key (replaces any previous access key ID).
+// A key can only do this for keys with no more access than its own.
+router.post('/:keyId/s3-credentials', authenticate, requireScope('keys'), async (req, res) => {
+  try {
+    const { keyId } = req.params;
+
+    if (!isGatewayEnabled()) {
+      const error = createError('SERVICE_UNAVAILABLE', { s3Gateway: false }, 'The S3 gateway is disabled on this server');
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+
+    const keyResult = await pool.query(
+      'SELECT scopes, bucket_ids, path_prefixes FROM api_keys WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [keyId, req.user.id]
+    );
+
+    const target = keyResult.rows[0];
+    if (!target) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const targetPermissions = { scopes: target.scopes, bucketIds: target.bucket_ids, pathPrefixes: target.path_prefixes };
+    if (!isWithinPermissions(targetPermissions, req.apiKey)) {
+      const error = createError('INSUFFICIENT_PERMISSIONS', { keyId }, 'An API key cannot issue credentials for a key with more access than its own');
+      return res.status(error.statusCode).json(error.toJSON());
+    }
+
+    const accessKeyId = generateAccessKeyId();
     const result = await pool.query(
-      'INSERT INTO api_keys (user_id, key_hash, name, scopes) VALUES ($1, $2, $3, $4) RETURNING id, name, scopes, created_at',
-      [req.user.id, keyHash, name, scopes]
+      'UPDATE api_keys SET access_key_id = $1 WHERE id = $2 AND user_id = $3 AND revoked_at IS NULL RETURNING key_hash',
+      [accessKeyId, keyId, req.user.id]
     );
 
-    const apiKey = result.rows[0];
-    
-    res.status(201).json({
-      ...apiKey,
-      key: rawKey // Only returned once
+    if (!result.rows[0]) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({
+      accessKeyId,
+      secretAccessKey: deriveSecretAccessKey(accessKeyId, result.rows[0].key_hash) // Only returned once
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create API key' });
+    res.status(500).json({ error: 'Failed to issue S3 credentials' });
   }
 });
 
 // Revoke API key
-router.delete('/:keyId', authenticateUser, async (req, res) => {
+router.delete('/:keyId', authenticate, requireScope('keys'), async (req, res) => {
   try {
     const { keyId } = req.params;
     
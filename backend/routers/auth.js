@@ -2,6 +2,22 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { pool } = require('../models/database');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { createError, asyncHandler } = require('../utils/errors');
+const {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_MESSAGE,
+  isValidTrashRetention,
+  resolveTrashRetention
+} = require('../utils/trash');
+const {
+  DEFAULT_STORAGE_QUOTA,
+  DEFAULT_OBJECT_QUOTA,
+  QUOTA_MESSAGE,
+  isValidQuota,
+  accountQuotaError,
+  resolveAccountQuotas
+} = require('../utils/quotas');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
@@ -84,4 +100,73 @@ router.get('/verify', async (req, res) => {
   }
 });
 
+// Account settings as returned by the settings endpoints
+const formatSettings = (user) => {
+  const quotas = resolveAccountQuotas(user);
+
+  return {
+    trash_retention_days: user.trash_retention_days,
+    default_trash_retention_days: DEFAULT_TRASH_RETENTION_DAYS,
+    effective_trash_retention_days: resolveTrashRetention(null, user.trash_retention_days),
+    storage_quota_bytes: user.storage_quota_bytes === null ? null : parseInt(user.storage_quota_bytes),
+    object_quota: user.object_quota,
+    default_storage_quota_bytes: DEFAULT_STORAGE_QUOTA,
+    default_object_quota: DEFAULT_OBJECT_QUOTA,
+    effective_storage_quota_bytes: quotas.storage,
+    effective_object_quota: quotas.objects
+  };
+};
+
+const SETTINGS_COLUMNS = 'trash_retention_days, storage_quota_bytes, object_quota';
+
+// Get account settings
+router.get('/settings', authenticate, requireScope('read', { account: true }), asyncHandler(async (req, res) => {
+  const result = await pool.query(`SELECT ${SETTINGS_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+
+  if (!result.rows[0]) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+
+  res.json(formatSettings(result.rows[0]));
+}));
+
+// Update account settings. trash_retention_days is the default for buckets without
+// their own; null falls back to the server default. storage_quota_bytes and
+// object_quota limit the whole account (null uses the server's limits, which they
+// can't exceed).
+router.put('/settings', authenticate, requireScope('admin', { account: true }), asyncHandler(async (req, res) => {
+  const { trash_retention_days, storage_quota_bytes, object_quota } = req.body || {};
+  const updates = { trash_retention_days, storage_quota_bytes, object_quota };
+  const fields = Object.keys(updates).filter(field => updates[field] !== undefined);
+
+  if (fields.length === 0) {
+    throw createError('INVALID_REQUEST', {}, 'No valid fields to update');
+  }
+  if (trash_retention_days !== undefined && !isValidTrashRetention(trash_retention_days)) {
+    throw createError('INVALID_REQUEST', { field: 'trash_retention_days' }, TRASH_RETENTION_MESSAGE);
+  }
+  for (const field of ['storage_quota_bytes', 'object_quota']) {
+    if (updates[field] !== undefined && !isValidQuota(updates[field])) {
+      throw createError('INVALID_REQUEST', { field }, QUOTA_MESSAGE);
+    }
+  }
+  const quotaError = accountQuotaError({ storage_quota_bytes, object_quota });
+  if (quotaError) {
+    throw createError('INVALID_REQUEST', {}, quotaError);
+  }
+
+  const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+  const result = await pool.query(`
+    UPDATE users SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${fields.length + 1}
+    RETURNING ${SETTINGS_COLUMNS}
+  `, [...fields.map(field => updates[field]), req.user.id]);
+
+  if (!result.rows[0]) {
+    return res.status(401).json({ error: 'User not found' });
+  }
+
+  res.json(formatSettings(result.rows[0]));
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,32 @@
 const express = require('express');
 const { pool } = require('../models/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { buildKeyConditions } = require('../utils/permissions');
+const { isEncryptionConfigured, ensureBucketKey, rotateBucketKey } = require('../utils/encryption');
+const { createError, asyncHandler } = require('../utils/errors');
+const lifecycleService = require('../utils/lifecycle');
+const { TRASH_RETENTION_MESSAGE, isValidTrashRetention } = require('../utils/trash');
+const { lockedCondition, describeBucketLock, validateObjectLockConfig } = require('../utils/objectLock');
+const { VERSION_RETENTION_MESSAGE, isValidVersionRetention } = require('../utils/versions');
+const { QUOTA_MESSAGE, isValidQuota } = require('../utils/quotas');
 
 const router = express.Router();
 
+// Per-bucket totals of noncurrent versions, which count towards the bucket's storage
+const NONCURRENT_VERSIONS_JOIN = `
+  LEFT JOIN (
+    SELECT
+      files.bucket_id,
+      COUNT(*) as noncurrent_versions,
+      SUM(fv.size) as noncurrent_storage_used,
+      SUM(COALESCE(fd.stored_size, fd.size, fv.size)) as noncurrent_physical_storage_used
+    FROM file_versions fv
+    JOIN files ON files.id = fv.file_id
+    LEFT JOIN file_data fd ON fd.file_hash = fv.file_hash
+    WHERE NOT fv.is_current
+    GROUP BY files.bucket_id
+  ) v ON b.id = v.bucket_id`;
+
 // Helper function to generate slug from name
 const generateSlug = (name) => {
   return name
@@ -13,25 +36,37 @@ const generateSlug = (name) => {
 };
 
 // Get all buckets for user with stats
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireScope('read'), async (req, res) => {
   try {
+    const params = [req.user.id];
+    const keyConditions = buildKeyConditions(req.apiKey, params, { bucketColumn: 'b.id' });
+
     const result = await pool.query(`
       SELECT 
         b.*,
         COALESCE(f.file_count, 0) as file_count,
-        COALESCE(f.storage_used, 0) as storage_used
+        COALESCE(f.storage_used, 0) + COALESCE(v.noncurrent_storage_used, 0) as storage_used,
+        COALESCE(f.physical_storage_used, 0) + COALESCE(v.noncurrent_physical_storage_used, 0) as physical_storage_used,
+        COALESCE(v.noncurrent_versions, 0) as noncurrent_versions,
+        COALESCE(v.noncurrent_storage_used, 0) as noncurrent_storage_used,
+        bk.version as encryption_key_version,
+        bk.created_at as encryption_key_created_at
       FROM buckets b
       LEFT JOIN (
         SELECT 
-          bucket_id,
+          files.bucket_id,
           COUNT(*) as file_count,
-          SUM(size) as storage_used
+          SUM(files.size) as storage_used,
+          SUM(COALESCE(fd.stored_size, fd.size, files.size)) as physical_storage_used
         FROM files 
-        GROUP BY bucket_id
+        LEFT JOIN file_data fd ON fd.file_hash = files.file_hash
+        GROUP BY files.bucket_id
       ) f ON b.id = f.bucket_id
-      WHERE b.user_id = $1 AND b.deleted_at IS NULL
+      ${NONCURRENT_VERSIONS_JOIN}
+      LEFT JOIN bucket_keys bk ON bk.bucket_id = b.id AND bk.status = 'active'
+      WHERE b.user_id = $1 AND b.deleted_at IS NULL${keyConditions}
       ORDER BY b.created_at DESC
-    `, [req.user.id]);
+    `, params);
     
     res.json(result.rows);
   } catch (error) {
@@ -40,12 +75,16 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Create new bucket
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requireScope('admin', { account: true }), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { 
       name, 
       is_public_by_default = false, 
       versioning_enabled = false,
+      encryption_enabled = false,
+      extract_archives = false,
       allowed_types = ['*']
     } = req.body;
     
@@ -53,25 +92,41 @@ router.post('/', authenticate, async (req, res) => {
       return res.status(400).json({ error: 'Bucket name required' });
     }
 
+    if (encryption_enabled && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Server-side encryption is not configured on this server' });
+    }
+
     const slug = generateSlug(name);
+
+    await client.query('BEGIN');
     
-    const result = await pool.query(`
-      INSERT INTO buckets (user_id, name, slug, is_public_by_default, versioning_enabled, allowed_types) 
-      VALUES ($1, $2, $3, $4, $5, $6) 
+    const result = await client.query(`
+      INSERT INTO buckets (user_id, name, slug, is_public_by_default, versioning_enabled, encryption_enabled, extract_archives, allowed_types) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
       RETURNING *
-    `, [req.user.id, name, slug, is_public_by_default, versioning_enabled, allowed_types]);
+    `, [req.user.id, name, slug, is_public_by_default, versioning_enabled, encryption_enabled, extract_archives, allowed_types]);
+
+    const bucket = result.rows[0];
+    if (encryption_enabled) {
+      const key = await ensureBucketKey(client, bucket.id);
+      bucket.encryption_key_version = key.version;
+    }
 
-    res.status(201).json(result.rows[0]);
+    await client.query('COMMIT');
+    res.status(201).json(bucket);
   } catch (error) {
+    await client.query('ROLLBACK');
     if (error.code === '23505') {
       return res.status(409).json({ error: 'Bucket name already exists' });
     }
     res.status(500).json({ error: 'Failed to create bucket' });
+  } finally {
+    client.release();
   }
 });
 
 // Get bucket by ID
-router.get('/:bucketId', authenticate, async (req, res) => {
+router.get('/:bucketId', authenticate, requireScope('read', { bucket: 'bucketId' }), async (req, res) => {
   try {
     const { bucketId } = req.params;
     
@@ -79,16 +134,25 @@ router.get('/:bucketId', authenticate, async (req, res) => {
       SELECT 
         b.*,
         COALESCE(f.file_count, 0) as file_count,
-        COALESCE(f.storage_used, 0) as storage_used
+        COALESCE(f.storage_used, 0) + COALESCE(v.noncurrent_storage_used, 0) as storage_used,
+        COALESCE(f.physical_storage_used, 0) + COALESCE(v.noncurrent_physical_storage_used, 0) as physical_storage_used,
+        COALESCE(v.noncurrent_versions, 0) as noncurrent_versions,
+        COALESCE(v.noncurrent_storage_used, 0) as noncurrent_storage_used,
+        bk.version as encryption_key_version,
+        bk.created_at as encryption_key_created_at
       FROM buckets b
       LEFT JOIN (
         SELECT 
-          bucket_id,
+          files.bucket_id,
           COUNT(*) as file_count,
-          SUM(size) as storage_used
+          SUM(files.size) as storage_used,
+          SUM(COALESCE(fd.stored_size, fd.size, files.size)) as physical_storage_used
         FROM files 
-        GROUP BY bucket_id
+        LEFT JOIN file_data fd ON fd.file_hash = files.file_hash
+        GROUP BY files.bucket_id
       ) f ON b.id = f.bucket_id
+      ${NONCURRENT_VERSIONS_JOIN}
+      LEFT JOIN bucket_keys bk ON bk.bucket_id = b.id AND bk.status = 'active'
       WHERE b.id = $1 AND b.user_id = $2 AND b.deleted_at IS NULL
     `, [bucketId, req.user.id]);
 
@@ -103,15 +167,42 @@ router.get('/:bucketId', authenticate, async (req, res) => {
 });
 
 // Update bucket settings
-router.put('/:bucketId', authenticate, async (req, res) => {
+router.put('/:bucketId', authenticate, requireScope('admin', { bucket: 'bucketId' }), async (req, res) => {
+  const client = await pool.connect();
+
   try {
     const { bucketId } = req.params;
     const { 
       name, 
       is_public_by_default, 
       versioning_enabled,
-      allowed_types
+      encryption_enabled,
+      extract_archives,
+      allowed_types,
+      trash_retention_days,
+      max_noncurrent_versions,
+      noncurrent_version_days,
+      storage_quota_bytes,
+      object_quota
     } = req.body;
+
+    if (encryption_enabled && !isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Server-side encryption is not configured on this server' });
+    }
+
+    if (trash_retention_days !== undefined && !isValidTrashRetention(trash_retention_days)) {
+      return res.status(400).json({ error: TRASH_RETENTION_MESSAGE });
+    }
+
+    if ((max_noncurrent_versions !== undefined && !isValidVersionRetention(max_noncurrent_versions)) ||
+        (noncurrent_version_days !== undefined && !isValidVersionRetention(noncurrent_version_days))) {
+      return res.status(400).json({ error: VERSION_RETENTION_MESSAGE });
+    }
+
+    if ((storage_quota_bytes !== undefined && !isValidQuota(storage_quota_bytes)) ||
+        (object_quota !== undefined && !isValidQuota(object_quota))) {
+      return res.status(400).json({ error: QUOTA_MESSAGE });
+    }
     
     const updates = [];
     const values = [];
@@ -141,6 +232,53 @@ router.put('/:bucketId', authenticate, async (req, res) => {
       paramCount++;
     }
 
+    // Disabling only affects new writes; blobs already encrypted stay encrypted
+    if (encryption_enabled !== undefined) {
+      updates.push(`encryption_enabled = $${paramCount}`);
+      values.push(encryption_enabled);
+      paramCount++;
+    }
+
+    if (extract_archives !== undefined) {
+      updates.push(`extract_archives = $${paramCount}`);
+      values.push(extract_archives);
+      paramCount++;
+    }
+
+    // null goes back to the account default; files already in the trash keep their deadline
+    if (trash_retention_days !== undefined) {
+      updates.push(`trash_retention_days = $${paramCount}`);
+      values.push(trash_retention_days);
+      paramCount++;
+    }
+
+    // null keeps every noncurrent version; existing versions over the limit are pruned on
+    // the file's next write (max_noncurrent_versions) or the next lifecycle run
+    if (max_noncurrent_versions !== undefined) {
+      updates.push(`max_noncurrent_versions = $${paramCount}`);
+      values.push(max_noncurrent_versions);
+      paramCount++;
+    }
+
+    if (noncurrent_version_days !== undefined) {
+      updates.push(`noncurrent_version_days = $${paramCount}`);
+      values.push(noncurrent_version_days);
+      paramCount++;
+    }
+
+    // null removes the bucket's limit; a bucket already over a new limit only blocks new writes
+    if (storage_quota_bytes !== undefined) {
+      updates.push(`storage_quota_bytes = $${paramCount}`);
+      values.push(storage_quota_bytes);
+      paramCount++;
+    }
+
+    if (object_quota !== undefined) {
+      updates.push(`object_quota = $${paramCount}`);
+      values.push(object_quota);
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
@@ -148,7 +286,9 @@ router.put('/:bucketId', authenticate, async (req, res) => {
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
     values.push(bucketId, req.user.id);
 
-    const result = await pool.query(`
+    await client.query('BEGIN');
+
+    const result = await client.query(`
       UPDATE buckets 
       SET ${updates.join(', ')}
       WHERE id = $${paramCount} AND user_id = $${paramCount + 1} AND deleted_at IS NULL
@@ -156,22 +296,185 @@ router.put('/:bucketId', authenticate, async (req, res) => {
     `, values);
 
     if (!result.rows[0]) {
+      await client.query('ROLLBACK');
       return res.status(404).json({ error: 'Bucket not found' });
     }
 
-    res.json(result.rows[0]);
+    const bucket = result.rows[0];
+    if (bucket.encryption_enabled) {
+      const key = await ensureBucketKey(client, bucket.id);
+      bucket.encryption_key_version = key.version;
+    }
+
+    await client.query('COMMIT');
+    res.json(bucket);
   } catch (error) {
+    await client.query('ROLLBACK');
     if (error.code === '23505') {
       return res.status(409).json({ error: 'Bucket name already exists' });
     }
     res.status(500).json({ error: 'Failed to update bucket' });
+  } finally {
+    client.release();
+  }
+});
+
+// Rotate the bucket's encryption key. Data keys are re-wrapped; blob bytes are untouched.
+router.post('/:bucketId/encryption/rotate', authenticate, requireScope('admin', { bucket: 'bucketId' }), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { bucketId } = req.params;
+
+    if (!isEncryptionConfigured()) {
+      return res.status(400).json({ error: 'Server-side encryption is not configured on this server' });
+    }
+
+    await client.query('BEGIN');
+
+    const bucketResult = await client.query(
+      'SELECT id FROM buckets WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+      [bucketId, req.user.id]
+    );
+
+    if (!bucketResult.rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Bucket not found' });
+    }
+
+    const keyResult = await client.query(
+      'SELECT 1 FROM bucket_keys WHERE bucket_id = $1 LIMIT 1',
+      [bucketId]
+    );
+
+    if (keyResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Encryption has never been enabled for this bucket' });
+    }
+
+    const rotation = await rotateBucketKey(client, bucketId);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: `Bucket key rotated to version ${rotation.version}`,
+      encryption_key_version: rotation.version,
+      rewrapped_keys: rotation.rewrapped
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Key rotation error:', error);
+    res.status(500).json({ error: 'Failed to rotate bucket key' });
+  } finally {
+    client.release();
   }
 });
 
-// Soft delete bucket
-router.delete('/:bucketId', authenticate, async (req, res) => {
+// Load a bucket the user owns, with its lifecycle and object lock settings
+const getOwnedBucket = async (bucketId, userId) => {
+  const result = await pool.query(`
+    SELECT id, user_id, lifecycle_rules, lifecycle_last_run,
+           object_lock_enabled, object_lock_mode, object_lock_days
+    FROM buckets
+    WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+  `, [bucketId, userId]);
+
+  if (!result.rows[0]) {
+    throw createError('BUCKET_NOT_FOUND', { bucketId });
+  }
+  return result.rows[0];
+};
+
+// Get the bucket's lifecycle rules and what their last background run did
+router.get('/:bucketId/lifecycle', authenticate, requireScope('read', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const bucket = await getOwnedBucket(req.params.bucketId, req.user.id);
+
+  res.json({
+    rules: bucket.lifecycle_rules || [],
+    lastRun: bucket.lifecycle_last_run
+  });
+}));
+
+// Replace the bucket's lifecycle rules
+router.put('/:bucketId/lifecycle', authenticate, requireScope('admin', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const rules = lifecycleService.validateLifecycleRules(req.body?.rules);
+
+  const result = await pool.query(`
+    UPDATE buckets
+    SET lifecycle_rules = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2 AND user_id = $3 AND deleted_at IS NULL
+    RETURNING lifecycle_rules, lifecycle_last_run
+  `, [JSON.stringify(rules), req.params.bucketId, req.user.id]);
+
+  if (!result.rows[0]) {
+    throw createError('BUCKET_NOT_FOUND', { bucketId: req.params.bucketId });
+  }
+
+  res.json({
+    rules: result.rows[0].lifecycle_rules,
+    lastRun: result.rows[0].lifecycle_last_run
+  });
+}));
+
+// Report what the lifecycle rules would do right now without applying them. Previews
+// the rules in the body when given, so edits can be checked before they are saved.
+router.post('/:bucketId/lifecycle/dry-run', authenticate, requireScope('read', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const bucket = await getOwnedBucket(req.params.bucketId, req.user.id);
+  const rules = req.body?.rules !== undefined
+    ? lifecycleService.validateLifecycleRules(req.body.rules)
+    : bucket.lifecycle_rules || [];
+
+  res.json(await lifecycleService.evaluateBucket(bucket, rules, { dryRun: true }));
+}));
+
+// Count the bucket's files under retention or legal hold
+const countLockedFiles = async (bucketId, userId) => {
+  const result = await pool.query(
+    `SELECT COUNT(*) AS locked_files FROM files WHERE bucket_id = $1 AND user_id = $2 AND ${lockedCondition()}`,
+    [bucketId, userId]
+  );
+  return parseInt(result.rows[0].locked_files);
+};
+
+// Get the bucket's object lock settings and how many of its files are locked
+router.get('/:bucketId/object-lock', authenticate, requireScope('read', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const bucket = await getOwnedBucket(req.params.bucketId, req.user.id);
+
+  res.json({
+    ...describeBucketLock(bucket),
+    lockedFiles: await countLockedFiles(bucket.id, req.user.id)
+  });
+}));
+
+// Enable object lock and set the default retention of new files. Once enabled, object
+// lock stays on; the default retention can still be changed or cleared.
+router.put('/:bucketId/object-lock', authenticate, requireScope('admin', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const bucket = await getOwnedBucket(req.params.bucketId, req.user.id);
+  const config = validateObjectLockConfig(req.body, bucket);
+
+  const result = await pool.query(`
+    UPDATE buckets
+    SET object_lock_enabled = $1, object_lock_mode = $2, object_lock_days = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING object_lock_enabled, object_lock_mode, object_lock_days
+  `, [config.enabled, config.mode, config.days, bucket.id]);
+
+  res.json({
+    ...describeBucketLock(result.rows[0]),
+    lockedFiles: await countLockedFiles(bucket.id, req.user.id)
+  });
+}));
+
+// Soft delete bucket (refused while any of its files is locked)
+router.delete('/:bucketId', authenticate, requireScope('admin', { bucket: 'bucketId' }), async (req, res) => {
   try {
     const { bucketId } = req.params;
+
+    const lockedFiles = await countLockedFiles(bucketId, req.user.id);
+    if (lockedFiles > 0) {
+      return res.status(409).json(createError('OBJECT_LOCKED', { bucketId, lockedFiles },
+        `Bucket has ${lockedFiles} locked ${lockedFiles === 1 ? 'file' : 'files'}. Wait for their retention to end or release their legal holds first.`).toJSON());
+    }
     
     const result = await pool.query(`
       UPDATE buckets 
@@ -191,19 +494,32 @@ router.delete('/:bucketId', authenticate, async (req, res) => {
 });
 
 // Get bucket stats
-router.get('/:bucketId/stats', authenticate, async (req, res) => {
+router.get('/:bucketId/stats', authenticate, requireScope('read', { bucket: 'bucketId' }), async (req, res) => {
   try {
     const { bucketId } = req.params;
     
     const result = await pool.query(`
       SELECT 
         COUNT(*) as total_files,
-        SUM(size) as total_size,
-        COUNT(CASE WHEN is_public THEN 1 END) as public_files,
-        COUNT(CASE WHEN NOT is_public THEN 1 END) as private_files,
-        MAX(created_at) as last_upload
-      FROM files 
-      WHERE bucket_id = $1 AND user_id = $2
+        SUM(f.size) as total_size,
+        SUM(COALESCE(fd.stored_size, fd.size, f.size)) as total_stored_size,
+        COUNT(CASE WHEN fd.encoding IS NOT NULL THEN 1 END) as compressed_files,
+        COUNT(CASE WHEN f.is_public THEN 1 END) as public_files,
+        COUNT(CASE WHEN NOT f.is_public THEN 1 END) as private_files,
+        MAX(f.created_at) as last_upload,
+        (
+          SELECT COUNT(*) FROM file_versions fv
+          JOIN files vf ON vf.id = fv.file_id
+          WHERE vf.bucket_id = $1 AND vf.user_id = $2 AND NOT fv.is_current
+        ) as noncurrent_versions,
+        (
+          SELECT COALESCE(SUM(fv.size), 0) FROM file_versions fv
+          JOIN files vf ON vf.id = fv.file_id
+          WHERE vf.bucket_id = $1 AND vf.user_id = $2 AND NOT fv.is_current
+        ) as noncurrent_size
+      FROM files f
+      LEFT JOIN file_data fd ON fd.file_hash = f.file_hash
+      WHERE f.bucket_id = $1 AND f.user_id = $2
     `, [bucketId, req.user.id]);
 
     res.json(result.rows[0]);
@@ -213,7 +529,7 @@ router.get('/:bucketId/stats', authenticate, async (req, res) => {
 });
 
 // Check for duplicate files by hash
-router.post('/:bucketId/check-duplicate', authenticate, async (req, res) => {
+router.post('/:bucketId/check-duplicate', authenticate, requireScope('read', { bucket: 'bucketId' }), async (req, res) => {
   try {
     const { bucketId } = req.params;
     const { hash } = req.body;
@@ -232,13 +548,16 @@ router.post('/:bucketId/check-duplicate', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'Bucket not found' });
     }
 
-    // Check for existing files with same hash
+    // Check for existing files with same hash (that the API key may see)
+    const params = [bucketId, req.user.id, hash.toLowerCase()];
+    const keyConditions = buildKeyConditions(req.apiKey, params, { nameColumn: 'original_name' });
+
     const duplicateResult = await pool.query(`
       SELECT id, original_name, size, created_at, is_public, version
       FROM files 
-      WHERE bucket_id = $1 AND user_id = $2 AND file_hash = $3 AND deleted_at IS NULL
+      WHERE bucket_id = $1 AND user_id = $2 AND file_hash = $3 AND deleted_at IS NULL${keyConditions}
       ORDER BY created_at DESC
-    `, [bucketId, req.user.id, hash.toLowerCase()]);
+    `, params);
 
     const duplicates = duplicateResult.rows;
     
@@ -1,10 +1,12 @@
 const express = require('express');
-const { pool, readLargeObject } = require('../models/database');
+const { pool } = require('../models/database');
 const { validateSignedUrl, setCacheHeaders } = require('../middleware/cdn');
+const { sendBlobResponse, sendStream } = require('../utils/blobResponse');
+const { openArchive } = require('../utils/archives');
 
 const router = express.Router();
 
-// Serve files via CDN with signed URL validation
+// Serve files via CDN with signed URL validation (GET and HEAD, with ranges and revalidation)
 router.get('/:objectKey', validateSignedUrl, setCacheHeaders, async (req, res) => {
   const client = await pool.connect();
   
@@ -30,25 +32,25 @@ router.get('/:objectKey', validateSignedUrl, setCacheHeaders, async (req, res) =
         return res.status(404).json({ error: 'Derivative not found' });
       }
 
-      const { getFileData } = require('../utils/fileStorage');
-      const fileBuffer = await getFileData(client, derivative.file_hash);
-
       await pool.query(
         'UPDATE image_derivatives SET accessed_at = CURRENT_TIMESTAMP WHERE id = $1',
         [derivative.id]
       );
 
-      res.setHeader('Content-Type', derivative.mime_type);
-      res.setHeader('Content-Length', fileBuffer.length);
       res.setHeader('Content-Disposition', 'inline');
       res.set('Cache-Control', 'public, max-age=2592000');
       
-      return res.send(fileBuffer);
+      return await sendBlobResponse(req, res, {
+        fileHash: derivative.file_hash,
+        size: parseInt(derivative.size),
+        contentType: derivative.mime_type,
+        lastModified: derivative.created_at
+      });
     }
     
     // Find original file by object key
     const result = await client.query(
-      'SELECT id, object_key, original_name, mime_type, file_hash FROM files WHERE object_key = $1 AND deleted_at IS NULL',
+      'SELECT id, object_key, original_name, mime_type, size, file_hash, created_at, updated_at FROM files WHERE object_key = $1 AND deleted_at IS NULL',
       [objectKey]
     );
 
@@ -63,15 +65,6 @@ router.get('/:objectKey', validateSignedUrl, setCacheHeaders, async (req, res) =
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Read file from file_data table
-    const { getFileData } = require('../utils/fileStorage');
-    const fileBuffer = await getFileData(client, file.file_hash);
-
-    // Set file-specific headers
-    res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Length', fileBuffer.length);
-    res.setHeader('ETag', `"${file.file_hash}"`);
-    
     // Set content disposition based on purpose
     const { purpose } = req.cdnAuth;
     if (purpose === 'download') {
@@ -80,24 +73,12 @@ router.get('/:objectKey', validateSignedUrl, setCacheHeaders, async (req, res) =
       res.setHeader('Content-Disposition', `inline; filename="${file.original_name}"`);
     }
 
-    // Handle range requests for media streaming
-    const range = req.headers.range;
-    if (range && (file.mime_type.startsWith('video/') || file.mime_type.startsWith('audio/'))) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileBuffer.length - 1;
-      const chunksize = (end - start) + 1;
-      
-      res.status(206);
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${fileBuffer.length}`);
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Content-Length', chunksize);
-      
-      const chunk = fileBuffer.slice(start, end + 1);
-      res.send(chunk);
-    } else {
-      res.send(fileBuffer);
-    }
+    await sendBlobResponse(req, res, {
+      fileHash: file.file_hash,
+      size: parseInt(file.size),
+      contentType: file.mime_type,
+      lastModified: file.updated_at || file.created_at
+    });
 
   } catch (error) {
     console.error('CDN serve error:', error);
@@ -107,7 +88,37 @@ router.get('/:objectKey', validateSignedUrl, setCacheHeaders, async (req, res) =
   }
 });
 
-// Serve public files without authentication using Large Objects
+// Stream a ZIP of the files prepared with POST /api/files/archive
+router.get('/archives/:archiveId', validateSignedUrl, async (req, res) => {
+  try {
+    const archive = await openArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Archive not found or expired' });
+    }
+    if (archive.fileCount === 0) {
+      return res.status(404).json({ error: 'The files in this archive no longer exist' });
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', 'http://localhost:3000');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.name}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // Entries are read from storage as the client consumes the response
+    sendStream(archive.stream(), res);
+  } catch (error) {
+    console.error('Archive stream error:', error);
+    res.status(500).json({ error: 'Failed to create archive' });
+  }
+});
+
+// Serve public files without authentication (GET and HEAD, with ranges and revalidation)
 router.get('/public/:objectKey', setCacheHeaders, async (req, res) => {
   const client = await pool.connect();
   
@@ -122,7 +133,7 @@ router.get('/public/:objectKey', setCacheHeaders, async (req, res) => {
     
     // Find public file by object key
     const result = await client.query(
-      'SELECT id, object_key, original_name, mime_type, file_hash, is_public FROM files WHERE object_key = $1 AND is_public = true AND deleted_at IS NULL',
+      'SELECT id, object_key, original_name, mime_type, size, file_hash, is_public, created_at, updated_at FROM files WHERE object_key = $1 AND is_public = true AND deleted_at IS NULL',
       [objectKey]
     );
 
@@ -137,18 +148,17 @@ router.get('/public/:objectKey', setCacheHeaders, async (req, res) => {
       return res.status(404).json({ error: 'Public file not found' });
     }
 
-    // Read file from file_data table
-    const { getFileData } = require('../utils/fileStorage');
-    const fileBuffer = await getFileData(client, file.file_hash);
-
     // Set public cache headers (longer cache time)
     res.set('Cache-Control', 'public, max-age=31536000'); // 1 year
-    res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Length', fileBuffer.length);
-    res.setHeader('ETag', `"${file.file_hash}"`);
     res.setHeader('Content-Disposition', `inline; filename="${file.original_name}"`);
 
-    res.send(fileBuffer);
+    // Compressed blobs go out as stored when the client accepts their encoding
+    await sendBlobResponse(req, res, {
+      fileHash: file.file_hash,
+      size: parseInt(file.size),
+      contentType: file.mime_type,
+      lastModified: file.updated_at || file.created_at
+    });
 
   } catch (error) {
     console.error('Public CDN serve error:', error);
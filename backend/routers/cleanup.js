@@ -1,11 +1,12 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
 const cleanupService = require('../utils/cleanup');
+const integrityScrubber = require('../utils/integrityScrubber');
 
 const router = express.Router();
 
 // Manual cleanup endpoint (admin only)
-router.post('/cleanup', authenticate, async (req, res) => {
+router.post('/cleanup', authenticate, requireScope('admin', { account: true }), async (req, res) => {
   try {
     // Only allow admin users (you can implement proper admin check)
     const result = await cleanupService.runFullCleanup();
@@ -21,7 +22,7 @@ router.post('/cleanup', authenticate, async (req, res) => {
 });
 
 // Get cleanup stats
-router.get('/cleanup/stats', authenticate, async (req, res) => {
+router.get('/cleanup/stats', authenticate, requireScope('admin', { account: true }), async (req, res) => {
   try {
     const { pool } = require('../models/database');
     
@@ -41,4 +42,84 @@ router.get('/cleanup/stats', authenticate, async (req, res) => {
   }
 });
 
+// Start an integrity scrub in the background (admin only)
+router.post('/integrity/scrub', authenticate, requireScope('admin', { account: true }), async (req, res) => {
+  try {
+    const alreadyRunning = integrityScrubber.getStatus().running;
+
+    // A full pass can take hours, so don't hold the request open
+    integrityScrubber.run().catch(error => console.error('Integrity scrub error:', error));
+
+    res.status(202).json({
+      message: alreadyRunning ? 'Integrity scrub already running' : 'Integrity scrub started',
+      ...integrityScrubber.getStatus()
+    });
+  } catch (error) {
+    console.error('Integrity scrub error:', error);
+    res.status(500).json({ error: 'Failed to start integrity scrub' });
+  }
+});
+
+// Get scrubber progress, last run and open issues count
+router.get('/integrity/status', authenticate, requireScope('admin', { account: true }), async (req, res) => {
+  try {
+    const { pool } = require('../models/database');
+
+    const counts = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE resolved_at IS NULL) as open_issues,
+        COUNT(*) FILTER (WHERE resolved_at IS NOT NULL) as resolved_issues
+      FROM corrupted_blobs
+    `);
+    const coverage = await pool.query(`
+      SELECT
+        COUNT(*) as total_blobs,
+        COUNT(last_scrubbed_at) as scrubbed_blobs,
+        MIN(last_scrubbed_at) as oldest_scrub
+      FROM file_data
+    `);
+
+    res.json({
+      ...integrityScrubber.getStatus(),
+      ...counts.rows[0],
+      ...coverage.rows[0]
+    });
+  } catch (error) {
+    console.error('Integrity status error:', error);
+    res.status(500).json({ error: 'Failed to get integrity status' });
+  }
+});
+
+// List scrubber findings that affect the user's files, versions and derivatives
+router.get('/integrity/issues', authenticate, requireScope('admin', { account: true }), async (req, res) => {
+  try {
+    const { pool } = require('../models/database');
+    const includeResolved = req.query.include_resolved === 'true';
+
+    const result = await pool.query(`
+      SELECT cb.*, refs.file_id, f.original_name, f.bucket_id, b.name as bucket_name, refs.reference_type
+      FROM corrupted_blobs cb
+      JOIN (
+        SELECT id as file_id, file_hash, 'file' as reference_type FROM files
+        UNION
+        SELECT file_id, file_hash, 'version' FROM file_versions
+        UNION
+        SELECT COALESCE(d.file_id, fv.file_id), d.file_hash, 'derivative'
+        FROM image_derivatives d
+        LEFT JOIN file_versions fv ON d.file_version_id = fv.id
+      ) refs ON refs.file_hash = cb.file_hash
+      JOIN files f ON f.id = refs.file_id
+      LEFT JOIN buckets b ON f.bucket_id = b.id
+      WHERE f.user_id = $1 AND ($2::boolean OR cb.resolved_at IS NULL)
+      ORDER BY cb.detected_at DESC
+      LIMIT 500
+    `, [req.user.id, includeResolved]);
+
+    res.json({ issues: result.rows });
+  } catch (error) {
+    console.error('Integrity issues error:', error);
+    res.status(500).json({ error: 'Failed to get integrity issues' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
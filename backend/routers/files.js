@@ -1,41 +1,84 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
-const { pool, readLargeObject, createLargeObject } = require('../models/database');
-const { authenticate } = require('../middleware/auth');
+const { pool } = require('../models/database');
+const { authenticate, requireScope } = require('../middleware/auth');
 const { validateFileSize } = require('../utils/fileLimits');
 const analyticsService = require('../utils/analytics');
+const { sendBlobResponse } = require('../utils/blobResponse');
+const integrityScrubber = require('../utils/integrityScrubber');
+const { createError, asyncHandler } = require('../utils/errors');
+const { copyFile, moveFile } = require('../utils/fileTransfer');
+const { OPERATION_SCOPES, runBatch } = require('../utils/batchOperations');
+const { createArchiveDownload } = require('../utils/archives');
+const contentIndexer = require('../utils/contentIndex');
+const { moveToTrash, deleteFilesPermanently, describeTrashRetention } = require('../utils/trash');
+const { isFileLocked, lockedError, describeLock, validateRetentionChange } = require('../utils/objectLock');
+const { validateVersionAnnotations, deleteVersions, pruneNoncurrentVersions, noncurrentVersionBytes } = require('../utils/versions');
+const { checkQuota } = require('../utils/quotas');
+const { compareVersions } = require('../utils/versionDiff');
+const { assertScope, assertNameAccess, assertPathAccess, buildKeyConditions } = require('../utils/permissions');
+const {
+  validateTags,
+  parseFileFilters,
+  buildFilterConditions,
+  parseFileSort,
+  buildSortExpression,
+  getSortValue
+} = require('../utils/fileFilters');
 
 const router = express.Router();
 
-
+// Search file contents, best matches first (must be before /:fileId route)
+router.get('/search', authenticate, requireScope('read'), asyncHandler(async (req, res) => {
+  const { q, bucket_id, type, from, to, limit, offset } = req.query;
+
+  const result = await contentIndexer.search({
+    userId: req.user.id,
+    q,
+    bucketId: bucket_id,
+    type,
+    from,
+    to,
+    filters: parseFileFilters(req.query.filter),
+    limit,
+    offset,
+    apiKey: req.apiKey
+  });
+
+  res.json(result);
+}));
 
 // Get trash files (must be before /:fileId route)
-router.get('/trash', authenticate, async (req, res) => {
+router.get('/trash', authenticate, requireScope('read'), async (req, res) => {
   try {
     const { cursor, limit = 20, sortBy = 'deleted_at', sortOrder = 'DESC' } = req.query;
 
+    // restore_until is null for files kept until they are deleted by hand
     let query = `
       SELECT f.id, f.bucket_id, f.original_name, f.size, f.mime_type, f.deleted_at, f.created_at,
              COALESCE(b.name, 'Unknown') as bucket_name,
-             CASE WHEN b.id IS NULL THEN true ELSE false END as bucket_missing
+             CASE WHEN b.id IS NULL THEN true ELSE false END as bucket_missing,
+             CASE WHEN isfinite(f.restore_until) THEN f.restore_until END as restore_until,
+             COALESCE(f.restore_until <= CURRENT_TIMESTAMP, false) as expired
       FROM files f
       LEFT JOIN buckets b ON f.bucket_id = b.id
       WHERE f.user_id = $1 AND f.deleted_at IS NOT NULL
     `;
     
     let params = [req.user.id];
-    let paramCount = 1;
+    query += buildKeyConditions(req.apiKey, params, { bucketColumn: 'f.bucket_id', nameColumn: 'f.original_name' });
+    let paramCount = params.length;
+
+    const allowedSortFields = ['deleted_at', 'original_name', 'size'];
+    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'deleted_at';
+    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
     if (cursor) {
       paramCount++;
-      const cursorCondition = sortOrder === 'DESC' ? '<' : '>';
-      query += ` AND f.${sortBy} ${cursorCondition} $${paramCount}`;
+      const cursorCondition = order === 'DESC' ? '<' : '>';
+      query += ` AND f.${sortField} ${cursorCondition} $${paramCount}`;
       params.push(cursor);
     }
-
-    const allowedSortFields = ['deleted_at', 'original_name', 'size'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'deleted_at';
-    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
     query += ` ORDER BY f.${sortField} ${order}`;
     
@@ -44,18 +87,7 @@ router.get('/trash', authenticate, async (req, res) => {
     params.push(parseInt(limit) + 1);
 
     const result = await pool.query(query, params);
-    
-    const files = result.rows.map(file => {
-      const deletedAt = new Date(file.deleted_at);
-      const restoreUntil = new Date(deletedAt.getTime() + 7 * 24 * 60 * 60 * 1000);
-      const expired = restoreUntil < new Date();
-      
-      return {
-        ...file,
-        restore_until: restoreUntil.toISOString(),
-        expired
-      };
-    });
+    const files = result.rows;
 
     const hasMore = files.length > parseInt(limit);
     if (hasMore) {
@@ -85,7 +117,11 @@ router.get('/trash', authenticate, async (req, res) => {
 });
 
 // Get files with pagination, filtering, and search
-router.get('/', authenticate, async (req, res) => {
+router.get('/', authenticate, requireScope('read'), async (req, res) => {
+  // Malformed tag/metadata filters are rejected before querying
+  const filters = parseFileFilters(req.query.filter);
+  const sort = parseFileSort(req.query.sortBy);
+
   try {
     const { 
       bucket_id, 
@@ -96,7 +132,6 @@ router.get('/', authenticate, async (req, res) => {
       minSize, 
       maxSize, 
       since,
-      sortBy = 'created_at',
       sortOrder = 'DESC',
       includeDeleted = false
     } = req.query;
@@ -104,7 +139,7 @@ router.get('/', authenticate, async (req, res) => {
     let query = `
       SELECT f.*, b.name as bucket_name, u.email as created_by_email,
              CASE WHEN f.deleted_at IS NOT NULL THEN true ELSE false END as is_deleted,
-             f.restore_until
+             CASE WHEN isfinite(f.restore_until) THEN f.restore_until END as restore_until
       FROM files f
       LEFT JOIN buckets b ON f.bucket_id = b.id
       LEFT JOIN users u ON f.created_by = u.id
@@ -116,7 +151,8 @@ router.get('/', authenticate, async (req, res) => {
       query += ` AND f.deleted_at IS NULL`;
     }
     let params = [req.user.id];
-    let paramCount = 1;
+    query += buildKeyConditions(req.apiKey, params, { bucketColumn: 'f.bucket_id', nameColumn: 'f.original_name' });
+    let paramCount = params.length;
 
     // Bucket filter
     if (bucket_id) {
@@ -159,20 +195,24 @@ router.get('/', authenticate, async (req, res) => {
       params.push(since);
     }
 
+    // Tag and metadata filters
+    query += buildFilterConditions(filters, params);
+    paramCount = params.length;
+
+    // Sorting: a column, or a metadata/tag value (files without one come last)
+    const sortExpression = buildSortExpression(sort, params);
+    paramCount = params.length;
+    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
     // Cursor pagination
     if (cursor) {
       paramCount++;
-      const cursorCondition = sortOrder === 'DESC' ? '<' : '>';
-      query += ` AND f.${sortBy} ${cursorCondition} $${paramCount}`;
+      const cursorCondition = order === 'DESC' ? '<' : '>';
+      query += ` AND ${sortExpression} ${cursorCondition} $${paramCount}`;
       params.push(cursor);
     }
-
-    // Sorting
-    const allowedSortFields = ['created_at', 'original_name', 'size', 'mime_type'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
-    query += ` ORDER BY f.${sortField} ${order}`;
+    query += ` ORDER BY ${sortExpression} ${order}${sort.kind === 'column' ? '' : ' NULLS LAST'}`;
 
     // Limit
     paramCount++;
@@ -192,7 +232,7 @@ router.get('/', authenticate, async (req, res) => {
     let nextCursor = null;
     if (hasMore && files.length > 0) {
       const lastFile = files[files.length - 1];
-      nextCursor = lastFile[sortField];
+      nextCursor = getSortValue(lastFile, sort);
     }
 
     res.json({
@@ -210,7 +250,10 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Get files for specific bucket with enhanced metadata
-router.get('/buckets/:bucketId', authenticate, async (req, res) => {
+router.get('/buckets/:bucketId', authenticate, requireScope('read', { bucket: 'bucketId' }), async (req, res) => {
+  const filters = parseFileFilters(req.query.filter);
+  const sort = parseFileSort(req.query.sortBy);
+
   try {
     const { bucketId } = req.params;
     const { 
@@ -218,7 +261,8 @@ router.get('/buckets/:bucketId', authenticate, async (req, res) => {
       limit = 20, 
       q, 
       type, 
-      sortBy = 'created_at',
+      prefix = '',
+      delimiter = '',
       sortOrder = 'DESC'
     } = req.query;
 
@@ -240,7 +284,24 @@ router.get('/buckets/:bucketId', authenticate, async (req, res) => {
       WHERE f.bucket_id = $1 AND f.user_id = $2
     `;
     let params = [bucketId, req.user.id];
-    let paramCount = 2;
+    query += buildKeyConditions(req.apiKey, params, { nameColumn: 'f.original_name' });
+    let paramCount = params.length;
+
+    // Folder scoping: prefix narrows to a path, and with a delimiter files deeper down
+    // are rolled up into commonPrefixes. Searches and filters cover the whole subtree.
+    const rollUp = !!delimiter && !q && filters.length === 0;
+
+    if (prefix) {
+      paramCount++;
+      query += ` AND starts_with(f.original_name, $${paramCount})`;
+      params.push(prefix);
+    }
+
+    if (rollUp) {
+      query += ` AND strpos(substr(f.original_name, char_length($${paramCount + 1}) + 1), $${paramCount + 2}) = 0`;
+      params.push(prefix, delimiter);
+      paramCount += 2;
+    }
 
     // Search and filters (same as above)
     if (q) {
@@ -255,18 +316,21 @@ router.get('/buckets/:bucketId', authenticate, async (req, res) => {
       params.push(`${type}/%`);
     }
 
+    query += buildFilterConditions(filters, params);
+    paramCount = params.length;
+
+    const sortExpression = buildSortExpression(sort, params);
+    paramCount = params.length;
+    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
     if (cursor) {
       paramCount++;
-      const cursorCondition = sortOrder === 'DESC' ? '<' : '>';
-      query += ` AND f.${sortBy} ${cursorCondition} $${paramCount}`;
+      const cursorCondition = order === 'DESC' ? '<' : '>';
+      query += ` AND ${sortExpression} ${cursorCondition} $${paramCount}`;
       params.push(cursor);
     }
-
-    const allowedSortFields = ['created_at', 'original_name', 'size', 'mime_type'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-    const order = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
     
-    query += ` ORDER BY f.${sortField} ${order}`;
+    query += ` ORDER BY ${sortExpression} ${order}${sort.kind === 'column' ? '' : ' NULLS LAST'}`;
     
     paramCount++;
     query += ` LIMIT $${paramCount}`;
@@ -283,11 +347,54 @@ router.get('/buckets/:bucketId', authenticate, async (req, res) => {
     let nextCursor = null;
     if (hasMore && files.length > 0) {
       const lastFile = files[files.length - 1];
-      nextCursor = lastFile[sortField];
+      nextCursor = getSortValue(lastFile, sort);
+    }
+
+    // Sub-folders come with the first page only: from file names one level down, plus
+    // explicitly created folders, which may still be empty
+    let commonPrefixes = [];
+    if (rollUp && !cursor) {
+      const prefixParams = [bucketId, prefix, delimiter, req.user.id];
+      const keyConditions = buildKeyConditions(req.apiKey, prefixParams, { nameColumn: 'original_name' });
+
+      const prefixResult = await pool.query(`
+        SELECT common_prefix, SUM(file_count)::int AS file_count, SUM(size)::bigint AS total_size
+        FROM (
+          SELECT left(original_name, char_length($2) + strpos(substr(original_name, char_length($2) + 1), $3) + char_length($3) - 1) AS common_prefix,
+                 1 AS file_count, COALESCE(size, 0) AS size
+          FROM files
+          WHERE bucket_id = $1 AND user_id = $4 AND starts_with(original_name, $2)
+            AND strpos(substr(original_name, char_length($2) + 1), $3) > 0${keyConditions}
+          UNION ALL
+          SELECT left(path, char_length($2) + strpos(substr(path, char_length($2) + 1), $3) + char_length($3) - 1), 0, 0
+          FROM folders
+          WHERE bucket_id = $1 AND starts_with(path, $2)
+            AND strpos(substr(path, char_length($2) + 1), $3) > 0
+        ) entries
+        GROUP BY common_prefix
+        ORDER BY common_prefix COLLATE "C"
+      `, prefixParams);
+
+      // Path-limited API keys only see folders on the way to or inside their prefixes
+      const pathPrefixes = req.apiKey?.path_prefixes;
+      const visibleRows = pathPrefixes
+        ? prefixResult.rows.filter(row => pathPrefixes.some(keyPrefix =>
+          row.common_prefix.startsWith(keyPrefix) || keyPrefix.startsWith(row.common_prefix)))
+        : prefixResult.rows;
+
+      commonPrefixes = visibleRows.map(row => ({
+        prefix: row.common_prefix,
+        name: row.common_prefix.slice(prefix.length, -delimiter.length),
+        fileCount: row.file_count,
+        totalSize: parseInt(row.total_size)
+      }));
     }
 
     res.json({
       files,
+      commonPrefixes,
+      prefix,
+      delimiter,
       pagination: {
         hasMore,
         nextCursor,
@@ -302,7 +409,7 @@ router.get('/buckets/:bucketId', authenticate, async (req, res) => {
 });
 
 // Get file details with metadata
-router.get('/:fileId', authenticate, async (req, res) => {
+router.get('/:fileId', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     
@@ -330,6 +437,7 @@ router.get('/:fileId', authenticate, async (req, res) => {
 
     res.json({
       ...file,
+      lock: describeLock(file),
       versions: versionsResult.rows
     });
   } catch (error) {
@@ -338,7 +446,13 @@ router.get('/:fileId', authenticate, async (req, res) => {
 });
 
 // Update file metadata
-router.put('/:fileId', authenticate, async (req, res) => {
+router.put('/:fileId', authenticate, requireScope('write', { file: 'fileId' }), async (req, res) => {
+  // tags replaces the whole tag set; {} clears it
+  const tags = validateTags(req.body.tags);
+  if (req.body.original_name !== undefined) {
+    assertNameAccess(req.apiKey, String(req.body.original_name));
+  }
+
   try {
     const { fileId } = req.params;
     const { original_name, is_public, metadata_json } = req.body;
@@ -365,6 +479,12 @@ router.put('/:fileId', authenticate, async (req, res) => {
       paramCount++;
     }
 
+    if (tags) {
+      updates.push(`tags = $${paramCount}`);
+      values.push(JSON.stringify(tags));
+      paramCount++;
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
@@ -398,7 +518,11 @@ router.put('/:fileId', authenticate, async (req, res) => {
 });
 
 // Upload file (legacy endpoint - kept for compatibility) using Large Objects
-router.post('/upload', authenticate, express.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+router.post('/upload', authenticate, requireScope('write'), express.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+  if (req.query.bucket_id) {
+    assertPathAccess(req.apiKey, req.query.bucket_id, req.headers['x-filename'] || 'uploaded-file');
+  }
+
   const client = await pool.connect();
   
   try {
@@ -434,7 +558,10 @@ router.post('/upload', authenticate, express.raw({ type: '*/*', limit: '100mb' }
     
     // Store file data in file_data table
     const { storeFileData } = require('../utils/fileStorage');
-    await storeFileData(client, req.body, fileHash);
+    await storeFileData(client, req.body, fileHash, {
+      mimeType: req.headers['content-type'],
+      bucketId: bucket_id
+    });
     
     // Get filename from headers or use default
     const originalName = req.headers['x-filename'] || 'uploaded-file';
@@ -450,6 +577,8 @@ router.post('/upload', authenticate, express.raw({ type: '*/*', limit: '100mb' }
         receivedSize: req.body.length
       });
     }
+
+    await checkQuota(client, { userId: req.user.id, bucketId: bucket_id, bytes: req.body.length, objects: 1 });
     
     const result = await client.query(`
       INSERT INTO files 
@@ -470,9 +599,13 @@ router.post('/upload', authenticate, express.raw({ type: '*/*', limit: '100mb' }
     ]);
 
     await client.query('COMMIT');
+    contentIndexer.enqueue(result.rows[0]);
     res.status(201).json(result.rows[0]);
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Upload error:', error);
     res.status(500).json({ error: 'Failed to upload file' });
   } finally {
@@ -480,8 +613,79 @@ router.post('/upload', authenticate, express.raw({ type: '*/*', limit: '100mb' }
   }
 });
 
+// Copy a file within its bucket or into another one (blobs are shared, not duplicated)
+router.post('/:fileId/copy', authenticate, requireScope('write'), asyncHandler(async (req, res) => {
+  const { bucketId, name, replace = false } = req.body;
+
+  const result = await copyFile({
+    userId: req.user.id,
+    fileId: req.params.fileId,
+    targetBucketId: bucketId,
+    name,
+    replace,
+    apiKey: req.apiKey
+  });
+
+  res.status(result.operation === 'copied' ? 201 : 200).json({
+    ...result,
+    message: result.operation === 'versioned'
+      ? `Copied as version ${result.file.version} of ${result.file.original_name}`
+      : 'File copied successfully'
+  });
+}));
+
+// Move or rename a file, within its bucket or into another one
+router.post('/:fileId/move', authenticate, requireScope('write'), asyncHandler(async (req, res) => {
+  const { bucketId, name, replace = false } = req.body;
+
+  const result = await moveFile({
+    userId: req.user.id,
+    fileId: req.params.fileId,
+    targetBucketId: bucketId,
+    name,
+    replace,
+    apiKey: req.apiKey
+  });
+
+  res.json({ ...result, message: 'File moved successfully' });
+}));
+
+// Apply one operation to many files (by ID list or filter) and report per-file results.
+// API keys need the operation's scope: delete for trash and delete, write for the rest.
+router.post('/batch', authenticate, requireScope(req => OPERATION_SCOPES[req.body?.operation] || 'write'), asyncHandler(async (req, res) => {
+  const { operation, fileIds, filter, params } = req.body;
+
+  const result = await runBatch({
+    userId: req.user.id,
+    operation,
+    fileIds,
+    filter,
+    params,
+    apiKey: req.apiKey
+  });
+
+  res.json(result);
+}));
+
+// Prepare a ZIP of selected files, a folder or a whole bucket; returns a signed URL
+router.post('/archive', authenticate, requireScope('read'), asyncHandler(async (req, res) => {
+  const { fileIds, bucketId, prefix, name, expiry } = req.body;
+
+  const archive = await createArchiveDownload({
+    userId: req.user.id,
+    fileIds,
+    bucketId,
+    prefix,
+    name,
+    expiry,
+    apiKey: req.apiKey
+  });
+
+  res.status(201).json(archive);
+}));
+
 // Get signed URL for file download/preview
-router.post('/:fileId/signed-url', authenticate, async (req, res) => {
+router.post('/:fileId/signed-url', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { expiry = 900, purpose = 'download' } = req.body; // 15 minutes default
@@ -574,19 +778,18 @@ router.get('/:fileId/preview', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Read file from file_data table
-    const { getFileData } = require('../utils/fileStorage');
-    const fileBuffer = await getFileData(client, file.file_hash);
-
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', 'http://localhost:3000');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Content-Type', file.mime_type);
     res.setHeader('Content-Disposition', `inline; filename="${file.original_name}"`);
-    res.setHeader('Content-Length', fileBuffer.length);
     res.setHeader('Cache-Control', 'private, max-age=300');
     
-    res.send(fileBuffer);
+    await sendBlobResponse(req, res, {
+      fileHash: file.file_hash,
+      size: parseInt(file.size),
+      contentType: file.mime_type,
+      lastModified: file.updated_at || file.created_at
+    });
   } catch (error) {
     console.error('Preview error:', error);
     res.status(500).json({ error: 'Failed to serve preview' });
@@ -648,19 +851,18 @@ router.get('/:fileId/download', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Read file from file_data table
-    const { getFileData } = require('../utils/fileStorage');
-    const fileBuffer = await getFileData(client, file.file_hash);
-
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', 'http://localhost:3000');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, Content-Range, Accept-Ranges, ETag, Last-Modified');
     res.setHeader('Content-Disposition', `attachment; filename="${file.original_name}"`);
-    res.setHeader('Content-Type', file.mime_type);
-    res.setHeader('Content-Length', fileBuffer.length);
     
-    res.send(fileBuffer);
+    await sendBlobResponse(req, res, {
+      fileHash: file.file_hash,
+      size: parseInt(file.size),
+      contentType: file.mime_type,
+      lastModified: file.updated_at || file.created_at
+    });
   } catch (error) {
     console.error('Download error:', error);
     res.status(500).json({ error: 'Failed to download file' });
@@ -669,8 +871,8 @@ router.get('/:fileId/download', async (req, res) => {
   }
 });
 
-// Move file to trash (soft delete with 7-day restore period)
-router.delete('/:fileId', authenticate, async (req, res) => {
+// Move file to trash for the bucket's retention period (deleted outright when it is 0)
+router.delete('/:fileId', authenticate, requireScope('delete', { file: 'fileId' }), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -692,45 +894,18 @@ router.delete('/:fileId', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    if (isPermanent || file.deleted_at) {
-      // Permanent delete - cleanup file data
-      const derivativesResult = await client.query(
-        'SELECT file_hash FROM image_derivatives WHERE file_id = $1',
-        [fileId]
-      );
-
-      const { deleteFileData } = require('../utils/fileStorage');
-      for (const derivative of derivativesResult.rows) {
-        if (derivative.file_hash) {
-          await deleteFileData(client, derivative.file_hash);
-        }
-      }
-
-      if (file.file_hash) {
-        await deleteFileData(client, file.file_hash);
-      }
+    if (isFileLocked(file)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(lockedError(file).toJSON());
+    }
 
-      const versionsResult = await client.query(
-        'SELECT file_hash FROM file_versions WHERE file_id = $1',
-        [fileId]
-      );
-      
-      for (const version of versionsResult.rows) {
-        if (version.file_hash) {
-          await deleteFileData(client, version.file_hash);
-        }
-      }
+    if (isPermanent || file.deleted_at) {
+      // Permanent delete - drop the records, then collect blobs no other file still uses
+      await deleteFilesPermanently(client, [fileId]);
 
-      // Delete from database
-      await client.query('DELETE FROM files WHERE id = $1', [fileId]);
-      
       res.json({ message: 'File permanently deleted' });
     } else {
-      // Soft delete - move to trash with 7-day restore period
-      await client.query(
-        'UPDATE files SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
-        [fileId]
-      );
+      const { trashed } = await moveToTrash(client, [fileId]);
 
       // Update bucket stats
       await client.query(
@@ -738,9 +913,14 @@ router.delete('/:fileId', authenticate, async (req, res) => {
         [file.size, file.bucket_id]
       );
 
-      res.json({ 
-        message: 'File moved to trash. Can be restored within 7 days.'
-      });
+      if (trashed.length === 0) {
+        res.json({ message: 'File permanently deleted. This bucket does not keep deleted files in the trash.' });
+      } else {
+        res.json({
+          message: `File moved to trash. Can be restored ${describeTrashRetention(trashed[0].retention_days)}.`,
+          restore_until: trashed[0].restore_until
+        });
+      }
     }
 
     await client.query('COMMIT');
@@ -786,7 +966,7 @@ router.get('/:fileId/public-url', async (req, res) => {
 
 
 // Restore deleted file
-router.post('/:fileId/restore', authenticate, async (req, res) => {
+router.post('/:fileId/restore', authenticate, requireScope('write', { file: 'fileId' }), async (req, res) => {
   const client = await pool.connect();
   
   try {
@@ -796,7 +976,8 @@ router.post('/:fileId/restore', authenticate, async (req, res) => {
     
     // Get file details with bucket info
     const fileResult = await client.query(`
-      SELECT f.*, b.name as bucket_name, b.user_id as bucket_owner
+      SELECT f.*, b.name as bucket_name, b.user_id as bucket_owner,
+             COALESCE(f.restore_until <= CURRENT_TIMESTAMP, false) as restore_expired
       FROM files f
       LEFT JOIN buckets b ON f.bucket_id = b.id
       WHERE f.id = $1 AND f.user_id = $2 AND f.deleted_at IS NOT NULL
@@ -808,15 +989,13 @@ router.post('/:fileId/restore', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'File not found in trash' });
     }
 
-    // Check if restore period has expired (7 days)
-    const deletedAt = new Date(file.deleted_at);
-    const restoreDeadline = new Date(deletedAt.getTime() + 7 * 24 * 60 * 60 * 1000);
-    if (new Date() > restoreDeadline) {
+    // The deadline was fixed from the retention setting when the file was trashed
+    if (file.restore_expired) {
       await client.query('ROLLBACK');
       return res.status(400).json({ 
-        error: 'Restore period expired. Files can only be restored within 7 days of deletion.',
+        error: 'Restore period expired. The file is awaiting permanent deletion.',
         deletedAt: file.deleted_at,
-        restoreDeadline: restoreDeadline.toISOString()
+        restoreDeadline: file.restore_until
       });
     }
 
@@ -828,10 +1007,18 @@ router.post('/:fileId/restore', authenticate, async (req, res) => {
       });
     }
 
+    // Trashed files don't count against quotas, so restoring one has to fit again
+    await checkQuota(client, {
+      userId: req.user.id,
+      bucketId: file.bucket_id,
+      bytes: (parseInt(file.size) || 0) + await noncurrentVersionBytes(client, file.id),
+      objects: 1
+    });
+
     // Restore the file by clearing deleted_at
     const restoreResult = await client.query(`
       UPDATE files 
-      SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      SET deleted_at = NULL, restore_until = NULL, updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
       RETURNING *
     `, [fileId]);
@@ -858,6 +1045,9 @@ router.post('/:fileId/restore', authenticate, async (req, res) => {
     });
   } catch (error) {
     await client.query('ROLLBACK');
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Restore error:', error);
     res.status(500).json({ error: 'Failed to restore file' });
   } finally {
@@ -866,7 +1056,7 @@ router.post('/:fileId/restore', authenticate, async (req, res) => {
 });
 
 // Get file versions
-router.get('/:fileId/versions', authenticate, async (req, res) => {
+router.get('/:fileId/versions', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     
@@ -881,11 +1071,9 @@ router.get('/:fileId/versions', authenticate, async (req, res) => {
     }
 
     const versionsResult = await pool.query(`
-      SELECT fv.*, u.email as created_by_email,
-             CASE WHEN fv.id = f.current_version_id THEN true ELSE false END as is_current
+      SELECT fv.*, u.email as created_by_email
       FROM file_versions fv
       LEFT JOIN users u ON fv.created_by = u.id
-      LEFT JOIN files f ON f.id = fv.file_id
       WHERE fv.file_id = $1
       ORDER BY fv.version_number DESC
     `, [fileId]);
@@ -901,7 +1089,7 @@ router.get('/:fileId/versions', authenticate, async (req, res) => {
 });
 
 // Restore file version
-router.post('/:fileId/versions/:versionId/restore', authenticate, async (req, res) => {
+router.post('/:fileId/versions/:versionId/restore', authenticate, requireScope('write', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId, versionId } = req.params;
     
@@ -915,6 +1103,11 @@ router.post('/:fileId/versions/:versionId/restore', authenticate, async (req, re
       return res.status(404).json({ error: 'File not found' });
     }
 
+    // Restoring an old version would overwrite the locked current content
+    if (isFileLocked(fileResult.rows[0])) {
+      return res.status(409).json(lockedError(fileResult.rows[0]).toJSON());
+    }
+
     // Get version to restore
     const versionResult = await pool.query(
       'SELECT * FROM file_versions WHERE id = $1 AND file_id = $2',
@@ -926,6 +1119,13 @@ router.post('/:fileId/versions/:versionId/restore', authenticate, async (req, re
     }
 
     const version = versionResult.rows[0];
+
+    // The restored copy is a new version, so its bytes have to fit the quotas
+    await checkQuota(pool, {
+      userId: req.user.id,
+      bucketId: fileResult.rows[0].bucket_id,
+      bytes: parseInt(version.size) || 0
+    });
     
     // Get next version number
     const nextVersionResult = await pool.query(
@@ -985,26 +1185,235 @@ router.post('/:fileId/versions/:versionId/restore', authenticate, async (req, re
     await pool.query('UPDATE file_versions SET is_current = false WHERE file_id = $1', [fileId]);
     await pool.query('UPDATE file_versions SET is_current = true WHERE id = $1', [newVersion.id]);
 
+    // The restored copy is a version of its own, so it counts towards storage
+    const bucketResult = await pool.query(
+      'UPDATE buckets SET storage_used = storage_used + $1 WHERE id = $2 RETURNING max_noncurrent_versions',
+      [version.size, fileResult.rows[0].bucket_id]
+    );
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await pruneNoncurrentVersions(client, fileId, bucketResult.rows[0]?.max_noncurrent_versions);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
     res.json({
       message: 'Version restored successfully',
       restoredVersion: nextVersion,
       fromVersion: version.version_number
     });
   } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return res.status(error.statusCode).json(error.toJSON());
+    }
     console.error('Restore version error:', error);
     res.status(500).json({ error: 'Failed to restore version' });
   }
 });
 
+// Compare two versions: ?from=<versionId>&to=<versionId> (defaults to the current one),
+// with optional context (text lines) and threshold (image pixels)
+router.get('/:fileId/versions/compare', authenticate, requireScope('read', { file: 'fileId' }), asyncHandler(async (req, res) => {
+  const { from, to, context, threshold } = req.query;
+
+  res.json(await compareVersions({
+    userId: req.user.id,
+    fileId: req.params.fileId,
+    from,
+    to,
+    context,
+    threshold
+  }));
+}));
+
+// Load a version of one of the user's files
+const getVersionTarget = async (client, fileId, versionId, userId) => {
+  const result = await client.query(`
+    SELECT fv.*, f.original_name AS file_name, f.legal_hold, f.retention_mode, f.retain_until
+    FROM file_versions fv
+    JOIN files f ON f.id = fv.file_id
+    WHERE fv.id = $1 AND fv.file_id = $2 AND f.user_id = $3
+  `, [versionId, fileId, userId]);
+
+  const version = result.rows[0];
+  if (!version) {
+    throw createError('FILE_NOT_FOUND', { fileId, versionId }, 'Version not found');
+  }
+  return version;
+};
+
+// Set or clear a version's label and note
+router.put('/:fileId/versions/:versionId', authenticate, requireScope('write', { file: 'fileId' }), asyncHandler(async (req, res) => {
+  const { fileId, versionId } = req.params;
+  const { label, note } = validateVersionAnnotations(req.body || {});
+
+  if (label === undefined && note === undefined) {
+    throw createError('INVALID_REQUEST', { fields: ['label', 'note'] }, 'Provide a label and/or a note');
+  }
+
+  await getVersionTarget(pool, fileId, versionId, req.user.id);
+
+  const result = await pool.query(`
+    UPDATE file_versions
+    SET label = CASE WHEN $1 THEN $2 ELSE label END,
+        note = CASE WHEN $3 THEN $4 ELSE note END
+    WHERE id = $5
+    RETURNING *
+  `, [label !== undefined, label ?? null, note !== undefined, note ?? null, versionId]);
+
+  res.json({ version: result.rows[0] });
+}));
+
+// Permanently delete a noncurrent version
+router.delete('/:fileId/versions/:versionId', authenticate, requireScope('delete', { file: 'fileId' }), asyncHandler(async (req, res) => {
+  const { fileId, versionId } = req.params;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const version = await getVersionTarget(client, fileId, versionId, req.user.id);
+    if (version.is_current) {
+      throw createError('INVALID_REQUEST', { fileId, versionId },
+        'The current version can\'t be deleted; delete the file or restore another version first');
+    }
+    if (isFileLocked(version)) {
+      throw lockedError({ ...version, id: fileId, original_name: version.file_name });
+    }
+
+    const deleted = await deleteVersions(client, [versionId]);
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Version deleted permanently',
+      fileId,
+      versionId,
+      versionNumber: version.version_number,
+      freedBytes: parseInt(deleted[0]?.size) || 0
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Load and lock a live file with its bucket's object lock settings for a lock change
+const getLockTarget = async (client, fileId, userId) => {
+  const result = await client.query(`
+    SELECT f.*, b.object_lock_enabled
+    FROM files f
+    JOIN buckets b ON b.id = f.bucket_id
+    WHERE f.id = $1 AND f.user_id = $2 AND f.deleted_at IS NULL
+    FOR UPDATE OF f
+  `, [fileId, userId]);
+
+  const file = result.rows[0];
+  if (!file) {
+    throw createError('FILE_NOT_FOUND', { fileId });
+  }
+  return file;
+};
+
+// Set, extend or (governance only, with bypassGovernance) shorten a file's retention.
+// Bypassing governance needs an API key with the admin scope.
+router.put('/:fileId/retention', authenticate, requireScope('write', { file: 'fileId' }), asyncHandler(async (req, res) => {
+  const { fileId } = req.params;
+  const { mode, retainUntil, bypassGovernance } = req.body;
+
+  if (bypassGovernance === true) {
+    assertScope(req.apiKey, 'admin');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const file = await getLockTarget(client, fileId, req.user.id);
+    const retention = validateRetentionChange(
+      file,
+      { id: file.bucket_id, object_lock_enabled: file.object_lock_enabled },
+      { mode, retainUntil, bypassGovernance: bypassGovernance === true }
+    );
+
+    const result = await client.query(`
+      UPDATE files SET retention_mode = $1, retain_until = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $3
+      RETURNING *
+    `, [retention.mode, retention.retainUntil, fileId]);
+
+    await client.query('COMMIT');
+
+    res.json({ fileId, lock: describeLock(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
+// Place or release a legal hold. Releasing one needs an API key with the admin scope.
+router.put('/:fileId/legal-hold', authenticate, requireScope('write', { file: 'fileId' }), asyncHandler(async (req, res) => {
+  const { fileId } = req.params;
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    throw createError('INVALID_REQUEST', { field: 'enabled' }, 'enabled must be true or false');
+  }
+  if (!enabled) {
+    assertScope(req.apiKey, 'admin');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const file = await getLockTarget(client, fileId, req.user.id);
+    if (enabled && !file.object_lock_enabled) {
+      throw createError('INVALID_REQUEST', { bucketId: file.bucket_id }, 'Object lock is not enabled for this bucket');
+    }
+
+    const result = await client.query(`
+      UPDATE files SET legal_hold = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [enabled, fileId]);
+
+    await client.query('COMMIT');
+
+    res.json({ fileId, lock: describeLock(result.rows[0]) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}));
+
 // Get file hash
-router.get('/:fileId/hash', authenticate, async (req, res) => {
+router.get('/:fileId/hash', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     
-    const result = await pool.query(
-      'SELECT file_hash, original_name, size FROM files WHERE id = $1 AND user_id = $2',
-      [fileId, req.user.id]
-    );
+    const result = await pool.query(`
+      SELECT f.file_hash, f.original_name, f.size, fd.last_scrubbed_at,
+             cb.issue, cb.details as issue_details, cb.detected_at
+      FROM files f
+      LEFT JOIN file_data fd ON fd.file_hash = f.file_hash
+      LEFT JOIN corrupted_blobs cb ON cb.file_hash = f.file_hash AND cb.resolved_at IS NULL
+      WHERE f.id = $1 AND f.user_id = $2
+    `, [fileId, req.user.id]);
 
     const file = result.rows[0];
     if (!file) {
@@ -1016,7 +1425,14 @@ router.get('/:fileId/hash', authenticate, async (req, res) => {
       hash: file.file_hash,
       algorithm: 'SHA-256',
       filename: file.original_name,
-      size: file.size
+      size: file.size,
+      integrity: {
+        status: file.issue ? 'corrupted' : file.last_scrubbed_at ? 'verified' : 'unchecked',
+        lastScrubbedAt: file.last_scrubbed_at,
+        issue: file.issue || null,
+        issueDetails: file.issue_details || null,
+        detectedAt: file.detected_at || null
+      }
     });
   } catch (error) {
     console.error('Get hash error:', error);
@@ -1025,14 +1441,12 @@ router.get('/:fileId/hash', authenticate, async (req, res) => {
 });
 
 // Verify file integrity using file_data table
-router.post('/:fileId/verify', authenticate, async (req, res) => {
-  const client = await pool.connect();
-  
+router.post('/:fileId/verify', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
-    const { clientHash } = req.body;
+    const { clientHash } = req.body || {};
     
-    const result = await client.query(
+    const result = await pool.query(
       'SELECT file_hash, original_name FROM files WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
       [fileId, req.user.id]
     );
@@ -1042,16 +1456,14 @@ router.post('/:fileId/verify', authenticate, async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
-    // Re-compute server-side hash from file_data table
-    const { getFileData } = require('../utils/fileStorage');
-    const fileBuffer = await getFileData(client, file.file_hash);
-    const computedHash = require('crypto')
-      .createHash('sha256')
-      .update(fileBuffer)
-      .digest('hex');
+    // Re-compute server-side hash by streaming the stored blob (unthrottled, someone is waiting)
+    // and record the outcome alongside the background scrubber's findings
+    const check = await integrityScrubber.checkBlob(file.file_hash, { throttle: false });
+    await integrityScrubber.recordResult(file.file_hash, check);
+    const computedHash = check.computedHash || null;
 
-    const storedHashMatches = file.file_hash === computedHash;
-    const clientHashMatches = clientHash ? clientHash.toLowerCase() === computedHash.toLowerCase() : null;
+    const storedHashMatches = check.ok;
+    const clientHashMatches = clientHash && computedHash ? clientHash.toLowerCase() === computedHash.toLowerCase() : null;
 
     res.json({
       fileId,
@@ -1062,15 +1474,15 @@ router.post('/:fileId/verify', authenticate, async (req, res) => {
       integrity: {
         storedHashValid: storedHashMatches,
         clientHashValid: clientHashMatches,
-        overall: storedHashMatches && (clientHashMatches !== false)
+        overall: storedHashMatches && (clientHashMatches !== false),
+        issue: check.issue || null,
+        details: check.ok ? null : check.details
       },
       verifiedAt: new Date().toISOString()
     });
   } catch (error) {
     console.error('Verify integrity error:', error);
     res.status(500).json({ error: 'Failed to verify file integrity' });
-  } finally {
-    client.release();
   }
 });
 
@@ -0,0 +1,47 @@
+const express = require('express');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/errors');
+const {
+  listFolderTree,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  deleteFolder
+} = require('../utils/folders');
+
+// Mounted under /api/files/buckets/:bucketId/folders
+const router = express.Router({ mergeParams: true });
+
+// Get the bucket's folder tree
+router.get('/', authenticate, requireScope('read', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const folders = await listFolderTree(req.params.bucketId, req.user.id, req.apiKey);
+  res.json({ folders });
+}));
+
+// Create an empty folder
+router.post('/', authenticate, requireScope('write', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const folder = await createFolder(req.params.bucketId, req.user.id, req.body.path, req.apiKey);
+  res.status(folder.created ? 201 : 200).json({ folder });
+}));
+
+// Rename a folder, moving every file under it
+router.post('/rename', authenticate, requireScope('write', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const { path, name } = req.body;
+  const result = await renameFolder(req.params.bucketId, req.user.id, path, name, req.apiKey);
+  res.json({ folder: result, message: `Renamed folder and ${result.movedFiles} file(s)` });
+}));
+
+// Move a folder (and every file under it) into another folder
+router.post('/move', authenticate, requireScope('write', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const { path, destination } = req.body;
+  const result = await moveFolder(req.params.bucketId, req.user.id, path, destination, req.apiKey);
+  res.json({ folder: result, message: `Moved folder and ${result.movedFiles} file(s)` });
+}));
+
+// Delete an empty folder
+router.delete('/', authenticate, requireScope('delete', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
+  const folder = await deleteFolder(req.params.bucketId, req.user.id, req.query.path, req.apiKey);
+  res.json({ folder, message: 'Folder deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,636 @@
+const express = require('express');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { pool } = require('../models/database');
+const { authenticateS3 } = require('../middleware/s3Auth');
+const { validateFileSize } = require('../utils/fileLimits');
+const { streamFileData } = require('../utils/fileStorage');
+const { parseRange } = require('../utils/httpRange');
+const analyticsService = require('../utils/analytics');
+const { moveToTrash } = require('../utils/trash');
+const { isFileLocked, lockedError } = require('../utils/objectLock');
+const {
+  createUploadSession,
+  completeUploadSession,
+  recordStagedUpload,
+  discardUploadSession
+} = require('../utils/uploadSessions');
+const { stageUpload, stagePart, assembleStagedParts, removeStagedParts } = require('../utils/uploadStaging');
+const { S3Error, sendS3Error } = require('../utils/s3/errors');
+const { sendXml, parseCompleteMultipartUpload } = require('../utils/s3/xml');
+const { uriEncode } = require('../utils/s3/sigv4');
+const { getPayloadStream, getPayloadLength, verifyPayloadDigest, getMultipartETag, readPayload } = require('../utils/s3/payload');
+const {
+  assertScope,
+  assertAccountAccess,
+  assertBucketAccess,
+  assertPathAccess,
+  buildKeyConditions
+} = require('../utils/permissions');
+
+// S3-compatible gateway: S3 buckets are RemoCloud buckets addressed by slug, and
+// object keys are file names. Writes go through the same upload sessions as the
+// REST API, so versioning, type policies and bucket stats behave identically.
+const router = express.Router();
+
+const MAX_KEYS = 1000;
+const MAX_KEY_LENGTH = 255; // files.original_name
+const MAX_PART_NUMBER = 10000;
+const BUCKET_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/;
+const UNSUPPORTED_SUBRESOURCES = ['acl', 'cors', 'lifecycle', 'policy', 'tagging', 'versioning', 'versions', 'website', 'delete'];
+const RESPONSE_OVERRIDES = ['content-type', 'content-disposition', 'content-language', 'content-encoding', 'cache-control', 'expires'];
+
+// Route handler wrapper that reports failures as S3 <Error> documents
+const s3Handler = (fn) => (req, res) => {
+  Promise.resolve(fn(req, res)).catch(error => sendS3Error(req, res, error));
+};
+
+// Split /<bucket>/<key...> into its decoded parts
+const parseS3Path = (req) => {
+  const [bucket = '', ...keyParts] = req.path.slice(1).split('/');
+  return {
+    bucketName: decodeURIComponent(bucket),
+    key: keyParts.map(part => decodeURIComponent(part)).join('/')
+  };
+};
+
+// S3 ETags are content MD5s, or md5-of-md5s-N for multipart uploads. Blobs stored
+// before their MD5 was kept fall back to the SHA-256 hash.
+const formatETag = (file) => `"${file.multipart_etag || file.md5 || file.file_hash}"`;
+
+// The API key scope an object request needs; aborting a multipart upload counts as a write
+const getObjectScope = (req) => {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    return 'read';
+  }
+  return req.method === 'DELETE' && !('uploadId' in req.query) ? 'delete' : 'write';
+};
+
+const getBucket = async (userId, bucketName) => {
+  const result = await pool.query(
+    'SELECT * FROM buckets WHERE user_id = $1 AND slug = $2 AND deleted_at IS NULL',
+    [userId, bucketName]
+  );
+
+  if (!result.rows[0]) {
+    throw new S3Error('NoSuchBucket', 'The specified bucket does not exist', `/${bucketName}`);
+  }
+
+  return result.rows[0];
+};
+
+// Current file for a key (the newest one if the REST API created duplicates)
+const findObject = async (bucketId, key) => {
+  const result = await pool.query(`
+    SELECT f.*, fd.md5 FROM files f
+    LEFT JOIN file_data fd ON fd.file_hash = f.file_hash
+    WHERE f.bucket_id = $1 AND f.original_name = $2 AND f.deleted_at IS NULL
+    ORDER BY f.updated_at DESC
+    LIMIT 1
+  `, [bucketId, key]);
+
+  return result.rows[0];
+};
+
+const getObjectOrThrow = async (bucket, key) => {
+  const file = await findObject(bucket.id, key);
+  if (!file) {
+    throw new S3Error('NoSuchKey', 'The specified key does not exist', `/${bucket.slug}/${key}`);
+  }
+  return file;
+};
+
+const validateKey = (key) => {
+  if (key.length > MAX_KEY_LENGTH) {
+    throw new S3Error('KeyTooLongError', `Object keys are limited to ${MAX_KEY_LENGTH} characters`);
+  }
+};
+
+// Stage a request body through a staging function, then check it against the signed digests
+const receiveBody = async (req, stage) => {
+  const digest = await stage(getPayloadStream(req));
+  verifyPayloadDigest(req, digest);
+  return digest;
+};
+
+// Stage content into a new upload session and complete it, replacing the current object
+const writeObject = async (req, bucket, key, contentType, size, stage) => {
+  const session = await createUploadSession({
+    userId: req.user.id,
+    bucketId: bucket.id,
+    filename: key,
+    size,
+    contentType,
+    extract: false, // S3 objects are stored as sent, whatever the bucket default
+    replaceExisting: true
+  });
+
+  try {
+    const digest = await stage(session.uploadId);
+    await recordStagedUpload(session.uploadId, digest);
+
+    const { file } = await completeUploadSession(session.uploadId, req.user.id, {
+      actualSize: size,
+      replaceExisting: true
+    });
+    return { ...file, md5: digest.md5 };
+  } catch (error) {
+    await discardUploadSession(session.uploadId);
+    throw error;
+  }
+};
+
+// Incomplete multipart session for this bucket and key
+const getMultipartSession = async (req, bucket, key, uploadId) => {
+  if (!/^[a-f0-9-]{36}$/i.test(uploadId || '')) {
+    throw new S3Error('NoSuchUpload', 'The specified multipart upload does not exist');
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM upload_sessions
+    WHERE id = $1 AND user_id = $2 AND bucket_id = $3 AND original_name = $4
+      AND completed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      AND (metadata_json->>'multipart')::boolean IS TRUE
+  `, [uploadId, req.user.id, bucket.id, key]);
+
+  if (!result.rows[0]) {
+    throw new S3Error('NoSuchUpload', 'The specified multipart upload does not exist');
+  }
+
+  return result.rows[0];
+};
+
+// ListBuckets
+const listBuckets = async (req, res) => {
+  const params = [req.user.id];
+  const keyConditions = buildKeyConditions(req.apiKey, params, { bucketColumn: 'id' });
+
+  const result = await pool.query(`
+    SELECT slug, created_at FROM buckets
+    WHERE user_id = $1 AND deleted_at IS NULL${keyConditions}
+    ORDER BY slug
+  `, params);
+
+  sendXml(res, 200, 'ListAllMyBucketsResult', {
+    Owner: { ID: req.user.id, DisplayName: req.user.id },
+    Buckets: {
+      Bucket: result.rows.map(bucket => ({ Name: bucket.slug, CreationDate: bucket.created_at }))
+    }
+  });
+};
+
+// CreateBucket (the S3 name becomes both the bucket name and its slug)
+const createBucket = async (req, res, bucketName) => {
+  if (!BUCKET_NAME_PATTERN.test(bucketName)) {
+    throw new S3Error('InvalidBucketName', 'Bucket names must be 3-63 lowercase letters, numbers or hyphens');
+  }
+
+  await readPayload(req); // Optional CreateBucketConfiguration; region is not meaningful here
+
+  try {
+    await pool.query(
+      'INSERT INTO buckets (user_id, name, slug) VALUES ($1, $2, $2)',
+      [req.user.id, bucketName]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new S3Error('BucketAlreadyOwnedByYou', 'Your previous request to create the named bucket succeeded and you already own it');
+    }
+    throw error;
+  }
+
+  res.set('Location', `/${bucketName}`);
+  res.status(200).end();
+};
+
+// ListObjects (V1) and ListObjectsV2, with prefix/delimiter grouping done in SQL
+const listObjects = async (req, res, bucket) => {
+  const isV2 = req.query['list-type'] === '2';
+  const prefix = req.query.prefix || '';
+  const delimiter = req.query.delimiter || '';
+  const urlEncoded = req.query['encoding-type'] === 'url';
+  const requestedMaxKeys = parseInt(req.query['max-keys']);
+  const maxKeys = Number.isNaN(requestedMaxKeys) ? MAX_KEYS : Math.max(0, Math.min(requestedMaxKeys, MAX_KEYS));
+
+  let startAfter = '';
+  if (isV2 && req.query['continuation-token']) {
+    startAfter = Buffer.from(req.query['continuation-token'], 'base64url').toString('utf8');
+  } else if (isV2) {
+    startAfter = req.query['start-after'] || '';
+  } else {
+    startAfter = req.query.marker || '';
+  }
+
+  // Each entry is either an object or a common prefix ending in the delimiter.
+  // Entries sorting at or before the marker are skipped, which also skips a prefix
+  // that was the last entry of the previous page. Keys outside the API key's path
+  // prefixes are left out.
+  const params = [bucket.id, prefix, startAfter, delimiter, maxKeys + 1];
+  const keyConditions = buildKeyConditions(req.apiKey, params, { nameColumn: 'f.original_name' });
+
+  const result = await pool.query(`
+    WITH objects AS (
+      SELECT DISTINCT ON (f.original_name) f.original_name, f.size, f.updated_at,
+        COALESCE(f.multipart_etag, fd.md5, f.file_hash) AS etag
+      FROM files f
+      LEFT JOIN file_data fd ON fd.file_hash = f.file_hash
+      WHERE f.bucket_id = $1 AND f.deleted_at IS NULL
+        AND starts_with(f.original_name, $2)
+        AND f.original_name COLLATE "C" > $3${keyConditions}
+      ORDER BY f.original_name, f.updated_at DESC
+    ),
+    entries AS (
+      SELECT *,
+        CASE WHEN $4 <> '' AND strpos(substr(original_name, char_length($2) + 1), $4) > 0
+          THEN left(original_name, char_length($2) + strpos(substr(original_name, char_length($2) + 1), $4) + char_length($4) - 1)
+        END AS common_prefix
+      FROM objects
+    )
+    SELECT
+      COALESCE(common_prefix, original_name) AS entry_key,
+      bool_or(common_prefix IS NOT NULL) AS is_prefix,
+      MAX(size) AS size,
+      MAX(etag) AS etag,
+      MAX(updated_at) AS updated_at
+    FROM entries
+    GROUP BY COALESCE(common_prefix, original_name)
+    HAVING COALESCE(common_prefix, original_name) COLLATE "C" > $3
+    ORDER BY COALESCE(common_prefix, original_name) COLLATE "C"
+    LIMIT $5
+  `, params);
+
+  const isTruncated = result.rows.length > maxKeys;
+  const entries = result.rows.slice(0, maxKeys);
+  const lastKey = entries.length > 0 ? entries[entries.length - 1].entry_key : null;
+  const encodeKey = (value) => (urlEncoded ? uriEncode(value, false) : value);
+
+  const contents = entries
+    .filter(entry => !entry.is_prefix)
+    .map(entry => ({
+      Key: encodeKey(entry.entry_key),
+      LastModified: entry.updated_at,
+      ETag: `"${entry.etag}"`,
+      Size: entry.size,
+      StorageClass: 'STANDARD'
+    }));
+
+  const commonPrefixes = entries
+    .filter(entry => entry.is_prefix)
+    .map(entry => ({ Prefix: encodeKey(entry.entry_key) }));
+
+  const body = {
+    Name: bucket.slug,
+    Prefix: encodeKey(prefix),
+    Delimiter: delimiter ? encodeKey(delimiter) : undefined,
+    MaxKeys: maxKeys,
+    EncodingType: urlEncoded ? 'url' : undefined,
+    IsTruncated: isTruncated
+  };
+
+  if (isV2) {
+    Object.assign(body, {
+      KeyCount: entries.length,
+      ContinuationToken: req.query['continuation-token'],
+      NextContinuationToken: isTruncated ? Buffer.from(lastKey).toString('base64url') : undefined,
+      StartAfter: req.query['start-after'] ? encodeKey(req.query['start-after']) : undefined
+    });
+  } else {
+    Object.assign(body, {
+      Marker: encodeKey(req.query.marker || ''),
+      NextMarker: isTruncated ? encodeKey(lastKey) : undefined
+    });
+  }
+
+  body.Contents = contents;
+  body.CommonPrefixes = commonPrefixes;
+
+  sendXml(res, 200, 'ListBucketResult', body);
+};
+
+// GetObject / HeadObject
+const getObject = async (req, res, bucket, key) => {
+  const file = await getObjectOrThrow(bucket, key);
+  const size = parseInt(file.size);
+  const etag = formatETag(file);
+
+  res.set({
+    'Content-Type': file.mime_type || 'application/octet-stream',
+    'ETag': etag,
+    'Last-Modified': new Date(file.updated_at).toUTCString(),
+    'Accept-Ranges': 'bytes'
+  });
+
+  RESPONSE_OVERRIDES.forEach(header => {
+    if (req.query[`response-${header}`]) {
+      res.set(header, req.query[`response-${header}`]);
+    }
+  });
+
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch && ifMatch !== etag && ifMatch !== '*') {
+    throw new S3Error('PreconditionFailed', 'At least one of the preconditions you specified did not hold');
+  }
+
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  const range = parseRange(req.headers.range, size);
+  if (range && range.unsatisfiable) {
+    res.set('Content-Range', `bytes */${size}`);
+    throw new S3Error('InvalidRange', 'The requested range is not satisfiable');
+  }
+
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.set('Content-Length', String(range.end - range.start + 1));
+  } else {
+    res.status(200);
+    res.set('Content-Length', String(size));
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const fileStream = await streamFileData(pool, file.file_hash, range || {});
+  await analyticsService.trackDownload(req.user.id, bucket.id, range ? range.end - range.start + 1 : size);
+
+  pipeline(fileStream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('S3 object stream error:', error.message);
+    }
+  });
+};
+
+// PutObject
+const putObject = async (req, res, bucket, key) => {
+  validateKey(key);
+
+  const size = getPayloadLength(req);
+  if (Number.isNaN(size)) {
+    throw new S3Error('MissingContentLength', 'You must provide the Content-Length HTTP header');
+  }
+
+  const contentType = req.headers['content-type'] || 'application/octet-stream';
+  const { limit } = validateFileSize(contentType, size);
+
+  const file = await writeObject(req, bucket, key, contentType, size, (uploadId) => (
+    receiveBody(req, payload => stageUpload(payload, uploadId, { maxSize: limit }))
+  ));
+
+  res.set('ETag', formatETag(file));
+  res.status(200).end();
+};
+
+// CopyObject (streams the source through staging so the normal upload checks apply)
+const copyObject = async (req, res, bucket, key) => {
+  validateKey(key);
+
+  const copySource = decodeURIComponent(req.headers['x-amz-copy-source'].split('?')[0]).replace(/^\//, '');
+  const separator = copySource.indexOf('/');
+  if (separator === -1) {
+    throw new S3Error('InvalidArgument', 'Copy source must be of the form bucket/key');
+  }
+
+  const sourceBucket = await getBucket(req.user.id, copySource.slice(0, separator));
+  const sourceKey = copySource.slice(separator + 1);
+  assertScope(req.apiKey, 'read');
+  assertPathAccess(req.apiKey, sourceBucket.id, sourceKey);
+  const sourceFile = await getObjectOrThrow(sourceBucket, sourceKey);
+
+  await readPayload(req);
+
+  const contentType = req.headers['x-amz-metadata-directive'] === 'REPLACE' && req.headers['content-type']
+    ? req.headers['content-type']
+    : sourceFile.mime_type;
+
+  const file = await writeObject(req, bucket, key, contentType, parseInt(sourceFile.size), async (uploadId) => (
+    stageUpload(await streamFileData(pool, sourceFile.file_hash), uploadId)
+  ));
+
+  sendXml(res, 200, 'CopyObjectResult', {
+    LastModified: file.updated_at,
+    ETag: formatETag(file)
+  });
+};
+
+// DeleteObject: moves the object to trash like the REST API's default delete
+const deleteObject = async (req, res, bucket, key) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query(`
+      SELECT id, size, original_name, legal_hold, retention_mode, retain_until FROM files
+      WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL
+      FOR UPDATE
+    `, [bucket.id, key]);
+
+    const locked = deleted.rows.find(isFileLocked);
+    if (locked) {
+      throw lockedError(locked);
+    }
+
+    await moveToTrash(client, deleted.rows.map(file => file.id));
+
+    for (const file of deleted.rows) {
+      await client.query(
+        'UPDATE buckets SET file_count = file_count - 1, storage_used = storage_used - $1 WHERE id = $2',
+        [file.size, bucket.id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // S3 reports success whether or not the key existed
+  res.status(204).end();
+};
+
+// CreateMultipartUpload
+const createMultipartUpload = async (req, res, bucket, key) => {
+  validateKey(key);
+  await readPayload(req);
+
+  const session = await createUploadSession({
+    userId: req.user.id,
+    bucketId: bucket.id,
+    filename: key,
+    contentType: req.headers['content-type'] || 'application/octet-stream',
+    multipart: true,
+    replaceExisting: true
+  });
+
+  sendXml(res, 200, 'InitiateMultipartUploadResult', {
+    Bucket: bucket.slug,
+    Key: key,
+    UploadId: session.uploadId
+  });
+};
+
+// UploadPart
+const uploadPart = async (req, res, bucket, key) => {
+  const session = await getMultipartSession(req, bucket, key, req.query.uploadId);
+
+  const partNumber = parseInt(req.query.partNumber);
+  if (!(partNumber >= 1 && partNumber <= MAX_PART_NUMBER)) {
+    throw new S3Error('InvalidArgument', `Part number must be an integer between 1 and ${MAX_PART_NUMBER}`);
+  }
+
+  const { limit } = validateFileSize(session.mime_type, 0);
+  const digest = await receiveBody(req, payload => stagePart(payload, session.id, partNumber, { maxSize: limit }));
+
+  await pool.query(`
+    UPDATE upload_sessions
+    SET metadata_json = jsonb_set(metadata_json, ARRAY['parts', $2::text], $3::jsonb)
+    WHERE id = $1
+  `, [session.id, String(partNumber), JSON.stringify({ etag: digest.md5, size: digest.size })]);
+
+  res.set('ETag', `"${digest.md5}"`);
+  res.status(200).end();
+};
+
+// CompleteMultipartUpload
+const completeMultipartUpload = async (req, res, bucket, key) => {
+  const session = await getMultipartSession(req, bucket, key, req.query.uploadId);
+  const parts = parseCompleteMultipartUpload((await readPayload(req)).toString('utf8'));
+
+  if (parts.length === 0 || parts.some(part => Number.isNaN(part.partNumber))) {
+    throw new S3Error('MalformedXML', 'The XML you provided was not well-formed');
+  }
+
+  const recordedParts = session.metadata_json.parts || {};
+  parts.forEach((part, index) => {
+    if (index > 0 && part.partNumber <= parts[index - 1].partNumber) {
+      throw new S3Error('InvalidPartOrder', 'The list of parts was not in ascending order');
+    }
+    const recorded = recordedParts[part.partNumber];
+    if (!recorded || recorded.etag !== part.etag) {
+      throw new S3Error('InvalidPart', `Part ${part.partNumber} could not be found or its ETag did not match`);
+    }
+  });
+
+  const { limit } = validateFileSize(session.mime_type, 0);
+  const digest = await assembleStagedParts(session.id, parts.map(part => part.partNumber), { maxSize: limit });
+  await recordStagedUpload(session.id, digest);
+
+  const { file } = await completeUploadSession(session.id, req.user.id, {
+    replaceExisting: true,
+    multipartETag: getMultipartETag(parts.map(part => recordedParts[part.partNumber].etag))
+  });
+  await removeStagedParts(session.id);
+
+  sendXml(res, 200, 'CompleteMultipartUploadResult', {
+    Location: `/${bucket.slug}/${key}`,
+    Bucket: bucket.slug,
+    Key: key,
+    ETag: formatETag(file)
+  });
+};
+
+// AbortMultipartUpload
+const abortMultipartUpload = async (req, res, bucket, key) => {
+  const session = await getMultipartSession(req, bucket, key, req.query.uploadId);
+  await discardUploadSession(session.id);
+  res.status(204).end();
+};
+
+router.use((req, res, next) => {
+  res.set('x-amz-request-id', crypto.randomBytes(8).toString('hex').toUpperCase());
+  next();
+});
+
+router.use(authenticateS3);
+
+router.all('/{*path}', s3Handler(async (req, res) => {
+  const { bucketName, key } = parseS3Path(req);
+
+  if (UNSUPPORTED_SUBRESOURCES.some(name => name in req.query)) {
+    throw new S3Error('NotImplemented', 'This operation is not supported by the RemoCloud S3 gateway');
+  }
+
+  // Service level
+  if (!bucketName) {
+    if (req.method === 'GET') {
+      assertScope(req.apiKey, 'read');
+      return listBuckets(req, res);
+    }
+    throw new S3Error('MethodNotAllowed', 'The specified method is not allowed against this resource');
+  }
+
+  // Bucket level
+  if (!key) {
+    if (req.method === 'PUT') {
+      assertScope(req.apiKey, 'admin');
+      assertAccountAccess(req.apiKey);
+      return createBucket(req, res, bucketName);
+    }
+
+    const bucket = await getBucket(req.user.id, bucketName);
+    assertScope(req.apiKey, 'read');
+    assertBucketAccess(req.apiKey, bucket.id);
+
+    if (req.method === 'HEAD') {
+      return res.status(200).end();
+    }
+    if (req.method === 'GET' && 'location' in req.query) {
+      return sendXml(res, 200, 'LocationConstraint', {});
+    }
+    if (req.method === 'GET' && !('uploads' in req.query)) {
+      return listObjects(req, res, bucket);
+    }
+    throw new S3Error('NotImplemented', 'This operation is not supported by the RemoCloud S3 gateway');
+  }
+
+  // Object level
+  const bucket = await getBucket(req.user.id, bucketName);
+  assertScope(req.apiKey, getObjectScope(req));
+  assertPathAccess(req.apiKey, bucket.id, key);
+
+  switch (req.method) {
+    case 'GET':
+    case 'HEAD':
+      if (!('uploadId' in req.query)) {
+        return getObject(req, res, bucket, key);
+      }
+      break;
+    case 'PUT':
+      if ('uploadId' in req.query) {
+        if (req.headers['x-amz-copy-source']) {
+          break; // UploadPartCopy
+        }
+        return uploadPart(req, res, bucket, key);
+      }
+      if (req.headers['x-amz-copy-source']) {
+        return copyObject(req, res, bucket, key);
+      }
+      return putObject(req, res, bucket, key);
+    case 'POST':
+      if ('uploads' in req.query) {
+        return createMultipartUpload(req, res, bucket, key);
+      }
+      if ('uploadId' in req.query) {
+        return completeMultipartUpload(req, res, bucket, key);
+      }
+      break;
+    case 'DELETE':
+      if ('uploadId' in req.query) {
+        return abortMultipartUpload(req, res, bucket, key);
+      }
+      return deleteObject(req, res, bucket, key);
+    default:
+      break;
+  }
+
+  throw new S3Error('NotImplemented', 'This operation is not supported by the RemoCloud S3 gateway');
+}));
+
+module.exports = router;
@@ -1,78 +1,83 @@
 const express = require('express');
-const crypto = require('crypto');
-const { pool, createLargeObject } = require('../models/database');
+const { PassThrough } = require('stream');
+const { pool } = require('../models/database');
 const { validateFileSize } = require('../utils/fileLimits');
+const { stageUpload, UploadTooLargeError } = require('../utils/uploadStaging');
+const { recordStagedUpload } = require('../utils/uploadSessions');
 
 const router = express.Router();
 
-// Handle raw PUT uploads using PostgreSQL Large Objects
-router.put('/upload/:uploadId', express.raw({ 
-  type: '*/*', 
-  limit: '100mb' 
-}), async (req, res) => {
-  const client = await pool.connect();
-  
+// Handle raw PUT uploads, streaming the body to staging while hashing it
+router.put('/upload/:uploadId', async (req, res) => {
   try {
     const { uploadId } = req.params;
     
-    await client.query('BEGIN');
-    
     // Verify upload session exists and is valid
-    const sessionResult = await client.query(`
+    const sessionResult = await pool.query(`
       SELECT * FROM upload_sessions 
       WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP AND completed_at IS NULL
     `, [uploadId]);
 
     const session = sessionResult.rows[0];
     if (!session) {
-      await client.query('ROLLBACK');
+      req.resume();
       return res.status(404).json({ error: 'Upload session not found or expired' });
     }
 
-    // Validate file size based on session mime type
-    const sizeValidation = validateFileSize(session.mime_type, req.body.length);
-    if (!sizeValidation.isValid) {
-      await client.query('ROLLBACK');
+    // Reject oversized bodies up front when the client declares a length
+    const { limit } = validateFileSize(session.mime_type, 0);
+    const declaredLength = parseInt(req.headers['content-length']);
+    if (declaredLength && !validateFileSize(session.mime_type, declaredLength).isValid) {
+      req.resume();
       return res.status(413).json({ 
-        error: `File too large. Maximum size for ${session.mime_type} is ${Math.round(sizeValidation.limit / 1024 / 1024)}MB`,
-        maxSize: sizeValidation.limit,
-        receivedSize: req.body.length
+        error: `File too large. Maximum size for ${session.mime_type} is ${Math.round(limit / 1024 / 1024)}MB`,
+        maxSize: limit,
+        receivedSize: declaredLength
       });
     }
 
-    // Store file data as base64 in session metadata
-    const fileData = req.body.toString('base64');
-    console.log('Storing file data, size:', req.body.length, 'base64 length:', fileData.length);
-    
-    // Store file data in upload session for completion
-    const updateResult = await client.query(`
-      UPDATE upload_sessions 
-      SET metadata_json = jsonb_set(COALESCE(metadata_json, '{}'), '{file_data}', $1::text::jsonb)
-      WHERE id = $2
-      RETURNING metadata_json
-    `, [JSON.stringify(fileData), uploadId]);
-    
-    console.log('File data stored in session:', uploadId, 'Updated metadata:', updateResult.rows[0]?.metadata_json);
-    
-    await client.query('COMMIT');
-    
-    // Generate ETag
-    const etag = crypto.createHash('md5').update(req.body).digest('hex');
+    // Stream body to staging; size limit is enforced while streaming for chunked bodies.
+    // Staging reads from a pass-through, because a failed pipeline destroys its streams
+    // and a destroyed request can no longer be answered with the 413.
+    const body = new PassThrough();
+    req.on('close', () => {
+      if (!req.complete) {
+        body.destroy(new Error('Upload aborted'));
+      }
+    });
+    req.pipe(body);
+
+    let digest;
+    try {
+      digest = await stageUpload(body, uploadId, { maxSize: limit });
+    } catch (error) {
+      if (error instanceof UploadTooLargeError) {
+        // Stop taking the body and close the connection once the 413 is out
+        req.unpipe(body);
+        res.set('Connection', 'close');
+        return res.status(413).json({ 
+          error: `File too large. Maximum size for ${session.mime_type} is ${Math.round(limit / 1024 / 1024)}MB`,
+          maxSize: limit,
+          receivedSize: error.received
+        });
+      }
+      throw error;
+    }
+
+    // Record what was staged so completion can finalize without re-reading the body
+    await recordStagedUpload(uploadId, digest);
     
     // Set CORS headers for direct upload
     res.set('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:3000');
     res.set('Access-Control-Allow-Methods', 'PUT, OPTIONS');
     res.set('Access-Control-Allow-Headers', 'Content-Type, Content-Length');
     res.set('Access-Control-Expose-Headers', 'ETag');
-    res.set('ETag', `"${etag}"`);
+    res.set('ETag', `"${digest.md5}"`);
     
-    res.status(200).json({ success: true, etag });
+    res.status(200).json({ success: true, etag: digest.md5 });
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error('Storage upload error:', error);
     res.status(500).json({ error: 'Upload failed' });
-  } finally {
-    client.release();
   }
 });
 
@@ -1,13 +1,13 @@
 const express = require('express');
 const { pool } = require('../models/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireScope } = require('../middleware/auth');
 const imageTransform = require('../utils/imageTransform');
 const crypto = require('crypto');
 
 const router = express.Router();
 
 // Get transformed image
-router.get('/files/:fileId/transform', authenticate, async (req, res) => {
+router.get('/files/:fileId/transform', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { w, h, q, format, preset } = req.query;
@@ -101,7 +101,7 @@ router.get('/transform/presets', (req, res) => {
 });
 
 // Generate srcset for responsive images
-router.get('/files/:fileId/srcset', authenticate, async (req, res) => {
+router.get('/files/:fileId/srcset', authenticate, requireScope('read', { file: 'fileId' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { breakpoints = '300,600,900,1200', format = 'webp' } = req.query;
@@ -187,7 +187,10 @@ async function generateDerivative(file, transformParams, transformKey) {
     
     // Store derivative data
     const { storeFileData } = require('../utils/fileStorage');
-    await storeFileData(client, result.buffer, derivativeHash);
+    await storeFileData(client, result.buffer, derivativeHash, {
+      mimeType: result.mimeType,
+      bucketId: file.bucket_id
+    });
 
     // Generate derivative object key
     const derivativeKey = imageTransform.generateDerivativeKey(file.filename, transformKey);
@@ -0,0 +1,214 @@
+const express = require('express');
+const { pool, lockPool } = require('../models/database');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { TUS_MAX_SIZE, requireTusResumable, parseUploadMetadata } = require('../middleware/tus');
+const { createUploadSession, recordStagedUpload } = require('../utils/uploadSessions');
+const {
+  appendToStagedUpload,
+  digestStagedUpload,
+  statStagedUpload,
+  removeStagedUpload,
+  UploadTooLargeError
+} = require('../utils/uploadStaging');
+const { asyncHandler } = require('../utils/errors');
+
+// tus 1.0 resumable uploads (creation, termination, expiration) on top of upload_sessions.
+// Once the last chunk lands the session is completed with POST /api/uploads/:uploadId/complete,
+// exactly like a single-request upload.
+const router = express.Router();
+
+router.use(requireTusResumable);
+
+// Load an incomplete upload session owned by the requesting user
+const getSession = async (uploadId, userId) => {
+  if (!/^[a-f0-9-]{36}$/i.test(uploadId)) {
+    return null;
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM upload_sessions 
+    WHERE id = $1 AND user_id = $2 AND completed_at IS NULL
+  `, [uploadId, userId]);
+
+  return result.rows[0];
+};
+
+// Take the upload's PATCH lock, so concurrent requests can't interleave bytes. It is a
+// session-level advisory lock on a lockPool connection: no transaction stays open and no
+// request pool connection is held while the body streams. Returns the connection holding
+// it, or null if it is taken.
+const lockUpload = async (uploadId) => {
+  const client = await lockPool.connect();
+
+  try {
+    const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`tus:${uploadId}`]);
+    if (result.rows[0].locked) {
+      return client;
+    }
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  client.release();
+  return null;
+};
+
+const unlockUpload = async (client, uploadId) => {
+  try {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`tus:${uploadId}`]);
+    client.release();
+  } catch (error) {
+    // Closing the connection releases the lock too
+    client.release(error);
+  }
+};
+
+const getOffset = async (uploadId) => {
+  const staged = await statStagedUpload(uploadId);
+  return staged ? staged.size : 0;
+};
+
+// Create a resumable upload (tus creation extension)
+router.post('/', authenticate, requireScope('write'), asyncHandler(async (req, res) => {
+  const uploadLength = parseInt(req.headers['upload-length']);
+
+  if (!Number.isFinite(uploadLength) || uploadLength <= 0) {
+    return res.status(400).json({ error: 'Upload-Length header required' });
+  }
+
+  if (uploadLength > TUS_MAX_SIZE) {
+    return res.status(413).json({ error: 'Upload exceeds Tus-Max-Size', maxSize: TUS_MAX_SIZE });
+  }
+
+  const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+
+  const session = await createUploadSession({
+    userId: req.user.id,
+    bucketId: metadata.bucketId,
+    filename: metadata.filename,
+    size: uploadLength,
+    contentType: metadata.filetype || 'application/octet-stream',
+    versionLabel: metadata.versionLabel,
+    versionNote: metadata.versionNote,
+    resumable: true,
+    apiKey: req.apiKey
+  });
+
+  res.set('Location', session.resumableUrl);
+  res.set('Upload-Expires', session.expiresAt.toUTCString());
+  res.status(201).end();
+}));
+
+// Report the current offset so clients know where to resume
+router.head('/:uploadId', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  const session = await getSession(uploadId, req.user.id);
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  if (new Date() > new Date(session.expires_at)) {
+    return res.status(410).end();
+  }
+
+  res.set('Upload-Offset', String(await getOffset(uploadId)));
+  res.set('Upload-Length', String(session.size));
+  res.set('Upload-Expires', new Date(session.expires_at).toUTCString());
+  res.set('Cache-Control', 'no-store');
+  res.status(200).end();
+}));
+
+// Append a chunk at the current offset
+router.patch('/:uploadId', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+    req.resume();
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const session = await getSession(uploadId, req.user.id);
+  if (!session) {
+    req.resume();
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  if (new Date() > new Date(session.expires_at)) {
+    req.resume();
+    return res.status(410).json({ error: 'Upload session expired' });
+  }
+
+  const lock = await lockUpload(uploadId);
+  if (!lock) {
+    req.resume();
+    return res.status(423).json({ error: 'Upload is already receiving data' });
+  }
+
+  try {
+    const uploadLength = parseInt(session.size);
+    const currentOffset = await getOffset(uploadId);
+    const clientOffset = parseInt(req.headers['upload-offset']);
+
+    if (clientOffset !== currentOffset) {
+      req.resume();
+      res.set('Upload-Offset', String(currentOffset));
+      return res.status(409).json({ error: 'Upload-Offset does not match current offset', offset: currentOffset });
+    }
+
+    let offset;
+    try {
+      offset = await appendToStagedUpload(req, uploadId, { maxLength: uploadLength - currentOffset });
+    } catch (error) {
+      // Keep whatever reached disk so the next HEAD reports it
+      await pool.query(
+        'UPDATE upload_sessions SET upload_offset = $1 WHERE id = $2',
+        [await getOffset(uploadId), uploadId]
+      );
+
+      if (error instanceof UploadTooLargeError) {
+        return res.status(413).json({ error: 'Chunk exceeds Upload-Length', uploadLength });
+      }
+
+      // Client went away mid-chunk; there is nobody left to answer
+      if (req.destroyed) {
+        console.warn(`Resumable upload ${uploadId} interrupted at offset ${await getOffset(uploadId)}`);
+        return;
+      }
+      throw error;
+    }
+
+    if (offset === uploadLength) {
+      // Upload finished: hash it once so completion matches the single-request flow
+      await recordStagedUpload(uploadId, await digestStagedUpload(uploadId));
+    } else {
+      await pool.query(
+        'UPDATE upload_sessions SET upload_offset = $1 WHERE id = $2',
+        [offset, uploadId]
+      );
+    }
+
+    res.set('Upload-Offset', String(offset));
+    res.set('Upload-Expires', new Date(session.expires_at).toUTCString());
+    res.status(204).end();
+  } finally {
+    await unlockUpload(lock, uploadId);
+  }
+}));
+
+// Abandon an upload and discard received bytes (tus termination extension)
+router.delete('/:uploadId', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
+  const { uploadId } = req.params;
+
+  if (!await getSession(uploadId, req.user.id)) {
+    return res.status(404).json({ error: 'Upload session not found' });
+  }
+
+  await pool.query('DELETE FROM upload_sessions WHERE id = $1', [uploadId]);
+  await removeStagedUpload(uploadId);
+
+  res.status(204).end();
+}));
+
+module.exports = router;
@@ -1,106 +1,49 @@
 const express = require('express');
-const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
 const { pool } = require('../models/database');
-const { authenticate } = require('../middleware/auth');
-const FileValidationService = require('../utils/fileValidation');
-const { validateFileSize } = require('../utils/fileLimits');
-const analyticsService = require('../utils/analytics');
+const { authenticate, requireScope } = require('../middleware/auth');
 const { createError, asyncHandler } = require('../utils/errors');
+const { removeStagedUpload } = require('../utils/uploadStaging');
+const { createUploadSession, completeUploadSession, getResumableUrl } = require('../utils/uploadSessions');
 
 const router = express.Router();
 
 // Generate signed URL for direct upload
-router.post('/buckets/:bucketId/uploads', authenticate, asyncHandler(async (req, res) => {
+router.post('/buckets/:bucketId/uploads', authenticate, requireScope('write', { bucket: 'bucketId' }), asyncHandler(async (req, res) => {
   const { bucketId } = req.params;
   const { 
     filename, 
     size, 
     contentType, 
-    checksum 
+    metadata,
+    tags,
+    versionLabel,
+    versionNote,
+    resumable = false,
+    extract
   } = req.body;
 
-  if (!filename || !size || !contentType) {
-    throw createError('INVALID_REQUEST', {
-      missingFields: ['filename', 'size', 'contentType'].filter(field => !req.body[field])
-    }, 'Missing required fields');
-  }
-
-  // Validate file size based on media type
-  const sizeValidation = validateFileSize(contentType, size);
-  if (!sizeValidation.isValid) {
-    throw createError('FILE_TOO_LARGE', {
-      maxSize: sizeValidation.limit,
-      receivedSize: size,
-      mimeType: contentType
-    }, `File too large. Maximum size for ${contentType} is ${Math.round(sizeValidation.limit / 1024 / 1024)}MB`);
-  }
-
-  // Get bucket and validate permissions
-  const bucketResult = await pool.query(`
-    SELECT * FROM buckets 
-    WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
-  `, [bucketId, req.user.id]);
-
-  const bucket = bucketResult.rows[0];
-  if (!bucket) {
-    throw createError('BUCKET_NOT_FOUND', { bucketId });
-  }
-
-  // Validate file type against bucket policy
-  const allowedTypes = bucket.allowed_types || ['*'];
-  const typeValidation = FileValidationService.validateFileType(filename, contentType, allowedTypes);
-  
-  if (!typeValidation.isValid) {
-    const errorInfo = FileValidationService.formatValidationError(typeValidation, allowedTypes);
-    throw createError('INVALID_FILE_TYPE', {
-      allowedTypes: errorInfo.allowedTypes,
-      suggestion: errorInfo.suggestion,
-      validationErrors: typeValidation.errors,
-      receivedType: contentType
-    }, errorInfo.message);
-  }
-
-  // Generate object key
-  const timestamp = Date.now();
-  const randomId = uuidv4().split('-')[0];
-  let objectKey = `users/${req.user.id}/buckets/${bucket.slug}/${timestamp}-${randomId}-${filename}`;
-  
-  // Add version if versioning enabled
-  if (bucket.versioning_enabled) {
-    const versionId = uuidv4().split('-')[0];
-    objectKey += `?versionId=${versionId}`;
-  }
-
-  // Generate upload session ID
-  const uploadId = uuidv4();
-  const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-  
-  const signedUrl = `${process.env.API_BASE_URL || 'http://localhost:5000'}/api/storage/upload/${uploadId}`;
-
-  // Store upload session
-  await pool.query(`
-    INSERT INTO upload_sessions 
-    (id, bucket_id, user_id, filename, original_name, mime_type, size, object_key, signed_url, expires_at)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-  `, [
-    uploadId,
+  const session = await createUploadSession({
+    userId: req.user.id,
     bucketId,
-    req.user.id,
-    filename,
     filename,
-    contentType,
     size,
-    objectKey,
-    signedUrl,
-    expiresAt
-  ]);
+    contentType,
+    metadata,
+    tags,
+    versionLabel,
+    versionNote,
+    resumable,
+    extract,
+    apiKey: req.apiKey
+  });
 
   res.json({
-    uploadId,
-    signedUrl,
-    objectKey,
-    expiresAt: expiresAt.toISOString(),
+    uploadId: session.uploadId,
+    signedUrl: session.signedUrl,
+    resumableUrl: session.resumableUrl,
+    objectKey: session.objectKey,
+    extract: session.extract,
+    expiresAt: session.expiresAt.toISOString(),
     headersToInclude: {
       'Content-Type': contentType,
       'Content-Length': size.toString()
@@ -109,226 +52,39 @@ router.post('/buckets/:bucketId/uploads', authenticate, asyncHandler(async (req,
 }));
 
 // Complete upload and finalize file metadata
-router.post('/uploads/:uploadId/complete', authenticate, asyncHandler(async (req, res) => {
+router.post('/uploads/:uploadId/complete', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
   const { uploadId } = req.params;
-  const { etag, actualSize, clientHash } = req.body;
+  const { actualSize, clientHash } = req.body;
 
-  // Get upload session
-  const sessionResult = await pool.query(`
-    SELECT us.*, b.is_public_by_default, b.versioning_enabled
-    FROM upload_sessions us
-    JOIN buckets b ON us.bucket_id = b.id
-    WHERE us.id = $1 AND us.user_id = $2 AND us.completed_at IS NULL
-  `, [uploadId, req.user.id]);
-
-  const session = sessionResult.rows[0];
-  if (!session) {
-    throw createError('UPLOAD_SESSION_NOT_FOUND', { uploadId });
-  }
-
-  // Check if upload session expired
-  if (new Date() > new Date(session.expires_at)) {
-    throw createError('SIGNED_URL_EXPIRED', { uploadId, expiresAt: session.expires_at });
-  }
+  const { file, hashVerification, extraction } = await completeUploadSession(uploadId, req.user.id, {
+    actualSize,
+    clientHash
+  });
 
-  // Debug: Check what's in session metadata
-  console.log('Session metadata:', JSON.stringify(session.metadata_json, null, 2));
-  
-  // Get file data directly from upload session metadata
-  const fileData = session.metadata_json?.file_data;
-  
-  if (!fileData) {
-    throw createError('UPLOAD_FAILED', {
+  // Archive extraction continues in the background; poll GET /uploads/:uploadId
+  if (extraction) {
+    return res.status(202).json({
       uploadId,
-      reason: 'File data not found in session',
-      metadata: session.metadata_json
-    }, 'Upload failed - file data not received');
-  }
-  
-  const fileBuffer = Buffer.from(fileData, 'base64');
-  
-  const client = await pool.connect();
-  
-  try {
-    await client.query('BEGIN');
-    
-    const actualFileSize = fileBuffer.length;
-    
-    if (actualSize && actualSize !== actualFileSize) {
-      throw createError('UPLOAD_FAILED', {
-        expectedSize: actualSize,
-        actualSize: actualFileSize,
-        uploadId
-      }, 'File size mismatch');
-    }
-
-    // Generate file hash from actual file content
-    const fileHash = crypto
-      .createHash('sha256')
-      .update(fileBuffer)
-      .digest('hex');
-      
-    // Store file data in database
-    const { storeFileData } = require('../utils/fileStorage');
-    await storeFileData(client, fileBuffer, fileHash);
-      
-    // Verify client hash if provided
-    let hashVerification = null;
-    if (clientHash) {
-      hashVerification = {
-        clientHash: clientHash.toLowerCase(),
-        serverHash: fileHash,
-        matches: clientHash.toLowerCase() === fileHash
-      };
-      
-      if (!hashVerification.matches) {
-        console.warn(`Hash mismatch for upload ${uploadId}: client=${clientHash}, server=${fileHash}`);
-      }
-    }
-
-    // Check for existing file with same name for versioning
-    let version = 1;
-    let existingFileId = null;
-    
-    if (session.versioning_enabled) {
-      const existingResult = await client.query(`
-        SELECT id, version FROM files 
-        WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL
-        ORDER BY version DESC LIMIT 1
-      `, [session.bucket_id, session.original_name]);
-      
-      if (existingResult.rows[0]) {
-        existingFileId = existingResult.rows[0].id;
-        version = existingResult.rows[0].version + 1;
-      }
-    }
-
-    let fileResult;
-    
-    if (existingFileId && version > 1) {
-      // Update existing file for new version
-      fileResult = await client.query(`
-        UPDATE files 
-        SET filename = $1, mime_type = $2, size = $3, object_key = $4, file_hash = $5, 
-            version = $6, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $7
-        RETURNING *
-      `, [
-        `${fileHash}-${session.original_name}`,
-        session.mime_type,
-        actualFileSize,
-        session.object_key,
-        fileHash,
-        version,
-        existingFileId
-      ]);
-      
-      // Create version history record
-      await client.query(`
-        INSERT INTO file_versions 
-        (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true)
-      `, [
-        existingFileId,
-        version,
-        `${fileHash}-${session.original_name}`,
-        session.original_name,
-        session.mime_type,
-        actualFileSize,
-        session.object_key,
-        fileHash,
-        '{}',
-        session.user_id
-      ]);
-      
-      // Mark previous versions as not current
-      await client.query(`
-        UPDATE file_versions 
-        SET is_current = false 
-        WHERE file_id = $1 AND version_number < $2
-      `, [existingFileId, version]);
-      
-    } else {
-      // Create new file record
-      fileResult = await client.query(`
-        INSERT INTO files 
-        (bucket_id, user_id, upload_session_id, filename, original_name, mime_type, size, object_key, file_hash, is_public, version, created_by)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        RETURNING *
-      `, [
-        session.bucket_id,
-        session.user_id,
-        uploadId,
-        `${fileHash}-${session.original_name}`,
-        session.original_name,
-        session.mime_type,
-        actualFileSize,
-        session.object_key,
-        fileHash,
-        session.is_public_by_default,
-        version,
-        session.user_id
-      ]);
-      
-      // Create initial version record
-      await client.query(`
-        INSERT INTO file_versions 
-        (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true)
-      `, [
-        fileResult.rows[0].id,
-        version,
-        `${fileHash}-${session.original_name}`,
-        session.original_name,
-        session.mime_type,
-        actualFileSize,
-        session.object_key,
-        fileHash,
-        '{}',
-        session.user_id
-      ]);
-    }
-
-    // Mark upload session as completed
-    await client.query(`
-      UPDATE upload_sessions 
-      SET completed_at = CURRENT_TIMESTAMP 
-      WHERE id = $1
-    `, [uploadId]);
-
-    // Update bucket stats
-    await client.query(`
-      UPDATE buckets 
-      SET file_count = file_count + 1, storage_used = storage_used + $1
-      WHERE id = $2
-    `, [actualFileSize, session.bucket_id]);
-
-    // Track analytics
-    await analyticsService.trackUpload(session.user_id, session.bucket_id, actualFileSize);
-
-    await client.query('COMMIT');
-    
-    res.json({
-      file: fileResult.rows[0],
-      hashVerification,
-      message: 'Upload completed successfully'
+      extraction,
+      message: 'Upload received, extracting archive'
     });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
   }
+
+  res.json({
+    file,
+    hashVerification,
+    message: 'Upload completed successfully'
+  });
 }));
 
 // Get upload progress/status
-router.get('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) => {
+router.get('/uploads/:uploadId', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
   const { uploadId } = req.params;
   
+  // Extracted archives link many files to one session; only single uploads report a fileId
   const result = await pool.query(`
-    SELECT us.*, f.id as file_id
+    SELECT us.*, (SELECT f.id FROM files f WHERE f.upload_session_id = us.id LIMIT 1) as file_id
     FROM upload_sessions us
-    LEFT JOIN files f ON us.id = f.upload_session_id
     WHERE us.id = $1 AND us.user_id = $2
   `, [uploadId, req.user.id]);
 
@@ -337,7 +93,9 @@ router.get('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) =>
     throw createError('UPLOAD_SESSION_NOT_FOUND', { uploadId });
   }
 
-  const status = session.completed_at ? 'completed' : 
+  const extraction = session.metadata_json?.extraction || null;
+  const status = extraction?.status === 'running' ? 'extracting' :
+                session.completed_at ? 'completed' : 
                 new Date() > new Date(session.expires_at) ? 'expired' : 'pending';
 
   res.json({
@@ -345,14 +103,17 @@ router.get('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) =>
     status,
     filename: session.original_name,
     size: session.size,
+    offset: parseInt(session.upload_offset || 0),
+    resumableUrl: session.metadata_json?.resumable ? getResumableUrl(session.id) : null,
     expiresAt: session.expires_at,
     completedAt: session.completed_at,
-    fileId: session.file_id
+    fileId: extraction ? null : session.file_id,
+    extraction
   });
 }));
 
 // Cancel upload session
-router.delete('/uploads/:uploadId', authenticate, asyncHandler(async (req, res) => {
+router.delete('/uploads/:uploadId', authenticate, requireScope('write', { upload: 'uploadId' }), asyncHandler(async (req, res) => {
   const { uploadId } = req.params;
   
   const result = await pool.query(`
@@ -365,6 +126,8 @@ router.delete('/uploads/:uploadId', authenticate, asyncHandler(async (req, res)
     throw createError('UPLOAD_SESSION_NOT_FOUND', { uploadId });
   }
 
+  await removeStagedUpload(uploadId);
+
   res.json({ message: 'Upload session cancelled' });
 }));
 
@@ -6,31 +6,68 @@ require('dotenv').config();
 
 const { initDB } = require('./models/database');
 const cleanupService = require('./utils/cleanup');
+const integrityScrubber = require('./utils/integrityScrubber');
+const contentIndexer = require('./utils/contentIndex');
 const authRoutes = require('./routers/auth');
 const apiKeyRoutes = require('./routers/apiKeys');
 const bucketRoutes = require('./routers/buckets');
 const fileRoutes = require('./routers/files');
+const folderRoutes = require('./routers/folders');
 const uploadRoutes = require('./routers/uploads');
 const storageRoutes = require('./routers/storage');
+const tusRoutes = require('./routers/tus');
+const s3Routes = require('./routers/s3');
 const cdnRoutes = require('./routers/cdn');
 const transformRoutes = require('./routers/transforms');
 const analyticsRoutes = require('./routers/analytics');
 const cleanupRoutes = require('./routers/cleanup');
+const { setTusHeaders } = require('./middleware/tus');
+const { rateLimit } = require('./middleware/rateLimit');
+const { isGatewayEnabled } = require('./utils/s3/sigv4');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a proxy, TRUST_PROXY (hop count, true or addresses) makes req.ip the client's,
+// which per-IP rate limits depend on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Initialize database
 initDB();
 
 // Middleware
+app.use('/api/tus', setTusHeaders); // Before cors so preflights advertise tus support too
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With',
+    'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since',
+    'Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata'
+  ],
+  exposedHeaders: [
+    'ETag', 'Location', 'Last-Modified', 'Accept-Ranges', 'Content-Range', 'Content-Length',
+    'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Expires',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+  ]
 }));
 app.use(morgan('combined'));
+app.use(rateLimit);
+
+// Raw upload bodies are streamed, so mount storage, tus and S3 before the body parsers can consume them
+app.use('/api/storage', storageRoutes);
+app.use('/api/tus', tusRoutes);
+if (isGatewayEnabled()) {
+  app.use('/s3', s3Routes);
+} else {
+  console.warn('S3 gateway disabled: set S3_CREDENTIALS_SECRET or JWT_SECRET to enable it');
+}
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -38,9 +75,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/auth', authRoutes);
 app.use('/api/keys', apiKeyRoutes);
 app.use('/api/buckets', bucketRoutes);
+app.use('/api/files/buckets/:bucketId/folders', folderRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api', uploadRoutes);
-app.use('/api/storage', storageRoutes);
 app.use('/api', transformRoutes);
 app.use('/api', analyticsRoutes);
 app.use('/api', cleanupRoutes);
@@ -66,4 +103,22 @@ app.listen(PORT, () => {
   setTimeout(() => {
     cleanupService.runFullCleanup().catch(console.error);
   }, 30000);
+
+  // Re-verify stored blobs in the background (SCRUB_INTERVAL_HOURS=0 disables it)
+  if (integrityScrubber.SCRUB_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+      integrityScrubber.run().catch(console.error);
+    }, integrityScrubber.SCRUB_INTERVAL_HOURS * 60 * 60 * 1000);
+  }
+
+  // Index the content of files stored without an upload session, or before content
+  // search existed (CONTENT_INDEX_INTERVAL_MINUTES=0 disables it)
+  if (contentIndexer.INDEX_INTERVAL_MINUTES > 0) {
+    setTimeout(() => {
+      contentIndexer.run().catch(console.error);
+    }, 60000);
+    setInterval(() => {
+      contentIndexer.run().catch(console.error);
+    }, contentIndexer.INDEX_INTERVAL_MINUTES * 60 * 1000);
+  }
 });
\ No newline at end of file
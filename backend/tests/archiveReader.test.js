@@ -0,0 +1,289 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { ArchiveFormatError, getArchiveFormat, readArchiveEntries } = require('../utils/archiveReader');
+const { resolveEntryName } = require('../utils/archiveExtraction');
+
+let tempDir;
+let fileCount = 0;
+
+// Write an archive to the temp directory and return its path
+const writeArchive = (buffer) => {
+  const filePath = path.join(tempDir, `archive-${++fileCount}`);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+// Build a ZIP with stored or deflated entries: { name, data, method, mode, flags, crc }
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.from(entry.data || '');
+    const method = entry.method ?? 0;
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+    const crc = entry.crc ?? zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.flags || 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(entry.flags || 0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(((entry.mode || 0o100644) << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, stored);
+    centrals.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+};
+
+// One tar header block with a valid checksum
+const tarHeader = ({ name, size = 0, type = '0', prefix = '' }) => {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write('00000000000\0', 136);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+
+  header.fill(0x20, 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+};
+
+// A tar record: header, data and padding to the block size
+const tarRecord = (header, data = Buffer.alloc(0)) => {
+  const padding = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return Buffer.concat([tarHeader({ ...header, size: data.length }), data, padding]);
+};
+
+// A pax extended header record ("<length> <key>=<value>\n")
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  let length = body.length + 1;
+  while (`${length}${body}`.length !== length) {
+    length++;
+  }
+  return Buffer.from(`${length}${body}`);
+};
+
+const buildTar = (records) => Buffer.concat([...records, Buffer.alloc(1024)]);
+
+// Read every entry, with the content of files
+const readAll = async (filePath, format, options) => {
+  const entries = [];
+  for await (const entry of readArchiveEntries(filePath, format, options)) {
+    const chunks = [];
+    if (entry.type === 'file') {
+      for await (const chunk of await entry.open()) {
+        chunks.push(chunk);
+      }
+    }
+    entries.push({ name: entry.name, type: entry.type, size: entry.size, content: Buffer.concat(chunks).toString() });
+  }
+  return entries;
+};
+
+before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-reader-'));
+});
+
+after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('getArchiveFormat', () => {
+  it('recognises archives by extension and MIME type', () => {
+    assert.equal(getArchiveFormat('a.ZIP'), 'zip');
+    assert.equal(getArchiveFormat('a', 'application/x-zip-compressed'), 'zip');
+    assert.equal(getArchiveFormat('a.tar.gz'), 'tar.gz');
+    assert.equal(getArchiveFormat('a.tgz'), 'tar.gz');
+    assert.equal(getArchiveFormat('a', 'application/x-tar'), 'tar');
+    assert.equal(getArchiveFormat('a.gz'), null);
+  });
+});
+
+describe('ZIP entries', () => {
+  it('reads stored and deflated entries', async () => {
+    const filePath = writeArchive(buildZip([
+      { name: 'docs/', mode: 0o040755 },
+      { name: 'docs/a.txt', data: 'stored' },
+      { name: 'docs/b.txt', data: 'deflated '.repeat(100), method: 8 }
+    ]));
+
+    assert.deepEqual(await readAll(filePath, 'zip'), [
+      { name: 'docs/', type: 'directory', size: 0, content: '' },
+      { name: 'docs/a.txt', type: 'file', size: 6, content: 'stored' },
+      { name: 'docs/b.txt', type: 'file', size: 900, content: 'deflated '.repeat(100) }
+    ]);
+  });
+
+  it('classifies links, encrypted and unsupported entries', async () => {
+    const filePath = writeArchive(buildZip([
+      { name: 'link', data: 'target', mode: 0o120777 },
+      { name: 'secret', data: 'x', flags: 0x0001 },
+      { name: 'bzip2', data: 'x', method: 12 }
+    ]));
+
+    const types = (await readAll(filePath, 'zip')).map(entry => entry.type);
+    assert.deepEqual(types, ['symlink', 'encrypted', 'unsupported']);
+  });
+
+  it('fails entries with a bad CRC', async () => {
+    const filePath = writeArchive(buildZip([{ name: 'a.txt', data: 'hello', crc: 1 }]));
+    await assert.rejects(readAll(filePath, 'zip'), /failed its CRC check/);
+  });
+
+  it('refuses archives with too many entries before reading them', async () => {
+    const filePath = writeArchive(buildZip([{ name: 'a' }, { name: 'b' }, { name: 'c' }]));
+    await assert.rejects(readAll(filePath, 'zip', { maxEntries: 2 }), /at most 2 can be extracted/);
+  });
+
+  it('refuses files that are not ZIPs', async () => {
+    const filePath = writeArchive(Buffer.from('not a zip at all, just some text'));
+    await assert.rejects(readAll(filePath, 'zip'), ArchiveFormatError);
+  });
+
+  it('refuses a central directory outside the file', async () => {
+    const zip = buildZip([{ name: 'a.txt', data: 'hello' }]);
+    zip.writeUInt32LE(zip.length, zip.length - 6);
+    await assert.rejects(readAll(writeArchive(zip), 'zip'), /outside the file/);
+  });
+});
+
+describe('tar entries', () => {
+  it('reads files, directories and links', async () => {
+    const filePath = writeArchive(buildTar([
+      tarRecord({ name: 'dir/', type: '5' }),
+      tarRecord({ name: 'dir/a.txt' }, Buffer.from('hello')),
+      tarRecord({ name: 'link', type: '2' }),
+      tarRecord({ name: 'fifo', type: '6' })
+    ]));
+
+    assert.deepEqual(await readAll(filePath, 'tar'), [
+      { name: 'dir/', type: 'directory', size: 0, content: '' },
+      { name: 'dir/a.txt', type: 'file', size: 5, content: 'hello' },
+      { name: 'link', type: 'symlink', size: 0, content: '' },
+      { name: 'fifo', type: 'unsupported', size: 0, content: '' }
+    ]);
+  });
+
+  it('joins the ustar prefix to the name', async () => {
+    const filePath = writeArchive(buildTar([tarRecord({ name: 'file.txt', prefix: 'deep/path' }, Buffer.from('x'))]));
+    assert.equal((await readAll(filePath, 'tar'))[0].name, 'deep/path/file.txt');
+  });
+
+  it('applies pax and GNU long names to the next entry only', async () => {
+    const longName = `${'a'.repeat(150)}/file.txt`;
+    const filePath = writeArchive(buildTar([
+      tarRecord({ name: 'PaxHeader', type: 'x' }, paxRecord('path', 'pax/name.txt')),
+      tarRecord({ name: 'short.txt' }, Buffer.from('1')),
+      tarRecord({ name: '././@LongLink', type: 'L' }, Buffer.from(`${longName}\0`)),
+      tarRecord({ name: 'truncated' }, Buffer.from('2')),
+      tarRecord({ name: 'plain.txt' }, Buffer.from('3'))
+    ]));
+
+    const names = (await readAll(filePath, 'tar')).map(entry => entry.name);
+    assert.deepEqual(names, ['pax/name.txt', longName, 'plain.txt']);
+  });
+
+  it('skips entries that are not read', async () => {
+    const filePath = writeArchive(buildTar([
+      tarRecord({ name: 'a.txt' }, Buffer.alloc(1500, 'a')),
+      tarRecord({ name: 'b.txt' }, Buffer.from('b'))
+    ]));
+
+    const names = [];
+    for await (const entry of readArchiveEntries(filePath, 'tar')) {
+      names.push(entry.name);
+    }
+    assert.deepEqual(names, ['a.txt', 'b.txt']);
+  });
+
+  it('reads gzipped tars', async () => {
+    const filePath = writeArchive(zlib.gzipSync(buildTar([tarRecord({ name: 'a.txt' }, Buffer.from('zipped'))])));
+    assert.equal((await readAll(filePath, 'tar.gz'))[0].content, 'zipped');
+  });
+
+  it('refuses corrupt headers', async () => {
+    const tar = buildTar([tarRecord({ name: 'a.txt' }, Buffer.from('x'))]);
+    tar[0] = 'b'.charCodeAt(0);
+    await assert.rejects(readAll(writeArchive(tar), 'tar'), /Corrupt tar header/);
+  });
+
+  it('refuses truncated entries', async () => {
+    const tar = tarRecord({ name: 'a.txt' }, Buffer.alloc(2000, 'a')).subarray(0, 1024);
+    await assert.rejects(readAll(writeArchive(tar), 'tar'), ArchiveFormatError);
+  });
+
+  it('refuses oversized metadata records', async () => {
+    const header = tarHeader({ name: 'PaxHeader', type: 'x', size: 2 * 1024 * 1024 });
+    const filePath = writeArchive(Buffer.concat([header, Buffer.alloc(2 * 1024 * 1024)]));
+    await assert.rejects(readAll(filePath, 'tar'), /metadata record is larger than/);
+  });
+
+  it('counts entries against maxEntries', async () => {
+    const filePath = writeArchive(buildTar([tarRecord({ name: 'a' }), tarRecord({ name: 'b' })]));
+    await assert.rejects(readAll(filePath, 'tar', { maxEntries: 1 }), /more than 1 entries/);
+  });
+});
+
+describe('resolveEntryName', () => {
+  it('places entries under the extraction folder', () => {
+    assert.equal(resolveEntryName('a/b.txt', 'photos/'), 'photos/a/b.txt');
+    assert.equal(resolveEntryName('./a//./b.txt', 'photos/'), 'photos/a/b.txt');
+    assert.equal(resolveEntryName('a\\b.txt', 'photos/'), 'photos/a/b.txt');
+  });
+
+  it('refuses path traversal', () => {
+    for (const name of ['../escape.txt', 'a/../../escape.txt', 'a\\..\\escape.txt', 'a/..']) {
+      assert.throws(() => resolveEntryName(name, 'photos/'), /"\.\."/, name);
+    }
+  });
+
+  it('refuses absolute paths', () => {
+    for (const name of ['/etc/passwd', '\\windows\\system32', 'C:/boot.ini', 'c:evil']) {
+      assert.throws(() => resolveEntryName(name, 'photos/'), /absolute paths/, name);
+    }
+  });
+
+  it('refuses control characters, empty names and long paths', () => {
+    assert.throws(() => resolveEntryName('a\nb.txt', 'photos/'), /control characters/);
+    assert.throws(() => resolveEntryName('a\u0000b.txt', 'photos/'), /control characters/);
+    assert.throws(() => resolveEntryName('./', 'photos/'), /no name/);
+    assert.throws(() => resolveEntryName('a'.repeat(250), 'photos/'), /limited to 255/);
+  });
+});
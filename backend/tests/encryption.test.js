@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const {
+  CHUNK_SIZE,
+  getChunkCount,
+  getEncryptedSize,
+  getPlaintextSize,
+  getEncryptedRange,
+  createEncryptStream,
+  createDecryptStream,
+  encryptBuffer,
+  decryptBuffer
+} = require('../utils/encryption');
+
+const TAG_LENGTH = 16;
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_LENGTH;
+const SIZES = [0, 1, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 3 * CHUNK_SIZE + 100];
+
+const dataKey = crypto.randomBytes(32);
+const nonce = crypto.randomBytes(12);
+
+// Run buffers through a transform in pieces of the given size
+const pipeThrough = async (buffer, transform, pieceSize = 10000) => {
+  const pieces = [];
+  for (let offset = 0; offset < buffer.length; offset += pieceSize) {
+    pieces.push(buffer.subarray(offset, offset + pieceSize));
+  }
+
+  const output = [];
+  for await (const data of Readable.from(pieces).pipe(transform)) {
+    output.push(data);
+  }
+  return Buffer.concat(output);
+};
+
+// Decrypt a plaintext byte range the way ranged downloads do
+const decryptRange = async (encrypted, start, end) => {
+  const range = getEncryptedRange(start, end, encrypted.length);
+  const decrypted = await pipeThrough(encrypted.subarray(range.start, range.end + 1), createDecryptStream(dataKey, nonce, {
+    firstChunk: range.firstChunk,
+    lastChunk: range.lastChunk,
+    totalChunks: getChunkCount(encrypted.length)
+  }));
+  return decrypted.subarray(range.skip, range.skip + end - start + 1);
+};
+
+describe('encrypted sizes', () => {
+  it('adds one tag per chunk, and one for empty blobs', () => {
+    assert.equal(getEncryptedSize(0), TAG_LENGTH);
+    assert.equal(getEncryptedSize(1), 1 + TAG_LENGTH);
+    assert.equal(getEncryptedSize(CHUNK_SIZE), ENCRYPTED_CHUNK_SIZE);
+    assert.equal(getEncryptedSize(CHUNK_SIZE + 1), CHUNK_SIZE + 1 + 2 * TAG_LENGTH);
+  });
+
+  it('round-trips sizes and counts chunks', () => {
+    for (const size of SIZES) {
+      const encryptedSize = getEncryptedSize(size);
+      assert.equal(getPlaintextSize(encryptedSize), size);
+      assert.equal(getChunkCount(encryptedSize), Math.max(1, Math.ceil(size / CHUNK_SIZE)));
+    }
+  });
+});
+
+describe('getEncryptedRange', () => {
+  const encryptedSize = getEncryptedSize(3 * CHUNK_SIZE + 100);
+
+  it('covers a range within one chunk', () => {
+    assert.deepEqual(getEncryptedRange(CHUNK_SIZE + 10, CHUNK_SIZE + 20, encryptedSize), {
+      firstChunk: 1,
+      lastChunk: 1,
+      start: ENCRYPTED_CHUNK_SIZE,
+      end: 2 * ENCRYPTED_CHUNK_SIZE - 1,
+      skip: 10
+    });
+  });
+
+  it('covers a range across chunk boundaries', () => {
+    assert.deepEqual(getEncryptedRange(CHUNK_SIZE - 1, 2 * CHUNK_SIZE, encryptedSize), {
+      firstChunk: 0,
+      lastChunk: 2,
+      start: 0,
+      end: 3 * ENCRYPTED_CHUNK_SIZE - 1,
+      skip: CHUNK_SIZE - 1
+    });
+  });
+
+  it('stops at the end of a short final chunk', () => {
+    const range = getEncryptedRange(3 * CHUNK_SIZE, 3 * CHUNK_SIZE + 99, encryptedSize);
+    assert.equal(range.firstChunk, 3);
+    assert.equal(range.lastChunk, 3);
+    assert.equal(range.start, 3 * ENCRYPTED_CHUNK_SIZE);
+    assert.equal(range.end, encryptedSize - 1);
+  });
+});
+
+describe('chunked AES-256-GCM', () => {
+  it('encrypts streams and buffers identically', async () => {
+    for (const size of SIZES) {
+      const plaintext = crypto.randomBytes(size);
+      const encrypted = encryptBuffer(dataKey, nonce, plaintext);
+
+      assert.equal(encrypted.length, getEncryptedSize(size));
+      assert.deepEqual(await pipeThrough(plaintext, createEncryptStream(dataKey, nonce)), encrypted);
+      assert.deepEqual(decryptBuffer(dataKey, nonce, encrypted), plaintext);
+      assert.deepEqual(await pipeThrough(encrypted, createDecryptStream(dataKey, nonce, {
+        totalChunks: getChunkCount(encrypted.length)
+      })), plaintext);
+    }
+  });
+
+  it('decrypts byte ranges from the chunks that cover them', async () => {
+    const plaintext = crypto.randomBytes(3 * CHUNK_SIZE + 100);
+    const encrypted = encryptBuffer(dataKey, nonce, plaintext);
+    const ranges = [
+      [0, 0],
+      [CHUNK_SIZE - 1, CHUNK_SIZE],
+      [CHUNK_SIZE + 5, 2 * CHUNK_SIZE + 5],
+      [3 * CHUNK_SIZE, plaintext.length - 1],
+      [0, plaintext.length - 1]
+    ];
+
+    for (const [start, end] of ranges) {
+      assert.deepEqual(await decryptRange(encrypted, start, end), plaintext.subarray(start, end + 1));
+    }
+  });
+
+  it('rejects a blob cut at a chunk boundary', () => {
+    const encrypted = encryptBuffer(dataKey, nonce, crypto.randomBytes(2 * CHUNK_SIZE + 1));
+    // The remaining last chunk wasn't encrypted as the final one
+    assert.throws(() => decryptBuffer(dataKey, nonce, encrypted.subarray(0, 2 * ENCRYPTED_CHUNK_SIZE)));
+  });
+
+  it('rejects a stream that ends before its last chunk', async () => {
+    const encrypted = encryptBuffer(dataKey, nonce, crypto.randomBytes(2 * CHUNK_SIZE + 1));
+    await assert.rejects(pipeThrough(encrypted.subarray(0, ENCRYPTED_CHUNK_SIZE), createDecryptStream(dataKey, nonce, {
+      totalChunks: 3
+    })), /truncated/);
+  });
+
+  it('rejects reordered chunks', () => {
+    const encrypted = encryptBuffer(dataKey, nonce, crypto.randomBytes(2 * CHUNK_SIZE + 1));
+    const swapped = Buffer.concat([
+      encrypted.subarray(ENCRYPTED_CHUNK_SIZE, 2 * ENCRYPTED_CHUNK_SIZE),
+      encrypted.subarray(0, ENCRYPTED_CHUNK_SIZE),
+      encrypted.subarray(2 * ENCRYPTED_CHUNK_SIZE)
+    ]);
+    assert.throws(() => decryptBuffer(dataKey, nonce, swapped));
+  });
+
+  it('rejects tampered bytes', () => {
+    const encrypted = encryptBuffer(dataKey, nonce, Buffer.from('secret'));
+    encrypted[0] ^= 1;
+    assert.throws(() => decryptBuffer(dataKey, nonce, encrypted));
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_TAGS,
+  validateTags,
+  parseFileFilters,
+  buildFilterConditions,
+  parseFileSort,
+  buildSortExpression,
+  getSortValue
+} = require('../utils/fileFilters');
+
+// Parse filter expressions and build their SQL, after params already in use
+const build = (filter, params = ['user-id'], alias) => {
+  const sql = buildFilterConditions(parseFileFilters(filter), params, alias);
+  return { sql, params };
+};
+
+describe('validateTags', () => {
+  it('trims keys and turns values into strings', () => {
+    assert.equal(validateTags(undefined), null);
+    assert.deepEqual(validateTags({ ' project ': 'alpha', count: 3, draft: false }), {
+      project: 'alpha',
+      count: '3',
+      draft: 'false'
+    });
+  });
+
+  it('rejects bad tag sets', () => {
+    assert.throws(() => validateTags(['a']), { code: 'INVALID_REQUEST' });
+    assert.throws(() => validateTags({ 'a=b': 'c' }), /cannot contain "="/);
+    assert.throws(() => validateTags({ ' ': 'c' }), /Tag keys/);
+    assert.throws(() => validateTags({ a: { nested: true } }), /Tag values/);
+    assert.throws(() => validateTags({ a: 'x'.repeat(257) }), /Tag values/);
+
+    const tooMany = Object.fromEntries(Array.from({ length: MAX_TAGS + 1 }, (_, i) => [`k${i}`, 'v']));
+    assert.throws(() => validateTags(tooMany), /at most 50 tags/);
+  });
+});
+
+describe('parseFileFilters', () => {
+  it('parses tag and metadata expressions', () => {
+    assert.deepEqual(parseFileFilters(['tag:project=alpha', 'tag:draft', 'meta.camera.model=X100', 'meta.author']), [
+      { kind: 'tag', key: 'project', value: 'alpha' },
+      { kind: 'tag', key: 'draft', value: undefined },
+      { kind: 'meta', path: ['camera', 'model'], value: 'X100' },
+      { kind: 'meta', path: ['author'], value: undefined }
+    ]);
+  });
+
+  it('keeps "=" inside values', () => {
+    assert.deepEqual(parseFileFilters('tag:query=a=b'), [{ kind: 'tag', key: 'query', value: 'a=b' }]);
+  });
+
+  it('treats no filter as none', () => {
+    assert.deepEqual(parseFileFilters(undefined), []);
+    assert.deepEqual(parseFileFilters(''), []);
+  });
+
+  it('rejects unknown and malformed expressions', () => {
+    assert.throws(() => parseFileFilters('name=x'), /Unknown filter/);
+    assert.throws(() => parseFileFilters('tag:'), /Unknown filter/);
+    assert.throws(() => parseFileFilters('meta.a..b=1'), /Invalid metadata key/);
+    assert.throws(() => parseFileFilters({ tag: 'x' }), /filter must be a string/);
+    assert.throws(() => parseFileFilters(Array(11).fill('tag:a')), /At most 10 filters/);
+  });
+});
+
+describe('buildFilterConditions', () => {
+  it('uses containment for tag values and ? for tag presence', () => {
+    assert.deepEqual(build(['tag:project=alpha', 'tag:draft']), {
+      sql: ' AND f.tags @> $2::jsonb AND f.tags ? $3',
+      params: ['user-id', '{"project":"alpha"}', 'draft']
+    });
+  });
+
+  it('nests metadata values and matches numbers and booleans by type too', () => {
+    assert.deepEqual(build('meta.camera.iso=400'), {
+      sql: ' AND (f.metadata_json @> $2::jsonb OR f.metadata_json @> $3::jsonb)',
+      params: ['user-id', '{"camera":{"iso":"400"}}', '{"camera":{"iso":400}}']
+    });
+    assert.deepEqual(build('meta.public=true').params.slice(1), ['{"public":"true"}', '{"public":true}']);
+    assert.deepEqual(build('meta.author=jane').params.slice(1), ['{"author":"jane"}']);
+  });
+
+  it('checks metadata presence by key or path', () => {
+    assert.deepEqual(build('meta.author'), {
+      sql: ' AND f.metadata_json ? $2',
+      params: ['user-id', 'author']
+    });
+    assert.deepEqual(build('meta.camera.model'), {
+      sql: ' AND f.metadata_json #> $2::text[] IS NOT NULL',
+      params: ['user-id', ['camera', 'model']]
+    });
+  });
+
+  it('uses the given table alias', () => {
+    assert.equal(build('tag:a', [], 'files').sql, ' AND files.tags ? $1');
+  });
+
+  it('keeps user input out of the SQL text', () => {
+    const { sql } = build(["tag:x'; DROP TABLE files; --=1", "meta.a'b=c"]);
+    assert.doesNotMatch(sql, /DROP|'/);
+  });
+});
+
+describe('sorting', () => {
+  it('parses columns, metadata and tags', () => {
+    assert.deepEqual(parseFileSort('size'), { kind: 'column', column: 'size' });
+    assert.deepEqual(parseFileSort('password'), { kind: 'column', column: 'created_at' });
+    assert.deepEqual(parseFileSort(undefined), { kind: 'column', column: 'created_at' });
+    assert.deepEqual(parseFileSort('meta.camera.iso'), { kind: 'meta', path: ['camera', 'iso'] });
+    assert.deepEqual(parseFileSort('tag:project'), { kind: 'tag', key: 'project' });
+  });
+
+  it('builds sort expressions with parameterised keys', () => {
+    const params = [];
+    assert.equal(buildSortExpression(parseFileSort('meta.camera.iso'), params), 'f.metadata_json #>> $1::text[]');
+    assert.equal(buildSortExpression(parseFileSort('tag:project'), params), 'f.tags ->> $2');
+    assert.equal(buildSortExpression(parseFileSort('size'), params, 'files'), 'files.size');
+    assert.deepEqual(params, [['camera', 'iso'], 'project']);
+  });
+
+  it('reads cursor values from listed files', () => {
+    const file = { size: 10, tags: { project: 'alpha' }, metadata_json: { camera: { iso: 400, lens: { mm: 35 } } } };
+    assert.equal(getSortValue(file, parseFileSort('size')), 10);
+    assert.equal(getSortValue(file, parseFileSort('tag:project')), 'alpha');
+    assert.equal(getSortValue(file, parseFileSort('tag:missing')), null);
+    assert.equal(getSortValue(file, parseFileSort('meta.camera.iso')), '400');
+    assert.equal(getSortValue(file, parseFileSort('meta.camera.lens')), '{"mm":35}');
+    assert.equal(getSortValue(file, parseFileSort('meta.camera.flash.mode')), null);
+  });
+});
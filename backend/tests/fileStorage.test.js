@@ -0,0 +1,154 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The local driver reads its root when first created
+process.env.STORAGE_LOCAL_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-test-'));
+
+const { pool } = require('../models/database');
+const { getDriver } = require('../utils/storageDrivers');
+const { releaseFileData } = require('../utils/fileStorage');
+const cleanupService = require('../utils/cleanup');
+
+const local = getDriver('local');
+
+// Just enough of Postgres for releasing blobs: the file_data index, the deletion
+// queue, and transactions that put both back on ROLLBACK
+const createDatabase = () => {
+  const db = { index: new Map(), queue: new Map() };
+  let snapshot = null;
+
+  const query = async (text, params = []) => {
+    if (text === 'BEGIN') {
+      snapshot = { index: new Map(db.index), queue: new Map(db.queue) };
+      return { rows: [] };
+    }
+    if (text === 'COMMIT') {
+      snapshot = null;
+      return { rows: [] };
+    }
+    if (text === 'ROLLBACK') {
+      Object.assign(db, snapshot);
+      snapshot = null;
+      return { rows: [] };
+    }
+
+    if (/DELETE FROM file_data/.test(text)) {
+      const blob = db.index.get(params[0]);
+      if (!blob || blob.ref_count > 0) {
+        return { rows: [] };
+      }
+      db.index.delete(params[0]);
+      return { rows: [{ storage_driver: blob.storage_driver }] };
+    }
+    if (/SELECT storage_driver, encryption_key_id, md5 FROM file_data/.test(text)) {
+      const blob = db.index.get(params[0]);
+      return { rows: blob ? [blob] : [] };
+    }
+    if (/pg_advisory_xact_lock/.test(text)) {
+      return { rows: [] };
+    }
+
+    if (/INSERT INTO blob_deletions/.test(text)) {
+      db.queue.set(`${params[0]}:${params[1]}`, { file_hash: params[0], storage_driver: params[1] });
+      return { rows: [] };
+    }
+    if (/FROM blob_deletions/.test(text) && /^\s*SELECT/.test(text)) {
+      return { rows: [...db.queue.values()] };
+    }
+    if (/DELETE FROM blob_deletions/.test(text)) {
+      db.queue.delete(`${params[0]}:${params[1]}`);
+      return { rows: [] };
+    }
+
+    throw new Error(`Unexpected query: ${text}`);
+  };
+
+  db.client = { query, release: () => {} };
+  return db;
+};
+
+// Store bytes on the local driver under their hash, indexed as unreferenced
+const storeBlob = async (db, content) => {
+  const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+  await local.put(db.client, fileHash, content);
+  db.index.set(fileHash, { storage_driver: 'local', encryption_key_id: null, ref_count: 0 });
+  return fileHash;
+};
+
+describe('releasing local blobs', () => {
+  let db;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  after(() => {
+    mock.restoreAll();
+    fs.rmSync(process.env.STORAGE_LOCAL_PATH, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    db = createDatabase();
+    mock.method(pool, 'connect', async () => db.client);
+  });
+
+  afterEach(() => {
+    pool.connect.mock.restore();
+  });
+
+  it('keeps the bytes when the releasing transaction rolls back', async () => {
+    const content = Buffer.from('kept after rollback');
+    const fileHash = await storeBlob(db, content);
+
+    await db.client.query('BEGIN');
+    assert.equal(await releaseFileData(db.client, fileHash), true);
+    await db.client.query('ROLLBACK');
+
+    assert.ok(db.index.has(fileHash));
+    assert.deepEqual(await local.get(db.client, fileHash), content);
+
+    // Nothing was queued either, so the cleanup job leaves the blob alone
+    assert.deepEqual(await cleanupService.cleanupQueuedBlobDeletions(), { cleaned: 0 });
+    assert.deepEqual(await local.get(db.client, fileHash), content);
+  });
+
+  it('deletes the bytes only once the release has committed', async () => {
+    const fileHash = await storeBlob(db, Buffer.from('released'));
+
+    await db.client.query('BEGIN');
+    await releaseFileData(db.client, fileHash);
+    await db.client.query('COMMIT');
+
+    assert.equal(await local.exists(db.client, fileHash), true);
+    assert.deepEqual(await cleanupService.cleanupQueuedBlobDeletions(), { cleaned: 1 });
+    assert.equal(await local.exists(db.client, fileHash), false);
+    assert.equal(db.queue.size, 0);
+  });
+
+  it('keeps queued bytes that were stored again before the cleanup ran', async () => {
+    const content = Buffer.from('stored again');
+    const fileHash = await storeBlob(db, content);
+
+    await db.client.query('BEGIN');
+    await releaseFileData(db.client, fileHash);
+    await db.client.query('COMMIT');
+    await storeBlob(db, content);
+
+    assert.deepEqual(await cleanupService.cleanupQueuedBlobDeletions(), { cleaned: 0 });
+    assert.deepEqual(await local.get(db.client, fileHash), content);
+    assert.equal(db.queue.size, 0);
+  });
+
+  it('leaves referenced blobs in place', async () => {
+    const fileHash = await storeBlob(db, Buffer.from('referenced'));
+    db.index.get(fileHash).ref_count = 1;
+
+    assert.equal(await releaseFileData(db.client, fileHash), false);
+    assert.equal(db.queue.size, 0);
+    assert.equal(await local.exists(db.client, fileHash), true);
+  });
+});
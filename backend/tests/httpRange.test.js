@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseRange,
+  parseRanges,
+  isNotModified,
+  ifRangeMatches,
+  buildMultipartRanges
+} = require('../utils/httpRange');
+
+const get = (headers = {}) => ({ method: 'GET', headers });
+
+describe('parseRange', () => {
+  it('ignores missing and malformed headers', () => {
+    assert.equal(parseRange(undefined, 100), null);
+    assert.equal(parseRange('bytes=-', 100), null);
+    assert.equal(parseRange('items=0-10', 100), null);
+    assert.equal(parseRange('bytes=abc-10', 100), null);
+    assert.equal(parseRange('bytes=20-10', 100), null);
+  });
+
+  it('parses closed and open-ended ranges', () => {
+    assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+    assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange(' bytes=10-10 ', 100), { start: 10, end: 10 });
+  });
+
+  it('clamps the end to the resource', () => {
+    assert.deepEqual(parseRange('bytes=50-500', 100), { start: 50, end: 99 });
+  });
+
+  it('parses suffix ranges', () => {
+    assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+    assert.deepEqual(parseRange('bytes=-500', 100), { start: 0, end: 99 });
+  });
+
+  it('flags ranges outside the resource', () => {
+    assert.deepEqual(parseRange('bytes=100-', 100), { unsatisfiable: true });
+    assert.deepEqual(parseRange('bytes=-0', 100), { unsatisfiable: true });
+    assert.deepEqual(parseRange('bytes=-5', 0), { unsatisfiable: true });
+  });
+});
+
+describe('parseRanges', () => {
+  it('sorts and merges overlapping and adjacent ranges', () => {
+    assert.deepEqual(parseRanges('bytes=50-59, 0-9, 10-19, 55-70', 100), [
+      { start: 0, end: 19 },
+      { start: 50, end: 70 }
+    ]);
+  });
+
+  it('keeps separate ranges apart', () => {
+    assert.deepEqual(parseRanges('bytes=0-0,-1', 100), [
+      { start: 0, end: 0 },
+      { start: 99, end: 99 }
+    ]);
+  });
+
+  it('drops unsatisfiable ranges while any other overlaps', () => {
+    assert.deepEqual(parseRanges('bytes=200-300,0-4', 100), [{ start: 0, end: 4 }]);
+    assert.deepEqual(parseRanges('bytes=200-300,400-', 100), { unsatisfiable: true });
+  });
+
+  it('rejects the whole header when one range is malformed', () => {
+    assert.equal(parseRanges('bytes=0-9,x-y', 100), null);
+    assert.equal(parseRanges('bytes=,', 100), null);
+  });
+
+  it('serves the full body for too many ranges', () => {
+    const specs = Array.from({ length: 33 }, (_, i) => `${i * 2}-${i * 2}`).join(',');
+    assert.equal(parseRanges(`bytes=${specs}`, 1000), null);
+  });
+});
+
+describe('isNotModified', () => {
+  const validators = { etag: '"abc"', lastModified: '2024-01-01T00:00:00.500Z' };
+
+  it('matches If-None-Match weakly and with *', () => {
+    assert.equal(isNotModified(get({ 'if-none-match': 'W/"abc"' }), validators), true);
+    assert.equal(isNotModified(get({ 'if-none-match': '"x", "abc"' }), validators), true);
+    assert.equal(isNotModified(get({ 'if-none-match': '*' }), validators), true);
+    assert.equal(isNotModified(get({ 'if-none-match': '"x"' }), validators), false);
+  });
+
+  it('prefers If-None-Match over If-Modified-Since', () => {
+    const req = get({ 'if-none-match': '"x"', 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+    assert.equal(isNotModified(req, validators), false);
+  });
+
+  it('compares If-Modified-Since to the second', () => {
+    assert.equal(isNotModified(get({ 'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT' }), validators), true);
+    assert.equal(isNotModified(get({ 'if-modified-since': 'Sun, 31 Dec 2023 23:59:59 GMT' }), validators), false);
+    assert.equal(isNotModified(get({ 'if-modified-since': 'not a date' }), validators), false);
+  });
+
+  it('only applies to GET and HEAD', () => {
+    assert.equal(isNotModified({ method: 'PUT', headers: { 'if-none-match': '*' } }, validators), false);
+  });
+});
+
+describe('ifRangeMatches', () => {
+  const validators = { etag: '"abc"', lastModified: '2024-01-01T00:00:00.500Z' };
+
+  it('allows ranges without If-Range', () => {
+    assert.equal(ifRangeMatches(get(), validators), true);
+  });
+
+  it('needs a strong ETag match', () => {
+    assert.equal(ifRangeMatches(get({ 'if-range': '"abc"' }), validators), true);
+    assert.equal(ifRangeMatches(get({ 'if-range': '"old"' }), validators), false);
+    assert.equal(ifRangeMatches(get({ 'if-range': 'W/"abc"' }), validators), false);
+  });
+
+  it('accepts any of several ETags', () => {
+    assert.equal(ifRangeMatches(get({ 'if-range': '"b"' }), { etag: ['"a"', '"b"'] }), true);
+  });
+
+  it('needs an exact date match', () => {
+    assert.equal(ifRangeMatches(get({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }), validators), true);
+    assert.equal(ifRangeMatches(get({ 'if-range': 'Mon, 01 Jan 2024 00:00:01 GMT' }), validators), false);
+    assert.equal(ifRangeMatches(get({ 'if-range': 'Mon, 01 Jan 2024 00:00:00 GMT' }), { etag: '"abc"' }), false);
+  });
+});
+
+describe('buildMultipartRanges', () => {
+  it('lays out part headers and counts the body length', () => {
+    const ranges = [{ start: 0, end: 4 }, { start: 10, end: 19 }];
+    const { parts, trailer, length } = buildMultipartRanges(ranges, 100, 'text/plain', 'XYZ');
+
+    assert.equal(parts[0].header.toString(),
+      '--XYZ\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-4/100\r\n\r\n');
+    assert.equal(parts[1].header.toString(),
+      '\r\n--XYZ\r\nContent-Type: text/plain\r\nContent-Range: bytes 10-19/100\r\n\r\n');
+    assert.equal(trailer.toString(), '\r\n--XYZ--\r\n');
+    assert.equal(length, parts[0].header.length + 5 + parts[1].header.length + 10 + trailer.length);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Limits are read from the environment when the module loads
+process.env.RATE_LIMIT_API = '60';
+process.env.RATE_LIMIT_API_BURST = '5';
+process.env.RATE_LIMIT_TRANSFORM = '0';
+delete process.env.RATE_LIMIT_STORE;
+delete process.env.RATE_LIMIT_ENABLED;
+
+const { CLASS_LIMITS, validateRateLimits, resolveLimit, consume, refund } = require('../utils/rateLimiter');
+
+let identityCount = 0;
+const nextIdentity = () => `test:${++identityCount}`;
+
+// Take n tokens and return the last result
+const consumeTimes = async (n, identity, apiKey) => {
+  let result;
+  for (let i = 0; i < n; i++) {
+    result = await consume('api', identity, apiKey);
+  }
+  return result;
+};
+
+describe('class limits', () => {
+  it('reads limits and bursts from the environment', () => {
+    assert.deepEqual(CLASS_LIMITS.api, { limit: 60, burst: 5 });
+    assert.deepEqual(CLASS_LIMITS.upload, { limit: 300, burst: 100 });
+  });
+
+  it('turns a class off with a limit of 0', async () => {
+    assert.equal(resolveLimit('transform'), null);
+    assert.equal(await consume('transform', nextIdentity()), null);
+  });
+
+  it('scales the burst with an API key override', () => {
+    assert.deepEqual(resolveLimit('api', { rate_limits: { api: 600 } }), { limit: 600, burst: 50 });
+    assert.deepEqual(resolveLimit('api', { rate_limits: { api: 1 } }), { limit: 1, burst: 1 });
+    assert.deepEqual(resolveLimit('api', { rate_limits: { upload: 10 } }), { limit: 60, burst: 5 });
+  });
+});
+
+describe('validateRateLimits', () => {
+  it('accepts null and per-class whole numbers', () => {
+    assert.equal(validateRateLimits(null), true);
+    assert.equal(validateRateLimits({ api: 100, upload: 1 }), true);
+  });
+
+  it('rejects unknown classes and bad values', () => {
+    assert.equal(validateRateLimits({ other: 10 }), false);
+    assert.equal(validateRateLimits({ api: 0 }), false);
+    assert.equal(validateRateLimits({ api: 1.5 }), false);
+    assert.equal(validateRateLimits({ api: 1000001 }), false);
+    assert.equal(validateRateLimits([]), false);
+    assert.equal(validateRateLimits('100'), false);
+  });
+});
+
+describe('token bucket', () => {
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  it('allows a burst and then rejects', async () => {
+    const identity = nextIdentity();
+
+    const last = await consumeTimes(5, identity);
+    assert.equal(last.allowed, true);
+    assert.equal(last.remaining, 0);
+
+    const rejected = await consume('api', identity);
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.retryAfterMs, 1000);
+    assert.equal(rejected.resetMs, 5000);
+  });
+
+  it('refills continuously at the sustained rate', async () => {
+    const identity = nextIdentity();
+    await consumeTimes(5, identity);
+
+    mock.timers.tick(500);
+    const early = await consume('api', identity);
+    assert.equal(early.allowed, false);
+    assert.equal(early.retryAfterMs, 500);
+
+    mock.timers.tick(500);
+    assert.equal((await consume('api', identity)).allowed, true);
+    assert.equal((await consume('api', identity)).allowed, false);
+  });
+
+  it('never refills past the burst', async () => {
+    const identity = nextIdentity();
+    await consume('api', identity);
+
+    mock.timers.tick(60 * 60 * 1000);
+    const result = await consume('api', identity);
+    assert.equal(result.remaining, 4);
+    assert.equal(result.resetMs, 1000);
+  });
+
+  it('keeps separate buckets per identity and API key limits', async () => {
+    const apiKey = { id: 'key', rate_limits: { api: 600 } };
+    const identity = nextIdentity();
+
+    await consumeTimes(5, identity);
+    assert.equal((await consume('api', nextIdentity())).allowed, true);
+
+    const keyIdentity = nextIdentity();
+    const keyResult = await consumeTimes(50, keyIdentity, apiKey);
+    assert.equal(keyResult.allowed, true);
+    assert.equal(keyResult.limit, 600);
+    assert.equal((await consume('api', keyIdentity, apiKey)).allowed, false);
+  });
+
+  it('gives refunded tokens back, up to the burst', async () => {
+    const identity = nextIdentity();
+    await consumeTimes(5, identity);
+
+    await refund('api', identity);
+    assert.equal((await consume('api', identity)).allowed, true);
+    assert.equal((await consume('api', identity)).allowed, false);
+
+    const fresh = nextIdentity();
+    await consume('api', fresh);
+    await refund('api', fresh);
+    await refund('api', fresh);
+    assert.equal((await consume('api', fresh)).remaining, 4);
+  });
+});
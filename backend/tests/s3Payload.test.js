@@ -0,0 +1,124 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { getSigningKey } = require('../utils/s3/sigv4');
+const { AwsChunkedDecoder, getPayloadLength, verifyPayloadDigest, getMultipartETag } = require('../utils/s3/payload');
+
+// The aws-chunked example from the AWS "Signature Version 4 for Amazon S3" documentation
+const SIGNING = {
+  signingKey: getSigningKey('wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY', '20130524', 'us-east-1', 's3'),
+  amzDate: '20130524T000000Z',
+  scope: '20130524/us-east-1/s3/aws4_request',
+  seedSignature: '4f232c4386841ef735655705268965c44a0e4690baa4adea153f7db9fa80a0a9'
+};
+const CHUNK_SIGNATURES = [
+  'ad80c730a21e5b8d04586a2213dd63b9a0e99e0e2307b0ade35a65485a288648',
+  '0055627c9e194cb4542bae2aa5492e3c1575bbb81b612b7d234b86a503ef5497',
+  'b6c6ea8a5354eaf15b3cb7646744f4275b71ea724fed81ceb9323e279d449df9'
+];
+
+// Frame chunks as an aws-chunked body, with signatures when given
+const encodeChunks = (chunks, signatures = []) => Buffer.concat([...chunks, Buffer.alloc(0)].map((chunk, index) => {
+  const extension = signatures[index] ? `;chunk-signature=${signatures[index]}` : '';
+  return Buffer.concat([Buffer.from(`${chunk.length.toString(16)}${extension}\r\n`), chunk, Buffer.from('\r\n')]);
+}));
+
+// Feed a body through a decoder in pieces of the given size
+const decode = async (body, signing = null, pieceSize = body.length) => {
+  const pieces = [];
+  for (let offset = 0; offset < body.length; offset += pieceSize) {
+    pieces.push(body.subarray(offset, offset + pieceSize));
+  }
+
+  const output = [];
+  for await (const data of Readable.from(pieces).pipe(new AwsChunkedDecoder(signing))) {
+    output.push(data);
+  }
+  return Buffer.concat(output);
+};
+
+describe('AwsChunkedDecoder', () => {
+  const chunks = [Buffer.alloc(65536, 'a'), Buffer.alloc(1024, 'a')];
+
+  it('decodes and verifies a signed body', async () => {
+    const decoded = await decode(encodeChunks(chunks, CHUNK_SIGNATURES), SIGNING);
+    assert.deepEqual(decoded, Buffer.concat(chunks));
+  });
+
+  it('decodes bodies split at any point', async () => {
+    const decoded = await decode(encodeChunks(chunks, CHUNK_SIGNATURES), SIGNING, 7);
+    assert.equal(decoded.length, 66560);
+  });
+
+  it('decodes unsigned bodies', async () => {
+    const body = encodeChunks([Buffer.from('hello '), Buffer.from('world')]);
+    assert.equal((await decode(body)).toString(), 'hello world');
+  });
+
+  it('ignores trailing headers after the final chunk', async () => {
+    const body = Buffer.concat([encodeChunks([Buffer.from('data')]), Buffer.from('x-amz-checksum-crc32:AAAAAA==\r\n\r\n')]);
+    assert.equal((await decode(body)).toString(), 'data');
+  });
+
+  it('rejects a chunk with the wrong signature', async () => {
+    const signatures = [CHUNK_SIGNATURES[0], CHUNK_SIGNATURES[0], CHUNK_SIGNATURES[2]];
+    await assert.rejects(decode(encodeChunks(chunks, signatures), SIGNING), { code: 'SignatureDoesNotMatch' });
+  });
+
+  it('rejects unsigned chunks when signing is required', async () => {
+    await assert.rejects(decode(encodeChunks(chunks), SIGNING), { code: 'InvalidRequest' });
+  });
+
+  it('rejects malformed framing', async () => {
+    await assert.rejects(decode(Buffer.from('zz\r\nabc\r\n0\r\n\r\n')), { code: 'InvalidRequest' });
+    await assert.rejects(decode(Buffer.from('3\r\nabcX\r\n0\r\n\r\n')), { code: 'InvalidRequest' });
+    await assert.rejects(decode(Buffer.alloc(5000, '1')), { code: 'InvalidRequest' });
+  });
+
+  it('rejects a body that ends early', async () => {
+    await assert.rejects(decode(Buffer.from('a\r\nabc')), { code: 'IncompleteBody' });
+  });
+});
+
+describe('getPayloadLength', () => {
+  it('prefers the decoded length of aws-chunked bodies', () => {
+    assert.equal(getPayloadLength({ headers: { 'x-amz-decoded-content-length': '66560', 'content-length': '66824' } }), 66560);
+    assert.equal(getPayloadLength({ headers: { 'content-length': '12' } }), 12);
+    assert.ok(Number.isNaN(getPayloadLength({ headers: {} })));
+  });
+});
+
+describe('verifyPayloadDigest', () => {
+  const body = Buffer.from('Welcome to Amazon S3.');
+  const digest = {
+    sha256: crypto.createHash('sha256').update(body).digest('hex'),
+    md5: crypto.createHash('md5').update(body).digest('hex')
+  };
+  const request = (payloadHash, headers = {}) => ({ s3Auth: { payloadHash }, headers });
+
+  it('accepts matching and unsigned payloads', () => {
+    assert.doesNotThrow(() => verifyPayloadDigest(request(digest.sha256.toUpperCase()), digest));
+    assert.doesNotThrow(() => verifyPayloadDigest(request('UNSIGNED-PAYLOAD'), digest));
+  });
+
+  it('rejects a mismatched x-amz-content-sha256', () => {
+    assert.throws(() => verifyPayloadDigest(request('0'.repeat(64)), digest), { code: 'XAmzContentSHA256Mismatch' });
+  });
+
+  it('checks Content-MD5', () => {
+    const contentMd5 = Buffer.from(digest.md5, 'hex').toString('base64');
+    assert.doesNotThrow(() => verifyPayloadDigest(request('UNSIGNED-PAYLOAD', { 'content-md5': contentMd5 }), digest));
+    assert.throws(() => verifyPayloadDigest(request('UNSIGNED-PAYLOAD', { 'content-md5': 'AAAA' }), digest), { code: 'BadDigest' });
+  });
+});
+
+describe('getMultipartETag', () => {
+  it('hashes the binary part MD5s and appends the part count', () => {
+    const parts = [Buffer.alloc(5 * 1024 * 1024, 'a'), Buffer.from('tail')];
+    const partMd5s = parts.map(part => crypto.createHash('md5').update(part).digest());
+    const expected = crypto.createHash('md5').update(Buffer.concat(partMd5s)).digest('hex');
+
+    assert.equal(getMultipartETag(partMd5s.map(md5 => md5.toString('hex'))), `${expected}-2`);
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Configuration is read when the modules load
+process.env.JWT_SECRET = 'tus-test-secret';
+process.env.STORAGE_STAGING_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'tus-test-'));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { pool, lockPool } = require('../models/database');
+const tusRoutes = require('../routers/tus');
+
+const UPLOAD_LENGTH = 10;
+const token = jwt.sign({ userId: crypto.randomUUID() }, process.env.JWT_SECRET);
+
+// A pool of `size` connections that makes callers wait for a free one, as pg's does
+const createFakePool = (size, answer) => {
+  const waiting = [];
+  const fake = { inUse: 0 };
+
+  const acquire = () => new Promise(resolve => {
+    if (fake.inUse < size) {
+      fake.inUse++;
+      resolve();
+    } else {
+      waiting.push(resolve);
+    }
+  });
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      fake.inUse--;
+    }
+  };
+
+  fake.connect = async () => {
+    await acquire();
+    return { query: async (text, params) => answer(text, params), release };
+  };
+
+  fake.query = async (text, params) => {
+    await acquire();
+    try {
+      return await answer(text, params);
+    } finally {
+      release();
+    }
+  };
+
+  return fake;
+};
+
+// Upload session queries, answered for any upload id
+const answerSessionQuery = async (text, params) => {
+  if (/SELECT \* FROM upload_sessions/.test(text)) {
+    return {
+      rows: [{
+        id: params[0],
+        user_id: params[1],
+        size: String(UPLOAD_LENGTH),
+        expires_at: new Date(Date.now() + 60 * 60 * 1000)
+      }]
+    };
+  }
+  return { rows: [], rowCount: 1 };
+};
+
+// Advisory locks, held per key like Postgres session locks
+const heldLocks = new Set();
+const answerLockQuery = async (text, params) => {
+  if (/pg_try_advisory_lock/.test(text)) {
+    const locked = !heldLocks.has(params[0]);
+    heldLocks.add(params[0]);
+    return { rows: [{ locked }] };
+  }
+  if (/pg_advisory_unlock/.test(text)) {
+    return { rows: [{ pg_advisory_unlock: heldLocks.delete(params[0]) }] };
+  }
+  throw new Error(`Unexpected lock query: ${text}`);
+};
+
+// Any query, so locks taken from the request pool would work as well
+const answerQuery = async (text, params) => {
+  return /advisory/.test(text) ? answerLockQuery(text, params) : answerSessionQuery(text, params);
+};
+
+// Start a PATCH that sends its first bytes and waits; finish() sends the rest
+const startPatch = (port, uploadId) => {
+  const request = http.request({
+    port,
+    method: 'PATCH',
+    path: `/api/tus/${uploadId}`,
+    agent: false,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Tus-Resumable': '1.0.0',
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': '0'
+    }
+  });
+
+  const response = new Promise((resolve, reject) => {
+    request.on('response', res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    });
+    request.on('error', reject);
+  });
+
+  request.write(Buffer.alloc(4, 'a'));
+  return { response, finish: () => request.end(Buffer.alloc(UPLOAD_LENGTH - 4, 'b')) };
+};
+
+const waitFor = async (condition) => {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for PATCHes to take their locks');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('tus PATCH locking', { timeout: 10000 }, () => {
+  let server;
+  let port;
+  let requestPool;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/tus', tusRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(process.env.STORAGE_STAGING_PATH, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    requestPool = createFakePool(2, answerQuery);
+    mock.method(pool, 'connect', requestPool.connect);
+    mock.method(pool, 'query', requestPool.query);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    heldLocks.clear();
+  });
+
+  it('streams more PATCHes than the request pool has connections', async () => {
+    mock.method(lockPool, 'connect', createFakePool(10, answerLockQuery).connect);
+
+    const patches = Array.from({ length: 5 }, () => startPatch(port, crypto.randomUUID()));
+    await waitFor(() => heldLocks.size === patches.length);
+
+    // Every body is still streaming, and no request pool connection is held for it
+    assert.equal(requestPool.inUse, 0);
+
+    patches.forEach(patch => patch.finish());
+    for (const res of await Promise.all(patches.map(patch => patch.response))) {
+      assert.equal(res.statusCode, 204);
+      assert.equal(res.headers['upload-offset'], String(UPLOAD_LENGTH));
+    }
+    assert.equal(heldLocks.size, 0);
+  });
+
+  it('queues PATCHes for a lock connection without blocking the request pool', async () => {
+    const locks = createFakePool(2, answerLockQuery);
+    mock.method(lockPool, 'connect', locks.connect);
+
+    const patches = Array.from({ length: 4 }, () => startPatch(port, crypto.randomUUID()));
+    await waitFor(() => heldLocks.size === 2);
+    assert.equal(requestPool.inUse, 0);
+
+    patches.forEach(patch => patch.finish());
+    for (const res of await Promise.all(patches.map(patch => patch.response))) {
+      assert.equal(res.statusCode, 204);
+    }
+    assert.equal(locks.inUse, 0);
+  });
+
+  it('rejects a second PATCH to an upload that is receiving data', async () => {
+    mock.method(lockPool, 'connect', createFakePool(10, answerLockQuery).connect);
+    const uploadId = crypto.randomUUID();
+
+    const first = startPatch(port, uploadId);
+    await waitFor(() => heldLocks.size === 1);
+
+    const second = startPatch(port, uploadId);
+    second.finish();
+    assert.equal((await second.response).statusCode, 423);
+
+    first.finish();
+    assert.equal((await first.response).statusCode, 204);
+  });
+});
@@ -37,6 +37,35 @@ class AnalyticsService {
     }
   }
 
+  // Track a file copied into a bucket (blobs are shared, but the bucket holds more data)
+  async trackCopy(userId, bucketId, fileSize) {
+    try {
+      await this.updateDailyStats(userId, bucketId, {
+        copies_count: 1,
+        storage_bytes: fileSize
+      });
+    } catch (error) {
+      console.error('Failed to track copy:', error);
+    }
+  }
+
+  // Track a file moved between (or within) buckets
+  async trackMove(userId, sourceBucketId, targetBucketId, fileSize) {
+    try {
+      if (sourceBucketId !== targetBucketId) {
+        await this.updateDailyStats(userId, sourceBucketId, {
+          storage_bytes: -fileSize
+        });
+      }
+      await this.updateDailyStats(userId, targetBucketId, {
+        moves_count: 1,
+        storage_bytes: sourceBucketId !== targetBucketId ? fileSize : 0
+      });
+    } catch (error) {
+      console.error('Failed to track move:', error);
+    }
+  }
+
   // Update daily statistics
   async updateDailyStats(userId, bucketId, stats) {
     const today = new Date().toISOString().split('T')[0];
@@ -74,6 +103,8 @@ class AnalyticsService {
         SUM(uploads_count) as total_uploads,
         SUM(downloads_count) as total_downloads,
         SUM(deletes_count) as total_deletes,
+        SUM(copies_count) as total_copies,
+        SUM(moves_count) as total_moves,
         SUM(bandwidth_bytes) as total_bandwidth,
         SUM(CASE WHEN storage_bytes > 0 THEN storage_bytes ELSE 0 END) as total_storage,
         date
@@ -92,9 +123,11 @@ class AnalyticsService {
       uploads: acc.uploads + parseInt(row.total_uploads || 0),
       downloads: acc.downloads + parseInt(row.total_downloads || 0),
       deletes: acc.deletes + parseInt(row.total_deletes || 0),
+      copies: acc.copies + parseInt(row.total_copies || 0),
+      moves: acc.moves + parseInt(row.total_moves || 0),
       bandwidth: acc.bandwidth + parseInt(row.total_bandwidth || 0),
       storage: acc.storage + parseInt(row.total_storage || 0)
-    }), { uploads: 0, downloads: 0, deletes: 0, bandwidth: 0, storage: 0 });
+    }), { uploads: 0, downloads: 0, deletes: 0, copies: 0, moves: 0, bandwidth: 0, storage: 0 });
 
     return {
       totals,
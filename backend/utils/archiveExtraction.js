@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const { pool } = require('../models/database');
+const FileValidationService = require('./fileValidation');
+const { validateFileSize } = require('./fileLimits');
+const { RemoCloudError, createError } = require('./errors');
+const { storeFileStream } = require('./fileStorage');
+const { stageUpload, openStagedUpload, removeStagedUpload, getStagingPath } = require('./uploadStaging');
+const { buildObjectKey, recordUploadedFile } = require('./uploadSessions');
+const { createFolder, FOLDER_DELIMITER } = require('./folders');
+const { readArchiveEntries, ArchiveFormatError } = require('./archiveReader');
+const contentIndexer = require('./contentIndex');
+
+// An upload marked for extraction is expanded once its body is staged: each entry is
+// checked like an upload of its own (bucket allowed_types and the size limit for its
+// type) and stored as a file under a folder named after the archive. Extraction runs
+// after the complete request returns; progress and the per-entry report are kept in
+// the session's metadata_json.extraction. Declared sizes are checked against limits
+// before anything is read, and entry streams fail if they run past them, so a zip
+// bomb stops at the first entry that lies. Nested archives are stored, not expanded.
+const MAX_ENTRIES = parseInt(process.env.EXTRACT_MAX_ENTRIES) || 10000;
+const MAX_TOTAL_SIZE = parseInt(process.env.EXTRACT_MAX_TOTAL_SIZE) || 1024 * 1024 * 1024; // 1GB expanded
+const MAX_RATIO = parseInt(process.env.EXTRACT_MAX_RATIO) || 100; // Expanded bytes per archive byte
+const RATIO_MIN_SIZE = 1024 * 1024; // Below this, high ratios are just text compressing well
+const MAX_NAME_LENGTH = 255; // files.original_name
+const PROGRESS_INTERVAL = 1000;
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$)/;
+const CONTROL_CHARACTER_PATTERN = /[\x00-\x1f\x7f]/;
+
+// Folder the entries go into: the archive's name without its extension, next to it
+const getExtractionRoot = (archiveName) => {
+  const stem = archiveName.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '') || 'archive';
+  return `${stem}${FOLDER_DELIMITER}`;
+};
+
+// Map an entry name to a file name in the bucket, refusing anything that could land
+// outside the extraction folder
+const resolveEntryName = (entryName, root) => {
+  const unified = entryName.replace(/\\/g, FOLDER_DELIMITER);
+
+  if (CONTROL_CHARACTER_PATTERN.test(unified)) {
+    throw createError('INVALID_REQUEST', { entry: entryName }, 'Entry name contains control characters');
+  }
+  if (unified.startsWith(FOLDER_DELIMITER) || /^[a-zA-Z]:/.test(unified)) {
+    throw createError('INVALID_REQUEST', { entry: entryName }, 'Entries with absolute paths are not extracted');
+  }
+
+  const segments = unified.split(FOLDER_DELIMITER).filter(segment => segment && segment !== '.');
+  if (segments.includes('..')) {
+    throw createError('INVALID_REQUEST', { entry: entryName }, 'Entries with ".." in their path are not extracted');
+  }
+  if (segments.length === 0) {
+    throw createError('INVALID_REQUEST', { entry: entryName }, 'Entry has no name');
+  }
+
+  const name = `${root}${segments.join(FOLDER_DELIMITER)}`;
+  if (name.length > MAX_NAME_LENGTH) {
+    throw createError('INVALID_REQUEST', { entry: entryName }, `Entry path is limited to ${MAX_NAME_LENGTH} characters`);
+  }
+  return name;
+};
+
+// Turn an entry failure into the shape stored in the report
+const toEntryError = (error) => {
+  if (error instanceof RemoCloudError) {
+    return { code: error.code, message: error.message };
+  }
+  if (error instanceof ArchiveFormatError) {
+    return { code: 'INVALID_REQUEST', message: error.message };
+  }
+  console.error('Archive entry error:', error);
+  return { code: 'INTERNAL_ERROR', message: 'Entry could not be extracted' };
+};
+
+// Check an entry against the bucket policy and the limits for its type
+const validateEntry = (entry, name, bucket) => {
+  const mimeType = FileValidationService.getMimeFromExtension(name);
+
+  const allowedTypes = bucket.allowed_types || ['*'];
+  const typeValidation = FileValidationService.validateFileType(name, mimeType, allowedTypes);
+  if (!typeValidation.isValid) {
+    const errorInfo = FileValidationService.formatValidationError(typeValidation, allowedTypes);
+    throw createError('INVALID_FILE_TYPE', {
+      allowedTypes: errorInfo.allowedTypes,
+      validationErrors: typeValidation.errors,
+      receivedType: mimeType
+    }, errorInfo.message);
+  }
+
+  const sizeValidation = validateFileSize(mimeType, entry.size);
+  if (!sizeValidation.isValid) {
+    throw createError('FILE_TOO_LARGE', {
+      maxSize: sizeValidation.limit,
+      receivedSize: entry.size,
+      mimeType
+    }, `File too large. Maximum size for ${mimeType} is ${Math.round(sizeValidation.limit / 1024 / 1024)}MB`);
+  }
+
+  if (entry.compressedSize !== undefined && entry.size > RATIO_MIN_SIZE &&
+      entry.size > entry.compressedSize * MAX_RATIO) {
+    throw createError('INVALID_REQUEST', { size: entry.size, compressedSize: entry.compressedSize },
+      `Entry expands more than ${MAX_RATIO}x; it is not extracted`);
+  }
+
+  return { mimeType, maxSize: sizeValidation.limit };
+};
+
+// Stage one entry and store it as a file, in its own transaction
+const storeEntry = async (entry, { name, mimeType, maxSize, bucket, userId, uploadId }) => {
+  const stagingId = crypto.randomUUID();
+
+  try {
+    const digest = await stageUpload(await entry.open(), stagingId, { maxSize });
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await storeFileStream(client, openStagedUpload(stagingId), digest.sha256, digest.size, {
+        mimeType,
+        bucketId: bucket.id,
+        md5: digest.md5
+      });
+
+      const file = await recordUploadedFile(client, {
+        bucket,
+        userId,
+        uploadId,
+        name,
+        mimeType,
+        size: digest.size,
+        objectKey: buildObjectKey(userId, bucket, name),
+        fileHash: digest.sha256
+      });
+
+      await client.query('COMMIT');
+      contentIndexer.enqueue(file);
+      return file;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } finally {
+    await removeStagedUpload(stagingId);
+  }
+};
+
+// Extract one entry and describe the outcome for the report
+const extractEntry = async (entry, context) => {
+  const item = { path: entry.name };
+
+  if (IGNORED_ENTRY_PATTERN.test(entry.name.replace(/\\/g, FOLDER_DELIMITER))) {
+    return { ...item, status: 'skipped', reason: 'Archive metadata' };
+  }
+  if (entry.type === 'symlink') {
+    return { ...item, status: 'skipped', reason: 'Links are not extracted' };
+  }
+  if (entry.type === 'unsupported') {
+    return { ...item, status: 'skipped', reason: 'Special files are not extracted' };
+  }
+
+  try {
+    const name = resolveEntryName(entry.name, context.root);
+
+    if (entry.type === 'directory') {
+      await createFolder(context.bucket.id, context.userId, name);
+      return { ...item, name: `${name}${FOLDER_DELIMITER}`, status: 'extracted', type: 'folder' };
+    }
+    if (entry.type === 'encrypted') {
+      throw createError('INVALID_REQUEST', { entry: entry.name }, 'Encrypted entries are not supported');
+    }
+
+    const { mimeType, maxSize } = validateEntry(entry, name, context.bucket);
+    const file = await storeEntry(entry, { ...context, name, mimeType, maxSize });
+
+    return { ...item, name, status: 'extracted', type: 'file', fileId: file.id, size: entry.size };
+  } catch (error) {
+    return { ...item, status: 'failed', error: toEntryError(error), fatal: error instanceof ArchiveFormatError };
+  }
+};
+
+// Save extraction state on the upload session
+const saveExtraction = async (uploadId, extraction) => {
+  await pool.query(`
+    UPDATE upload_sessions
+    SET metadata_json = jsonb_set(COALESCE(metadata_json, '{}'), '{extraction}', $1::jsonb)
+    WHERE id = $2
+  `, [JSON.stringify(extraction), uploadId]);
+};
+
+// Walk the archive, storing entries and recording progress as it goes
+const runExtraction = async (session, extraction) => {
+  const entries = [];
+  let lastSaved = Date.now();
+
+  try {
+    const bucketResult = await pool.query(
+      'SELECT * FROM buckets WHERE id = $1 AND deleted_at IS NULL',
+      [session.bucket_id]
+    );
+    const bucket = bucketResult.rows[0];
+    if (!bucket) {
+      throw createError('BUCKET_NOT_FOUND', { bucketId: session.bucket_id });
+    }
+
+    const context = {
+      bucket,
+      userId: session.user_id,
+      uploadId: session.id,
+      root: getExtractionRoot(session.original_name)
+    };
+    const archiveSize = parseInt(session.metadata_json.staged.size) || 1;
+    const maxExpandedSize = Math.min(MAX_TOTAL_SIZE, Math.max(archiveSize * MAX_RATIO, RATIO_MIN_SIZE));
+
+    for await (const entry of readArchiveEntries(getStagingPath(session.id), extraction.format, { maxEntries: MAX_ENTRIES })) {
+      // The whole archive is held to the same limits, so many small entries can't add up to a bomb
+      if (entry.type === 'file' && extraction.expandedSize + entry.size > maxExpandedSize) {
+        entries.push({
+          path: entry.name,
+          status: 'failed',
+          error: { code: 'FILE_TOO_LARGE', message: `Archive expands to more than ${maxExpandedSize} bytes` }
+        });
+        extraction.processed++;
+        extraction.failed++;
+        throw createError('FILE_TOO_LARGE', { maxSize: maxExpandedSize },
+          'Extraction stopped: the archive expands past the allowed size');
+      }
+
+      const { fatal, ...item } = await extractEntry(entry, context);
+      entries.push(item);
+      extraction.processed++;
+      extraction[item.status]++;
+      if (item.status === 'extracted' && item.type === 'file') {
+        extraction.expandedSize += item.size;
+      }
+      extraction.progress = Math.min(Math.round((entry.position / archiveSize) * 100), 99);
+
+      // A broken tar stream can't be resynchronised; ZIP entries are independent
+      if (fatal && extraction.format !== 'zip') {
+        throw createError('INVALID_REQUEST', {}, item.error.message);
+      }
+
+      if (Date.now() - lastSaved >= PROGRESS_INTERVAL) {
+        await saveExtraction(session.id, extraction);
+        lastSaved = Date.now();
+      }
+    }
+
+    extraction.status = 'completed';
+    extraction.progress = 100;
+  } catch (error) {
+    extraction.status = 'failed';
+    extraction.error = toEntryError(error);
+  } finally {
+    extraction.finishedAt = new Date().toISOString();
+    extraction.entries = entries;
+    await saveExtraction(session.id, extraction);
+    await removeStagedUpload(session.id);
+  }
+};
+
+// Claim a staged archive upload for extraction and start expanding it. Returns the
+// initial extraction state; GET /api/uploads/:uploadId reports progress from there.
+const startArchiveExtraction = async (session) => {
+  const extraction = {
+    status: 'running',
+    format: session.metadata_json.extract,
+    progress: 0,
+    processed: 0,
+    extracted: 0,
+    skipped: 0,
+    failed: 0,
+    expandedSize: 0,
+    startedAt: new Date().toISOString()
+  };
+
+  const claimed = await pool.query(`
+    UPDATE upload_sessions
+    SET completed_at = CURRENT_TIMESTAMP,
+        metadata_json = jsonb_set(COALESCE(metadata_json, '{}'), '{extraction}', $1::jsonb)
+    WHERE id = $2 AND completed_at IS NULL
+    RETURNING id
+  `, [JSON.stringify(extraction), session.id]);
+
+  if (!claimed.rows[0]) {
+    throw createError('UPLOAD_SESSION_NOT_FOUND', { uploadId: session.id });
+  }
+
+  runExtraction(session, extraction).catch(error => {
+    console.error('Archive extraction error:', error);
+  });
+
+  return extraction;
+};
+
+module.exports = {
+  MAX_ENTRIES,
+  getExtractionRoot,
+  resolveEntryName,
+  startArchiveExtraction
+};
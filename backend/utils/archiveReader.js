@@ -0,0 +1,446 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+// Readers for uploaded archives. ZIPs are read through their central directory;
+// tar and tar.gz are parsed as one forward stream. Both yield entries as
+// { name, size, type, position, open() }, where open() returns the entry's bytes and
+// position is roughly how far into the archive file the entry lies. Sizes come
+// from the archive and can't be trusted, so entry streams fail as soon as they run
+// past the declared size (or, for ZIPs, when the CRC doesn't match).
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const MAX_EOCD_SEARCH = 22 + 0xFFFF; // Record plus the longest comment
+const TAR_BLOCK = 512;
+const MAX_TAR_METADATA = 1024 * 1024; // Pax and long-name records are read into memory
+
+class ArchiveFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveFormatError';
+  }
+}
+
+// Which archive format a file name (and MIME type) denotes, if any
+const getArchiveFormat = (filename, mimeType = '') => {
+  const name = filename.toLowerCase();
+  if (name.endsWith('.zip') || mimeType === 'application/zip' || mimeType === 'application/x-zip-compressed') {
+    return 'zip';
+  }
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+    return 'tar.gz';
+  }
+  if (name.endsWith('.tar') || mimeType === 'application/x-tar') {
+    return 'tar';
+  }
+  return null;
+};
+
+// Pass an entry's bytes through, failing past the declared size or on a CRC mismatch
+async function* checkEntryContent(source, { name, size, crc }) {
+  let received = 0;
+  let checksum = 0;
+
+  for await (const chunk of source) {
+    received += chunk.length;
+    if (received > size) {
+      throw new ArchiveFormatError(`${name} is larger than the archive declares`);
+    }
+    if (crc !== undefined) {
+      checksum = zlib.crc32(chunk, checksum);
+    }
+    yield chunk;
+  }
+
+  if (received !== size) {
+    throw new ArchiveFormatError(`${name} is truncated`);
+  }
+  if (crc !== undefined && checksum !== crc) {
+    throw new ArchiveFormatError(`${name} failed its CRC check`);
+  }
+}
+
+// Read exactly length bytes at position
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead !== length) {
+    throw new ArchiveFormatError('Unexpected end of archive');
+  }
+  return buffer;
+};
+
+// Locate the central directory through the (ZIP64) end of central directory record
+const readZipDirectoryLocation = async (handle, fileSize) => {
+  const searchLength = Math.min(fileSize, MAX_EOCD_SEARCH);
+  const tail = await readAt(handle, fileSize - searchLength, searchLength);
+
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new ArchiveFormatError('Not a ZIP archive');
+  }
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+
+  if (count === 0xFFFF || size === ZIP32_LIMIT || offset === ZIP32_LIMIT) {
+    const locatorPosition = fileSize - searchLength + eocd - 20;
+    const locator = locatorPosition >= 0 ? await readAt(handle, locatorPosition, 20) : null;
+    if (!locator || locator.readUInt32LE(0) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new ArchiveFormatError('Missing ZIP64 end of central directory locator');
+    }
+
+    const record = await readAt(handle, Number(locator.readBigUInt64LE(8)), 56);
+    if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+      throw new ArchiveFormatError('Invalid ZIP64 end of central directory record');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    size = Number(record.readBigUInt64LE(40));
+    offset = Number(record.readBigUInt64LE(48));
+  }
+
+  if (offset + size > fileSize) {
+    throw new ArchiveFormatError('ZIP central directory lies outside the file');
+  }
+  return { count, size, offset };
+};
+
+// Values from a ZIP64 extra field replace the 32-bit fields set to their maximum
+const applyZip64Extra = (entry, extra) => {
+  let position = 0;
+  while (position + 4 <= extra.length) {
+    const id = extra.readUInt16LE(position);
+    const length = extra.readUInt16LE(position + 2);
+    if (id === 0x0001) {
+      let field = position + 4;
+      const next = () => {
+        const value = Number(extra.readBigUInt64LE(field));
+        field += 8;
+        return value;
+      };
+      if (entry.size === ZIP32_LIMIT) entry.size = next();
+      if (entry.compressedSize === ZIP32_LIMIT) entry.compressedSize = next();
+      if (entry.localOffset === ZIP32_LIMIT) entry.localOffset = next();
+      return;
+    }
+    position += 4 + length;
+  }
+};
+
+// Parse central directory records into entry descriptions
+const parseZipDirectory = (directory, count) => {
+  const entries = [];
+  let position = 0;
+
+  for (let index = 0; index < count; index++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new ArchiveFormatError('Corrupt ZIP central directory');
+    }
+
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const externalAttributes = directory.readUInt32LE(position + 38);
+    const nameStart = position + 46;
+    const mode = (externalAttributes >>> 16) & 0o170000;
+
+    const entry = {
+      name: directory.toString('utf8', nameStart, nameStart + nameLength),
+      flags: directory.readUInt16LE(position + 8),
+      method: directory.readUInt16LE(position + 10),
+      crc: directory.readUInt32LE(position + 16),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      localOffset: directory.readUInt32LE(position + 42)
+    };
+    applyZip64Extra(entry, directory.subarray(nameStart + nameLength, nameStart + nameLength + extraLength));
+
+    if (entry.name.endsWith('/')) {
+      entry.type = 'directory';
+    } else if (mode === 0o120000) {
+      entry.type = 'symlink';
+    } else if (entry.flags & 0x0001) {
+      entry.type = 'encrypted';
+    } else if (entry.method !== 0 && entry.method !== 8) {
+      entry.type = 'unsupported';
+    } else {
+      entry.type = 'file';
+    }
+
+    entries.push(entry);
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Entries of a ZIP file on disk. maxEntries is checked before the directory is read.
+async function* readZipEntries(filePath, { maxEntries } = {}) {
+  const handle = await fsp.open(filePath, 'r');
+
+  try {
+    const { size: fileSize } = await handle.stat();
+    const location = await readZipDirectoryLocation(handle, fileSize);
+
+    if (maxEntries && location.count > maxEntries) {
+      throw new ArchiveFormatError(`Archive has ${location.count} entries; at most ${maxEntries} can be extracted`);
+    }
+
+    const directory = await readAt(handle, location.offset, location.size);
+
+    for (const entry of parseZipDirectory(directory, location.count)) {
+      yield {
+        name: entry.name,
+        size: entry.size,
+        compressedSize: entry.compressedSize,
+        type: entry.type,
+        position: Math.min(entry.localOffset + entry.compressedSize, fileSize),
+        open: async () => {
+          const header = await readAt(handle, entry.localOffset, 30);
+          if (header.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+            throw new ArchiveFormatError(`Corrupt local header for ${entry.name}`);
+          }
+
+          const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+          if (dataStart + entry.compressedSize > fileSize) {
+            throw new ArchiveFormatError(`${entry.name} lies outside the archive`);
+          }
+
+          const raw = entry.compressedSize > 0
+            ? handle.createReadStream({ autoClose: false, start: dataStart, end: dataStart + entry.compressedSize - 1 })
+            : [];
+          const content = entry.method === 8
+            ? pipeline(raw, zlib.createInflateRaw(), () => {})
+            : raw;
+
+          return checkEntryContent(content, entry);
+        }
+      };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// Buffered reads over a byte stream, for the tar parser
+class StreamReader {
+  constructor(source) {
+    this.iterator = source[Symbol.asyncIterator]();
+    this.buffer = Buffer.alloc(0);
+    this.done = false;
+  }
+
+  async fill(length) {
+    while (this.buffer.length < length && !this.done) {
+      const { value, done } = await this.iterator.next();
+      if (done) {
+        this.done = true;
+      } else {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, value]) : value;
+      }
+    }
+  }
+
+  // Up to length bytes (fewer only at the end of the stream)
+  async read(length) {
+    await this.fill(length);
+    const chunk = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(chunk.length);
+    return chunk;
+  }
+
+  // Exactly length bytes, as chunks
+  async* take(length) {
+    let remaining = length;
+    while (remaining > 0) {
+      await this.fill(1);
+      if (this.buffer.length === 0) {
+        throw new ArchiveFormatError('Unexpected end of tar archive');
+      }
+      const chunk = this.buffer.subarray(0, remaining);
+      this.buffer = this.buffer.subarray(chunk.length);
+      remaining -= chunk.length;
+      yield chunk;
+    }
+  }
+
+  async skip(length) {
+    for await (const chunk of this.take(length)) {
+      void chunk;
+    }
+  }
+
+  async close() {
+    if (this.iterator.return) {
+      await this.iterator.return();
+    }
+  }
+}
+
+// Parse a NUL-terminated (or full-width) string field
+const tarString = (header, start, length) => {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? field.length : end);
+};
+
+// Parse an octal (or base-256) numeric field
+const tarNumber = (header, start, length) => {
+  if (header[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + header[i];
+    }
+    return value;
+  }
+  const text = tarString(header, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+};
+
+// Records of a pax extended header ("<length> <key>=<value>\n")
+const parsePaxHeaders = (buffer) => {
+  const headers = {};
+  let position = 0;
+  while (position < buffer.length) {
+    const space = buffer.indexOf(0x20, position);
+    const length = parseInt(buffer.toString('utf8', position, space));
+    if (!length || space === -1) break;
+    const record = buffer.toString('utf8', space + 1, position + length - 1);
+    const equals = record.indexOf('=');
+    headers[record.slice(0, equals)] = record.slice(equals + 1);
+    position += length;
+  }
+  return headers;
+};
+
+// Entries of a tar (or gzipped tar) file. Each entry must be consumed or skipped
+// before the next one is requested; unread bytes are skipped automatically.
+async function* readTarEntries(filePath, { gzip = false, maxEntries } = {}) {
+  const file = fs.createReadStream(filePath);
+  const source = gzip ? pipeline(file, zlib.createGunzip(), () => {}) : file;
+  const reader = new StreamReader(source);
+  let count = 0;
+  let pax = {};
+  let longName = null;
+
+  try {
+    while (true) {
+      const header = await reader.read(TAR_BLOCK);
+      if (header.length < TAR_BLOCK || header.every(byte => byte === 0)) {
+        return;
+      }
+
+      const checksum = tarNumber(header, 148, 8);
+      let sum = 0;
+      for (let i = 0; i < TAR_BLOCK; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+      }
+      if (sum !== checksum) {
+        throw new ArchiveFormatError('Corrupt tar header');
+      }
+
+      const typeFlag = String.fromCharCode(header[156] || 0x30);
+      const size = pax.size !== undefined ? parseInt(pax.size) : tarNumber(header, 124, 12);
+      const padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+      // Metadata records describe the entry that follows them
+      if (typeFlag === 'x' || typeFlag === 'L') {
+        if (!Number.isInteger(size) || size > MAX_TAR_METADATA) {
+          throw new ArchiveFormatError(`Tar metadata record is larger than ${MAX_TAR_METADATA} bytes`);
+        }
+        const data = Buffer.concat(await collect(reader.take(size)));
+        await reader.skip(padding);
+        if (typeFlag === 'x') {
+          pax = parsePaxHeaders(data);
+        } else {
+          longName = tarString(data, 0, data.length);
+        }
+        continue;
+      }
+      if (typeFlag === 'g') {
+        await reader.skip(size + padding);
+        continue;
+      }
+
+      const prefix = tarString(header, 345, 155);
+      const baseName = tarString(header, 0, 100);
+      const name = pax.path || longName || (prefix ? `${prefix}/${baseName}` : baseName);
+      pax = {};
+      longName = null;
+
+      count++;
+      if (maxEntries && count > maxEntries) {
+        throw new ArchiveFormatError(`Archive has more than ${maxEntries} entries`);
+      }
+
+      let type;
+      if (typeFlag === '0' || typeFlag === '7') {
+        type = 'file';
+      } else if (typeFlag === '5') {
+        type = 'directory';
+      } else if (typeFlag === '1' || typeFlag === '2') {
+        type = 'symlink';
+      } else {
+        type = 'unsupported';
+      }
+
+      const state = { remaining: type === 'file' ? size : 0 };
+
+      yield {
+        name,
+        size,
+        type,
+        position: file.bytesRead,
+        open: async () => {
+          async function* content() {
+            for await (const chunk of reader.take(state.remaining)) {
+              state.remaining -= chunk.length;
+              yield chunk;
+            }
+          }
+          return checkEntryContent(content(), { name, size });
+        }
+      };
+
+      // Whatever the consumer didn't read, plus the block padding
+      await reader.skip((type === 'file' ? state.remaining : size) + padding);
+    }
+  } finally {
+    await reader.close();
+  }
+}
+
+// Gather an async iterable's chunks
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+// Entries of an archive on disk in the given format
+const readArchiveEntries = (filePath, format, options = {}) => {
+  if (format === 'zip') {
+    return readZipEntries(filePath, options);
+  }
+  return readTarEntries(filePath, { ...options, gzip: format === 'tar.gz' });
+};
+
+module.exports = {
+  ArchiveFormatError,
+  getArchiveFormat,
+  readArchiveEntries
+};
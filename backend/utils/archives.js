@@ -0,0 +1,211 @@
+const { pool } = require('../models/database');
+const { createError } = require('./errors');
+const analyticsService = require('./analytics');
+const { streamFileData } = require('./fileStorage');
+const { isCompressibleType } = require('./compression');
+const { createZipStream } = require('./zipStream');
+const { normalizeFolderPath, getFolderName } = require('./folders');
+const { signCdnPath } = require('../middleware/cdn');
+const { assertPathAccess } = require('./permissions');
+
+// A ZIP download is prepared with an authenticated request that records what to
+// include (file IDs, or a bucket and optional folder prefix) and returns a signed
+// /cdn/archives/<id> URL. The selection is resolved again when the URL is fetched,
+// so the archive reflects the files as they are at download time.
+const MAX_ARCHIVE_FILES = parseInt(process.env.ARCHIVE_MAX_FILES) || 10000;
+const DEFAULT_EXPIRY = 900; // 15 minutes, like file signed URLs
+const MAX_EXPIRY = 24 * 60 * 60;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Query the live files an archive covers, in archive order
+const selectArchiveFiles = async (client, { userId, fileIds, bucketId, prefix }, limit) => {
+  const params = [userId];
+  let condition;
+
+  if (fileIds) {
+    params.push(fileIds);
+    condition = 'f.id = ANY($2::uuid[])';
+  } else {
+    params.push(bucketId, prefix || '');
+    condition = 'f.bucket_id = $2 AND starts_with(f.original_name, $3)';
+  }
+
+  params.push(limit);
+  const result = await client.query(`
+    SELECT f.id, f.bucket_id, f.original_name, f.size, f.mime_type, f.file_hash,
+           f.created_at, f.updated_at, b.name AS bucket_name
+    FROM files f
+    JOIN buckets b ON f.bucket_id = b.id
+    WHERE f.user_id = $1 AND f.deleted_at IS NULL AND b.deleted_at IS NULL
+      AND f.file_hash IS NOT NULL AND ${condition}
+    ORDER BY b.name, f.original_name COLLATE "C"
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows;
+};
+
+// Names inside the archive: relative to the folder for folder downloads, and under
+// the bucket name when a selection spans buckets. Repeated names get a " (n)" suffix.
+const buildEntryNames = (files, { prefix }) => {
+  const multipleBuckets = new Set(files.map(file => file.bucket_id)).size > 1;
+  const used = new Set();
+
+  return files.map(file => {
+    let name = prefix ? file.original_name.slice(prefix.length) : file.original_name;
+    if (multipleBuckets) {
+      name = `${file.bucket_name}/${name}`;
+    }
+
+    if (used.has(name)) {
+      const dot = name.lastIndexOf('.');
+      const hasExtension = dot > name.lastIndexOf('/') + 1;
+      const stem = hasExtension ? name.slice(0, dot) : name;
+      const extension = hasExtension ? name.slice(dot) : '';
+      let counter = 2;
+      while (used.has(`${stem} (${counter})${extension}`)) {
+        counter++;
+      }
+      name = `${stem} (${counter})${extension}`;
+    }
+
+    used.add(name);
+    return name;
+  });
+};
+
+// Download name for the archive, always ending in .zip
+const buildArchiveName = (name, fallback) => {
+  const base = (typeof name === 'string' && name.trim() ? name.trim() : fallback)
+    .replace(/["\\/\r\n]/g, '_')
+    .slice(0, 200);
+  return base.toLowerCase().endsWith('.zip') ? base : `${base}.zip`;
+};
+
+// Record an archive request and return a signed URL that streams it. An API key needs
+// access to every selected file, or to the whole folder.
+const createArchiveDownload = async ({ userId, fileIds, bucketId, prefix, name, expiry = DEFAULT_EXPIRY, apiKey = null }) => {
+  if ((fileIds === undefined) === (bucketId === undefined)) {
+    throw createError('INVALID_REQUEST', { fields: ['fileIds', 'bucketId'] }, 'Provide either fileIds or bucketId');
+  }
+
+  const expirySeconds = parseInt(expiry);
+  if (!Number.isInteger(expirySeconds) || expirySeconds < 60 || expirySeconds > MAX_EXPIRY) {
+    throw createError('INVALID_REQUEST', { field: 'expiry' }, `expiry must be between 60 and ${MAX_EXPIRY} seconds`);
+  }
+
+  let selection;
+  let fallbackName;
+
+  if (fileIds !== undefined) {
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || fileIds.length > MAX_ARCHIVE_FILES) {
+      throw createError('INVALID_REQUEST', { field: 'fileIds', maxFiles: MAX_ARCHIVE_FILES },
+        `fileIds must list between 1 and ${MAX_ARCHIVE_FILES} files`);
+    }
+    if (!fileIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+      throw createError('INVALID_REQUEST', { field: 'fileIds' }, 'fileIds must be file IDs');
+    }
+    selection = { userId, fileIds: [...new Set(fileIds)] };
+    fallbackName = `files-${new Date().toISOString().slice(0, 10)}`;
+  } else {
+    const folderPath = normalizeFolderPath(prefix, 'prefix');
+    assertPathAccess(apiKey, bucketId, folderPath);
+
+    const bucketResult = await pool.query(
+      'SELECT id, name FROM buckets WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [bucketId, userId]
+    );
+    const bucket = bucketResult.rows[0];
+    if (!bucket) {
+      throw createError('BUCKET_NOT_FOUND', { bucketId });
+    }
+
+    selection = { userId, bucketId, prefix: folderPath };
+    fallbackName = folderPath ? getFolderName(folderPath) : bucket.name;
+  }
+
+  const files = await selectArchiveFiles(pool, selection, MAX_ARCHIVE_FILES + 1);
+  if (files.length === 0) {
+    throw createError('FILE_NOT_FOUND', selection.fileIds ? { fileIds } : { bucketId, prefix: selection.prefix },
+      'There are no files to archive');
+  }
+
+  files.forEach(file => assertPathAccess(apiKey, file.bucket_id, file.original_name));
+  if (files.length > MAX_ARCHIVE_FILES) {
+    throw createError('INVALID_REQUEST', { maxFiles: MAX_ARCHIVE_FILES },
+      `An archive is limited to ${MAX_ARCHIVE_FILES} files; download a smaller folder or selection`);
+  }
+
+  const archiveName = buildArchiveName(name, fallbackName);
+  const expiresAt = new Date(Date.now() + expirySeconds * 1000);
+
+  const result = await pool.query(`
+    INSERT INTO archive_downloads (user_id, bucket_id, prefix, file_ids, name, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [userId, selection.bucketId || null, selection.prefix || null, selection.fileIds || null, archiveName, expiresAt]);
+
+  const path = `archives/${result.rows[0].id}`;
+  const signature = signCdnPath(path, expiresAt.getTime(), 'download');
+  const url = `${process.env.API_BASE_URL || 'http://localhost:5000'}/cdn/${path}?expires=${expiresAt.getTime()}&signature=${signature}&purpose=download`;
+
+  // Bandwidth is counted per bucket, as for single downloads
+  const bytesByBucket = new Map();
+  files.forEach(file => {
+    bytesByBucket.set(file.bucket_id, (bytesByBucket.get(file.bucket_id) || 0) + (parseInt(file.size) || 0));
+  });
+  for (const [fileBucketId, bytes] of bytesByBucket) {
+    await analyticsService.trackDownload(userId, fileBucketId, bytes);
+  }
+
+  return {
+    url,
+    expiresAt: expiresAt.toISOString(),
+    name: archiveName,
+    fileCount: files.length,
+    totalSize: files.reduce((total, file) => total + (parseInt(file.size) || 0), 0)
+  };
+};
+
+// Look up an unexpired archive request and the entries it resolves to now
+const openArchive = async (archiveId) => {
+  const result = await pool.query(
+    'SELECT * FROM archive_downloads WHERE id = $1 AND expires_at > CURRENT_TIMESTAMP',
+    [archiveId]
+  );
+
+  const archive = result.rows[0];
+  if (!archive) {
+    return null;
+  }
+
+  const selection = {
+    userId: archive.user_id,
+    fileIds: archive.file_ids,
+    bucketId: archive.bucket_id,
+    prefix: archive.prefix
+  };
+  const files = await selectArchiveFiles(pool, selection, MAX_ARCHIVE_FILES);
+  const names = buildEntryNames(files, selection);
+
+  // Blobs are opened one at a time, as the ZIP writer reaches each entry
+  const entries = files.map((file, index) => ({
+    name: names[index],
+    size: parseInt(file.size) || 0,
+    modifiedAt: file.updated_at || file.created_at,
+    compress: isCompressibleType(file.mime_type),
+    open: () => streamFileData(pool, file.file_hash)
+  }));
+
+  return {
+    name: archive.name,
+    fileCount: files.length,
+    stream: () => createZipStream(entries)
+  };
+};
+
+module.exports = {
+  MAX_ARCHIVE_FILES,
+  createArchiveDownload,
+  openArchive
+};
@@ -0,0 +1,387 @@
+const { pool } = require('../models/database');
+const { RemoCloudError, createError } = require('./errors');
+const { moveToTrash, deleteFilesPermanently } = require('./trash');
+const { isFileLocked, lockedError } = require('./objectLock');
+const { validateFileMetadata } = require('./uploadSessions');
+const { moveFileWithClient } = require('./fileTransfer');
+const { noncurrentVersionBytes } = require('./versions');
+const { checkQuota } = require('./quotas');
+const { normalizeFolderPath, FOLDER_DELIMITER } = require('./folders');
+const { parseFileFilters, buildFilterConditions } = require('./fileFilters');
+const { assertScope, assertPathAccess, buildKeyConditions } = require('./permissions');
+
+// A batch targets explicit file IDs or a filter, and runs in one transaction: each
+// operation checks the selected rows in memory, then applies a single set-based
+// statement to the eligible ones. Files that don't qualify are reported per item
+// instead of failing the batch. Moves go file by file behind savepoints because each
+// can clash with a different name in the destination.
+const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_FILES) || 1000;
+const OPERATIONS = ['trash', 'delete', 'restore', 'set_visibility', 'set_metadata', 'move'];
+// API key scope each operation needs
+const OPERATION_SCOPES = {
+  trash: 'delete',
+  delete: 'delete',
+  restore: 'write',
+  set_visibility: 'write',
+  set_metadata: 'write',
+  move: 'write'
+};
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Turn an item failure into the shape returned in results
+const toItemError = (error) => {
+  if (error instanceof RemoCloudError) {
+    return { code: error.code, message: error.message };
+  }
+  console.error('Batch item error:', error);
+  return { code: 'INTERNAL_ERROR', message: 'Operation failed for this file' };
+};
+
+// Check the operation parameters before touching any rows
+const validateParams = (operation, params = {}) => {
+  if (!OPERATIONS.includes(operation)) {
+    throw createError('INVALID_REQUEST', { field: 'operation', allowed: OPERATIONS },
+      `operation must be one of: ${OPERATIONS.join(', ')}`);
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw createError('INVALID_REQUEST', { field: 'params' }, 'params must be an object');
+  }
+
+  if (operation === 'set_visibility' && typeof params.isPublic !== 'boolean') {
+    throw createError('INVALID_REQUEST', { field: 'params.isPublic' }, 'params.isPublic must be true or false');
+  }
+
+  if (operation === 'set_metadata') {
+    if (!validateFileMetadata(params.metadata)) {
+      throw createError('INVALID_REQUEST', { field: 'params.metadata' }, 'params.metadata is required');
+    }
+    if (params.mode !== undefined && !['merge', 'replace'].includes(params.mode)) {
+      throw createError('INVALID_REQUEST', { field: 'params.mode' }, 'params.mode must be "merge" or "replace"');
+    }
+  }
+
+  if (operation === 'move') {
+    if (!params.bucketId && params.folder === undefined) {
+      throw createError('INVALID_REQUEST', { field: 'params' }, 'move needs params.bucketId and/or params.folder');
+    }
+    normalizeFolderPath(params.folder, 'params.folder');
+  }
+};
+
+// Resolve a filter ({ bucketId, prefix, q, type, expressions, trashed }) to file IDs,
+// where expressions are tag:/meta. filters as in file listings, capped at the
+// batch size. Restores look in the trash unless told otherwise; everything else
+// targets live files. Files outside an API key's buckets or paths aren't matched.
+const resolveFilter = async (client, userId, operation, filter, apiKey) => {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    throw createError('INVALID_REQUEST', { field: 'filter' }, 'filter must be an object');
+  }
+
+  const trashed = filter.trashed === undefined ? operation === 'restore' : filter.trashed === true;
+  let query = `SELECT id FROM files WHERE user_id = $1 AND deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`;
+  const params = [userId];
+
+  if (filter.bucketId) {
+    params.push(filter.bucketId);
+    query += ` AND bucket_id = $${params.length}`;
+  }
+
+  if (filter.prefix) {
+    params.push(filter.prefix);
+    query += ` AND starts_with(original_name, $${params.length})`;
+  }
+
+  if (filter.q) {
+    params.push(`%${filter.q}%`);
+    query += ` AND original_name ILIKE $${params.length}`;
+  }
+
+  if (filter.type) {
+    params.push(`${filter.type}/%`);
+    query += ` AND mime_type LIKE $${params.length}`;
+  }
+
+  query += buildFilterConditions(parseFileFilters(filter.expressions), params, 'files');
+  query += buildKeyConditions(apiKey, params, { bucketColumn: 'bucket_id', nameColumn: 'original_name' });
+
+  params.push(MAX_BATCH_SIZE + 1);
+  query += ` ORDER BY created_at, id LIMIT $${params.length}`;
+
+  const result = await client.query(query, params);
+  const truncated = result.rows.length > MAX_BATCH_SIZE;
+
+  return { fileIds: result.rows.slice(0, MAX_BATCH_SIZE).map(row => row.id), truncated };
+};
+
+// Check an explicit ID list
+const validateFileIds = (fileIds) => {
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    throw createError('INVALID_REQUEST', { field: 'fileIds' }, 'fileIds must be a non-empty array');
+  }
+  if (fileIds.length > MAX_BATCH_SIZE) {
+    throw createError('INVALID_REQUEST', { field: 'fileIds', maxFiles: MAX_BATCH_SIZE },
+      `A batch is limited to ${MAX_BATCH_SIZE} files`);
+  }
+  return [...new Set(fileIds)];
+};
+
+// Apply bucket counter changes, one row per bucket
+const adjustBucketStats = async (client, rows, sign) => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const total = totals.get(row.bucket_id) || { files: 0, bytes: 0 };
+    total.files += 1;
+    total.bytes += parseInt(row.size) || 0;
+    totals.set(row.bucket_id, total);
+  });
+
+  if (totals.size === 0) {
+    return;
+  }
+
+  const bucketIds = [...totals.keys()];
+  await client.query(`
+    UPDATE buckets b
+    SET file_count = GREATEST(COALESCE(b.file_count, 0) + $4 * d.files, 0),
+        storage_used = GREATEST(COALESCE(b.storage_used, 0) + $4 * d.bytes, 0),
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT unnest($1::uuid[]) AS id, unnest($2::int[]) AS files, unnest($3::bigint[]) AS bytes
+    ) d
+    WHERE b.id = d.id
+  `, [
+    bucketIds,
+    bucketIds.map(id => totals.get(id).files),
+    bucketIds.map(id => totals.get(id).bytes),
+    sign
+  ]);
+};
+
+// Why a selected file can't take part in the operation (null when it can)
+const checkEligibility = (operation, file, apiKey) => {
+  try {
+    assertPathAccess(apiKey, file.bucket_id, file.original_name);
+  } catch (error) {
+    return error;
+  }
+
+  if ((operation === 'trash' || operation === 'delete') && isFileLocked(file)) {
+    return lockedError(file);
+  }
+
+  if (operation === 'delete') {
+    return null;
+  }
+
+  if (operation === 'restore') {
+    if (!file.deleted_at) {
+      return createError('INVALID_REQUEST', { fileId: file.id }, 'File is not in the trash');
+    }
+    if (file.restore_expired) {
+      return createError('INVALID_REQUEST', { fileId: file.id, deletedAt: file.deleted_at },
+        'Restore period expired. The file is awaiting permanent deletion.');
+    }
+    if (!file.bucket_exists) {
+      return createError('BUCKET_NOT_FOUND', { bucketId: file.bucket_id },
+        'Cannot restore file: original bucket no longer exists');
+    }
+    return null;
+  }
+
+  if (file.deleted_at) {
+    return createError('FILE_NOT_FOUND', { fileId: file.id }, 'File is in the trash');
+  }
+  return null;
+};
+
+// Set-based statements for each operation, run on the eligible rows
+const applyOperation = async (client, { userId, operation, params, files, apiKey }) => {
+  const ids = files.map(file => file.id);
+
+  switch (operation) {
+    case 'trash':
+      // Files in buckets that keep no trash are deleted outright
+      await moveToTrash(client, ids);
+      await adjustBucketStats(client, files, -1);
+      break;
+
+    case 'delete':
+      await deleteFilesPermanently(client, ids);
+      await adjustBucketStats(client, files.filter(file => !file.deleted_at), -1);
+      break;
+
+    case 'restore': {
+      // Files go back one at a time so each is checked against the quotas the earlier
+      // ones used up; those that don't fit stay in the trash
+      const failures = new Map();
+      const restored = [];
+
+      for (const file of files) {
+        try {
+          await checkQuota(client, {
+            userId,
+            bucketId: file.bucket_id,
+            bytes: (parseInt(file.size) || 0) + await noncurrentVersionBytes(client, file.id),
+            objects: 1
+          });
+        } catch (error) {
+          if (error.code !== 'QUOTA_EXCEEDED') {
+            throw error;
+          }
+          failures.set(file.id, toItemError(error));
+          continue;
+        }
+
+        await client.query(
+          'UPDATE files SET deleted_at = NULL, restore_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+          [file.id]
+        );
+        restored.push(file);
+      }
+
+      await adjustBucketStats(client, restored, 1);
+      return failures;
+    }
+
+    case 'set_visibility':
+      await client.query(
+        'UPDATE files SET is_public = $1, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2::uuid[])',
+        [params.isPublic, ids]
+      );
+      break;
+
+    case 'set_metadata': {
+      const metadata = JSON.stringify(params.metadata);
+      const value = params.mode === 'replace' ? '$1::jsonb' : `COALESCE(metadata_json, '{}'::jsonb) || $1::jsonb`;
+      await client.query(
+        `UPDATE files SET metadata_json = ${value}, updated_at = CURRENT_TIMESTAMP WHERE id = ANY($2::uuid[])`,
+        [metadata, ids]
+      );
+      break;
+    }
+
+    case 'move': {
+      const folder = params.folder === undefined ? null : normalizeFolderPath(params.folder, 'params.folder');
+      const failures = new Map();
+
+      for (const file of files) {
+        const baseName = file.original_name.slice(file.original_name.lastIndexOf(FOLDER_DELIMITER) + 1);
+
+        await client.query('SAVEPOINT batch_move');
+        try {
+          await moveFileWithClient(client, {
+            userId,
+            fileId: file.id,
+            targetBucketId: params.bucketId,
+            name: folder === null ? undefined : `${folder}${baseName}`,
+            replace: params.replace === true,
+            apiKey
+          });
+          await client.query('RELEASE SAVEPOINT batch_move');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT batch_move');
+          failures.set(file.id, toItemError(error));
+        }
+      }
+      return failures;
+    }
+  }
+
+  return new Map();
+};
+
+// Run one operation over many files and report the outcome of each
+const runBatch = async ({ userId, operation, fileIds, filter, params = {}, apiKey = null }) => {
+  validateParams(operation, params);
+  assertScope(apiKey, OPERATION_SCOPES[operation]);
+
+  if (fileIds !== undefined && filter !== undefined) {
+    throw createError('INVALID_REQUEST', { fields: ['fileIds', 'filter'] }, 'Provide either fileIds or filter, not both');
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let targetIds;
+    let truncated = false;
+
+    if (filter !== undefined) {
+      ({ fileIds: targetIds, truncated } = await resolveFilter(client, userId, operation, filter, apiKey));
+    } else {
+      targetIds = validateFileIds(fileIds);
+    }
+
+    const itemErrors = new Map();
+    const validIds = targetIds.filter(id => {
+      if (typeof id === 'string' && UUID_PATTERN.test(id)) {
+        return true;
+      }
+      itemErrors.set(id, toItemError(createError('FILE_NOT_FOUND', { fileId: id })));
+      return false;
+    });
+
+    const rowsResult = await client.query(`
+      SELECT f.id, f.bucket_id, f.size, f.original_name, f.deleted_at,
+             COALESCE(f.restore_until <= CURRENT_TIMESTAMP, false) AS restore_expired,
+             f.legal_hold, f.retention_mode, f.retain_until,
+             b.id IS NOT NULL AND b.user_id = f.user_id AS bucket_exists
+      FROM files f
+      LEFT JOIN buckets b ON f.bucket_id = b.id
+      WHERE f.id = ANY($1::uuid[]) AND f.user_id = $2
+      FOR UPDATE OF f
+    `, [validIds, userId]);
+
+    const rowsById = new Map(rowsResult.rows.map(row => [row.id, row]));
+    const eligible = [];
+
+    validIds.forEach(id => {
+      const file = rowsById.get(id);
+      const error = file
+        ? checkEligibility(operation, file, apiKey)
+        : createError('FILE_NOT_FOUND', { fileId: id });
+
+      if (error) {
+        itemErrors.set(id, toItemError(error));
+      } else {
+        eligible.push(file);
+      }
+    });
+
+    if (eligible.length > 0) {
+      const failures = await applyOperation(client, { userId, operation, params, files: eligible, apiKey });
+      failures.forEach((error, id) => itemErrors.set(id, error));
+    }
+
+    await client.query('COMMIT');
+
+    const results = targetIds.map(id => (itemErrors.has(id)
+      ? { fileId: id, success: false, error: itemErrors.get(id) }
+      : { fileId: id, success: true }));
+    const failed = results.filter(result => !result.success).length;
+
+    return {
+      operation,
+      results,
+      summary: {
+        requested: results.length,
+        succeeded: results.length - failed,
+        failed
+      },
+      truncated
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  OPERATIONS,
+  OPERATION_SCOPES,
+  runBatch
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const { pool } = require('../models/database');
+const { getBlobInfo, streamFileData, openFileDataForResponse } = require('./fileStorage');
+const { setContentEncodingHeaders } = require('./compression');
+const { parseRanges, isNotModified, ifRangeMatches, buildMultipartRanges } = require('./httpRange');
+
+// Pipe a blob stream to the response; headers are already sent if it fails midway
+const sendStream = (fileStream, res) => {
+  pipeline(fileStream, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Blob stream error:', error.message);
+    }
+  });
+};
+
+// Answer a GET or HEAD for a stored blob with validators (ETag, Last-Modified), 304
+// revalidation, single and multi-range 206 responses, or the full body. Ranges address
+// the decoded content; full bodies go out pre-compressed when the client accepts the
+// stored encoding. Callers set Content-Disposition, caching and CORS headers first.
+// Streams are opened on the pool because they outlive the caller's client.
+const sendBlobResponse = async (req, res, { fileHash, size, contentType, lastModified }) => {
+  const blob = await getBlobInfo(pool, fileHash);
+  const etag = `"${fileHash}"`;
+  const encodedETag = blob.encoding ? `"${fileHash}-${blob.encoding}"` : null;
+  const isHead = req.method === 'HEAD';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  if (lastModified) {
+    res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  if (blob.encoding) {
+    res.setHeader('Vary', 'Accept-Encoding');
+  }
+
+  if (isNotModified(req, { etag: [etag, encodedETag], lastModified })) {
+    return res.status(304).end();
+  }
+
+  const ranges = ifRangeMatches(req, { etag, lastModified })
+    ? parseRanges(req.headers.range, size)
+    : null;
+
+  if (ranges && ranges.unsatisfiable) {
+    res.setHeader('Content-Range', `bytes */${size}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
+
+  if (ranges && ranges.length === 1) {
+    const [range] = ranges;
+
+    res.status(206);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+
+    if (isHead) {
+      return res.end();
+    }
+    return sendStream(await streamFileData(pool, fileHash, range), res);
+  }
+
+  if (ranges) {
+    const boundary = crypto.randomBytes(16).toString('hex');
+    const { parts, trailer, length } = buildMultipartRanges(ranges, size, contentType, boundary);
+
+    res.status(206);
+    res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+    res.setHeader('Content-Length', length);
+
+    if (isHead) {
+      return res.end();
+    }
+
+    // Each range is opened only once the previous one has been sent
+    async function* multipartBody() {
+      for (const part of parts) {
+        yield part.header;
+        yield* await streamFileData(pool, fileHash, part.range);
+      }
+      yield trailer;
+    }
+
+    return sendStream(Readable.from(multipartBody()), res);
+  }
+
+  const full = await openFileDataForResponse(pool, fileHash, req.headers['accept-encoding']);
+
+  res.status(200);
+  res.setHeader('Content-Type', contentType);
+  setContentEncodingHeaders(res, full);
+  if (full.encoding) {
+    res.setHeader('ETag', encodedETag);
+  } else if (full.size === undefined) {
+    res.setHeader('Content-Length', size);
+  }
+
+  if (isHead) {
+    full.stream.destroy();
+    return res.end();
+  }
+  return sendStream(full.stream, res);
+};
+
+module.exports = {
+  sendStream,
+  sendBlobResponse
+};
@@ -1,5 +1,12 @@
 const { pool } = require('../models/database');
-const { deleteFileData } = require('./fileStorage');
+const { getFileBlobHashes, lockExistingBlob, releaseFileData } = require('./fileStorage');
+const { getDriver } = require('./storageDrivers');
+const { removeStagedUpload, removeStagedParts } = require('./uploadStaging');
+const lifecycleService = require('./lifecycle');
+const { reconcileUsage } = require('./quotas');
+
+// Blob files younger than this are left alone by the disk sweep
+const BLOB_SWEEP_GRACE_MS = 60 * 60 * 1000;
 
 class CleanupService {
   // Clean up expired files from trash
@@ -11,15 +18,10 @@ class CleanupService {
       
       // Get expired files
       const expiredFiles = await client.query(`
-        SELECT f.*, 
-               ARRAY_AGG(DISTINCT id.file_hash) FILTER (WHERE id.file_hash IS NOT NULL) as derivative_hashes,
-               ARRAY_AGG(DISTINCT fv.file_hash) FILTER (WHERE fv.file_hash IS NOT NULL) as version_hashes
+        SELECT f.*
         FROM files f
-        LEFT JOIN image_derivatives id ON f.id = id.file_id
-        LEFT JOIN file_versions fv ON f.id = fv.file_id
         WHERE f.deleted_at IS NOT NULL 
           AND f.restore_until < CURRENT_TIMESTAMP
-        GROUP BY f.id
       `);
 
       if (expiredFiles.rows.length === 0) {
@@ -34,36 +36,24 @@ class CleanupService {
       let cleanedCount = 0;
       
       for (const file of expiredFiles.rows) {
+        // A failed statement aborts the transaction, so each file rolls back on its own
+        await client.query('SAVEPOINT expired_file');
         try {
-          // Delete file data
-          if (file.file_hash) {
-            await deleteFileData(client, file.file_hash);
-          }
+          const blobHashes = await getFileBlobHashes(client, file.id);
 
-          // Delete derivative data
-          if (file.derivative_hashes) {
-            for (const hash of file.derivative_hashes) {
-              if (hash) {
-                await deleteFileData(client, hash);
-              }
-            }
-          }
+          // Delete file record (versions and derivatives cascade)
+          await client.query('DELETE FROM files WHERE id = $1', [file.id]);
 
-          // Delete version data
-          if (file.version_hashes) {
-            for (const hash of file.version_hashes) {
-              if (hash) {
-                await deleteFileData(client, hash);
-              }
-            }
+          // Only blobs no other file, version or derivative uses are removed
+          for (const hash of blobHashes) {
+            await releaseFileData(client, hash);
           }
-
-          // Delete file record
-          await client.query('DELETE FROM files WHERE id = $1', [file.id]);
           
+          await client.query('RELEASE SAVEPOINT expired_file');
           cleanedCount++;
           console.log(`Cleaned up file: ${file.original_name} (${file.id})`);
         } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT expired_file');
           console.error(`Failed to clean up file ${file.id}:`, error);
         }
       }
@@ -89,16 +79,12 @@ class CleanupService {
     try {
       console.log('Starting cleanup of orphaned file data...');
       
-      // Find file data that's not referenced by any file, derivative, or version
+      // Find blobs whose reference count has dropped to zero
       const orphanedData = await client.query(`
-        SELECT fd.file_hash
-        FROM file_data fd
-        LEFT JOIN files f ON fd.file_hash = f.file_hash
-        LEFT JOIN image_derivatives id ON fd.file_hash = id.file_hash
-        LEFT JOIN file_versions fv ON fd.file_hash = fv.file_hash
-        WHERE f.file_hash IS NULL 
-          AND id.file_hash IS NULL 
-          AND fv.file_hash IS NULL
+        SELECT file_hash
+        FROM file_data
+        WHERE ref_count <= 0
+        ORDER BY created_at ASC
       `);
 
       if (orphanedData.rows.length === 0) {
@@ -112,8 +98,10 @@ class CleanupService {
       
       for (const data of orphanedData.rows) {
         try {
-          await deleteFileData(client, data.file_hash);
-          cleanedCount++;
+          // Re-checks the count under a row lock, so blobs picked up again since are kept
+          if (await releaseFileData(client, data.file_hash)) {
+            cleanedCount++;
+          }
         } catch (error) {
           console.error(`Failed to clean up orphaned data ${data.file_hash}:`, error);
         }
@@ -130,16 +118,194 @@ class CleanupService {
     }
   }
 
+  // Delete blob bytes that committed releases queued for drivers outside the database
+  async cleanupQueuedBlobDeletions() {
+    const client = await pool.connect();
+
+    try {
+      console.log('Starting queued blob deletions...');
+
+      const queued = await client.query(`
+        SELECT file_hash, storage_driver
+        FROM blob_deletions
+        ORDER BY queued_at ASC
+      `);
+
+      let cleanedCount = 0;
+
+      for (const deletion of queued.rows) {
+        try {
+          await client.query('BEGIN');
+
+          // Stored again since it was queued: the bytes belong to the new index row
+          const existing = await lockExistingBlob(client, deletion.file_hash);
+          if ((existing?.storage_driver || 'postgres') !== deletion.storage_driver) {
+            await getDriver(deletion.storage_driver).delete(client, deletion.file_hash);
+            cleanedCount++;
+          }
+
+          await client.query(
+            'DELETE FROM blob_deletions WHERE file_hash = $1 AND storage_driver = $2',
+            [deletion.file_hash, deletion.storage_driver]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`Failed to delete queued blob ${deletion.file_hash}:`, error);
+        }
+      }
+
+      console.log(`Queued blob deletions completed. Deleted ${cleanedCount} blobs.`);
+      return { cleaned: cleanedCount };
+
+    } catch (error) {
+      console.error('Queued blob deletions failed:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove local blob files without an index row: bytes written by transactions that
+  // rolled back, and temp files from interrupted writes
+  async cleanupOrphanedBlobFiles() {
+    const driver = getDriver('local');
+    const cutoff = Date.now() - BLOB_SWEEP_GRACE_MS;
+    const client = await pool.connect();
+
+    try {
+      console.log('Starting cleanup of orphaned blob files...');
+
+      let cleanedCount = 0;
+
+      for await (const file of driver.list()) {
+        if (file.modifiedAt.getTime() > cutoff) {
+          continue;
+        }
+
+        try {
+          if (!file.fileHash) {
+            await driver.deleteTemp(file.path);
+            cleanedCount++;
+            continue;
+          }
+
+          // Takes the writers' lock, so bytes of a transaction still in flight are never seen as orphaned
+          await client.query('BEGIN');
+          const existing = await lockExistingBlob(client, file.fileHash);
+          if (existing?.storage_driver !== 'local') {
+            await driver.delete(client, file.fileHash);
+            cleanedCount++;
+          }
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`Failed to clean up blob file ${file.path}:`, error);
+        }
+      }
+
+      console.log(`Orphaned blob file cleanup completed. Cleaned ${cleanedCount} files.`);
+      return { cleaned: cleanedCount };
+
+    } catch (error) {
+      console.error('Orphaned blob file cleanup failed:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Remove abandoned upload sessions and their staged bodies
+  async cleanupStaleUploads() {
+    try {
+      console.log('Starting cleanup of stale upload sessions...');
+
+      const staleSessions = await pool.query(`
+        DELETE FROM upload_sessions
+        WHERE completed_at IS NULL AND expires_at < CURRENT_TIMESTAMP - INTERVAL '1 hour'
+        RETURNING id
+      `);
+
+      for (const session of staleSessions.rows) {
+        await removeStagedUpload(session.id);
+        await removeStagedParts(session.id);
+      }
+
+      // Extractions cut off by a restart never report back; close them out
+      const interruptedExtractions = await pool.query(`
+        UPDATE upload_sessions
+        SET metadata_json = jsonb_set(
+          jsonb_set(metadata_json, '{extraction,status}', '"failed"'),
+          '{extraction,error}', '{"code": "INTERNAL_ERROR", "message": "Extraction was interrupted"}'
+        )
+        WHERE metadata_json->'extraction'->>'status' = 'running'
+          AND completed_at < CURRENT_TIMESTAMP - INTERVAL '1 day'
+        RETURNING id
+      `);
+
+      for (const session of interruptedExtractions.rows) {
+        await removeStagedUpload(session.id);
+      }
+
+      console.log(`Stale upload cleanup completed. Cleaned ${staleSessions.rows.length} sessions.`);
+      return { cleaned: staleSessions.rows.length };
+
+    } catch (error) {
+      console.error('Stale upload cleanup failed:', error);
+      throw error;
+    }
+  }
+
+  // Forget ZIP download requests whose signed URLs have expired
+  async cleanupExpiredArchives() {
+    try {
+      const result = await pool.query(
+        'DELETE FROM archive_downloads WHERE expires_at < CURRENT_TIMESTAMP'
+      );
+      return { cleaned: result.rowCount };
+    } catch (error) {
+      console.error('Archive cleanup failed:', error);
+      throw error;
+    }
+  }
+
+  // Rebuild the quota usage counters from a full scan
+  async reconcileQuotaUsage() {
+    try {
+      const result = await reconcileUsage();
+      if (result.files > 0) {
+        console.log(`Quota usage reconciled. Corrected ${result.files} files.`);
+      }
+      return result;
+    } catch (error) {
+      console.error('Quota usage reconciliation failed:', error);
+      throw error;
+    }
+  }
+
   // Run full cleanup
   async runFullCleanup() {
     try {
+      // Lifecycle rules run first, so blobs they leave unreferenced are swept up below
+      const lifecycleResult = await lifecycleService.run();
       const expiredResult = await this.cleanupExpiredFiles();
       const orphanedResult = await this.cleanupOrphanedFileData();
+      const deletionsResult = await this.cleanupQueuedBlobDeletions();
+      const blobFilesResult = await this.cleanupOrphanedBlobFiles();
+      const uploadsResult = await this.cleanupStaleUploads();
+      const archivesResult = await this.cleanupExpiredArchives();
+      const usageResult = await this.reconcileQuotaUsage();
       
       return {
         expiredFiles: expiredResult.cleaned,
         orphanedData: orphanedResult.cleaned,
-        totalCleaned: expiredResult.cleaned + orphanedResult.cleaned
+        deletedBlobs: deletionsResult.cleaned,
+        orphanedBlobFiles: blobFilesResult.cleaned,
+        staleUploads: uploadsResult.cleaned,
+        expiredArchives: archivesResult.cleaned,
+        lifecycle: lifecycleResult,
+        quotaUsage: usageResult,
+        totalCleaned: expiredResult.cleaned + orphanedResult.cleaned + deletionsResult.cleaned + blobFilesResult.cleaned + uploadsResult.cleaned
       };
     } catch (error) {
       console.error('Full cleanup failed:', error);
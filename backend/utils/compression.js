@@ -0,0 +1,149 @@
+const zlib = require('zlib');
+
+// Compressible blobs are stored encoded; the content hash and logical size
+// always describe the original bytes so dedup and integrity checks are unaffected.
+const COMPRESSION_ALGORITHM = (process.env.STORAGE_COMPRESSION || 'br').toLowerCase();
+const MIN_COMPRESSION_SIZE = parseInt(process.env.STORAGE_COMPRESSION_MIN_SIZE) || 1024;
+// Only keep compression when the trial sample shrinks to at most this fraction
+const MAX_COMPRESSION_RATIO = parseFloat(process.env.STORAGE_COMPRESSION_MAX_RATIO) || 0.9;
+const SAMPLE_SIZE = 64 * 1024;
+
+const CODECS = {
+  gzip: {
+    compress: () => zlib.createGzip({ level: 6 }),
+    compressSync: (buffer) => zlib.gzipSync(buffer, { level: 6 }),
+    decompress: () => zlib.createGunzip(),
+    decompressSync: (buffer) => zlib.gunzipSync(buffer)
+  },
+  br: {
+    compress: () => zlib.createBrotliCompress({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+    }),
+    compressSync: (buffer) => zlib.brotliCompressSync(buffer, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+    }),
+    decompress: () => zlib.createBrotliDecompress(),
+    decompressSync: (buffer) => zlib.brotliDecompressSync(buffer)
+  }
+};
+
+// zstd ships with newer Node releases only
+if (typeof zlib.createZstdCompress === 'function') {
+  CODECS.zstd = {
+    compress: () => zlib.createZstdCompress(),
+    compressSync: (buffer) => zlib.zstdCompressSync(buffer),
+    decompress: () => zlib.createZstdDecompress(),
+    decompressSync: (buffer) => zlib.zstdDecompressSync(buffer)
+  };
+}
+
+const COMPRESSIBLE_TYPES = [
+  'application/json',
+  'application/ld+json',
+  'application/x-ndjson',
+  'application/xml',
+  'application/javascript',
+  'application/x-javascript',
+  'application/ecmascript',
+  'application/x-yaml',
+  'application/yaml',
+  'application/toml',
+  'application/sql',
+  'application/graphql',
+  'application/x-sh',
+  'application/x-httpd-php',
+  'application/rtf',
+  'application/xhtml+xml',
+  'application/wasm',
+  'image/svg+xml',
+  'image/bmp',
+  'image/x-icon',
+  'font/ttf',
+  'font/otf'
+];
+
+// Check whether a MIME type is worth a compression trial
+const isCompressibleType = (mimeType) => {
+  if (!mimeType) {
+    return false;
+  }
+
+  const type = mimeType.split(';')[0].trim().toLowerCase();
+
+  return type.startsWith('text/') ||
+    type.endsWith('+json') ||
+    type.endsWith('+xml') ||
+    COMPRESSIBLE_TYPES.includes(type);
+};
+
+// Get the codec for an encoding, failing loudly for blobs written by a newer build
+const getCodec = (encoding) => {
+  const codec = CODECS[encoding];
+  if (!codec) {
+    throw new Error(`Unsupported blob encoding: ${encoding}`);
+  }
+  return codec;
+};
+
+// Decide how to store a blob from its MIME type and a trial compression of a leading sample.
+// Returns the encoding to use, or null to store it as-is.
+const chooseEncoding = (mimeType, sample, size) => {
+  if (!CODECS[COMPRESSION_ALGORITHM] || size < MIN_COMPRESSION_SIZE || !isCompressibleType(mimeType)) {
+    return null;
+  }
+
+  const trial = sample.length > SAMPLE_SIZE ? sample.subarray(0, SAMPLE_SIZE) : sample;
+  if (trial.length === 0) {
+    return null;
+  }
+
+  const compressed = CODECS[COMPRESSION_ALGORITHM].compressSync(trial);
+  return compressed.length / trial.length <= MAX_COMPRESSION_RATIO ? COMPRESSION_ALGORITHM : null;
+};
+
+// Check whether an Accept-Encoding header allows a content coding (q=0 rejects it)
+const acceptsEncoding = (header, encoding) => {
+  if (!header || !encoding) {
+    return false;
+  }
+
+  let wildcard = false;
+
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const accepted = !qParam || parseFloat(qParam.slice(2)) > 0;
+
+    if (name === encoding || (encoding === 'gzip' && name === 'x-gzip')) {
+      return accepted;
+    }
+    if (name === '*') {
+      wildcard = accepted;
+    }
+  }
+
+  return wildcard;
+};
+
+// Describe a blob opened with openFileDataForResponse in the response headers
+const setContentEncodingHeaders = (res, blob) => {
+  if (blob.compressed) {
+    res.setHeader('Vary', 'Accept-Encoding');
+  }
+  if (blob.encoding) {
+    res.setHeader('Content-Encoding', blob.encoding);
+  }
+  if (blob.size !== undefined) {
+    res.setHeader('Content-Length', blob.size);
+  }
+};
+
+module.exports = {
+  COMPRESSION_ALGORITHM,
+  SAMPLE_SIZE,
+  isCompressibleType,
+  getCodec,
+  chooseEncoding,
+  acceptsEncoding,
+  setContentEncodingHeaders
+};
@@ -0,0 +1,326 @@
+const { pool } = require('../models/database');
+const { createError } = require('./errors');
+const { streamFileData } = require('./fileStorage');
+const { INDEXABLE_TYPES, INDEXABLE_EXTENSIONS, getTextFormat, extractText } = require('./textExtraction');
+const { buildFilterConditions } = require('./fileFilters');
+const { buildKeyConditions } = require('./permissions');
+
+// Full-text search over file contents. Text is extracted per blob and kept in
+// file_contents keyed by hash, so copies, moves and duplicate uploads share one entry
+// and a restored version is searchable as soon as its blob is. Completed uploads
+// queue their blob for indexing; a periodic sweep picks up files stored any other
+// way (and those uploaded before indexing existed). Blobs that can't be indexed are
+// recorded as skipped or failed so the sweep doesn't retry them.
+const INDEX_INTERVAL_MINUTES = parseFloat(process.env.CONTENT_INDEX_INTERVAL_MINUTES ?? 15);
+const MAX_INDEX_SIZE = parseInt(process.env.CONTENT_INDEX_MAX_SIZE) || 20 * 1024 * 1024; // Bytes read per file
+const MAX_INDEXED_TEXT = 500000; // Characters kept; a tsvector is limited to 1MB
+const SEARCH_LANGUAGE = process.env.CONTENT_SEARCH_LANGUAGE || 'english';
+const SWEEP_BATCH_SIZE = 50;
+const MAX_QUERY_LENGTH = 500;
+const MAX_SEARCH_LIMIT = 100;
+const HIGHLIGHT_START = '\uE000'; // Private-use markers, stripped from indexed text
+const HIGHLIGHT_END = '\uE001';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const INDEX_STATUS = {
+  INDEXED: 'indexed',
+  SKIPPED: 'skipped', // Not a format (or size) that is indexed
+  FAILED: 'failed'    // Extraction failed, e.g. a damaged or encrypted PDF
+};
+
+// SQL condition for files whose content can be indexed (mirrors getTextFormat)
+const INDEXABLE_CONDITION = `(f.mime_type LIKE 'text/%' OR f.mime_type = ANY($1::text[])
+  OR lower(substring(f.original_name from '\\.([^./]+)$')) = ANY($2::text[]))`;
+
+// Clean extracted text for Postgres: no NULs or control characters, bounded length
+const normalizeText = (text) => {
+  return text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uE000\uE001]/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+    .slice(0, MAX_INDEXED_TEXT);
+};
+
+// Split a ts_headline result into plain text and highlighted ranges
+const parseHeadline = (headline) => {
+  const highlights = [];
+  let snippet = '';
+  let start = null;
+
+  for (const char of (headline || '').replace(/\s+/g, ' ').trim()) {
+    if (char === HIGHLIGHT_START) {
+      start = snippet.length;
+    } else if (char === HIGHLIGHT_END) {
+      if (start !== null && snippet.length > start) {
+        highlights.push({ start, end: snippet.length });
+      }
+      start = null;
+    } else {
+      snippet += char;
+    }
+  }
+
+  return { snippet, highlights };
+};
+
+// Parse an optional date query parameter
+const parseDate = (value, field) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError('INVALID_REQUEST', { field }, `${field} must be a date`);
+  }
+  return date;
+};
+
+class ContentIndexer {
+  constructor() {
+    this.queue = [];
+    this.draining = null;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  // Read a blob's content, up to the indexing limit
+  async readBlob(fileHash) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of await streamFileData(pool, fileHash)) {
+      size += chunk.length;
+      if (size > MAX_INDEX_SIZE) {
+        throw new Error(`Content is larger than ${MAX_INDEX_SIZE} bytes`);
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  // Record the outcome for a blob; the row goes when the blob is removed
+  async saveEntry(fileHash, { status, text = null, error = null }) {
+    await pool.query(`
+      INSERT INTO file_contents (file_hash, status, content, search_vector, error, indexed_at)
+      VALUES ($1, $2, $3, CASE WHEN $3::text IS NULL THEN NULL ELSE to_tsvector($4::regconfig, $3::text) END, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (file_hash) DO UPDATE SET
+        status = EXCLUDED.status,
+        content = EXCLUDED.content,
+        search_vector = EXCLUDED.search_vector,
+        error = EXCLUDED.error,
+        indexed_at = EXCLUDED.indexed_at
+    `, [fileHash, status, text, SEARCH_LANGUAGE, error]);
+  }
+
+  // Extract and index one file's blob unless it already has an entry
+  async indexFile(file) {
+    const existing = await pool.query('SELECT 1 FROM file_contents WHERE file_hash = $1', [file.file_hash]);
+    if (existing.rows[0]) {
+      return null;
+    }
+
+    const format = getTextFormat(file.mime_type, file.original_name);
+    if (!format) {
+      await this.saveEntry(file.file_hash, { status: INDEX_STATUS.SKIPPED, error: 'Format is not indexed' });
+      return INDEX_STATUS.SKIPPED;
+    }
+    // Client-side encrypted uploads are ciphertext to the server
+    if (file.metadata_json?.encryption) {
+      await this.saveEntry(file.file_hash, { status: INDEX_STATUS.SKIPPED, error: 'Content is encrypted' });
+      return INDEX_STATUS.SKIPPED;
+    }
+    if (parseInt(file.size) > MAX_INDEX_SIZE) {
+      await this.saveEntry(file.file_hash, { status: INDEX_STATUS.SKIPPED, error: `Larger than ${MAX_INDEX_SIZE} bytes` });
+      return INDEX_STATUS.SKIPPED;
+    }
+
+    let text;
+    try {
+      text = normalizeText(extractText(await this.readBlob(file.file_hash), format));
+    } catch (error) {
+      await this.saveEntry(file.file_hash, { status: INDEX_STATUS.FAILED, error: error.message });
+      return INDEX_STATUS.FAILED;
+    }
+
+    await this.saveEntry(file.file_hash, { status: INDEX_STATUS.INDEXED, text });
+    return INDEX_STATUS.INDEXED;
+  }
+
+  // Queue a newly stored file for indexing; files are indexed one at a time
+  enqueue(file) {
+    if (!file?.file_hash || !getTextFormat(file.mime_type, file.original_name)) {
+      return;
+    }
+
+    this.queue.push(file);
+    if (!this.draining) {
+      this.draining = this.drain().finally(() => {
+        this.draining = null;
+      });
+    }
+  }
+
+  async drain() {
+    while (this.queue.length > 0) {
+      const file = this.queue.shift();
+      try {
+        await this.indexFile(file);
+      } catch (error) {
+        // e.g. the blob was released before it was read; the sweep retries anything left
+        console.error(`Failed to index content of file ${file.id}:`, error.message);
+      }
+    }
+  }
+
+  // Index every live file whose blob has no entry yet
+  async sweep() {
+    const startedAt = new Date();
+    const stats = { indexed: 0, skipped: 0, failed: 0, errors: 0 };
+    const errored = [];
+
+    while (true) {
+      const batch = await pool.query(`
+        SELECT DISTINCT ON (f.file_hash) f.id, f.file_hash, f.mime_type, f.original_name, f.size, f.metadata_json
+        FROM files f
+        WHERE f.deleted_at IS NULL AND f.file_hash IS NOT NULL
+          AND ${INDEXABLE_CONDITION}
+          AND NOT EXISTS (SELECT 1 FROM file_contents fc WHERE fc.file_hash = f.file_hash)
+          AND NOT (f.file_hash = ANY($3))
+        LIMIT $4
+      `, [INDEXABLE_TYPES, INDEXABLE_EXTENSIONS, errored, SWEEP_BATCH_SIZE]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const file of batch.rows) {
+        try {
+          const status = await this.indexFile(file);
+          if (status) {
+            stats[status]++;
+          }
+        } catch (error) {
+          console.error(`Failed to index content of file ${file.id}:`, error.message);
+          errored.push(file.file_hash);
+          stats.errors++;
+        }
+      }
+    }
+
+    const summary = { ...stats, startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString() };
+    if (stats.indexed + stats.skipped + stats.failed + stats.errors > 0) {
+      console.log('Content index sweep completed:', summary);
+    }
+    return summary;
+  }
+
+  // Start a sweep unless one is already running; resolves with that run's summary
+  run() {
+    if (!this.currentRun) {
+      this.currentRun = this.sweep()
+        .then((summary) => {
+          this.lastRun = summary;
+          return summary;
+        })
+        .finally(() => {
+          this.currentRun = null;
+        });
+    }
+    return this.currentRun;
+  }
+
+  // Rank a user's live files by how well their content matches q. Takes web-search
+  // syntax ("quoted phrases", -excluded, or), bucket/type/date bounds and the
+  // tag:/meta. filters of file listings. Only files an API key may see are searched.
+  async search({ userId, q, bucketId, type, from, to, filters = [], limit = 20, offset = 0, apiKey = null }) {
+    if (typeof q !== 'string' || !q.trim()) {
+      throw createError('INVALID_REQUEST', { field: 'q' }, 'q is required');
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw createError('INVALID_REQUEST', { field: 'q' }, `q is limited to ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    const pageSize = parseInt(limit);
+    const skip = parseInt(offset);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_SEARCH_LIMIT) {
+      throw createError('INVALID_REQUEST', { field: 'limit' }, `limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+    if (!Number.isInteger(skip) || skip < 0) {
+      throw createError('INVALID_REQUEST', { field: 'offset' }, 'offset must be a non-negative integer');
+    }
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+
+    const params = [userId, SEARCH_LANGUAGE, q.trim()];
+    let conditions = '';
+
+    if (bucketId) {
+      params.push(bucketId);
+      conditions += ` AND f.bucket_id = $${params.length}`;
+    }
+    if (type) {
+      params.push(`${type}/%`);
+      conditions += ` AND f.mime_type LIKE $${params.length}`;
+    }
+    if (fromDate) {
+      params.push(fromDate);
+      conditions += ` AND f.created_at >= $${params.length}`;
+    }
+    if (toDate) {
+      params.push(toDate);
+      conditions += ` AND f.created_at <= $${params.length}`;
+    }
+    conditions += buildFilterConditions(filters, params);
+    conditions += buildKeyConditions(apiKey, params, { bucketColumn: 'f.bucket_id', nameColumn: 'f.original_name' });
+
+    params.push(pageSize + 1, skip);
+    const limitParam = params.length - 1;
+
+    // Snippets are only built for the page being returned
+    params.push(HEADLINE_OPTIONS);
+    const result = await pool.query(`
+      SELECT f.*, b.name AS bucket_name, ranked.rank,
+             ts_headline($2::regconfig, fc.content, websearch_to_tsquery($2::regconfig, $3), $${params.length}) AS headline
+      FROM (
+        SELECT f.id, ts_rank_cd(fc.search_vector, query) AS rank
+        FROM files f
+        JOIN buckets b ON b.id = f.bucket_id
+        JOIN file_contents fc ON fc.file_hash = f.file_hash,
+             websearch_to_tsquery($2::regconfig, $3) query
+        WHERE f.user_id = $1 AND f.deleted_at IS NULL AND b.deleted_at IS NULL
+          AND fc.search_vector @@ query${conditions}
+        ORDER BY rank DESC, f.created_at DESC, f.id
+        LIMIT $${limitParam} OFFSET $${limitParam + 1}
+      ) ranked
+      JOIN files f ON f.id = ranked.id
+      JOIN buckets b ON b.id = f.bucket_id
+      JOIN file_contents fc ON fc.file_hash = f.file_hash
+      ORDER BY ranked.rank DESC, f.created_at DESC, f.id
+    `, params);
+
+    const hasMore = result.rows.length > pageSize;
+    const files = result.rows.slice(0, pageSize).map(({ headline, ...file }) => ({
+      ...file,
+      rank: parseFloat(file.rank),
+      ...parseHeadline(headline)
+    }));
+
+    return {
+      files,
+      pagination: {
+        limit: pageSize,
+        offset: skip,
+        hasMore,
+        nextOffset: hasMore ? skip + pageSize : null
+      }
+    };
+  }
+}
+
+const contentIndexer = new ContentIndexer();
+contentIndexer.INDEX_STATUS = INDEX_STATUS;
+contentIndexer.INDEX_INTERVAL_MINUTES = INDEX_INTERVAL_MINUTES;
+
+module.exports = contentIndexer;
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { createError } = require('./errors');
+
+// Envelope encryption for blobs at rest:
+//   master key (config) wraps each bucket key (bucket_keys),
+//   bucket key wraps each blob's data key (file_data.wrapped_data_key),
+//   data key encrypts the blob bytes.
+// Rotating a bucket key only re-wraps data keys; blob bytes are never rewritten.
+//
+// Blobs are encrypted in fixed-size AES-256-GCM chunks so byte ranges can be read
+// without decrypting from the start. Chunk i uses the blob nonce with i XORed into
+// its last four bytes, and authenticates its index and whether it is the final chunk.
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const CHUNK_SIZE = 64 * 1024;
+const ENCRYPTED_CHUNK_SIZE = CHUNK_SIZE + TAG_LENGTH;
+
+// Bucket keys are unwrapped once and cached by their ID
+const bucketKeyCache = new Map();
+
+// Parse a 32-byte key given as 64 hex characters or base64
+const parseKey = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const key = /^[a-f0-9]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error('STORAGE_MASTER_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+};
+
+const MASTER_KEY = parseKey(process.env.STORAGE_MASTER_KEY);
+
+// Short fingerprint recorded with each bucket key so a changed master key is detected
+const getKeyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+// Check whether server-side encryption can be used at all
+const isEncryptionConfigured = () => MASTER_KEY !== null;
+
+const getMasterKey = () => {
+  if (!MASTER_KEY) {
+    throw createError('ENCRYPTION_NOT_CONFIGURED');
+  }
+  return MASTER_KEY;
+};
+
+// Wrap a key with AES-256-GCM; output is base64 of iv | tag | ciphertext
+const wrapKey = (key, wrappingKey) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, wrappingKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(key), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+const unwrapKey = (wrapped, wrappingKey) => {
+  const buffer = Buffer.from(wrapped, 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, wrappingKey, buffer.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+// Create a new active key version for a bucket, retiring the previous one
+const createBucketKey = async (client, bucketId) => {
+  const masterKey = getMasterKey();
+  const key = crypto.randomBytes(KEY_LENGTH);
+
+  await client.query(`
+    UPDATE bucket_keys SET status = 'retired', retired_at = CURRENT_TIMESTAMP
+    WHERE bucket_id = $1 AND status = 'active'
+  `, [bucketId]);
+
+  const result = await client.query(`
+    INSERT INTO bucket_keys (bucket_id, version, wrapped_key, master_key_id)
+    VALUES ($1, COALESCE((SELECT MAX(version) FROM bucket_keys WHERE bucket_id = $1), 0) + 1, $2, $3)
+    RETURNING id, version
+  `, [bucketId, wrapKey(key, masterKey), getKeyId(masterKey)]);
+
+  bucketKeyCache.set(result.rows[0].id, key);
+  return { id: result.rows[0].id, version: result.rows[0].version, key };
+};
+
+// Make sure a bucket has an active key (used when encryption is switched on)
+const ensureBucketKey = async (client, bucketId) => {
+  const existing = await client.query(
+    `SELECT id, version FROM bucket_keys WHERE bucket_id = $1 AND status = 'active'`,
+    [bucketId]
+  );
+
+  if (existing.rows[0]) {
+    return existing.rows[0];
+  }
+
+  const created = await createBucketKey(client, bucketId);
+  return { id: created.id, version: created.version };
+};
+
+// Unwrap a bucket key by ID; retired versions stay readable for blobs not yet re-wrapped
+const getBucketKey = async (client, keyId) => {
+  if (bucketKeyCache.has(keyId)) {
+    return bucketKeyCache.get(keyId);
+  }
+
+  const result = await client.query(
+    'SELECT wrapped_key, master_key_id FROM bucket_keys WHERE id = $1',
+    [keyId]
+  );
+
+  if (!result.rows[0]) {
+    throw new Error(`Bucket key not found: ${keyId}`);
+  }
+
+  const masterKey = getMasterKey();
+  if (result.rows[0].master_key_id !== getKeyId(masterKey)) {
+    throw new Error(`Bucket key ${keyId} was wrapped by a different master key`);
+  }
+
+  const key = unwrapKey(result.rows[0].wrapped_key, masterKey);
+  bucketKeyCache.set(keyId, key);
+  return key;
+};
+
+// Get the key new blobs in a bucket should be wrapped with, or null when the bucket isn't encrypted
+const getActiveBucketKey = async (client, bucketId) => {
+  if (!bucketId) {
+    return null;
+  }
+
+  const result = await client.query(`
+    SELECT bk.id
+    FROM buckets b
+    JOIN bucket_keys bk ON bk.bucket_id = b.id AND bk.status = 'active'
+    WHERE b.id = $1 AND b.encryption_enabled = true
+  `, [bucketId]);
+
+  if (!result.rows[0]) {
+    return null;
+  }
+
+  return { id: result.rows[0].id, key: await getBucketKey(client, result.rows[0].id) };
+};
+
+// Generate a data key and nonce for one blob, wrapped by the given bucket key
+const createDataKey = (bucketKey) => {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  return {
+    dataKey,
+    nonce: crypto.randomBytes(IV_LENGTH),
+    wrappedDataKey: wrapKey(dataKey, bucketKey.key),
+    keyId: bucketKey.id
+  };
+};
+
+// Recover a blob's data key and nonce from its index row
+const getDataKey = async (client, blob) => {
+  const bucketKey = await getBucketKey(client, blob.encryption_key_id);
+  return {
+    dataKey: unwrapKey(blob.wrapped_data_key, bucketKey),
+    nonce: Buffer.from(blob.encryption_nonce, 'base64')
+  };
+};
+
+const getChunkIv = (nonce, index) => {
+  const iv = Buffer.from(nonce);
+  iv.writeUInt32BE((iv.readUInt32BE(IV_LENGTH - 4) ^ index) >>> 0, IV_LENGTH - 4);
+  return iv;
+};
+
+const getChunkAad = (index, final) => {
+  const aad = Buffer.alloc(5);
+  aad.writeUInt32BE(index, 0);
+  aad[4] = final ? 1 : 0;
+  return aad;
+};
+
+const encryptChunk = (dataKey, nonce, index, plaintext, final) => {
+  const cipher = crypto.createCipheriv(ALGORITHM, dataKey, getChunkIv(nonce, index));
+  cipher.setAAD(getChunkAad(index, final));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+};
+
+const decryptChunk = (dataKey, nonce, index, chunk, final) => {
+  if (chunk.length < TAG_LENGTH) {
+    throw new Error('Encrypted blob is truncated');
+  }
+  const decipher = crypto.createDecipheriv(ALGORITHM, dataKey, getChunkIv(nonce, index));
+  decipher.setAAD(getChunkAad(index, final));
+  decipher.setAuthTag(chunk.subarray(chunk.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(chunk.subarray(0, chunk.length - TAG_LENGTH)), decipher.final()]);
+};
+
+// Number of encrypted chunks in a blob of the given stored size (empty blobs still have one)
+const getChunkCount = (encryptedSize) => Math.max(1, Math.ceil(encryptedSize / ENCRYPTED_CHUNK_SIZE));
+
+const getEncryptedSize = (plaintextSize) => plaintextSize + TAG_LENGTH * Math.max(1, Math.ceil(plaintextSize / CHUNK_SIZE));
+
+const getPlaintextSize = (encryptedSize) => encryptedSize - TAG_LENGTH * getChunkCount(encryptedSize);
+
+// Map a plaintext byte range onto the whole encrypted chunks that cover it
+const getEncryptedRange = (start, end, encryptedSize) => {
+  const firstChunk = Math.floor(start / CHUNK_SIZE);
+  const lastChunk = Math.min(Math.floor(end / CHUNK_SIZE), getChunkCount(encryptedSize) - 1);
+  return {
+    firstChunk,
+    lastChunk,
+    start: firstChunk * ENCRYPTED_CHUNK_SIZE,
+    end: Math.min((lastChunk + 1) * ENCRYPTED_CHUNK_SIZE, encryptedSize) - 1,
+    // Offset of the requested start within the first decrypted chunk
+    skip: start - firstChunk * CHUNK_SIZE
+  };
+};
+
+// Encrypt a stream chunk by chunk. One chunk is always held back so the last one can be flagged final.
+const createEncryptStream = (dataKey, nonce) => {
+  let pending = Buffer.alloc(0);
+  let index = 0;
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+      while (pending.length > CHUNK_SIZE) {
+        this.push(encryptChunk(dataKey, nonce, index++, pending.subarray(0, CHUNK_SIZE), false));
+        pending = pending.subarray(CHUNK_SIZE);
+      }
+      callback();
+    },
+    flush(callback) {
+      this.push(encryptChunk(dataKey, nonce, index, pending, true));
+      callback();
+    }
+  });
+};
+
+// Decrypt a stream of whole encrypted chunks, starting at firstChunk. totalChunks is needed
+// to recognise the final chunk; a stream that ends before lastChunk is rejected as truncated.
+const createDecryptStream = (dataKey, nonce, { firstChunk = 0, lastChunk, totalChunks }) => {
+  let pending = Buffer.alloc(0);
+  let index = firstChunk;
+  const expectedLast = lastChunk !== undefined ? lastChunk : totalChunks - 1;
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      pending = Buffer.concat([pending, data]);
+      try {
+        while (pending.length >= ENCRYPTED_CHUNK_SIZE && index < expectedLast) {
+          this.push(decryptChunk(dataKey, nonce, index, pending.subarray(0, ENCRYPTED_CHUNK_SIZE), false));
+          pending = pending.subarray(ENCRYPTED_CHUNK_SIZE);
+          index++;
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (index !== expectedLast) {
+          throw new Error('Encrypted blob is truncated');
+        }
+        this.push(decryptChunk(dataKey, nonce, index, pending, index === totalChunks - 1));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+};
+
+// Whole-buffer variants for callers that already hold the blob in memory
+const encryptBuffer = (dataKey, nonce, buffer) => {
+  const chunks = [];
+  const count = Math.max(1, Math.ceil(buffer.length / CHUNK_SIZE));
+  for (let index = 0; index < count; index++) {
+    const plaintext = buffer.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    chunks.push(encryptChunk(dataKey, nonce, index, plaintext, index === count - 1));
+  }
+  return Buffer.concat(chunks);
+};
+
+const decryptBuffer = (dataKey, nonce, buffer) => {
+  const chunks = [];
+  const count = getChunkCount(buffer.length);
+  for (let index = 0; index < count; index++) {
+    const chunk = buffer.subarray(index * ENCRYPTED_CHUNK_SIZE, (index + 1) * ENCRYPTED_CHUNK_SIZE);
+    chunks.push(decryptChunk(dataKey, nonce, index, chunk, index === count - 1));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Rotate a bucket's key: issue a new version and re-wrap every data key held by older versions.
+// Runs inside the caller's transaction.
+const rotateBucketKey = async (client, bucketId) => {
+  const oldKeys = await client.query(
+    'SELECT id FROM bucket_keys WHERE bucket_id = $1',
+    [bucketId]
+  );
+
+  const newKey = await createBucketKey(client, bucketId);
+  let rewrapped = 0;
+
+  for (const { id: oldKeyId } of oldKeys.rows) {
+    const oldKey = await getBucketKey(client, oldKeyId);
+    const blobs = await client.query(
+      'SELECT file_hash, wrapped_data_key FROM file_data WHERE encryption_key_id = $1 FOR UPDATE',
+      [oldKeyId]
+    );
+
+    for (const blob of blobs.rows) {
+      const dataKey = unwrapKey(blob.wrapped_data_key, oldKey);
+      await client.query(
+        'UPDATE file_data SET wrapped_data_key = $1, encryption_key_id = $2 WHERE file_hash = $3',
+        [wrapKey(dataKey, newKey.key), newKey.id, blob.file_hash]
+      );
+      rewrapped++;
+    }
+  }
+
+  return { keyId: newKey.id, version: newKey.version, rewrapped };
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  isEncryptionConfigured,
+  ensureBucketKey,
+  getActiveBucketKey,
+  createDataKey,
+  getDataKey,
+  getChunkCount,
+  getEncryptedSize,
+  getPlaintextSize,
+  getEncryptedRange,
+  createEncryptStream,
+  createDecryptStream,
+  encryptBuffer,
+  decryptBuffer,
+  rotateBucketKey
+};
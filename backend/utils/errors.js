@@ -45,6 +45,12 @@ const ERROR_CODES = {
   },
 
   // Validation Errors (400)
+  INVALID_REQUEST: {
+    message: 'Invalid request',
+    statusCode: 400,
+    retryable: false,
+    userMessage: 'The request is missing required fields or contains invalid values.'
+  },
   INVALID_FILE_TYPE: {
     message: 'File type not allowed',
     statusCode: 400,
@@ -63,12 +69,42 @@ const ERROR_CODES = {
     retryable: false,
     userMessage: 'Invalid image transform parameters. Please check the documentation.'
   },
+  ENCRYPTION_NOT_CONFIGURED: {
+    message: 'Server-side encryption is not configured',
+    statusCode: 400,
+    retryable: false,
+    userMessage: 'Encryption at rest needs a master key (STORAGE_MASTER_KEY) on the server.'
+  },
   BUCKET_NAME_TAKEN: {
     message: 'Bucket name already exists',
     statusCode: 409,
     retryable: false,
     userMessage: 'This bucket name is already taken. Please choose a different name.'
   },
+  FILE_CONFLICT: {
+    message: 'A file with this name already exists in the destination',
+    statusCode: 409,
+    retryable: false,
+    userMessage: 'A file with this name already exists there. Choose another name or replace it.'
+  },
+  FOLDER_CONFLICT: {
+    message: 'Destination already contains files with the same names',
+    statusCode: 409,
+    retryable: false,
+    userMessage: 'The destination already has files with the same names. Rename or move them first.'
+  },
+  OBJECT_LOCKED: {
+    message: 'File is protected by object lock',
+    statusCode: 409,
+    retryable: false,
+    userMessage: 'This file is under retention or legal hold and can\'t be deleted or overwritten until it is released.'
+  },
+  FOLDER_NOT_EMPTY: {
+    message: 'Folder is not empty',
+    statusCode: 409,
+    retryable: false,
+    userMessage: 'Only empty folders can be deleted. Move or delete the files inside first.'
+  },
 
   // Upload Errors (400, 500)
   UPLOAD_FAILED: {
@@ -160,6 +196,12 @@ const ERROR_CODES = {
     retryable: false,
     userMessage: 'Bucket not found. Please check the bucket ID.'
   },
+  FOLDER_NOT_FOUND: {
+    message: 'Folder not found',
+    statusCode: 404,
+    retryable: false,
+    userMessage: 'Folder not found. It may have been renamed or moved.'
+  },
 
   // Generic Errors
   INTERNAL_ERROR: {
@@ -209,9 +251,10 @@ function errorHandler(err, req, res, next) {
     // Add retry information
     if (errorConfig?.retryable) {
       response.error.retryable = true;
-      if (errorConfig.retryAfter) {
-        res.set('Retry-After', errorConfig.retryAfter);
-        response.error.retryAfter = errorConfig.retryAfter;
+      const retryAfter = err.details?.retryAfter ?? errorConfig.retryAfter;
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        response.error.retryAfter = retryAfter;
       }
     }
 
@@ -0,0 +1,180 @@
+const { createError } = require('./errors');
+
+// Files carry free-form metadata (metadata_json) and string key/value tags. List
+// endpoints accept filter expressions over both, all of which must match:
+//   tag:project=alpha   the "project" tag is "alpha"
+//   tag:project         the file has a "project" tag
+//   meta.author=jane    metadata_json.author is "jane" (nested: meta.camera.model=X100)
+//   meta.author         metadata_json has an author
+// Equality compiles to JSONB containment (@>) and presence to the ? operator, both
+// served by the GIN indexes on files.tags and files.metadata_json.
+const MAX_TAGS = 50;
+const MAX_TAG_KEY_LENGTH = 128;
+const MAX_TAG_VALUE_LENGTH = 256;
+const MAX_FILTERS = 10;
+const SORT_COLUMNS = ['created_at', 'updated_at', 'original_name', 'size', 'mime_type'];
+
+// Check a tag set ({ key: value }) and normalize values to strings
+const validateTags = (tags, field = 'tags') => {
+  if (tags === undefined || tags === null) {
+    return null;
+  }
+  if (typeof tags !== 'object' || Array.isArray(tags)) {
+    throw createError('INVALID_REQUEST', { field }, `${field} must be an object of key/value pairs`);
+  }
+
+  const entries = Object.entries(tags);
+  if (entries.length > MAX_TAGS) {
+    throw createError('INVALID_REQUEST', { field, maxTags: MAX_TAGS }, `A file can have at most ${MAX_TAGS} tags`);
+  }
+
+  const normalized = {};
+  for (const [key, value] of entries) {
+    const tagKey = key.trim();
+    if (!tagKey || tagKey.length > MAX_TAG_KEY_LENGTH || tagKey.includes('=')) {
+      throw createError('INVALID_REQUEST', { field, key },
+        `Tag keys must be 1-${MAX_TAG_KEY_LENGTH} characters and cannot contain "="`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > MAX_TAG_VALUE_LENGTH) {
+      throw createError('INVALID_REQUEST', { field, key },
+        `Tag values must be strings of at most ${MAX_TAG_VALUE_LENGTH} characters`);
+    }
+    normalized[tagKey] = String(value);
+  }
+
+  return normalized;
+};
+
+// Split "meta.a.b" into its key path
+const parseMetadataPath = (expression, path) => {
+  const segments = path.split('.');
+  if (segments.some(segment => !segment)) {
+    throw createError('INVALID_REQUEST', { field: 'filter', expression }, `Invalid metadata key in "${expression}"`);
+  }
+  return segments;
+};
+
+// Parse ?filter= values (one expression each) into filter descriptors
+const parseFileFilters = (filter) => {
+  if (filter === undefined || filter === '') {
+    return [];
+  }
+
+  const expressions = Array.isArray(filter) ? filter : [filter];
+  if (expressions.length > MAX_FILTERS) {
+    throw createError('INVALID_REQUEST', { field: 'filter', maxFilters: MAX_FILTERS },
+      `At most ${MAX_FILTERS} filters can be combined`);
+  }
+
+  return expressions.map(expression => {
+    if (typeof expression !== 'string') {
+      throw createError('INVALID_REQUEST', { field: 'filter' }, 'filter must be a string');
+    }
+
+    const separator = expression.indexOf('=');
+    const target = separator === -1 ? expression : expression.slice(0, separator);
+    const value = separator === -1 ? undefined : expression.slice(separator + 1);
+
+    if (target.startsWith('tag:') && target.length > 4) {
+      return { kind: 'tag', key: target.slice(4), value };
+    }
+    if (target.startsWith('meta.')) {
+      return { kind: 'meta', path: parseMetadataPath(expression, target.slice(5)), value };
+    }
+
+    throw createError('INVALID_REQUEST', { field: 'filter', expression },
+      `Unknown filter "${expression}"; use tag:<key>[=<value>] or meta.<key>[=<value>]`);
+  });
+};
+
+// Nest a value under a key path ({ a: { b: value } })
+const nestValue = (path, value) => path.reduceRight((nested, key) => ({ [key]: nested }), value);
+
+// Metadata values arrive as text; numbers and booleans also match their JSON type
+const metadataValueCandidates = (value) => {
+  const candidates = [value];
+  if (value === 'true' || value === 'false') {
+    candidates.push(value === 'true');
+  } else if (/^-?\d+(\.\d+)?$/.test(value)) {
+    candidates.push(Number(value));
+  }
+  return candidates;
+};
+
+// SQL conditions for parsed filters, appending their values to params
+const buildFilterConditions = (filters, params, alias = 'f') => {
+  return filters.map(filter => {
+    if (filter.kind === 'tag') {
+      if (filter.value === undefined) {
+        params.push(filter.key);
+        return ` AND ${alias}.tags ? $${params.length}`;
+      }
+      params.push(JSON.stringify({ [filter.key]: filter.value }));
+      return ` AND ${alias}.tags @> $${params.length}::jsonb`;
+    }
+
+    if (filter.value === undefined) {
+      if (filter.path.length === 1) {
+        params.push(filter.path[0]);
+        return ` AND ${alias}.metadata_json ? $${params.length}`;
+      }
+      params.push(filter.path);
+      return ` AND ${alias}.metadata_json #> $${params.length}::text[] IS NOT NULL`;
+    }
+
+    const conditions = metadataValueCandidates(filter.value).map(candidate => {
+      params.push(JSON.stringify(nestValue(filter.path, candidate)));
+      return `${alias}.metadata_json @> $${params.length}::jsonb`;
+    });
+    return ` AND (${conditions.join(' OR ')})`;
+  }).join('');
+};
+
+// Parse sortBy: a column, meta.<key> or tag:<key>. Unknown values sort by created_at.
+const parseFileSort = (sortBy) => {
+  if (typeof sortBy === 'string' && sortBy.startsWith('meta.')) {
+    return { kind: 'meta', path: parseMetadataPath(sortBy, sortBy.slice(5)) };
+  }
+  if (typeof sortBy === 'string' && sortBy.startsWith('tag:') && sortBy.length > 4) {
+    return { kind: 'tag', key: sortBy.slice(4) };
+  }
+  return { kind: 'column', column: SORT_COLUMNS.includes(sortBy) ? sortBy : 'created_at' };
+};
+
+// SQL expression to sort (and page) by, appending its key to params
+const buildSortExpression = (sort, params, alias = 'f') => {
+  if (sort.kind === 'meta') {
+    params.push(sort.path);
+    return `${alias}.metadata_json #>> $${params.length}::text[]`;
+  }
+  if (sort.kind === 'tag') {
+    params.push(sort.key);
+    return `${alias}.tags ->> $${params.length}`;
+  }
+  return `${alias}.${sort.column}`;
+};
+
+// The sort value of a listed file, for the next page's cursor
+const getSortValue = (file, sort) => {
+  if (sort.kind === 'meta') {
+    const value = sort.path.reduce((nested, key) => (nested == null ? undefined : nested[key]), file.metadata_json);
+    if (value === undefined || value === null) {
+      return null;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  if (sort.kind === 'tag') {
+    return file.tags?.[sort.key] ?? null;
+  }
+  return file[sort.column];
+};
+
+module.exports = {
+  MAX_TAGS,
+  validateTags,
+  parseFileFilters,
+  buildFilterConditions,
+  parseFileSort,
+  buildSortExpression,
+  getSortValue
+};
@@ -1,35 +1,448 @@
-const { pool } = require('../models/database');
+const crypto = require('crypto');
+const { Readable, Transform, pipeline } = require('stream');
+const { getDriver, getDefaultDriver } = require('./storageDrivers');
+const { SAMPLE_SIZE, getCodec, chooseEncoding, acceptsEncoding } = require('./compression');
+const encryption = require('./encryption');
+const { stageUpload, openStagedUpload, removeStagedUpload } = require('./uploadStaging');
+
+// file_data is the blob index: one row per content hash, recording which
+// driver holds the bytes. Only the postgres driver keeps bytes in the row itself.
+// Identical content is shared, so ref_count tracks how many files, versions and
+// derivatives point at each blob. Database triggers keep it in step with those
+// tables (including cascaded deletes); blobs are only removed once it reaches zero.
+// Compressible blobs are stored encoded (see ./compression); `encoding` and
+// `stored_size` record how, while `size` stays the logical size.
+// Blobs written for buckets with encryption enabled are then encrypted (see
+// ./encryption); the row holds the wrapped data key and which bucket key wraps it.
+
+// Look up a blob's index row
+const getBlobInfo = async (client, fileHash) => {
+  const result = await client.query(
+    `SELECT storage_driver, encoding, size, stored_size,
+            encryption_key_id, wrapped_data_key, encryption_nonce
+     FROM file_data WHERE file_hash = $1`,
+    [fileHash]
+  );
+
+  if (!result.rows[0]) {
+    throw new Error(`File data not found for hash: ${fileHash}`);
+  }
+
+  return result.rows[0];
+};
+
+// Look up the driver that holds a blob
+const getBlobDriver = async (client, fileHash) => {
+  const blob = await getBlobInfo(client, fileHash);
+  return getDriver(blob.storage_driver || 'postgres');
+};
+
+// Record a stored blob in the index. size is always the logical (decoded) size.
+const indexBlob = async (client, fileHash, driver, { size, storedSize, encoding, dataKey, md5 }) => {
+  await client.query(`
+    INSERT INTO file_data (
+      file_hash, size, stored_size, encoding, storage_driver,
+      encryption_key_id, wrapped_data_key, encryption_nonce, md5
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (file_hash) DO UPDATE SET
+      size = EXCLUDED.size,
+      stored_size = EXCLUDED.stored_size,
+      encoding = EXCLUDED.encoding,
+      storage_driver = EXCLUDED.storage_driver,
+      encryption_key_id = EXCLUDED.encryption_key_id,
+      wrapped_data_key = EXCLUDED.wrapped_data_key,
+      encryption_nonce = EXCLUDED.encryption_nonce,
+      md5 = COALESCE(EXCLUDED.md5, file_data.md5)
+  `, [
+    fileHash, size, storedSize, encoding, driver.name,
+    dataKey ? dataKey.keyId : null,
+    dataKey ? dataKey.wrappedDataKey : null,
+    dataKey ? dataKey.nonce.toString('base64') : null,
+    md5 || null
+  ]);
+};
+
+// Lock the index row so a concurrent release can't collect it before our reference lands
+const lockExistingBlob = async (client, fileHash) => {
+  // Held even when there is no row yet, so the local orphan sweep waits for writers to commit
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`blob:${fileHash.toLowerCase()}`]);
+  const existing = await client.query(
+    'SELECT storage_driver, encryption_key_id, md5 FROM file_data WHERE file_hash = $1 FOR UPDATE',
+    [fileHash]
+  );
+  return existing.rows[0] || null;
+};
+
+// Shared blobs are reused as-is, unless an encrypted bucket references content
+// that is still stored in plaintext: then it is rewritten encrypted.
+const canReuseBlob = (existing, bucketKey) => {
+  return existing && (!bucketKey || existing.encryption_key_id);
+};
+
+// Blobs stored before their MD5 was kept pick it up when the same content comes in again
+const fillBlobMd5 = async (client, fileHash, existing, md5) => {
+  if (md5 && !existing.md5) {
+    await client.query('UPDATE file_data SET md5 = $1 WHERE file_hash = $2', [md5, fileHash]);
+  }
+};
+
+// Delete a blob's bytes. Drivers outside the database would lose them for good if the
+// caller's transaction rolled back, so their deletes are queued for the cleanup job.
+const deleteBlobBytes = async (client, fileHash, driver) => {
+  if (driver.transactional) {
+    await driver.delete(client, fileHash);
+    return;
+  }
+
+  await client.query(`
+    INSERT INTO blob_deletions (file_hash, storage_driver)
+    VALUES ($1, $2)
+    ON CONFLICT DO NOTHING
+  `, [fileHash, driver.name]);
+};
+
+// After rewriting a blob, drop the bytes an earlier driver still holds
+const dropReplacedBytes = async (client, fileHash, existing, driver) => {
+  if (existing && existing.storage_driver && existing.storage_driver !== driver.name) {
+    await deleteBlobBytes(client, fileHash, getDriver(existing.storage_driver));
+  }
+};
+
+// Read up to `bytes` from the front of a stream; returns the sample and a stream replaying everything
+const peekStream = async (readable, bytes) => {
+  const iterator = readable[Symbol.asyncIterator]();
+  const chunks = [];
+  let length = 0;
+  let done = false;
+
+  while (length < bytes) {
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      break;
+    }
+    chunks.push(next.value);
+    length += next.value.length;
+  }
+
+  async function* replay() {
+    try {
+      yield* chunks;
+      if (!done) {
+        let next;
+        while (!(next = await iterator.next()).done) {
+          yield next.value;
+        }
+      }
+    } finally {
+      // Closes the source if the consumer stops early
+      await iterator.return();
+    }
+  }
+
+  return { sample: Buffer.concat(chunks), stream: Readable.from(replay()) };
+};
+
+// Store file data with the configured driver (deduplicated by hash).
+// options.mimeType enables compression; options.bucketId applies the bucket's encryption.
+const storeFileData = async (client, fileBuffer, fileHash, options = {}) => {
+  const existing = await lockExistingBlob(client, fileHash);
+  const bucketKey = await encryption.getActiveBucketKey(client, options.bucketId);
+  const md5 = crypto.createHash('md5').update(fileBuffer).digest('hex');
+
+  if (canReuseBlob(existing, bucketKey)) {
+    await fillBlobMd5(client, fileHash, existing, md5);
+    return fileHash;
+  }
+
+  const encoding = chooseEncoding(options.mimeType, fileBuffer, fileBuffer.length);
+  let stored = encoding ? getCodec(encoding).compressSync(fileBuffer) : fileBuffer;
+
+  const dataKey = bucketKey ? encryption.createDataKey(bucketKey) : null;
+  if (dataKey) {
+    stored = encryption.encryptBuffer(dataKey.dataKey, dataKey.nonce, stored);
+  }
+
+  const driver = getDefaultDriver();
+  await driver.put(client, fileHash, stored);
+
+  await indexBlob(client, fileHash, driver, {
+    size: fileBuffer.length,
+    storedSize: stored.length,
+    encoding,
+    dataKey,
+    md5
+  });
+  await dropReplacedBytes(client, fileHash, existing, driver);
+
+  return fileHash;
+};
+
+// Store file data from a readable stream whose hash is already known (e.g. a staged upload).
+// Takes the same options as storeFileData, plus options.md5 of the content when known.
+const storeFileStream = async (client, readable, fileHash, size, options = {}) => {
+  const existing = await lockExistingBlob(client, fileHash);
+  const bucketKey = await encryption.getActiveBucketKey(client, options.bucketId);
+
+  if (canReuseBlob(existing, bucketKey)) {
+    readable.destroy();
+    await fillBlobMd5(client, fileHash, existing, options.md5);
+    return fileHash;
+  }
+
+  const { sample, stream } = await peekStream(readable, SAMPLE_SIZE);
+  const encoding = chooseEncoding(options.mimeType, sample, size);
+  const dataKey = bucketKey ? encryption.createDataKey(bucketKey) : null;
+
+  let storedSize = 0;
+  const counter = new Transform({
+    transform(chunk, chunkEncoding, callback) {
+      storedSize += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  // Compress first: ciphertext doesn't compress
+  const stages = [stream];
+  if (encoding) {
+    stages.push(getCodec(encoding).compress());
+  }
+  if (dataKey) {
+    stages.push(encryption.createEncryptStream(dataKey.dataKey, dataKey.nonce));
+  }
+
+  const driver = getDefaultDriver();
+  await driver.putStream(client, fileHash, pipeline(...stages, counter, () => {}));
+
+  await indexBlob(client, fileHash, driver, { size, storedSize, encoding, dataKey, md5: options.md5 });
+  await dropReplacedBytes(client, fileHash, existing, driver);
+
+  return fileHash;
+};
+
+// Let another bucket reference an existing blob (copies and moves). The blob is shared
+// as-is unless that bucket is encrypted and the content is still plaintext; then it is
+// re-stored encrypted, via a staging file so the rewrite never reads what it replaces.
+const shareFileData = async (client, fileHash, options = {}) => {
+  const existing = await lockExistingBlob(client, fileHash);
+  if (!existing) {
+    throw new Error(`File data not found for hash: ${fileHash}`);
+  }
+
+  const bucketKey = await encryption.getActiveBucketKey(client, options.bucketId);
+  if (canReuseBlob(existing, bucketKey)) {
+    return fileHash;
+  }
+
+  const blob = await getBlobInfo(client, fileHash);
+  const stagingId = crypto.randomUUID();
+
+  try {
+    const digest = await stageUpload(await streamFileData(client, fileHash), stagingId);
+    await storeFileStream(client, openStagedUpload(stagingId), fileHash, parseInt(blob.size), {
+      ...options,
+      md5: digest.md5
+    });
+  } finally {
+    await removeStagedUpload(stagingId);
+  }
 
-// Store file data in database
-const storeFileData = async (client, fileBuffer, fileHash) => {
-  const result = await client.query(`
-    INSERT INTO file_data (file_hash, data) 
-    VALUES ($1, $2) 
-    ON CONFLICT (file_hash) DO NOTHING
-    RETURNING id
-  `, [fileHash, fileBuffer]);
-  
   return fileHash;
 };
 
-// Retrieve file data from database
+// Yield only the bytes between start and end (inclusive), stopping the source once past end
+async function* sliceStream(source, start, end) {
+  let position = 0;
+
+  for await (const chunk of source) {
+    const chunkEnd = position + chunk.length;
+    if (chunkEnd > start) {
+      yield chunk.subarray(Math.max(0, start - position), Math.min(chunk.length, end - position + 1));
+    }
+    position = chunkEnd;
+    if (position > end) {
+      break;
+    }
+  }
+}
+
+// Undo encryption and compression on a blob's stored bytes
+const decodeStoredData = async (client, blob, stored) => {
+  let data = stored;
+
+  if (blob.encryption_key_id) {
+    const { dataKey, nonce } = await encryption.getDataKey(client, blob);
+    data = encryption.decryptBuffer(dataKey, nonce, data);
+  }
+
+  return blob.encoding ? getCodec(blob.encoding).decompressSync(data) : data;
+};
+
+// Stream a blob's encoded bytes (compressed, if it is), decrypting when needed.
+// Ranges are only meaningful for blobs that aren't compressed.
+const openEncodedStream = async (client, fileHash, blob, range = {}) => {
+  const driver = getDriver(blob.storage_driver || 'postgres');
+
+  if (!blob.encryption_key_id) {
+    return driver.stream(client, fileHash, range);
+  }
+
+  const { dataKey, nonce } = await encryption.getDataKey(client, blob);
+  const storedSize = parseInt(blob.stored_size);
+  const totalChunks = encryption.getChunkCount(storedSize);
+
+  if (range.start === undefined && range.end === undefined) {
+    return pipeline(
+      await driver.stream(client, fileHash),
+      encryption.createDecryptStream(dataKey, nonce, { totalChunks }),
+      () => {}
+    );
+  }
+
+  // Read only the encrypted chunks covering the range, then trim to it
+  const start = range.start || 0;
+  const end = Math.min(
+    range.end !== undefined ? range.end : Infinity,
+    encryption.getPlaintextSize(storedSize) - 1
+  );
+  const chunkRange = encryption.getEncryptedRange(start, end, storedSize);
+
+  const decrypted = pipeline(
+    await driver.stream(client, fileHash, { start: chunkRange.start, end: chunkRange.end }),
+    encryption.createDecryptStream(dataKey, nonce, {
+      firstChunk: chunkRange.firstChunk,
+      lastChunk: chunkRange.lastChunk,
+      totalChunks
+    }),
+    () => {}
+  );
+
+  return Readable.from(sliceStream(decrypted, chunkRange.skip, chunkRange.skip + end - start));
+};
+
+// Retrieve file data as a Buffer, decrypting and decompressing as needed
 const getFileData = async (client, fileHash) => {
+  const blob = await getBlobInfo(client, fileHash);
+  const driver = getDriver(blob.storage_driver || 'postgres');
+
+  return decodeStoredData(client, blob, await driver.get(client, fileHash));
+};
+
+// Retrieve file data as a readable stream, optionally limited to an inclusive byte range.
+// Ranges always address the decoded content, so compressed blobs are decoded and sliced.
+const streamFileData = async (client, fileHash, range = {}) => {
+  const blob = await getBlobInfo(client, fileHash);
+
+  if (!blob.encoding) {
+    return openEncodedStream(client, fileHash, blob, range);
+  }
+
+  const decoded = pipeline(
+    await openEncodedStream(client, fileHash, blob),
+    getCodec(blob.encoding).decompress(),
+    () => {}
+  );
+
+  if (range.start === undefined && range.end === undefined) {
+    return decoded;
+  }
+
+  return Readable.from(sliceStream(decoded, range.start || 0, range.end !== undefined ? range.end : Infinity));
+};
+
+// Open a blob for an HTTP response: the compressed bytes as-is when the client accepts their
+// encoding, otherwise the decoded content. size is the length of what the stream yields.
+const openFileDataForResponse = async (client, fileHash, acceptEncoding) => {
+  const blob = await getBlobInfo(client, fileHash);
+
+  if (blob.encoding && acceptsEncoding(acceptEncoding, blob.encoding)) {
+    const storedSize = parseInt(blob.stored_size);
+    return {
+      stream: await openEncodedStream(client, fileHash, blob),
+      encoding: blob.encoding,
+      size: blob.encryption_key_id ? encryption.getPlaintextSize(storedSize) : storedSize,
+      compressed: true
+    };
+  }
+
+  return {
+    stream: await streamFileData(client, fileHash),
+    encoding: null,
+    size: blob.size !== null ? parseInt(blob.size) : undefined,
+    compressed: !!blob.encoding
+  };
+};
+
+// Check whether the blob bytes are actually present in their driver
+const fileDataExists = async (client, fileHash) => {
+  try {
+    const driver = await getBlobDriver(client, fileHash);
+    return await driver.exists(client, fileHash);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get stored (physical) blob size and creation time from its driver
+const statFileData = async (client, fileHash) => {
+  const driver = await getBlobDriver(client, fileHash);
+  const stat = await driver.stat(client, fileHash);
+  return stat ? { ...stat, driver: driver.name } : null;
+};
+
+// Collect every blob hash referenced by a file (or several), its versions and their derivatives
+const getFileBlobHashes = async (client, fileId) => {
+  const fileIds = Array.isArray(fileId) ? fileId : [fileId];
+  const result = await client.query(`
+    SELECT file_hash FROM files WHERE id = ANY($1::uuid[])
+    UNION
+    SELECT file_hash FROM file_versions WHERE file_id = ANY($1::uuid[])
+    UNION
+    SELECT d.file_hash
+    FROM image_derivatives d
+    LEFT JOIN file_versions fv ON d.file_version_id = fv.id
+    WHERE d.file_id = ANY($1::uuid[]) OR fv.file_id = ANY($1::uuid[])
+  `, [fileIds]);
+
+  return result.rows.map(row => row.file_hash).filter(Boolean);
+};
+
+// Delete a blob only if nothing references it any more. Call after removing the
+// referencing rows; the conditional delete locks the index row, so a concurrent
+// upload that reuses the blob either lands first (and keeps it) or re-stores it.
+const releaseFileData = async (client, fileHash) => {
   const result = await client.query(`
-    SELECT data FROM file_data WHERE file_hash = $1
+    DELETE FROM file_data fd
+    WHERE fd.file_hash = $1
+      AND fd.ref_count <= 0
+      AND NOT EXISTS (SELECT 1 FROM files WHERE file_hash = fd.file_hash)
+      AND NOT EXISTS (SELECT 1 FROM file_versions WHERE file_hash = fd.file_hash)
+      AND NOT EXISTS (SELECT 1 FROM image_derivatives WHERE file_hash = fd.file_hash)
+    RETURNING storage_driver
   `, [fileHash]);
-  
+
   if (!result.rows[0]) {
-    throw new Error(`File data not found for hash: ${fileHash}`);
+    return false;
   }
-  
-  return result.rows[0].data;
-};
 
-// Delete file data from database
-const deleteFileData = async (client, fileHash) => {
-  await client.query(`
-    DELETE FROM file_data WHERE file_hash = $1
-  `, [fileHash]);
+  await deleteBlobBytes(client, fileHash, getDriver(result.rows[0].storage_driver || 'postgres'));
+
+  return true;
 };
 
-module.exports = { storeFileData, getFileData, deleteFileData };
\ No newline at end of file
+module.exports = {
+  storeFileData,
+  storeFileStream,
+  shareFileData,
+  getBlobInfo,
+  decodeStoredData,
+  getFileData,
+  streamFileData,
+  openFileDataForResponse,
+  fileDataExists,
+  statFileData,
+  getFileBlobHashes,
+  lockExistingBlob,
+  releaseFileData
+};
@@ -0,0 +1,390 @@
+const { pool } = require('../models/database');
+const FileValidationService = require('./fileValidation');
+const { createError } = require('./errors');
+const analyticsService = require('./analytics');
+const { shareFileData, getFileBlobHashes } = require('./fileStorage');
+const { buildObjectKey } = require('./uploadSessions');
+const { moveToTrash } = require('./trash');
+const { isFileLocked, lockedError, defaultRetention } = require('./objectLock');
+const { noncurrentVersionBytes, pruneNoncurrentVersions } = require('./versions');
+const { checkQuota } = require('./quotas');
+const { assertPathAccess } = require('./permissions');
+
+// Copies and moves only ever write new rows pointing at existing blobs; the ref_count
+// triggers account for the extra references, so no content is duplicated. The target
+// bucket's policy applies as if the file had been uploaded there: allowed_types is
+// checked, and a name clash becomes a new version when the bucket keeps versions.
+const MAX_NAME_LENGTH = 255; // files.original_name
+
+// Check a destination file name
+const validateTargetName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw createError('INVALID_REQUEST', { field: 'name' }, 'name must be a non-empty string');
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw createError('INVALID_REQUEST', { field: 'name' }, `name is limited to ${MAX_NAME_LENGTH} characters`);
+  }
+  if (name.startsWith('/') || name.endsWith('/') || name.split('/').some(segment => segment === '.' || segment === '..')) {
+    throw createError('INVALID_REQUEST', { field: 'name' }, 'name must be a relative path to a file');
+  }
+  return name;
+};
+
+// Load the source file and destination bucket, and check the destination accepts it.
+// An API key needs access to both the source and the destination.
+const prepareTransfer = async (client, { userId, fileId, targetBucketId, name, apiKey = null }) => {
+  const sourceResult = await client.query(
+    'SELECT * FROM files WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE',
+    [fileId, userId]
+  );
+
+  const source = sourceResult.rows[0];
+  if (!source) {
+    throw createError('FILE_NOT_FOUND', { fileId });
+  }
+  assertPathAccess(apiKey, source.bucket_id, source.original_name);
+
+  const bucketId = targetBucketId || source.bucket_id;
+  const targetName = validateTargetName(name === undefined ? source.original_name : name);
+  assertPathAccess(apiKey, bucketId, targetName);
+
+  const bucketResult = await client.query(
+    'SELECT * FROM buckets WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+    [bucketId, userId]
+  );
+
+  const bucket = bucketResult.rows[0];
+  if (!bucket) {
+    throw createError('BUCKET_NOT_FOUND', { bucketId });
+  }
+
+  const allowedTypes = bucket.allowed_types || ['*'];
+  const typeValidation = FileValidationService.validateFileType(targetName, source.mime_type, allowedTypes);
+
+  if (!typeValidation.isValid) {
+    const errorInfo = FileValidationService.formatValidationError(typeValidation, allowedTypes);
+    throw createError('INVALID_FILE_TYPE', {
+      allowedTypes: errorInfo.allowedTypes,
+      suggestion: errorInfo.suggestion,
+      validationErrors: typeValidation.errors,
+      receivedType: source.mime_type
+    }, errorInfo.message);
+  }
+
+  return { source, bucket, targetName };
+};
+
+// Find a live file already using the destination name
+const findExistingTarget = async (client, bucketId, name, excludeFileId) => {
+  const result = await client.query(`
+    SELECT * FROM files
+    WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL AND id <> $3
+    ORDER BY version DESC LIMIT 1
+    FOR UPDATE
+  `, [bucketId, name, excludeFileId]);
+  return result.rows[0] || null;
+};
+
+// Move a clashing destination file to trash (replace: true)
+const trashExistingTarget = async (client, existing) => {
+  if (isFileLocked(existing)) {
+    throw lockedError(existing);
+  }
+
+  await moveToTrash(client, [existing.id]);
+  await client.query(
+    'UPDATE buckets SET file_count = file_count - 1, storage_used = storage_used - $1 WHERE id = $2',
+    [existing.size, existing.bucket_id]
+  );
+};
+
+// Make every blob a file (and its versions and derivatives) uses readable from another bucket
+const shareFileBlobs = async (client, fileId, bucketId) => {
+  for (const fileHash of await getFileBlobHashes(client, fileId)) {
+    await shareFileData(client, fileHash, { bucketId });
+  }
+};
+
+// Add the source's current content as the next version of an existing file. The
+// previous content stays as a noncurrent version, so its bytes are still counted.
+const addAsNewVersion = async (client, source, existing, bucket, userId) => {
+  if (isFileLocked(existing)) {
+    throw lockedError(existing);
+  }
+
+  const version = existing.version + 1;
+
+  const fileResult = await client.query(`
+    UPDATE files
+    SET filename = $1, mime_type = $2, size = $3, object_key = $4, file_hash = $5,
+        version = $6, metadata_json = $7, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $8
+    RETURNING *
+  `, [
+    `${source.file_hash}-${existing.original_name}`,
+    source.mime_type,
+    source.size,
+    source.object_key,
+    source.file_hash,
+    version,
+    JSON.stringify(source.metadata_json || {}),
+    existing.id
+  ]);
+
+  await client.query(
+    'UPDATE file_versions SET is_current = false WHERE file_id = $1',
+    [existing.id]
+  );
+
+  const versionResult = await client.query(`
+    INSERT INTO file_versions
+    (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true)
+    RETURNING id
+  `, [
+    existing.id,
+    version,
+    `${source.file_hash}-${existing.original_name}`,
+    existing.original_name,
+    source.mime_type,
+    source.size,
+    source.object_key,
+    source.file_hash,
+    JSON.stringify(source.metadata_json || {}),
+    userId
+  ]);
+
+  await client.query(
+    'UPDATE files SET current_version_id = $1 WHERE id = $2',
+    [versionResult.rows[0].id, existing.id]
+  );
+
+  await client.query(
+    'UPDATE buckets SET storage_used = storage_used + $1 WHERE id = $2',
+    [source.size, existing.bucket_id]
+  );
+
+  await pruneNoncurrentVersions(client, existing.id, bucket.max_noncurrent_versions);
+
+  return { ...fileResult.rows[0], current_version_id: versionResult.rows[0].id };
+};
+
+// Create an independent copy. Version history comes along when the destination
+// bucket keeps versions; otherwise the copy starts at version 1.
+const insertCopy = async (client, source, bucket, targetName, userId) => {
+  const keepHistory = bucket.versioning_enabled;
+  const version = keepHistory ? source.version : 1;
+  const retention = defaultRetention(bucket);
+
+  const fileResult = await client.query(`
+    INSERT INTO files
+    (bucket_id, user_id, filename, original_name, mime_type, size, object_key, file_hash, is_public, version, created_by, metadata_json, tags, retention_mode, retain_until)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING *
+  `, [
+    bucket.id,
+    userId,
+    `${source.file_hash}-${targetName}`,
+    targetName,
+    source.mime_type,
+    source.size,
+    buildObjectKey(userId, bucket, targetName),
+    source.file_hash,
+    bucket.is_public_by_default,
+    version,
+    userId,
+    JSON.stringify(source.metadata_json || {}),
+    JSON.stringify(source.tags || {}),
+    retention.mode,
+    retention.retainUntil
+  ]);
+  const file = fileResult.rows[0];
+
+  if (keepHistory) {
+    await client.query(`
+      INSERT INTO file_versions
+      (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current, restored_from_version, created_at, label, note)
+      SELECT $1, version_number, filename, $2, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current, restored_from_version, created_at, label, note
+      FROM file_versions
+      WHERE file_id = $3
+    `, [file.id, targetName, source.id]);
+  } else {
+    await client.query(`
+      INSERT INTO file_versions
+      (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current)
+      VALUES ($1, 1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+    `, [
+      file.id,
+      file.filename,
+      targetName,
+      source.mime_type,
+      source.size,
+      file.object_key,
+      source.file_hash,
+      JSON.stringify(source.metadata_json || {}),
+      userId
+    ]);
+  }
+
+  const historyBytes = keepHistory ? await noncurrentVersionBytes(client, file.id) : 0;
+
+  await client.query(`
+    UPDATE buckets
+    SET file_count = COALESCE(file_count, 0) + 1, storage_used = COALESCE(storage_used, 0) + $1
+    WHERE id = $2
+  `, [parseInt(source.size) + historyBytes, bucket.id]);
+
+  if (keepHistory) {
+    await pruneNoncurrentVersions(client, file.id, bucket.max_noncurrent_versions);
+  }
+
+  return file;
+};
+
+// Copy a file to another name and/or bucket. A live file already using the name gets
+// the content as a new version (versioned buckets), is trashed (replace: true) or
+// makes the copy fail with FILE_CONFLICT.
+const copyFile = async ({ userId, fileId, targetBucketId, name, replace = false, apiKey = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { source, bucket, targetName } = await prepareTransfer(client, { userId, fileId, targetBucketId, name, apiKey });
+
+    if (bucket.id !== source.bucket_id) {
+      await shareFileBlobs(client, source.id, bucket.id);
+    }
+
+    const existing = await findExistingTarget(client, bucket.id, targetName, source.id);
+    let file;
+    let operation = 'copied';
+
+    if (existing && bucket.versioning_enabled && !replace) {
+      await checkQuota(client, { userId, bucketId: bucket.id, bytes: parseInt(source.size) || 0 });
+      file = await addAsNewVersion(client, source, existing, bucket, userId);
+      operation = 'versioned';
+    } else {
+      if (existing && !replace) {
+        throw createError('FILE_CONFLICT', { bucketId: bucket.id, name: targetName, existingFileId: existing.id });
+      }
+      if (existing) {
+        await trashExistingTarget(client, existing);
+      }
+      // A copy into a versioned bucket brings the source's history along
+      const historyBytes = bucket.versioning_enabled ? await noncurrentVersionBytes(client, source.id) : 0;
+      await checkQuota(client, {
+        userId,
+        bucketId: bucket.id,
+        bytes: (parseInt(source.size) || 0) + historyBytes,
+        objects: 1
+      });
+      file = await insertCopy(client, source, bucket, targetName, userId);
+    }
+
+    await analyticsService.trackCopy(userId, bucket.id, parseInt(source.size) || 0);
+
+    await client.query('COMMIT');
+
+    return { file, operation, sourceFileId: source.id };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Move (or rename) a file, keeping its ID, metadata and full version history. Moves
+// never merge histories: a clashing live file is trashed with replace: true, otherwise
+// the move fails with FILE_CONFLICT.
+const moveFile = async (options) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await moveFileWithClient(client, options);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// The body of moveFile, inside a transaction the caller manages (batch moves)
+const moveFileWithClient = async (client, { userId, fileId, targetBucketId, name, replace = false, apiKey = null }) => {
+  const { source, bucket, targetName } = await prepareTransfer(client, { userId, fileId, targetBucketId, name, apiKey });
+  const crossBucket = bucket.id !== source.bucket_id;
+
+  if (!crossBucket && targetName === source.original_name) {
+    throw createError('INVALID_REQUEST', { fileId, name: targetName }, 'The file is already at this location');
+  }
+
+  const existing = await findExistingTarget(client, bucket.id, targetName, source.id);
+  if (existing && !replace) {
+    throw createError('FILE_CONFLICT', { bucketId: bucket.id, name: targetName, existingFileId: existing.id });
+  }
+  if (existing) {
+    await trashExistingTarget(client, existing);
+  }
+
+  if (crossBucket) {
+    // The account's usage doesn't change, but the target bucket's does
+    await checkQuota(client, {
+      userId,
+      bucketId: bucket.id,
+      bytes: parseInt(source.size) + await noncurrentVersionBytes(client, source.id),
+      objects: 1,
+      scopes: ['bucket']
+    });
+    await shareFileBlobs(client, source.id, bucket.id);
+  }
+
+  const fileResult = await client.query(`
+    UPDATE files
+    SET bucket_id = $1, original_name = $2, object_key = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $4
+    RETURNING *
+  `, [
+    bucket.id,
+    targetName,
+    crossBucket ? buildObjectKey(userId, bucket, targetName) : source.object_key,
+    source.id
+  ]);
+
+  // Restoring a version puts its name back on the file, so versions follow the rename
+  await client.query(
+    'UPDATE file_versions SET original_name = $1 WHERE file_id = $2',
+    [targetName, source.id]
+  );
+
+  if (crossBucket) {
+    // Noncurrent versions move with the file
+    const movedBytes = parseInt(source.size) + await noncurrentVersionBytes(client, source.id);
+
+    await client.query(
+      'UPDATE buckets SET file_count = file_count - 1, storage_used = storage_used - $1 WHERE id = $2',
+      [movedBytes, source.bucket_id]
+    );
+    await client.query(`
+      UPDATE buckets
+      SET file_count = COALESCE(file_count, 0) + 1, storage_used = COALESCE(storage_used, 0) + $1
+      WHERE id = $2
+    `, [movedBytes, bucket.id]);
+
+    await pruneNoncurrentVersions(client, source.id, bucket.max_noncurrent_versions);
+  }
+
+  await analyticsService.trackMove(userId, source.bucket_id, bucket.id, parseInt(source.size) || 0);
+
+  return { file: fileResult.rows[0], operation: 'moved', sourceBucketId: source.bucket_id };
+};
+
+module.exports = {
+  copyFile,
+  moveFile,
+  moveFileWithClient
+};
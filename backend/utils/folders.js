@@ -0,0 +1,297 @@
+const { pool } = require('../models/database');
+const { createError } = require('./errors');
+const { assertPathAccess } = require('./permissions');
+
+// Folders are "/"-separated prefixes of files.original_name, the same keys the S3
+// gateway exposes. A folder exists while any file lives under it or while it has a
+// row in the folders table (created explicitly, possibly still empty).
+const FOLDER_DELIMITER = '/';
+const MAX_NAME_LENGTH = 255; // files.original_name
+
+// Normalize a folder path to "a/b/" form ('' is the bucket root)
+const normalizeFolderPath = (path, field = 'path') => {
+  if (path === undefined || path === null) {
+    return '';
+  }
+  if (typeof path !== 'string') {
+    throw createError('INVALID_REQUEST', { field }, `${field} must be a string`);
+  }
+
+  const segments = path.split(FOLDER_DELIMITER).map(segment => segment.trim()).filter(Boolean);
+
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw createError('INVALID_REQUEST', { field }, `${field} cannot contain "." or ".." segments`);
+  }
+
+  const normalized = segments.length > 0 ? `${segments.join(FOLDER_DELIMITER)}${FOLDER_DELIMITER}` : '';
+  if (normalized.length > MAX_NAME_LENGTH) {
+    throw createError('INVALID_REQUEST', { field }, `${field} is limited to ${MAX_NAME_LENGTH} characters`);
+  }
+
+  return normalized;
+};
+
+// Parent of a folder path ('a/b/' -> 'a/', 'a/' -> '')
+const getParentPath = (path) => {
+  const trimmed = path.slice(0, -1);
+  const index = trimmed.lastIndexOf(FOLDER_DELIMITER);
+  return index === -1 ? '' : trimmed.slice(0, index + 1);
+};
+
+// Last segment of a folder path ('a/b/' -> 'b')
+const getFolderName = (path) => path.slice(getParentPath(path).length, -1);
+
+// Verify the bucket belongs to the user
+const getOwnedBucket = async (client, bucketId, userId) => {
+  const result = await client.query(
+    'SELECT id FROM buckets WHERE id = $1 AND user_id = $2',
+    [bucketId, userId]
+  );
+
+  if (!result.rows[0]) {
+    throw createError('BUCKET_NOT_FOUND', { bucketId });
+  }
+  return result.rows[0];
+};
+
+// Check whether a folder exists, either implied by a file or created explicitly
+const folderExists = async (client, bucketId, path) => {
+  const result = await client.query(`
+    SELECT EXISTS (SELECT 1 FROM files WHERE bucket_id = $1 AND starts_with(original_name, $2))
+        OR EXISTS (SELECT 1 FROM folders WHERE bucket_id = $1 AND starts_with(path, $2)) AS exists
+  `, [bucketId, path]);
+  return result.rows[0].exists;
+};
+
+// Every folder in the bucket with recursive file counts and sizes. Ancestors of each
+// file and explicit folder are expanded, so 'a/b/c.txt' yields both 'a/' and 'a/b/'.
+// Path-limited API keys only see folders on the way to or inside their prefixes.
+const listFolderTree = async (bucketId, userId, apiKey = null) => {
+  await getOwnedBucket(pool, bucketId, userId);
+
+  const result = await pool.query(`
+    WITH entries AS (
+      SELECT original_name AS name, 1 AS file_count, COALESCE(size, 0) AS size, false AS explicit
+      FROM files
+      WHERE bucket_id = $1 AND user_id = $2 AND strpos(original_name, '/') > 0
+      UNION ALL
+      SELECT path, 0, 0, true
+      FROM folders
+      WHERE bucket_id = $1
+    )
+    SELECT path, SUM(file_count)::int AS file_count, SUM(size)::bigint AS total_size, bool_or(explicit) AS explicit
+    FROM (
+      SELECT
+        array_to_string((string_to_array(entries.name, '/'))[1:depth], '/') || '/' AS path,
+        entries.file_count,
+        entries.size,
+        entries.explicit AND depth = array_length(string_to_array(entries.name, '/'), 1) - 1 AS explicit
+      FROM entries,
+        LATERAL generate_series(1, array_length(string_to_array(entries.name, '/'), 1) - 1) AS depth
+    ) ancestors
+    GROUP BY path
+    ORDER BY path COLLATE "C"
+  `, [bucketId, userId]);
+
+  const pathPrefixes = apiKey?.path_prefixes;
+  const rows = pathPrefixes
+    ? result.rows.filter(row => pathPrefixes.some(prefix => row.path.startsWith(prefix) || prefix.startsWith(row.path)))
+    : result.rows;
+
+  return rows.map(row => ({
+    path: row.path,
+    name: getFolderName(row.path),
+    parent: getParentPath(row.path),
+    fileCount: row.file_count,
+    totalSize: parseInt(row.total_size),
+    explicit: row.explicit
+  }));
+};
+
+// Create an empty folder (and keep it listed until it's deleted)
+const createFolder = async (bucketId, userId, path, apiKey = null) => {
+  const folderPath = normalizeFolderPath(path);
+  if (!folderPath) {
+    throw createError('INVALID_REQUEST', { field: 'path' }, 'Folder path is required');
+  }
+  assertPathAccess(apiKey, bucketId, folderPath);
+
+  await getOwnedBucket(pool, bucketId, userId);
+
+  const result = await pool.query(`
+    INSERT INTO folders (bucket_id, user_id, path)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (bucket_id, path) DO NOTHING
+    RETURNING *
+  `, [bucketId, userId, folderPath]);
+
+  return { path: folderPath, created: result.rows.length > 0 };
+};
+
+// Move a folder and everything under it to a new path. Renames and moves are both
+// prefix swaps on original_name; trashed files move too so restores land in place.
+const relocateFolder = async (bucketId, userId, fromPath, toPath, apiKey) => {
+  if (!fromPath) {
+    throw createError('INVALID_REQUEST', { field: 'path' }, 'The bucket root cannot be moved');
+  }
+  if (fromPath === toPath) {
+    return { path: toPath, movedFiles: 0 };
+  }
+  if (toPath.startsWith(fromPath)) {
+    throw createError('INVALID_REQUEST', { path: fromPath, destination: toPath }, 'A folder cannot be moved into itself');
+  }
+  assertPathAccess(apiKey, bucketId, fromPath);
+  assertPathAccess(apiKey, bucketId, toPath);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await getOwnedBucket(client, bucketId, userId);
+
+    // Serialize folder moves per bucket so two moves can't interleave
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`folders:${bucketId}`]);
+
+    if (!(await folderExists(client, bucketId, fromPath))) {
+      throw createError('FOLDER_NOT_FOUND', { path: fromPath });
+    }
+
+    const conflicts = await client.query(`
+      SELECT moved.original_name
+      FROM files moved
+      JOIN files existing ON existing.bucket_id = moved.bucket_id
+        AND existing.original_name = $3 || substr(moved.original_name, char_length($2) + 1)
+      WHERE moved.bucket_id = $1 AND starts_with(moved.original_name, $2)
+      LIMIT 10
+    `, [bucketId, fromPath, toPath]);
+
+    if (conflicts.rows.length > 0) {
+      throw createError('FOLDER_CONFLICT', {
+        path: fromPath,
+        destination: toPath,
+        conflicts: conflicts.rows.map(row => row.original_name)
+      });
+    }
+
+    const tooLong = await client.query(`
+      SELECT 1 FROM files
+      WHERE bucket_id = $1 AND starts_with(original_name, $2)
+        AND char_length($3) + char_length(original_name) - char_length($2) > $4
+      LIMIT 1
+    `, [bucketId, fromPath, toPath, MAX_NAME_LENGTH]);
+
+    if (tooLong.rows.length > 0) {
+      throw createError('INVALID_REQUEST', { destination: toPath },
+        `Moved file names would exceed ${MAX_NAME_LENGTH} characters`);
+    }
+
+    // Version rows carry the name too, and restoring one puts it back on the file
+    await client.query(`
+      UPDATE file_versions fv
+      SET original_name = $3 || substr(fv.original_name, char_length($2) + 1)
+      FROM files f
+      WHERE fv.file_id = f.id AND f.bucket_id = $1
+        AND starts_with(f.original_name, $2) AND starts_with(fv.original_name, $2)
+    `, [bucketId, fromPath, toPath]);
+
+    const moved = await client.query(`
+      UPDATE files
+      SET original_name = $3 || substr(original_name, char_length($2) + 1),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE bucket_id = $1 AND starts_with(original_name, $2)
+    `, [bucketId, fromPath, toPath]);
+
+    // Carry explicit (possibly empty) folders over, merging with any already there
+    await client.query(`
+      INSERT INTO folders (bucket_id, user_id, path)
+      SELECT bucket_id, user_id, $3 || substr(path, char_length($2) + 1)
+      FROM folders
+      WHERE bucket_id = $1 AND starts_with(path, $2)
+      ON CONFLICT (bucket_id, path) DO NOTHING
+    `, [bucketId, fromPath, toPath]);
+
+    await client.query(
+      'DELETE FROM folders WHERE bucket_id = $1 AND starts_with(path, $2)',
+      [bucketId, fromPath]
+    );
+
+    // Keep the moved folder and the one it left behind listed even when empty
+    const keepPaths = [toPath, getParentPath(fromPath)].filter(Boolean);
+    await client.query(`
+      INSERT INTO folders (bucket_id, user_id, path)
+      SELECT $1, $2, unnest($3::text[])
+      ON CONFLICT (bucket_id, path) DO NOTHING
+    `, [bucketId, userId, keepPaths]);
+
+    await client.query('COMMIT');
+
+    return { path: toPath, previousPath: fromPath, movedFiles: moved.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Rename a folder in place
+const renameFolder = async (bucketId, userId, path, name, apiKey = null) => {
+  const fromPath = normalizeFolderPath(path);
+
+  if (typeof name !== 'string' || !name.trim() || name.includes(FOLDER_DELIMITER)) {
+    throw createError('INVALID_REQUEST', { field: 'name' }, 'name must be a single folder name without "/"');
+  }
+
+  const toPath = normalizeFolderPath(`${getParentPath(fromPath)}${name}`, 'name');
+  return relocateFolder(bucketId, userId, fromPath, toPath, apiKey);
+};
+
+// Move a folder under another folder ('' moves it to the bucket root)
+const moveFolder = async (bucketId, userId, path, destination, apiKey = null) => {
+  const fromPath = normalizeFolderPath(path);
+  const toPath = normalizeFolderPath(`${normalizeFolderPath(destination, 'destination')}${getFolderName(fromPath)}`, 'destination');
+  return relocateFolder(bucketId, userId, fromPath, toPath, apiKey);
+};
+
+// Delete a folder that holds no files, live or trashed
+const deleteFolder = async (bucketId, userId, path, apiKey = null) => {
+  const folderPath = normalizeFolderPath(path);
+  if (!folderPath) {
+    throw createError('INVALID_REQUEST', { field: 'path' }, 'The bucket root cannot be deleted');
+  }
+  assertPathAccess(apiKey, bucketId, folderPath);
+
+  await getOwnedBucket(pool, bucketId, userId);
+
+  const files = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM files WHERE bucket_id = $1 AND starts_with(original_name, $2)',
+    [bucketId, folderPath]
+  );
+
+  if (files.rows[0].count > 0) {
+    throw createError('FOLDER_NOT_EMPTY', { path: folderPath, fileCount: files.rows[0].count });
+  }
+
+  const deleted = await pool.query(
+    'DELETE FROM folders WHERE bucket_id = $1 AND starts_with(path, $2)',
+    [bucketId, folderPath]
+  );
+
+  if (deleted.rowCount === 0) {
+    throw createError('FOLDER_NOT_FOUND', { path: folderPath });
+  }
+
+  return { path: folderPath };
+};
+
+module.exports = {
+  FOLDER_DELIMITER,
+  normalizeFolderPath,
+  getParentPath,
+  getFolderName,
+  listFolderTree,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  deleteFolder
+};
@@ -0,0 +1,173 @@
+// Parse a single-range "bytes=" Range header against a resource size.
+// Returns null when the header is absent or unusable (serve the full body),
+// { unsatisfiable: true } when it lies outside the resource, or an inclusive { start, end }.
+const parseRange = (header, size) => {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffixLength = parseInt(match[2]);
+    if (suffixLength === 0 || size === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(0, size - suffixLength);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+
+    if (match[2] !== '' && parseInt(match[2]) < start) {
+      return null;
+    }
+  }
+
+  if (start >= size) {
+    return { unsatisfiable: true };
+  }
+
+  return { start, end };
+};
+
+// More ranges than this in one request are treated as abuse and answered with the full body
+const MAX_RANGES = 32;
+
+// Parse a "bytes=" Range header that may list several ranges. Returns null when the
+// header is absent or unusable (serve the full body), { unsatisfiable: true } when no
+// range overlaps the resource, or a sorted list of inclusive { start, end } ranges with
+// overlapping and adjacent ones merged.
+const parseRanges = (header, size) => {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return null;
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const range = parseRange(`bytes=${spec}`, size);
+    if (!range) {
+      // One malformed spec invalidates the whole header
+      return null;
+    }
+    if (!range.unsatisfiable) {
+      ranges.push(range);
+    }
+  }
+
+  if (ranges.length === 0) {
+    return { unsatisfiable: true };
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+// Compare entity tags weakly (W/ prefixes ignored), as If-None-Match requires
+const normalizeETag = (tag) => tag.trim().replace(/^W\//, '');
+
+// Check whether a list-valued If-None-Match header matches any of the given ETags
+const etagListMatches = (header, etags) => {
+  const candidates = [].concat(etags).filter(Boolean).map(normalizeETag);
+  return header.split(',').some(tag => {
+    const value = tag.trim();
+    return value === '*' || candidates.includes(normalizeETag(value));
+  });
+};
+
+// Decide whether a conditional GET/HEAD can be answered with 304 Not Modified.
+// If-None-Match wins over If-Modified-Since when both are sent.
+const isNotModified = (req, { etag, lastModified }) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return false;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return etagListMatches(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    // HTTP dates have one-second resolution
+    return !Number.isNaN(since) && Math.floor(new Date(lastModified).getTime() / 1000) * 1000 <= since;
+  }
+
+  return false;
+};
+
+// Check If-Range: ranges only apply when the client's copy is still current.
+// Only strong ETags and exact dates qualify.
+const ifRangeMatches = (req, { etag, lastModified }) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  const value = ifRange.trim();
+  if (value.startsWith('"')) {
+    return [].concat(etag).includes(value);
+  }
+  if (value.startsWith('W/')) {
+    return false;
+  }
+
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && !!lastModified &&
+    Math.floor(new Date(lastModified).getTime() / 1000) * 1000 === date;
+};
+
+// Lay out a multipart/byteranges body: the part headers for each range and the total length
+const buildMultipartRanges = (ranges, size, contentType, boundary) => {
+  const parts = ranges.map((range, index) => ({
+    range,
+    header: Buffer.from(
+      `${index === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    )
+  }));
+  const trailer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const length = parts.reduce(
+    (total, part) => total + part.header.length + (part.range.end - part.range.start + 1),
+    trailer.length
+  );
+
+  return { parts, trailer, length };
+};
+
+module.exports = {
+  parseRange,
+  parseRanges,
+  isNotModified,
+  ifRangeMatches,
+  buildMultipartRanges
+};
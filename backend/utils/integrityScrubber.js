@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const { pool } = require('../models/database');
+const { getDriver } = require('./storageDrivers');
+const { getBlobInfo, streamFileData } = require('./fileStorage');
+
+// Periodically re-reads every stored blob and checks it still hashes to its content hash.
+// file_data holds one row per blob, so walking it covers files, versions and derivatives
+// alike; references whose blob has no index row at all are picked up separately.
+// Findings go to corrupted_blobs and are resolved once a later check passes.
+const SCRUB_INTERVAL_HOURS = parseFloat(process.env.SCRUB_INTERVAL_HOURS ?? 24);
+const SCRUB_BATCH_SIZE = parseInt(process.env.SCRUB_BATCH_SIZE) || 50;
+// Read budget while scrubbing, so the job never competes with downloads for I/O
+const SCRUB_MAX_BYTES_PER_SECOND = parseInt(process.env.SCRUB_MAX_BYTES_PER_SECOND) || 8 * 1024 * 1024;
+const SCRUB_BATCH_PAUSE_MS = parseInt(process.env.SCRUB_BATCH_PAUSE_MS ?? 1000);
+
+const ISSUE_TYPES = {
+  HASH_MISMATCH: 'hash_mismatch',   // Bytes decode fine but hash to something else
+  UNREADABLE: 'unreadable',         // Decryption or decompression failed
+  MISSING_DATA: 'missing_data',     // Indexed, but the driver has no bytes
+  MISSING_INDEX: 'missing_index'    // Referenced by a file, version or derivative but not indexed
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class IntegrityScrubber {
+  constructor() {
+    this.currentRun = null;
+    this.progress = null;
+    this.lastRun = null;
+  }
+
+  // Hash a blob's decoded content. With throttle, reads are paced to the scrub budget.
+  async hashBlob(fileHash, { throttle = true } = {}) {
+    const hash = crypto.createHash('sha256');
+    const startedAt = Date.now();
+    let bytes = 0;
+
+    for await (const chunk of await streamFileData(pool, fileHash)) {
+      hash.update(chunk);
+      bytes += chunk.length;
+
+      if (throttle) {
+        const aheadMs = (bytes / SCRUB_MAX_BYTES_PER_SECOND) * 1000 - (Date.now() - startedAt);
+        if (aheadMs > 0) {
+          await sleep(aheadMs);
+        }
+      }
+    }
+
+    return { computedHash: hash.digest('hex'), bytes };
+  }
+
+  // Check one indexed blob. Returns { ok, bytes } or { ok: false, issue, ... }.
+  async checkBlob(fileHash, options = {}) {
+    let blob;
+    try {
+      blob = await getBlobInfo(pool, fileHash);
+    } catch (error) {
+      return { ok: false, issue: ISSUE_TYPES.MISSING_INDEX, details: error.message, bytes: 0 };
+    }
+
+    const storageDriver = blob.storage_driver || 'postgres';
+    const stat = await getDriver(storageDriver).stat(pool, fileHash);
+    if (!stat) {
+      return { ok: false, issue: ISSUE_TYPES.MISSING_DATA, storageDriver, details: 'Blob bytes not found in storage driver', bytes: 0 };
+    }
+
+    let result;
+    try {
+      result = await this.hashBlob(fileHash, options);
+    } catch (error) {
+      return { ok: false, issue: ISSUE_TYPES.UNREADABLE, storageDriver, details: error.message, bytes: stat.size };
+    }
+
+    if (result.computedHash !== fileHash.toLowerCase()) {
+      return {
+        ok: false,
+        issue: ISSUE_TYPES.HASH_MISMATCH,
+        storageDriver,
+        computedHash: result.computedHash,
+        details: `Content hashes to ${result.computedHash}`,
+        bytes: result.bytes
+      };
+    }
+
+    return { ok: true, storageDriver, computedHash: result.computedHash, bytes: result.bytes };
+  }
+
+  // Record a check result: open (or refresh) an issue, or resolve an open one
+  async recordResult(fileHash, result) {
+    if (result.ok) {
+      await pool.query(`
+        UPDATE corrupted_blobs
+        SET resolved_at = CURRENT_TIMESTAMP, last_checked_at = CURRENT_TIMESTAMP
+        WHERE file_hash = $1 AND resolved_at IS NULL
+      `, [fileHash]);
+    } else {
+      await pool.query(`
+        INSERT INTO corrupted_blobs (file_hash, issue, computed_hash, storage_driver, details)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (file_hash) DO UPDATE SET
+          issue = EXCLUDED.issue,
+          computed_hash = EXCLUDED.computed_hash,
+          storage_driver = EXCLUDED.storage_driver,
+          details = EXCLUDED.details,
+          last_checked_at = CURRENT_TIMESTAMP,
+          detected_at = CASE WHEN corrupted_blobs.resolved_at IS NULL
+            THEN corrupted_blobs.detected_at ELSE CURRENT_TIMESTAMP END,
+          resolved_at = NULL
+      `, [fileHash, result.issue, result.computedHash || null, result.storageDriver || null, result.details || null]);
+    }
+
+    if (result.issue !== ISSUE_TYPES.MISSING_INDEX) {
+      await pool.query(
+        'UPDATE file_data SET last_scrubbed_at = CURRENT_TIMESTAMP WHERE file_hash = $1',
+        [fileHash]
+      );
+    }
+  }
+
+  // Find blob hashes that files, versions or derivatives point at but file_data lacks
+  async findUnindexedReferences() {
+    const result = await pool.query(`
+      SELECT DISTINCT refs.file_hash
+      FROM (
+        SELECT file_hash FROM files WHERE file_hash IS NOT NULL
+        UNION SELECT file_hash FROM file_versions WHERE file_hash IS NOT NULL
+        UNION SELECT file_hash FROM image_derivatives WHERE file_hash IS NOT NULL
+      ) refs
+      WHERE NOT EXISTS (SELECT 1 FROM file_data fd WHERE fd.file_hash = refs.file_hash)
+    `);
+    return result.rows.map(row => row.file_hash);
+  }
+
+  // Walk every blob in batches, least recently scrubbed first
+  async scrub() {
+    const startedAt = new Date();
+    const stats = { scanned: 0, bytes: 0, healthy: 0, corrupted: 0, missing: 0, failed: 0 };
+    const failed = [];
+
+    console.log('Starting integrity scrub...');
+    this.progress = { startedAt: startedAt.toISOString(), ...stats };
+
+    while (true) {
+      // Checked rows get a fresh last_scrubbed_at, so each batch picks up the next set
+      const batch = await pool.query(`
+        SELECT file_hash FROM file_data
+        WHERE (last_scrubbed_at IS NULL OR last_scrubbed_at < $1) AND NOT (file_hash = ANY($2))
+        ORDER BY last_scrubbed_at ASC NULLS FIRST, created_at ASC
+        LIMIT $3
+      `, [startedAt, failed, SCRUB_BATCH_SIZE]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const { file_hash: fileHash } of batch.rows) {
+        try {
+          const result = await this.checkBlob(fileHash);
+          if (result.issue === ISSUE_TYPES.MISSING_INDEX) {
+            continue; // Released since the batch was read
+          }
+          await this.recordResult(fileHash, result);
+
+          stats.scanned++;
+          stats.bytes += result.bytes;
+          if (result.ok) {
+            stats.healthy++;
+          } else if (result.issue === ISSUE_TYPES.MISSING_DATA) {
+            stats.missing++;
+          } else {
+            stats.corrupted++;
+          }
+
+          if (!result.ok) {
+            console.warn(`Integrity scrub flagged blob ${fileHash}: ${result.issue} (${result.details})`);
+          }
+        } catch (error) {
+          // e.g. the database dropped mid-check; skip it for the rest of this run
+          console.error(`Failed to scrub blob ${fileHash}:`, error.message);
+          failed.push(fileHash);
+          stats.failed++;
+        }
+      }
+
+      this.progress = { startedAt: startedAt.toISOString(), ...stats };
+
+      if (SCRUB_BATCH_PAUSE_MS > 0) {
+        await sleep(SCRUB_BATCH_PAUSE_MS);
+      }
+    }
+
+    for (const fileHash of await this.findUnindexedReferences()) {
+      await this.recordResult(fileHash, {
+        ok: false,
+        issue: ISSUE_TYPES.MISSING_INDEX,
+        details: 'Referenced blob has no file_data entry'
+      });
+      stats.missing++;
+    }
+
+    // Issues not seen again in a complete pass belong to blobs that have since been removed
+    if (failed.length === 0) {
+      await pool.query(`
+        UPDATE corrupted_blobs SET resolved_at = CURRENT_TIMESTAMP
+        WHERE resolved_at IS NULL AND last_checked_at < $1
+      `, [startedAt]);
+    }
+
+    const summary = {
+      ...stats,
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString()
+    };
+
+    console.log('Integrity scrub completed:', summary);
+    return summary;
+  }
+
+  // Start a scrub unless one is already running; either way resolves with that run's summary
+  run() {
+    if (!this.currentRun) {
+      this.currentRun = this.scrub()
+        .then((summary) => {
+          this.lastRun = summary;
+          return summary;
+        })
+        .finally(() => {
+          this.currentRun = null;
+          this.progress = null;
+        });
+    }
+    return this.currentRun;
+  }
+
+  // Current progress and the most recent completed run
+  getStatus() {
+    return {
+      running: !!this.currentRun,
+      progress: this.progress,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+const integrityScrubber = new IntegrityScrubber();
+integrityScrubber.ISSUE_TYPES = ISSUE_TYPES;
+integrityScrubber.SCRUB_INTERVAL_HOURS = SCRUB_INTERVAL_HOURS;
+
+module.exports = integrityScrubber;
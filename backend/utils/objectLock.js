@@ -0,0 +1,180 @@
+const { createError } = require('./errors');
+
+// Object lock (write once, read many). A file is locked while it is on legal hold or
+// its retain_until date is in the future; a locked file can't be trashed, deleted,
+// replaced, given a new version or restored to an old one, and its bucket can't be
+// deleted. Retention comes in two modes:
+//   governance  the owner can shorten or remove it by passing bypassGovernance
+//   compliance  it can only be extended, never shortened or removed
+// Legal holds have no end date and stay until released. Buckets opt in with
+// object_lock_enabled (which can't be turned off again) and may set a default mode and
+// number of days that new files get when they are created.
+const LOCK_MODES = ['governance', 'compliance'];
+const MAX_LOCK_DAYS = 36500;
+
+// SQL condition matching locked files, for queries over files (optionally aliased)
+const lockedCondition = (alias = '') => {
+  const column = alias ? `${alias}.` : '';
+  return `(${column}legal_hold IS TRUE OR ${column}retain_until > CURRENT_TIMESTAMP)`;
+};
+
+// Whether a files row is locked right now
+const isFileLocked = (file) => {
+  return file.legal_hold === true ||
+    (Boolean(file.retain_until) && new Date(file.retain_until) > new Date());
+};
+
+// Lock status of a files row, as returned by the API
+const describeLock = (file) => {
+  const retentionActive = Boolean(file.retain_until) && new Date(file.retain_until) > new Date();
+
+  return {
+    locked: isFileLocked(file),
+    legalHold: file.legal_hold === true,
+    mode: retentionActive ? file.retention_mode : null,
+    retainUntil: retentionActive ? new Date(file.retain_until).toISOString() : null
+  };
+};
+
+// Object lock settings of a buckets row, as returned by the API
+const describeBucketLock = (bucket) => ({
+  enabled: bucket.object_lock_enabled === true,
+  mode: bucket.object_lock_mode || null,
+  days: bucket.object_lock_days ?? null
+});
+
+// Retention a new file in the bucket starts with, or nulls when it has no default
+const defaultRetention = (bucket) => {
+  if (!bucket.object_lock_enabled || !bucket.object_lock_mode || !bucket.object_lock_days) {
+    return { mode: null, retainUntil: null };
+  }
+
+  return {
+    mode: bucket.object_lock_mode,
+    retainUntil: new Date(Date.now() + bucket.object_lock_days * 24 * 60 * 60 * 1000)
+  };
+};
+
+// Check a bucket's { enabled, mode, days } settings against its current ones
+const validateObjectLockConfig = (config, bucket) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw createError('INVALID_REQUEST', { field: 'objectLock' }, 'Object lock settings must be an object');
+  }
+
+  const { enabled = true, mode = null, days = null } = config;
+
+  if (typeof enabled !== 'boolean') {
+    throw createError('INVALID_REQUEST', { field: 'enabled' }, 'enabled must be true or false');
+  }
+  if (!enabled && bucket.object_lock_enabled) {
+    throw createError('INVALID_REQUEST', { field: 'enabled' }, 'Object lock can\'t be turned off once enabled');
+  }
+  if (!enabled && (mode !== null || days !== null)) {
+    throw createError('INVALID_REQUEST', { field: 'enabled' }, 'Default retention needs object lock enabled');
+  }
+
+  if (mode !== null && !LOCK_MODES.includes(mode)) {
+    throw createError('INVALID_REQUEST', { field: 'mode', allowed: LOCK_MODES },
+      `mode must be one of: ${LOCK_MODES.join(', ')}`);
+  }
+  if ((mode === null) !== (days === null)) {
+    throw createError('INVALID_REQUEST', { fields: ['mode', 'days'] },
+      'Default retention needs both mode and days, or neither');
+  }
+  if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_LOCK_DAYS)) {
+    throw createError('INVALID_REQUEST', { field: 'days' }, `days must be a whole number from 1 to ${MAX_LOCK_DAYS}`);
+  }
+
+  return { enabled, mode, days };
+};
+
+// Check a file's new { mode, retainUntil } retention. Extending is always allowed;
+// shortening or removing an active retention needs governance mode and bypassGovernance.
+// Returns the values to store.
+const validateRetentionChange = (file, bucket, { mode = null, retainUntil = null, bypassGovernance = false }) => {
+  const current = describeLock(file);
+  const removing = mode === null && retainUntil === null;
+  let until = null;
+
+  if (!removing) {
+    if (!bucket.object_lock_enabled) {
+      throw createError('INVALID_REQUEST', { bucketId: bucket.id }, 'Object lock is not enabled for this bucket');
+    }
+    if (!LOCK_MODES.includes(mode)) {
+      throw createError('INVALID_REQUEST', { field: 'mode', allowed: LOCK_MODES },
+        `mode must be one of: ${LOCK_MODES.join(', ')}`);
+    }
+
+    until = new Date(retainUntil);
+    if (typeof retainUntil !== 'string' || isNaN(until.getTime())) {
+      throw createError('INVALID_REQUEST', { field: 'retainUntil' }, 'retainUntil must be an ISO 8601 date');
+    }
+    if (until <= new Date()) {
+      throw createError('INVALID_REQUEST', { field: 'retainUntil' }, 'retainUntil must be in the future');
+    }
+    if (until > new Date(Date.now() + MAX_LOCK_DAYS * 24 * 60 * 60 * 1000)) {
+      throw createError('INVALID_REQUEST', { field: 'retainUntil' },
+        `retainUntil can be at most ${MAX_LOCK_DAYS} days away`);
+    }
+  }
+
+  if (current.retainUntil) {
+    const shortened = removing || until < new Date(current.retainUntil);
+    const weakened = current.mode === 'compliance' && mode !== 'compliance';
+
+    if (current.mode === 'compliance' && (shortened || weakened)) {
+      throw createError('OBJECT_LOCKED', { fileId: file.id, ...current },
+        'Compliance retention can only be extended');
+    }
+    if (shortened && !bypassGovernance) {
+      throw createError('OBJECT_LOCKED', { fileId: file.id, ...current },
+        'Shortening or removing governance retention needs bypassGovernance: true');
+    }
+  }
+
+  return { mode: removing ? null : mode, retainUntil: until };
+};
+
+// Locked files among the given IDs
+const findLockedFiles = async (client, fileIds) => {
+  if (fileIds.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(`
+    SELECT id, original_name, legal_hold, retention_mode, retain_until
+    FROM files
+    WHERE id = ANY($1::uuid[]) AND ${lockedCondition()}
+  `, [fileIds]);
+
+  return result.rows;
+};
+
+// The OBJECT_LOCKED error for a locked files row
+const lockedError = (file) => {
+  return createError('OBJECT_LOCKED', { fileId: file.id, name: file.original_name, ...describeLock(file) },
+    file.legal_hold ? 'File is on legal hold' : `File is under ${file.retention_mode} retention until ${new Date(file.retain_until).toISOString()}`);
+};
+
+// Throw OBJECT_LOCKED when any of the given files is locked
+const assertNotLocked = async (client, fileIds) => {
+  const locked = await findLockedFiles(client, fileIds);
+  if (locked.length > 0) {
+    throw lockedError(locked[0]);
+  }
+};
+
+module.exports = {
+  LOCK_MODES,
+  MAX_LOCK_DAYS,
+  lockedCondition,
+  isFileLocked,
+  describeLock,
+  describeBucketLock,
+  defaultRetention,
+  validateObjectLockConfig,
+  validateRetentionChange,
+  findLockedFiles,
+  lockedError,
+  assertNotLocked
+};
@@ -0,0 +1,522 @@
+const zlib = require('zlib');
+
+// Text extraction from PDFs for the search index. Objects are located by scanning for
+// "n 0 obj" (including those packed in object streams), pages are walked in order
+// and the text operators in their content streams and form XObjects are decoded.
+// Fonts with a ToUnicode CMap are mapped through it; simple fonts fall back to
+// Latin-1, and composite fonts without a CMap are skipped rather than indexed as
+// glyph IDs. Only FlateDecode streams are read: other filters carry images, and
+// encrypted documents are refused.
+const MAX_XOBJECT_DEPTH = 5;
+const MAX_PAGE_TREE_DEPTH = 50;
+const TJ_SPACE_THRESHOLD = -200; // Kerning (thousandths of an em) wide enough to be a word gap
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(char => char.charCodeAt(0)));
+const OBJECT_PATTERN = /(\d+)\s+\d+\s+obj\b/g;
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const ESCAPES = { n: 0x0a, r: 0x0d, t: 0x09, b: 0x08, f: 0x0c };
+
+// Decode UTF-16BE bytes
+const decodeUtf16 = (bytes) => {
+  const swapped = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+  return swapped.swap16().toString('utf16le');
+};
+
+// Index every "n 0 obj ... endobj" in the file. Later definitions (incremental
+// updates) replace earlier ones.
+const parseObjects = (source) => {
+  const objects = new Map();
+  OBJECT_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = OBJECT_PATTERN.exec(source))) {
+    const start = match.index + match[0].length;
+    const streamMatch = /\bstream\r?\n|endobj/.exec(source.slice(start, start + 65536));
+    let dict;
+    let stream = null;
+    let end;
+
+    if (streamMatch && streamMatch[0] !== 'endobj') {
+      dict = source.slice(start, start + streamMatch.index);
+      const dataStart = start + streamMatch.index + streamMatch[0].length;
+      const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(dict);
+      let dataEnd = length ? dataStart + Number(length[1]) : -1;
+      if (dataEnd === -1 || !/^\s*endstream/.test(source.slice(dataEnd, dataEnd + 32))) {
+        dataEnd = source.indexOf('endstream', dataStart);
+        if (dataEnd === -1) {
+          break;
+        }
+      }
+      stream = source.slice(dataStart, dataEnd);
+      end = source.indexOf('endobj', dataEnd);
+    } else {
+      end = source.indexOf('endobj', start);
+      dict = source.slice(start, end === -1 ? source.length : end);
+    }
+
+    objects.set(Number(match[1]), { dict, stream });
+    if (end === -1) {
+      break;
+    }
+    OBJECT_PATTERN.lastIndex = end + 6;
+  }
+
+  return objects;
+};
+
+// Decoded content of a stream object, or null when it isn't text-bearing
+const decodeStream = (object) => {
+  if (!object || object.stream === null) {
+    return null;
+  }
+  if (object.decoded !== undefined) {
+    return object.decoded;
+  }
+
+  object.decoded = null;
+  const filterMatch = /\/Filter\s*(\[[^\]]*\]|\/\w+)/.exec(object.dict);
+  const filters = filterMatch ? filterMatch[1].match(/\/\w+/g) || [] : [];
+  let data = Buffer.from(object.stream, 'latin1');
+
+  try {
+    for (const filter of filters) {
+      if (filter !== '/FlateDecode' && filter !== '/Fl') {
+        return null;
+      }
+      data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+  } catch (error) {
+    return null;
+  }
+
+  object.decoded = data.toString('latin1');
+  return object.decoded;
+};
+
+// Add the objects packed into object streams (PDF 1.5+)
+const expandObjectStreams = (objects) => {
+  for (const object of [...objects.values()]) {
+    if (!/\/Type\s*\/ObjStm/.test(object.dict)) {
+      continue;
+    }
+    const content = decodeStream(object);
+    const first = /\/First\s+(\d+)/.exec(object.dict);
+    if (!content || !first) {
+      continue;
+    }
+
+    const offset = Number(first[1]);
+    const header = content.slice(0, offset).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const number = header[i];
+      const start = offset + header[i + 1];
+      const end = i + 3 < header.length ? offset + header[i + 3] : content.length;
+      if (!objects.has(number)) {
+        objects.set(number, { dict: content.slice(start, end), stream: null });
+      }
+    }
+  }
+};
+
+// Object number of an indirect reference stored under key
+const getRef = (dict, key) => {
+  const match = new RegExp(`/${key}\\s+(\\d+)\\s+\\d+\\s+R`).exec(dict);
+  return match ? Number(match[1]) : null;
+};
+
+// Value of a dictionary entry: the referenced object's dictionary, or an inline << >>
+const readDictEntry = (objects, dict, key) => {
+  const match = new RegExp(`/${key}(?![\\w.#-])\\s*`).exec(dict);
+  if (!match) {
+    return null;
+  }
+
+  const start = match.index + match[0].length;
+  const ref = /^(\d+)\s+\d+\s+R/.exec(dict.slice(start, start + 32));
+  if (ref) {
+    return objects.get(Number(ref[1]))?.dict ?? null;
+  }
+  if (!dict.startsWith('<<', start)) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let i = start; i < dict.length - 1; i++) {
+    if (dict[i] === '<' && dict[i + 1] === '<') {
+      depth++;
+      i++;
+    } else if (dict[i] === '>' && dict[i + 1] === '>') {
+      depth--;
+      i++;
+      if (depth === 0) {
+        return dict.slice(start + 2, i - 1);
+      }
+    }
+  }
+  return dict.slice(start + 2);
+};
+
+// Resource name -> object number pairs (/F1 5 0 R) in a resource subdictionary
+const readNamedRefs = (dict) => {
+  const refs = new Map();
+  if (dict) {
+    for (const match of dict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      refs.set(match[1], Number(match[2]));
+    }
+  }
+  return refs;
+};
+
+// Parse a ToUnicode CMap into code -> text, with the code width in bytes
+const parseCMap = (source) => {
+  const map = new Map();
+  let codeLength = 0;
+
+  for (const block of source.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    for (const hex of block[1].matchAll(/<([0-9a-fA-F]+)>/g)) {
+      codeLength = Math.max(codeLength, Math.ceil(hex[1].length / 2));
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      codeLength = codeLength || Math.ceil(entry[1].length / 2);
+      map.set(parseInt(entry[1], 16), decodeUtf16(Buffer.from(entry[2], 'hex')));
+    }
+  }
+
+  for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      codeLength = codeLength || Math.ceil(entry[1].length / 2);
+      const low = parseInt(entry[1], 16);
+      const high = parseInt(entry[2], 16);
+      if (high < low || high - low > 0xFFFF) {
+        continue;
+      }
+
+      if (entry[3].startsWith('[')) {
+        [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((target, index) => {
+          if (low + index <= high) {
+            map.set(low + index, decodeUtf16(Buffer.from(target[1], 'hex')));
+          }
+        });
+        continue;
+      }
+
+      // Consecutive codes map to consecutive values of the target's last code unit
+      const base = Buffer.from(entry[3].slice(1, -1), 'hex');
+      if (base.length < 2) {
+        continue;
+      }
+      const lastUnit = base.readUInt16BE(base.length - 2);
+      for (let code = low; code <= high; code++) {
+        const target = Buffer.from(base);
+        target.writeUInt16BE((lastUnit + code - low) & 0xFFFF, target.length - 2);
+        map.set(code, decodeUtf16(target));
+      }
+    }
+  }
+
+  return { map, codeLength: codeLength || 2 };
+};
+
+// Load a font's text decoding: its ToUnicode CMap, and whether it uses multi-byte codes
+const loadFont = (objects, cache, number) => {
+  if (cache.has(number)) {
+    return cache.get(number);
+  }
+
+  const dict = objects.get(number)?.dict || '';
+  const toUnicode = decodeStream(objects.get(getRef(dict, 'ToUnicode')));
+  const font = {
+    cmap: toUnicode ? parseCMap(toUnicode) : null,
+    composite: /\/Subtype\s*\/Type0/.test(dict)
+  };
+  cache.set(number, font);
+  return font;
+};
+
+// Decode a string operand with the current font
+const decodeText = (bytes, font) => {
+  if (font?.cmap) {
+    const { map, codeLength } = font.cmap;
+    let text = '';
+    for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+      text += map.get(bytes.readUIntBE(i, codeLength)) ?? '';
+    }
+    return text;
+  }
+  if (font?.composite) {
+    return '';
+  }
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return decodeUtf16(bytes.subarray(2));
+  }
+  return bytes.toString('latin1');
+};
+
+// Read a (literal) string starting at its opening parenthesis
+const readLiteralString = (source, start) => {
+  const bytes = [];
+  let depth = 1;
+  let i = start + 1;
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1];
+      if (next in ESCAPES) {
+        bytes.push(ESCAPES[next]);
+        i += 2;
+      } else if (next >= '0' && next <= '7') {
+        const octal = /^[0-7]{1,3}/.exec(source.slice(i + 1, i + 4))[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        i += next === '\r' && source[i + 2] === '\n' ? 3 : 2; // Line continuation
+      } else {
+        if (next !== undefined) {
+          bytes.push(next.charCodeAt(0));
+        }
+        i += 2;
+      }
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return { bytes: Buffer.from(bytes), end: i + 1 };
+    }
+    bytes.push(char.charCodeAt(0));
+    i++;
+  }
+
+  return { bytes: Buffer.from(bytes), end: i };
+};
+
+// Run a content stream's operators and collect the text it shows
+const extractContentText = (content, context, resources, depth) => {
+  const fonts = context.fontsFor(resources);
+  const xobjects = readNamedRefs(readDictEntry(context.objects, resources, 'XObject'));
+  const parts = [];
+  let operands = [];
+  let array = null;
+  let font = null;
+  let i = 0;
+
+  const push = (operand) => (array ? array.push(operand) : operands.push(operand));
+
+  while (i < content.length) {
+    const code = content.charCodeAt(i);
+    const char = content[i];
+
+    if (WHITESPACE.has(code)) {
+      i++;
+    } else if (char === '%') {
+      while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (char === '(') {
+      const string = readLiteralString(content, i);
+      push({ string: string.bytes });
+      i = string.end;
+    } else if (char === '<' && content[i + 1] === '<') {
+      i += 2; // Property lists are skipped; their operators are discarded below
+    } else if (char === '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/[^0-9a-fA-F]/g, '');
+      push({ string: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex') });
+      i = end === -1 ? content.length : end + 1;
+    } else if (char === '[') {
+      array = [];
+      i++;
+    } else if (char === ']') {
+      operands.push({ array: array || [] });
+      array = null;
+      i++;
+    } else if (char === '/') {
+      let end = i + 1;
+      while (end < content.length && !WHITESPACE.has(content.charCodeAt(end)) && !DELIMITERS.has(content.charCodeAt(end))) end++;
+      push({ name: content.slice(i + 1, end) });
+      i = end;
+    } else if (DELIMITERS.has(code)) {
+      i++;
+    } else {
+      let end = i;
+      while (end < content.length && !WHITESPACE.has(content.charCodeAt(end)) && !DELIMITERS.has(content.charCodeAt(end))) end++;
+      const token = content.slice(i, end);
+      i = end;
+
+      if (NUMBER_PATTERN.test(token)) {
+        push({ number: parseFloat(token) });
+        continue;
+      }
+
+      const lastString = operands.filter(operand => operand.string).pop();
+      switch (token) {
+        case 'Tf': {
+          const name = operands.find(operand => operand.name);
+          font = name ? fonts.get(name.name) || null : null;
+          break;
+        }
+        case 'Tj':
+          if (lastString) parts.push(decodeText(lastString.string, font));
+          break;
+        case '\'':
+        case '"':
+          parts.push('\n');
+          if (lastString) parts.push(decodeText(lastString.string, font));
+          break;
+        case 'TJ': {
+          const items = operands.find(operand => operand.array)?.array || [];
+          for (const item of items) {
+            if (item.string) {
+              parts.push(decodeText(item.string, font));
+            } else if (item.number !== undefined && item.number < TJ_SPACE_THRESHOLD) {
+              parts.push(' ');
+            }
+          }
+          break;
+        }
+        case 'Td':
+        case 'TD':
+          parts.push(operands[1]?.number ? '\n' : ' ');
+          break;
+        case 'T*':
+        case 'ET':
+          parts.push('\n');
+          break;
+        case 'Tm':
+          parts.push(' ');
+          break;
+        case 'Do': {
+          const name = operands.find(operand => operand.name);
+          const form = name && context.objects.get(xobjects.get(name.name));
+          if (form && depth < MAX_XOBJECT_DEPTH && /\/Subtype\s*\/Form/.test(form.dict)) {
+            const formContent = decodeStream(form);
+            if (formContent) {
+              const formResources = readDictEntry(context.objects, form.dict, 'Resources') || resources;
+              parts.push('\n', extractContentText(formContent, context, formResources, depth + 1), '\n');
+            }
+          }
+          break;
+        }
+        case 'BI': {
+          // Inline image data is binary; skip past its EI
+          const dataStart = content.indexOf('ID', i);
+          const dataEnd = dataStart === -1 ? -1 : content.slice(dataStart + 2).search(/\sEI(\s|$)/);
+          i = dataEnd === -1 ? content.length : dataStart + 2 + dataEnd + 3;
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+      array = null;
+    }
+  }
+
+  return parts.join('');
+};
+
+// Page dictionaries in document order, following the page tree from the catalog
+const findPages = (objects) => {
+  const pages = [];
+  const visited = new Set();
+
+  const walk = (number, depth) => {
+    const object = objects.get(number);
+    if (!object || visited.has(number) || depth > MAX_PAGE_TREE_DEPTH) {
+      return;
+    }
+    visited.add(number);
+
+    if (/\/Type\s*\/Pages\b/.test(object.dict)) {
+      const kids = /\/Kids\s*\[([^\]]*)\]/.exec(object.dict);
+      for (const kid of kids ? kids[1].matchAll(/(\d+)\s+\d+\s+R/g) : []) {
+        walk(Number(kid[1]), depth + 1);
+      }
+    } else if (/\/Type\s*\/Page\b/.test(object.dict)) {
+      pages.push(object);
+    }
+  };
+
+  for (const object of objects.values()) {
+    if (/\/Type\s*\/Catalog\b/.test(object.dict)) {
+      walk(getRef(object.dict, 'Pages'), 0);
+    }
+  }
+
+  if (pages.length === 0) {
+    for (const object of objects.values()) {
+      if (/\/Type\s*\/Page\b/.test(object.dict)) {
+        pages.push(object);
+      }
+    }
+  }
+  return pages;
+};
+
+// Resources of a page, inherited from the page tree when the page has none
+const getPageResources = (objects, page) => {
+  let node = page;
+  for (let depth = 0; node && depth < MAX_PAGE_TREE_DEPTH; depth++) {
+    const resources = readDictEntry(objects, node.dict, 'Resources');
+    if (resources !== null) {
+      return resources;
+    }
+    node = objects.get(getRef(node.dict, 'Parent'));
+  }
+  return '';
+};
+
+// Content streams of a page: one reference, an array, or a reference to an array
+const getPageContents = (objects, page) => {
+  const direct = /\/Contents\s*\[([^\]]*)\]/.exec(page.dict);
+  let refs = direct ? [...direct[1].matchAll(/(\d+)\s+\d+\s+R/g)].map(match => Number(match[1])) : [];
+
+  if (!direct) {
+    const ref = getRef(page.dict, 'Contents');
+    const target = objects.get(ref);
+    if (target && target.stream === null) {
+      refs = [...target.dict.matchAll(/(\d+)\s+\d+\s+R/g)].map(match => Number(match[1]));
+    } else if (ref !== null) {
+      refs = [ref];
+    }
+  }
+
+  return refs.map(ref => decodeStream(objects.get(ref)) || '').join('\n');
+};
+
+// Extract the text of a PDF held in buffer
+const extractPdfText = (buffer) => {
+  const source = buffer.toString('latin1');
+  if (!source.slice(0, 1024).includes('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(source)) {
+    throw new Error('Encrypted PDFs cannot be indexed');
+  }
+
+  const objects = parseObjects(source);
+  expandObjectStreams(objects);
+
+  const fontCache = new Map();
+  const context = {
+    objects,
+    fontsFor: (resources) => {
+      const fonts = new Map();
+      for (const [name, number] of readNamedRefs(readDictEntry(objects, resources || '', 'Font'))) {
+        fonts.set(name, loadFont(objects, fontCache, number));
+      }
+      return fonts;
+    }
+  };
+
+  return findPages(objects)
+    .map(page => extractContentText(getPageContents(objects, page), context, getPageResources(objects, page), 0))
+    .join('\n\n');
+};
+
+module.exports = {
+  extractPdfText
+};
@@ -0,0 +1,165 @@
+const { createError } = require('./errors');
+
+// API key permissions. A key's scopes say what it may do:
+//   read       list and download files, read bucket settings
+//   write      upload, edit, copy/move and restore files, manage folders
+//   delete     trash files and delete versions
+//   admin      create, configure and delete buckets, account settings, maintenance (implies every scope)
+//   analytics  usage and analytics reports
+//   keys       manage API keys (never beyond the key's own permissions)
+// A key can also be limited to some buckets (bucket_ids) and within them to file
+// names starting with one of its path_prefixes. Null means no limit. Dashboard
+// sessions (JWT) have no key and may do everything.
+const SCOPES = ['read', 'write', 'delete', 'admin', 'analytics', 'keys'];
+const DEFAULT_SCOPES = ['read', 'write'];
+const MAX_KEY_BUCKETS = 100;
+const MAX_PATH_PREFIXES = 50;
+const MAX_PREFIX_LENGTH = 255; // files.original_name
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Check and normalize the permissions given for a new key
+const validateKeyPermissions = ({ scopes = DEFAULT_SCOPES, bucket_ids = null, path_prefixes = null }) => {
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SCOPES.includes(scope))) {
+    throw createError('INVALID_REQUEST', { field: 'scopes', scopes: SCOPES },
+      `scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+  }
+
+  if (bucket_ids !== null && (!Array.isArray(bucket_ids) || bucket_ids.length === 0 ||
+      bucket_ids.length > MAX_KEY_BUCKETS || !bucket_ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+    throw createError('INVALID_REQUEST', { field: 'bucket_ids', maxBuckets: MAX_KEY_BUCKETS },
+      `bucket_ids must be null or a list of 1-${MAX_KEY_BUCKETS} bucket IDs`);
+  }
+
+  let pathPrefixes = null;
+  if (path_prefixes !== null) {
+    if (!Array.isArray(path_prefixes) || path_prefixes.length === 0 || path_prefixes.length > MAX_PATH_PREFIXES ||
+        !path_prefixes.every(prefix => typeof prefix === 'string')) {
+      throw createError('INVALID_REQUEST', { field: 'path_prefixes', maxPrefixes: MAX_PATH_PREFIXES },
+        `path_prefixes must be null or a list of 1-${MAX_PATH_PREFIXES} strings`);
+    }
+
+    pathPrefixes = path_prefixes.map(prefix => prefix.replace(/^\/+/, ''));
+    if (pathPrefixes.some(prefix => !prefix || prefix.length > MAX_PREFIX_LENGTH)) {
+      throw createError('INVALID_REQUEST', { field: 'path_prefixes' },
+        `Path prefixes must be 1-${MAX_PREFIX_LENGTH} characters`);
+    }
+  }
+
+  return {
+    scopes: [...new Set(scopes)],
+    bucketIds: bucket_ids && [...new Set(bucket_ids.map(id => id.toLowerCase()))],
+    pathPrefixes: pathPrefixes && [...new Set(pathPrefixes)]
+  };
+};
+
+// Whether a key (or a dashboard session, without one) has a scope
+const hasScope = (apiKey, scope) => {
+  const scopes = apiKey?.scopes || [];
+  return !apiKey || scopes.includes(scope) || scopes.includes('admin');
+};
+
+// Whether a key is limited to some buckets or paths
+const isRestricted = (apiKey) => Boolean(apiKey && (apiKey.bucket_ids || apiKey.path_prefixes));
+
+// Whether a key may use a bucket
+const canAccessBucket = (apiKey, bucketId) => {
+  return !apiKey?.bucket_ids || apiKey.bucket_ids.includes(bucketId);
+};
+
+// Names are file names, or folder paths ("a/b/"), which need to lie inside a prefix
+const canAccessPath = (apiKey, name) => {
+  return !apiKey?.path_prefixes || apiKey.path_prefixes.some(prefix => name.startsWith(prefix));
+};
+
+// Throw unless the key has the scope
+const assertScope = (apiKey, scope) => {
+  if (!hasScope(apiKey, scope)) {
+    throw createError('INSUFFICIENT_PERMISSIONS', { requiredScope: scope, scopes: apiKey.scopes },
+      `This API key needs the "${scope}" scope`);
+  }
+};
+
+// Throw unless the key may act on the whole account (it isn't limited to buckets or paths)
+const assertAccountAccess = (apiKey) => {
+  if (isRestricted(apiKey)) {
+    throw createError('INSUFFICIENT_PERMISSIONS', { restricted: true },
+      'This API key is limited to specific buckets or paths and cannot use account-wide endpoints');
+  }
+};
+
+// Throw unless the key may use the bucket. Bucket-wide actions also need a key without path prefixes.
+const assertBucketAccess = (apiKey, bucketId, { wholeBucket = false } = {}) => {
+  if (!canAccessBucket(apiKey, bucketId)) {
+    throw createError('INSUFFICIENT_PERMISSIONS', { bucketId }, 'This API key does not have access to this bucket');
+  }
+  if (wholeBucket && apiKey?.path_prefixes) {
+    throw createError('INSUFFICIENT_PERMISSIONS', { bucketId, pathPrefixes: apiKey.path_prefixes },
+      'This API key is limited to path prefixes and cannot act on the whole bucket');
+  }
+};
+
+// Throw unless the key's path prefixes cover a file name (or folder path)
+const assertNameAccess = (apiKey, name) => {
+  if (!canAccessPath(apiKey, name)) {
+    throw createError('INSUFFICIENT_PERMISSIONS', { path: name, pathPrefixes: apiKey.path_prefixes },
+      `This API key does not have access to "${name}"`);
+  }
+};
+
+// Throw unless the key may use a file name (or folder path) in a bucket
+const assertPathAccess = (apiKey, bucketId, name) => {
+  assertBucketAccess(apiKey, bucketId);
+  assertNameAccess(apiKey, name);
+};
+
+// SQL conditions limiting a query to what the key may see, appending their values to
+// params (like buildFilterConditions). Either column can be left out.
+const buildKeyConditions = (apiKey, params, { bucketColumn, nameColumn } = {}) => {
+  let conditions = '';
+
+  if (bucketColumn && apiKey?.bucket_ids) {
+    params.push(apiKey.bucket_ids);
+    conditions += ` AND ${bucketColumn} = ANY($${params.length}::uuid[])`;
+  }
+  if (nameColumn && apiKey?.path_prefixes) {
+    params.push(apiKey.path_prefixes);
+    conditions += ` AND EXISTS (SELECT 1 FROM unnest($${params.length}::text[]) AS key_prefix WHERE starts_with(${nameColumn}, key_prefix))`;
+  }
+
+  return conditions;
+};
+
+// Whether new permissions stay within a key's own, so a key with the "keys" scope
+// can't hand out more than it has
+const isWithinPermissions = (permissions, apiKey) => {
+  if (!apiKey) {
+    return true;
+  }
+  if (!permissions.scopes.every(scope => hasScope(apiKey, scope))) {
+    return false;
+  }
+  if (apiKey.bucket_ids && !(permissions.bucketIds && permissions.bucketIds.every(id => apiKey.bucket_ids.includes(id)))) {
+    return false;
+  }
+  if (apiKey.path_prefixes && !(permissions.pathPrefixes && permissions.pathPrefixes.every(prefix => canAccessPath(apiKey, prefix)))) {
+    return false;
+  }
+  return true;
+};
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPES,
+  validateKeyPermissions,
+  hasScope,
+  isRestricted,
+  canAccessBucket,
+  canAccessPath,
+  assertScope,
+  assertAccountAccess,
+  assertBucketAccess,
+  assertNameAccess,
+  assertPathAccess,
+  buildKeyConditions,
+  isWithinPermissions
+};
@@ -0,0 +1,270 @@
+const { pool } = require('../models/database');
+const { createError } = require('./errors');
+
+// Storage and object quotas. An account's limits come from users.storage_quota_bytes and
+// users.object_quota, falling back to QUOTA_STORAGE_BYTES and QUOTA_OBJECTS; when the
+// server sets a limit it is also the ceiling for an account's own. A bucket can have
+// tighter limits of its own (NULL means none). Usage counts live files plus their
+// noncurrent versions: trashed files don't count until they are restored. Writes that
+// add bytes or objects (upload sessions and their completion, copies, moves into another
+// bucket, restores) call checkQuota first and fail with QUOTA_EXCEEDED. Checks read the
+// bucket_usage counters the database triggers keep (see models/database.js); the usage
+// report scans files, and cleanup rebuilds the counters from a scan now and then.
+const parseLimit = (value) => {
+  const parsed = parseInt(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+const DEFAULT_STORAGE_QUOTA = parseLimit(process.env.QUOTA_STORAGE_BYTES);
+const DEFAULT_OBJECT_QUOTA = parseLimit(process.env.QUOTA_OBJECTS);
+const parsedWarning = parseInt(process.env.QUOTA_WARNING_PERCENT ?? 90);
+const QUOTA_WARNING_PERCENT = parsedWarning > 0 && parsedWarning <= 100 ? parsedWarning : 90;
+const QUOTA_MESSAGE = 'storage_quota_bytes and object_quota must be null (no limit) or a positive whole number';
+
+const RESOURCES = {
+  storage: { column: 'storage_quota_bytes', unit: 'bytes' },
+  objects: { column: 'object_quota', unit: 'objects' }
+};
+
+// Whether a value can be stored as a quota (null clears it)
+const isValidQuota = (value) => {
+  return value === null || (Number.isSafeInteger(value) && value > 0);
+};
+
+// Check an account's own limits against the server's; returns an error message or null
+const accountQuotaError = ({ storage_quota_bytes, object_quota }) => {
+  if (storage_quota_bytes && DEFAULT_STORAGE_QUOTA && storage_quota_bytes > DEFAULT_STORAGE_QUOTA) {
+    return `storage_quota_bytes can't be more than the server limit of ${DEFAULT_STORAGE_QUOTA} bytes`;
+  }
+  if (object_quota && DEFAULT_OBJECT_QUOTA && object_quota > DEFAULT_OBJECT_QUOTA) {
+    return `object_quota can't be more than the server limit of ${DEFAULT_OBJECT_QUOTA} objects`;
+  }
+  return null;
+};
+
+// Limits that apply to an account given its own settings
+const resolveAccountQuotas = (user) => ({
+  storage: parseLimit(user?.storage_quota_bytes) ?? DEFAULT_STORAGE_QUOTA,
+  objects: parseLimit(user?.object_quota) ?? DEFAULT_OBJECT_QUOTA
+});
+
+// A bucket's own limits
+const resolveBucketQuotas = (bucket) => ({
+  storage: parseLimit(bucket?.storage_quota_bytes),
+  objects: parseLimit(bucket?.object_quota)
+});
+
+// Live objects and bytes (with noncurrent versions) per bucket of a user, or for one bucket
+const queryUsage = async (client, userId, bucketId = null) => {
+  const result = await client.query(`
+    SELECT f.bucket_id,
+           COUNT(*) AS objects,
+           COALESCE(SUM(f.size), 0) + COALESCE(SUM(v.bytes), 0) AS bytes
+    FROM files f
+    JOIN buckets b ON b.id = f.bucket_id AND b.deleted_at IS NULL
+    LEFT JOIN LATERAL (
+      SELECT SUM(fv.size) AS bytes FROM file_versions fv
+      WHERE fv.file_id = f.id AND NOT fv.is_current
+    ) v ON true
+    WHERE f.user_id = $1 AND f.deleted_at IS NULL
+      AND ($2::uuid IS NULL OR f.bucket_id = $2)
+    GROUP BY f.bucket_id
+  `, [userId, bucketId]);
+
+  return new Map(result.rows.map(row => [row.bucket_id, {
+    storage: parseInt(row.bytes) || 0,
+    objects: parseInt(row.objects) || 0
+  }]));
+};
+
+// Objects and bytes per bucket of a user, or for one bucket, from the usage counters
+const readUsageCounters = async (client, userId, bucketId = null) => {
+  const result = await client.query(`
+    SELECT bu.bucket_id, bu.objects, bu.bytes
+    FROM bucket_usage bu
+    JOIN buckets b ON b.id = bu.bucket_id AND b.deleted_at IS NULL
+    WHERE b.user_id = $1 AND ($2::uuid IS NULL OR bu.bucket_id = $2)
+  `, [userId, bucketId]);
+
+  return new Map(result.rows.map(row => [row.bucket_id, {
+    storage: parseInt(row.bytes) || 0,
+    objects: parseInt(row.objects) || 0
+  }]));
+};
+
+// Sum usage across buckets
+const totalUsage = (usage) => {
+  const total = { storage: 0, objects: 0 };
+  for (const bucketUsage of usage.values()) {
+    total.storage += bucketUsage.storage;
+    total.objects += bucketUsage.objects;
+  }
+  return total;
+};
+
+// Used, limit and headroom for one resource
+const describeResource = (used, limit) => {
+  if (!limit) {
+    return { used, limit: null, remaining: null, percent: null, warning: false, exceeded: false };
+  }
+  const percent = Math.round((used / limit) * 1000) / 10;
+  return {
+    used,
+    limit,
+    remaining: Math.max(limit - used, 0),
+    percent,
+    warning: percent >= QUOTA_WARNING_PERCENT,
+    exceeded: used >= limit
+  };
+};
+
+// Fail with QUOTA_EXCEEDED if adding bytes and objects would pass an account or bucket
+// limit. scopes picks which limits apply (a move within one account only adds to the
+// target bucket). Inside a transaction a per-user lock is held until commit, so
+// concurrent writes can't both pass on the same headroom.
+const checkQuota = async (client, { userId, bucketId, bytes = 0, objects = 0, scopes = ['account', 'bucket'] }) => {
+  if (bytes <= 0 && objects <= 0) {
+    return;
+  }
+
+  const limitResult = await client.query(`
+    SELECT u.storage_quota_bytes, u.object_quota,
+           b.storage_quota_bytes AS bucket_storage_quota_bytes, b.object_quota AS bucket_object_quota
+    FROM users u
+    LEFT JOIN buckets b ON b.id = $2 AND b.user_id = u.id
+    WHERE u.id = $1
+  `, [userId, bucketId]);
+  const row = limitResult.rows[0] || {};
+
+  const checks = [];
+  if (scopes.includes('account')) {
+    checks.push({ scope: 'account', limits: resolveAccountQuotas(row) });
+  }
+  if (scopes.includes('bucket') && bucketId) {
+    checks.push({
+      scope: 'bucket',
+      limits: resolveBucketQuotas({
+        storage_quota_bytes: row.bucket_storage_quota_bytes,
+        object_quota: row.bucket_object_quota
+      })
+    });
+  }
+
+  const active = checks.filter(check => check.limits.storage || check.limits.objects);
+  if (active.length === 0) {
+    return;
+  }
+
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`quota:${userId}`]);
+
+  const usage = await readUsageCounters(client, userId, active.some(check => check.scope === 'account') ? null : bucketId);
+  const requested = { storage: bytes, objects };
+
+  for (const { scope, limits } of active) {
+    const used = scope === 'account' ? totalUsage(usage) : (usage.get(bucketId) || { storage: 0, objects: 0 });
+
+    for (const resource of Object.keys(RESOURCES)) {
+      const limit = limits[resource];
+      if (!limit || requested[resource] <= 0 || used[resource] + requested[resource] <= limit) {
+        continue;
+      }
+      const { unit } = RESOURCES[resource];
+      throw createError('QUOTA_EXCEEDED', {
+        scope,
+        resource,
+        limit,
+        used: used[resource],
+        requested: requested[resource],
+        remaining: Math.max(limit - used[resource], 0)
+      }, `${scope === 'account' ? 'Account' : 'Bucket'} ${resource === 'storage' ? 'storage' : 'object'} quota exceeded: ` +
+        `${used[resource]} of ${limit} ${unit} used, ${requested[resource]} more requested`);
+    }
+  }
+};
+
+// Usage and headroom for an account and each of its buckets
+const getUsageReport = async (client, userId) => {
+  const [userResult, bucketResult, usage] = await Promise.all([
+    client.query('SELECT storage_quota_bytes, object_quota FROM users WHERE id = $1', [userId]),
+    client.query(`
+      SELECT id, name, storage_quota_bytes, object_quota FROM buckets
+      WHERE user_id = $1 AND deleted_at IS NULL ORDER BY name
+    `, [userId]),
+    queryUsage(client, userId)
+  ]);
+
+  const accountLimits = resolveAccountQuotas(userResult.rows[0]);
+  const total = totalUsage(usage);
+
+  const buckets = bucketResult.rows.map(bucket => {
+    const used = usage.get(bucket.id) || { storage: 0, objects: 0 };
+    const limits = resolveBucketQuotas(bucket);
+    return {
+      id: bucket.id,
+      name: bucket.name,
+      storage: describeResource(used.storage, limits.storage),
+      objects: describeResource(used.objects, limits.objects)
+    };
+  });
+
+  return {
+    account: {
+      storage: describeResource(total.storage, accountLimits.storage),
+      objects: describeResource(total.objects, accountLimits.objects)
+    },
+    buckets,
+    warningPercent: QUOTA_WARNING_PERCENT
+  };
+};
+
+// Rebuild the usage counters from a scan of every file and version, correcting any drift
+// and dropping counters of deleted buckets. The table lock holds off writes meanwhile.
+const reconcileUsage = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const files = await client.query(`
+      UPDATE files f SET noncurrent_bytes = v.bytes
+      FROM (
+        SELECT f.id, COALESCE(SUM(fv.size), 0) AS bytes
+        FROM files f
+        LEFT JOIN file_versions fv ON fv.file_id = f.id AND NOT fv.is_current
+        GROUP BY f.id
+      ) v
+      WHERE v.id = f.id AND f.noncurrent_bytes <> v.bytes
+    `);
+
+    await client.query('LOCK TABLE bucket_usage IN EXCLUSIVE MODE');
+    await client.query('DELETE FROM bucket_usage');
+    const buckets = await client.query(`
+      INSERT INTO bucket_usage (bucket_id, bytes, objects)
+      SELECT b.id, COALESCE(SUM(f.size), 0) + COALESCE(SUM(f.noncurrent_bytes), 0), COUNT(f.id)
+      FROM buckets b
+      LEFT JOIN files f ON f.bucket_id = b.id AND f.deleted_at IS NULL
+      GROUP BY b.id
+    `);
+
+    await client.query('COMMIT');
+    return { files: files.rowCount, buckets: buckets.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  DEFAULT_STORAGE_QUOTA,
+  DEFAULT_OBJECT_QUOTA,
+  QUOTA_WARNING_PERCENT,
+  QUOTA_MESSAGE,
+  isValidQuota,
+  accountQuotaError,
+  resolveAccountQuotas,
+  checkQuota,
+  getUsageReport,
+  reconcileUsage
+};
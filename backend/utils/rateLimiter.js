@@ -0,0 +1,211 @@
+const { pool } = require('../models/database');
+
+// Token-bucket rate limiting. Each route class has a sustained rate (requests per
+// minute, RATE_LIMIT_<CLASS>) and a burst (RATE_LIMIT_<CLASS>_BURST, the bucket's
+// capacity). A bucket refills continuously and each request takes one token. An API
+// key's rate_limits can set its own per-minute rate for any class, and its burst scales
+// with it. Buckets live in memory by default; RATE_LIMIT_STORE=postgres shares them
+// between instances. If the store fails, requests are let through.
+const DEFAULT_LIMITS = {
+  auth: { limit: 20, burst: 10 },
+  upload: { limit: 300, burst: 100 },
+  transform: { limit: 600, burst: 200 },
+  cdn: { limit: 3000, burst: 500 },
+  api: { limit: 1200, burst: 300 }
+};
+const ROUTE_CLASSES = Object.keys(DEFAULT_LIMITS);
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE === 'postgres' ? 'postgres' : 'memory';
+const MAX_KEY_RATE_LIMIT = 1000000;
+const RATE_LIMITS_MESSAGE = `rate_limits must map route classes (${ROUTE_CLASSES.join(', ')}) to requests per minute from 1 to ${MAX_KEY_RATE_LIMIT}`;
+const IDLE_BUCKET_TTL = 60 * 60 * 1000; // Idle buckets are full again long before this
+
+// Read a non-negative integer from the environment
+const readLimit = (name, fallback) => {
+  const parsed = parseInt(process.env[name]);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Limits per class from the environment; a limit of 0 turns the class off
+const CLASS_LIMITS = Object.fromEntries(ROUTE_CLASSES.map(routeClass => {
+  const prefix = `RATE_LIMIT_${routeClass.toUpperCase()}`;
+  const limit = readLimit(prefix, DEFAULT_LIMITS[routeClass].limit);
+  const burst = readLimit(`${prefix}_BURST`, Math.min(DEFAULT_LIMITS[routeClass].burst, limit));
+  return [routeClass, { limit, burst: Math.max(burst, 1) }];
+}));
+
+// Check an API key's rate_limits ({ class: perMinute }); null clears them
+const validateRateLimits = (rateLimits) => {
+  if (rateLimits === null) {
+    return true;
+  }
+  if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    return false;
+  }
+  return Object.entries(rateLimits).every(([routeClass, limit]) => ROUTE_CLASSES.includes(routeClass) &&
+    Number.isInteger(limit) && limit >= 1 && limit <= MAX_KEY_RATE_LIMIT);
+};
+
+// The limit that applies to a class, with an API key's override. Null when unlimited.
+const resolveLimit = (routeClass, apiKey = null) => {
+  const classLimit = CLASS_LIMITS[routeClass];
+  const override = apiKey?.rate_limits?.[routeClass];
+
+  if (override) {
+    const burst = classLimit.limit ? Math.round(override * classLimit.burst / classLimit.limit) : override;
+    return { limit: override, burst: Math.max(burst, 1) };
+  }
+  return classLimit.limit ? classLimit : null;
+};
+
+// Describe a bucket after a request: remaining tokens, and the ms until one token
+// and until the bucket is full again
+const describeBucket = (allowed, tokens, { limit, burst }) => {
+  const msPerToken = 60000 / limit;
+  return {
+    allowed,
+    limit,
+    burst,
+    remaining: Math.max(Math.floor(tokens), 0),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * msPerToken),
+    resetMs: Math.ceil((burst - tokens) * msPerToken)
+  };
+};
+
+// Buckets held in this process, dropped once they have been idle for an hour
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+    this.sweeper = null;
+  }
+
+  async consume(key, rule) {
+    this.startSweeper();
+
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: rule.burst, updatedAt: now };
+    const tokens = Math.min(rule.burst, bucket.tokens + (now - bucket.updatedAt) * rule.limit / 60000);
+    const allowed = tokens >= 1;
+
+    this.buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, updatedAt: now });
+    return describeBucket(allowed, allowed ? tokens - 1 : tokens, rule);
+  }
+
+  async refund(key, rule) {
+    const bucket = this.buckets.get(key);
+    if (bucket) {
+      bucket.tokens = Math.min(rule.burst, bucket.tokens + 1);
+    }
+  }
+
+  // Drop idle buckets now and then, without keeping the process alive
+  startSweeper() {
+    if (this.sweeper) {
+      return;
+    }
+    this.sweeper = setInterval(() => {
+      const cutoff = Date.now() - IDLE_BUCKET_TTL;
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.updatedAt < cutoff) {
+          this.buckets.delete(key);
+        }
+      }
+    }, IDLE_BUCKET_TTL);
+    this.sweeper.unref();
+  }
+}
+
+// Buckets in the rate_limit_buckets table, shared by every instance. A request takes a
+// token in one statement; the update is skipped when the bucket has none left.
+class PostgresStore {
+  constructor() {
+    this.sweeper = null;
+  }
+
+  async consume(key, rule) {
+    this.startSweeper();
+
+    const refilled = `LEAST($2::float8, b.tokens + EXTRACT(EPOCH FROM (now() - b.updated_at)) * $3::float8)`;
+    const result = await pool.query(`
+      INSERT INTO rate_limit_buckets AS b (key, tokens, updated_at)
+      VALUES ($1, $2::float8 - 1, now())
+      ON CONFLICT (key) DO UPDATE
+      SET tokens = ${refilled} - 1, updated_at = now()
+      WHERE ${refilled} >= 1
+      RETURNING tokens
+    `, [key, rule.burst, rule.limit / 60]);
+
+    if (result.rows[0]) {
+      return describeBucket(true, result.rows[0].tokens, rule);
+    }
+
+    const current = await pool.query(
+      `SELECT ${refilled} AS tokens FROM rate_limit_buckets b WHERE b.key = $1`,
+      [key, rule.burst, rule.limit / 60]
+    );
+    return describeBucket(false, current.rows[0]?.tokens ?? 0, rule);
+  }
+
+  async refund(key, rule) {
+    await pool.query(
+      'UPDATE rate_limit_buckets SET tokens = LEAST($2::float8, tokens + 1) WHERE key = $1',
+      [key, rule.burst]
+    );
+  }
+
+  // Delete idle buckets now and then, without keeping the process alive
+  startSweeper() {
+    if (this.sweeper) {
+      return;
+    }
+    this.sweeper = setInterval(() => {
+      pool.query(
+        'DELETE FROM rate_limit_buckets WHERE updated_at < now() - make_interval(secs => $1)',
+        [IDLE_BUCKET_TTL / 1000]
+      ).catch(error => console.error('Rate limit sweep error:', error));
+    }, IDLE_BUCKET_TTL);
+    this.sweeper.unref();
+  }
+}
+
+const store = RATE_LIMIT_STORE === 'postgres' ? new PostgresStore() : new MemoryStore();
+
+// Take a token from the caller's bucket for a class. Returns null when no limit applies.
+const consume = async (routeClass, identity, apiKey = null) => {
+  const rule = RATE_LIMIT_ENABLED ? resolveLimit(routeClass, apiKey) : null;
+  if (!rule) {
+    return null;
+  }
+
+  try {
+    return await store.consume(`${routeClass}:${identity}`, rule);
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+    return null;
+  }
+};
+
+// Give a token back to the caller's bucket for a class
+const refund = async (routeClass, identity, apiKey = null) => {
+  const rule = RATE_LIMIT_ENABLED ? resolveLimit(routeClass, apiKey) : null;
+  if (!rule) {
+    return;
+  }
+
+  try {
+    await store.refund(`${routeClass}:${identity}`, rule);
+  } catch (error) {
+    console.error('Rate limit store error:', error);
+  }
+};
+
+module.exports = {
+  ROUTE_CLASSES,
+  CLASS_LIMITS,
+  RATE_LIMIT_ENABLED,
+  RATE_LIMITS_MESSAGE,
+  validateRateLimits,
+  resolveLimit,
+  consume,
+  refund
+};
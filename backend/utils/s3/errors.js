@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { RemoCloudError } = require('../errors');
+const { UploadTooLargeError } = require('../uploadStaging');
+const { buildXml } = require('./xml');
+
+// S3 error codes used by the gateway and their HTTP statuses
+const S3_ERRORS = {
+  AccessDenied: 403,
+  BadDigest: 400,
+  BucketAlreadyOwnedByYou: 409,
+  EntityTooLarge: 400,
+  IncompleteBody: 400,
+  InternalError: 500,
+  InvalidAccessKeyId: 403,
+  InvalidArgument: 400,
+  InvalidBucketName: 400,
+  InvalidPart: 400,
+  InvalidPartOrder: 400,
+  InvalidRange: 416,
+  InvalidRequest: 400,
+  KeyTooLongError: 400,
+  MalformedXML: 400,
+  MethodNotAllowed: 405,
+  MissingContentLength: 411,
+  NoSuchBucket: 404,
+  NoSuchKey: 404,
+  NoSuchUpload: 404,
+  NotImplemented: 501,
+  PreconditionFailed: 412,
+  QuotaExceeded: 403,
+  RequestTimeTooSkewed: 403,
+  SignatureDoesNotMatch: 403,
+  SlowDown: 503,
+  XAmzContentSHA256Mismatch: 400
+};
+
+// RemoCloud error codes raised by the shared upload pipeline, mapped to S3 codes
+const REMOCLOUD_ERROR_MAP = {
+  BUCKET_NOT_FOUND: 'NoSuchBucket',
+  FILE_NOT_FOUND: 'NoSuchKey',
+  FILE_TOO_LARGE: 'EntityTooLarge',
+  INVALID_FILE_TYPE: 'InvalidArgument',
+  INVALID_REQUEST: 'InvalidRequest',
+  UPLOAD_SESSION_NOT_FOUND: 'NoSuchUpload',
+  SIGNED_URL_EXPIRED: 'NoSuchUpload',
+  UPLOAD_FAILED: 'InvalidRequest',
+  QUOTA_EXCEEDED: 'QuotaExceeded',
+  RATE_LIMIT_EXCEEDED: 'SlowDown',
+  OBJECT_LOCKED: 'AccessDenied',
+  INSUFFICIENT_PERMISSIONS: 'AccessDenied',
+  BUCKET_ACCESS_DENIED: 'AccessDenied'
+};
+
+class S3Error extends Error {
+  constructor(code, message, resource = null) {
+    super(message || code);
+    this.name = 'S3Error';
+    this.code = code;
+    this.statusCode = S3_ERRORS[code] || 500;
+    this.resource = resource;
+  }
+}
+
+// Convert any error thrown while handling an S3 request into an S3Error
+const toS3Error = (error) => {
+  if (error instanceof S3Error) {
+    return error;
+  }
+
+  if (error instanceof RemoCloudError && REMOCLOUD_ERROR_MAP[error.code]) {
+    return new S3Error(REMOCLOUD_ERROR_MAP[error.code], error.message);
+  }
+
+  if (error instanceof UploadTooLargeError) {
+    return new S3Error('EntityTooLarge', error.message);
+  }
+
+  return new S3Error('InternalError', 'We encountered an internal error. Please try again.');
+};
+
+// Send an S3 <Error> document (headers only for HEAD requests)
+const sendS3Error = (req, res, error) => {
+  const s3Error = toS3Error(error);
+
+  if (s3Error.statusCode >= 500) {
+    console.error('S3 gateway error:', error);
+  }
+
+  if (res.headersSent) {
+    res.destroy();
+    return;
+  }
+
+  // Drain any unread body so the client sees the error instead of a reset
+  if (!req.complete) {
+    req.resume();
+  }
+
+  res.status(s3Error.statusCode);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  res.type('application/xml').send(buildXml('Error', {
+    Code: s3Error.code,
+    Message: s3Error.message,
+    Resource: s3Error.resource || req.originalUrl.split('?')[0],
+    RequestId: res.get('x-amz-request-id') || crypto.randomBytes(8).toString('hex')
+  }, null));
+};
+
+module.exports = { S3_ERRORS, S3Error, toS3Error, sendS3Error };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { S3Error } = require('./errors');
+const { EMPTY_SHA256, computeChunkSignature, signaturesMatch } = require('./sigv4');
+
+const MAX_CHUNK_HEADER = 4096;
+const MAX_XML_BODY = 1024 * 1024; // 1MB is plenty for CompleteMultipartUpload
+
+// Decode an aws-chunked body ("<hex size>[;chunk-signature=<sig>]\r\n<data>\r\n" ... "0...").
+// When signing details are given, every chunk signature is checked against the seed signature chain.
+class AwsChunkedDecoder extends Transform {
+  constructor(signing = null) {
+    super();
+    this.signing = signing;
+    this.previousSignature = signing ? signing.seedSignature : null;
+    this.buffer = Buffer.alloc(0);
+    this.chunk = null;
+    this.done = false;
+  }
+
+  _transform(data, encoding, callback) {
+    if (this.done) {
+      return callback(); // Trailing headers after the final chunk
+    }
+
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    try {
+      this.drain();
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    callback(this.done ? null : new S3Error('IncompleteBody', 'The request body terminated unexpectedly'));
+  }
+
+  drain() {
+    while (!this.done) {
+      if (!this.chunk) {
+        const lineEnd = this.buffer.indexOf('\r\n');
+        if (lineEnd === -1) {
+          if (this.buffer.length > MAX_CHUNK_HEADER) {
+            throw new S3Error('InvalidRequest', 'Malformed aws-chunked body');
+          }
+          return;
+        }
+
+        const [sizeHex, ...extensions] = this.buffer.subarray(0, lineEnd).toString().split(';');
+        const size = parseInt(sizeHex, 16);
+        const signature = extensions
+          .find(extension => extension.startsWith('chunk-signature='))
+          ?.slice('chunk-signature='.length);
+
+        if (Number.isNaN(size) || (this.signing && !signature)) {
+          throw new S3Error('InvalidRequest', 'Malformed aws-chunked body');
+        }
+
+        this.buffer = this.buffer.subarray(lineEnd + 2);
+        this.chunk = { size, signature, received: 0, hash: crypto.createHash('sha256') };
+
+        if (size === 0) {
+          this.verifyChunk(EMPTY_SHA256);
+          this.done = true;
+          return;
+        }
+      }
+
+      const remaining = this.chunk.size - this.chunk.received;
+      if (remaining > 0) {
+        if (this.buffer.length === 0) {
+          return;
+        }
+        const data = this.buffer.subarray(0, remaining);
+        this.buffer = this.buffer.subarray(data.length);
+        this.chunk.received += data.length;
+        this.chunk.hash.update(data);
+        this.push(data);
+        continue;
+      }
+
+      if (this.buffer.length < 2) {
+        return;
+      }
+      if (this.buffer[0] !== 0x0d || this.buffer[1] !== 0x0a) {
+        throw new S3Error('InvalidRequest', 'Malformed aws-chunked body');
+      }
+
+      this.buffer = this.buffer.subarray(2);
+      this.verifyChunk(this.chunk.hash.digest('hex'));
+      this.chunk = null;
+    }
+  }
+
+  verifyChunk(chunkHash) {
+    if (!this.signing) {
+      return;
+    }
+
+    const expected = computeChunkSignature(this.signing, this.previousSignature, chunkHash);
+    if (!signaturesMatch(expected, this.chunk.signature)) {
+      throw new S3Error('SignatureDoesNotMatch', 'The chunk signature does not match');
+    }
+    this.previousSignature = this.chunk.signature;
+  }
+}
+
+// Get the decoded request body as a stream, unwrapping aws-chunked uploads
+const getPayloadStream = (req) => {
+  const { payloadHash } = req.s3Auth;
+
+  if (!payloadHash.startsWith('STREAMING-')) {
+    return req;
+  }
+
+  const signed = payloadHash.startsWith('STREAMING-AWS4-HMAC-SHA256-PAYLOAD');
+  const decoder = new AwsChunkedDecoder(signed ? req.s3Auth : null);
+
+  return pipeline(req, decoder, () => {});
+};
+
+// Declared object size, which for aws-chunked bodies is sent separately
+const getPayloadLength = (req) => {
+  const header = req.headers['x-amz-decoded-content-length'] || req.headers['content-length'];
+  return header === undefined ? NaN : parseInt(header);
+};
+
+// Reject bodies whose digest doesn't match x-amz-content-sha256 or Content-MD5
+const verifyPayloadDigest = (req, digest) => {
+  const { payloadHash } = req.s3Auth;
+
+  if (/^[a-f0-9]{64}$/i.test(payloadHash) && payloadHash.toLowerCase() !== digest.sha256) {
+    throw new S3Error('XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 does not match what was computed');
+  }
+
+  const contentMd5 = req.headers['content-md5'];
+  if (contentMd5 && Buffer.from(digest.md5, 'hex').toString('base64') !== contentMd5) {
+    throw new S3Error('BadDigest', 'The Content-MD5 you specified did not match what we received');
+  }
+};
+
+// ETag of an object assembled from parts: the MD5 of the parts' binary MD5s, and the part count
+const getMultipartETag = (partMd5s) => {
+  const digests = partMd5s.map(md5 => Buffer.from(md5, 'hex'));
+  return `${crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex')}-${partMd5s.length}`;
+};
+
+// Buffer a small request body (XML documents), verifying its digest
+const readPayload = async (req, maxSize = MAX_XML_BODY) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of getPayloadStream(req)) {
+    size += chunk.length;
+    if (size > maxSize) {
+      throw new S3Error('EntityTooLarge', 'Request body is too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const body = Buffer.concat(chunks);
+  verifyPayloadDigest(req, {
+    sha256: crypto.createHash('sha256').update(body).digest('hex'),
+    md5: crypto.createHash('md5').update(body).digest('hex')
+  });
+
+  return body;
+};
+
+module.exports = {
+  AwsChunkedDecoder,
+  getPayloadStream,
+  getPayloadLength,
+  verifyPayloadDigest,
+  getMultipartETag,
+  readPayload
+};
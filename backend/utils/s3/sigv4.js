@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+
+// AWS Signature Version 4 for the S3 gateway. API keys are stored as bcrypt hashes,
+// so S3 secrets are derived from the key record instead of the raw key.
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+const MAX_CLOCK_SKEW = 15 * 60 * 1000; // 15 minutes
+const MAX_PRESIGNED_EXPIRY = 7 * 24 * 60 * 60; // 7 days, in seconds
+
+const ACCESS_KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// S3 secrets are derived with S3_CREDENTIALS_SECRET or JWT_SECRET; without either the
+// gateway stays off rather than fall back to a secret anyone could know
+const credentialsSecret = () => process.env.S3_CREDENTIALS_SECRET || process.env.JWT_SECRET || null;
+
+// Whether S3 credentials can be issued and checked
+const isGatewayEnabled = () => Boolean(credentialsSecret());
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Generate an AWS-style 20 character access key ID
+const generateAccessKeyId = () => {
+  const suffix = Array.from(crypto.randomBytes(18), byte => ACCESS_KEY_ALPHABET[byte % 32]).join('');
+  return `RK${suffix}`;
+};
+
+// Derive the secret access key for an API key; changes whenever either input does
+const deriveSecretAccessKey = (accessKeyId, keyHash) => {
+  if (!isGatewayEnabled()) {
+    throw new Error('S3_CREDENTIALS_SECRET or JWT_SECRET must be set to derive S3 secrets');
+  }
+  return crypto.createHmac('sha256', credentialsSecret())
+    .update(`${accessKeyId}:${keyHash}`)
+    .digest('base64url')
+    .slice(0, 40);
+};
+
+// RFC 3986 encoding as SigV4 requires
+const uriEncode = (value, encodeSlash = true) => {
+  const encoded = encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return encodeSlash ? encoded : encoded.replace(/%2F/g, '/');
+};
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const getSigningKey = (secretAccessKey, date, region, service) => {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+  const regionKey = hmac(dateKey, region);
+  const serviceKey = hmac(regionKey, service);
+  return hmac(serviceKey, 'aws4_request');
+};
+
+// Read the signature parameters from the Authorization header or a presigned query string
+const parseSignature = (req) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith(`${ALGORITHM} `)) {
+    const fields = {};
+    header.slice(ALGORITHM.length).split(',').forEach(part => {
+      const [name, ...value] = part.trim().split('=');
+      fields[name] = value.join('=');
+    });
+
+    return {
+      presigned: false,
+      credential: fields.Credential,
+      signedHeaders: fields.SignedHeaders,
+      signature: fields.Signature,
+      amzDate: req.headers['x-amz-date'],
+      payloadHash: req.headers['x-amz-content-sha256'] || UNSIGNED_PAYLOAD
+    };
+  }
+
+  if (req.query['X-Amz-Algorithm'] === ALGORITHM) {
+    return {
+      presigned: true,
+      credential: req.query['X-Amz-Credential'],
+      signedHeaders: req.query['X-Amz-SignedHeaders'],
+      signature: req.query['X-Amz-Signature'],
+      amzDate: req.query['X-Amz-Date'],
+      expires: parseInt(req.query['X-Amz-Expires']),
+      payloadHash: UNSIGNED_PAYLOAD
+    };
+  }
+
+  return null;
+};
+
+// Split "AKID/20240101/us-east-1/s3/aws4_request" into its parts
+const parseCredential = (credential = '') => {
+  const [accessKeyId, date, region, service, terminator] = credential.split('/');
+  return { accessKeyId, date, region, service, terminator, scope: [date, region, service, terminator].join('/') };
+};
+
+// Parse an X-Amz-Date timestamp (20240101T120000Z)
+const parseAmzDate = (amzDate = '') => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(amzDate);
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, hour, minute, second] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+const buildCanonicalRequest = (req, signature) => {
+  const [rawPath, rawQuery = ''] = req.originalUrl.split('?');
+
+  const canonicalUri = rawPath
+    .split('/')
+    .map(segment => uriEncode(safeDecode(segment)))
+    .join('/');
+
+  const canonicalQuery = rawQuery
+    .split('&')
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      const name = safeDecode(index === -1 ? pair : pair.slice(0, index));
+      const value = safeDecode(index === -1 ? '' : pair.slice(index + 1));
+      return [uriEncode(name), uriEncode(value)];
+    })
+    .filter(([name]) => !(signature.presigned && name === 'X-Amz-Signature'))
+    .sort(([nameA, valueA], [nameB, valueB]) => (
+      nameA === nameB ? (valueA < valueB ? -1 : 1) : (nameA < nameB ? -1 : 1)
+    ))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const signedHeaders = signature.signedHeaders.split(';');
+  const canonicalHeaders = signedHeaders
+    .map(name => `${name}:${String(req.headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  return [
+    req.method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signature.signedHeaders,
+    signature.payloadHash
+  ].join('\n');
+};
+
+// Compute the expected request signature
+const computeSignature = (req, signature, signingKey, scope) => {
+  const stringToSign = [
+    ALGORITHM,
+    signature.amzDate,
+    scope,
+    sha256Hex(buildCanonicalRequest(req, signature))
+  ].join('\n');
+
+  return hmac(signingKey, stringToSign).toString('hex');
+};
+
+// Compute the signature of one aws-chunked payload chunk
+const computeChunkSignature = ({ signingKey, amzDate, scope }, previousSignature, chunkHash) => {
+  const stringToSign = [
+    `${ALGORITHM}-PAYLOAD`,
+    amzDate,
+    scope,
+    previousSignature,
+    EMPTY_SHA256,
+    chunkHash
+  ].join('\n');
+
+  return hmac(signingKey, stringToSign).toString('hex');
+};
+
+const signaturesMatch = (expected, provided = '') => {
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length && crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+};
+
+module.exports = {
+  ALGORITHM,
+  UNSIGNED_PAYLOAD,
+  EMPTY_SHA256,
+  MAX_CLOCK_SKEW,
+  MAX_PRESIGNED_EXPIRY,
+  isGatewayEnabled,
+  generateAccessKeyId,
+  deriveSecretAccessKey,
+  uriEncode,
+  getSigningKey,
+  parseSignature,
+  parseCredential,
+  parseAmzDate,
+  buildCanonicalRequest,
+  computeSignature,
+  computeChunkSignature,
+  signaturesMatch
+};
@@ -0,0 +1,68 @@
+// Minimal XML rendering and parsing for the S3 gateway's small, fixed documents
+
+const S3_XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, (char) => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  '\'': '&apos;',
+  '"': '&quot;'
+})[char]);
+
+const unescapeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// Render { Name: value } pairs; arrays repeat the element, objects nest, null/undefined are skipped
+const renderElements = (fields) => Object.entries(fields)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => (Array.isArray(value) ? value : [value])
+    .map(item => renderElement(name, item))
+    .join(''))
+  .join('');
+
+const renderElement = (name, value) => {
+  if (value instanceof Date) {
+    return `<${name}>${value.toISOString()}</${name}>`;
+  }
+  if (typeof value === 'object') {
+    return `<${name}>${renderElements(value)}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+};
+
+const buildXml = (root, fields, namespace = S3_XMLNS) => {
+  const xmlns = namespace ? ` xmlns="${namespace}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<${root}${xmlns}>${renderElements(fields)}</${root}>`;
+};
+
+const sendXml = (res, statusCode, root, fields) => {
+  res.status(statusCode).type('application/xml').send(buildXml(root, fields));
+};
+
+// Get the text of every <tag> element in a document fragment
+const getElements = (xml, tag) => {
+  const pattern = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+};
+
+// Parse a CompleteMultipartUpload body into [{ partNumber, etag }]
+const parseCompleteMultipartUpload = (xml) => {
+  return getElements(xml, 'Part').map(part => ({
+    partNumber: parseInt(getElements(part, 'PartNumber')[0]),
+    etag: unescapeXml(getElements(part, 'ETag')[0] || '').trim().replace(/"/g, '')
+  }));
+};
+
+module.exports = {
+  S3_XMLNS,
+  escapeXml,
+  buildXml,
+  sendXml,
+  getElements,
+  parseCompleteMultipartUpload
+};
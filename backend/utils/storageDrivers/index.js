@@ -0,0 +1,30 @@
+const PostgresStorageDriver = require('./postgres');
+const LocalStorageDriver = require('./local');
+
+// Every driver implements put/putStream/get/stream/delete/exists/stat and takes the
+// caller's pg client first so database-backed drivers can join its transaction.
+// `transactional` says whether a driver's writes and deletes roll back with it.
+const DRIVERS = {
+  postgres: PostgresStorageDriver,
+  local: LocalStorageDriver
+};
+
+const instances = {};
+
+// Get a driver instance by name (cached)
+const getDriver = (name) => {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown storage driver: ${name}. Available: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new Driver();
+  }
+  return instances[name];
+};
+
+// Driver that new blobs are written to, selected by STORAGE_DRIVER
+const getDefaultDriver = () => getDriver(process.env.STORAGE_DRIVER || 'postgres');
+
+module.exports = { DRIVERS, getDriver, getDefaultDriver };
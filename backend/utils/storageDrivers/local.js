@@ -0,0 +1,157 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Directory entries, or none if the directory doesn't exist
+const readDirectory = async (dir) => {
+  try {
+    return await fsp.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Content-addressed blob store on the local filesystem.
+// Blobs live at <root>/<hash[0:2]>/<hash[2:4]>/<hash> so no directory grows unbounded.
+// Writes land on disk before the caller's transaction commits, so a rollback can leave
+// a blob with no file_data row; the cleanup job sweeps those up. Deletes are queued by
+// callers instead (see fileStorage) and only run once the release has committed.
+class LocalStorageDriver {
+  constructor(rootDir) {
+    this.name = 'local';
+    this.transactional = false;
+    this.rootDir = rootDir || process.env.STORAGE_LOCAL_PATH || path.join(__dirname, '../../storage/blobs');
+  }
+
+  // Resolve blob path, rejecting anything that isn't a plain hex digest
+  blobPath(fileHash) {
+    if (!/^[a-f0-9]{16,128}$/i.test(fileHash)) {
+      throw new Error(`Invalid content hash: ${fileHash}`);
+    }
+    const hash = fileHash.toLowerCase();
+    return path.join(this.rootDir, hash.slice(0, 2), hash.slice(2, 4), hash);
+  }
+
+  // Write to a temp file and rename so readers never see a partial blob
+  async put(client, fileHash, buffer) {
+    const target = this.blobPath(fileHash);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await fsp.writeFile(tempPath, buffer);
+      await fsp.rename(tempPath, target);
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Stream straight to disk so large uploads never sit in memory
+  async putStream(client, fileHash, readable) {
+    const target = this.blobPath(fileHash);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+
+    const tempPath = `${target}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      await pipeline(readable, fs.createWriteStream(tempPath));
+      await fsp.rename(tempPath, target);
+    } catch (error) {
+      await fsp.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+  }
+
+  async get(client, fileHash) {
+    try {
+      return await fsp.readFile(this.blobPath(fileHash));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`File data not found for hash: ${fileHash}`);
+      }
+      throw error;
+    }
+  }
+
+  async stream(client, fileHash, range = {}) {
+    const blobPath = this.blobPath(fileHash);
+    if (!await this.exists(client, fileHash)) {
+      throw new Error(`File data not found for hash: ${fileHash}`);
+    }
+    return fs.createReadStream(blobPath, { start: range.start, end: range.end });
+  }
+
+  async delete(client, fileHash) {
+    try {
+      await fsp.unlink(this.blobPath(fileHash));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  // Every file under the blob root, for the orphan sweep. Blobs carry their hash;
+  // temp files left by interrupted writes have none.
+  async* list() {
+    for (const first of await readDirectory(this.rootDir)) {
+      for (const second of await readDirectory(path.join(this.rootDir, first))) {
+        const dir = path.join(this.rootDir, first, second);
+
+        for (const name of await readDirectory(dir)) {
+          const filePath = path.join(dir, name);
+          const stats = await fsp.stat(filePath).catch(() => null);
+          if (!stats?.isFile()) {
+            continue;
+          }
+
+          if (/^[a-f0-9]{16,128}$/.test(name)) {
+            yield { fileHash: name, path: filePath, modifiedAt: stats.mtime };
+          } else if (name.endsWith('.tmp')) {
+            yield { fileHash: null, path: filePath, modifiedAt: stats.mtime };
+          }
+        }
+      }
+    }
+  }
+
+  // Remove a temp file found by list()
+  async deleteTemp(tempPath) {
+    if (!tempPath.endsWith('.tmp') || path.relative(this.rootDir, tempPath).startsWith('..')) {
+      throw new Error(`Not a temp file of this store: ${tempPath}`);
+    }
+    await fsp.unlink(tempPath).catch(error => {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    });
+  }
+
+  async exists(client, fileHash) {
+    try {
+      await fsp.access(this.blobPath(fileHash));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async stat(client, fileHash) {
+    try {
+      const stats = await fsp.stat(this.blobPath(fileHash));
+      return { size: stats.size, createdAt: stats.birthtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageDriver;
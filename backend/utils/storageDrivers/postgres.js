@@ -0,0 +1,105 @@
+const { Readable } = require('stream');
+const { pool } = require('../../models/database');
+
+const CHUNK_SIZE = 1024 * 1024; // 1MB per read when streaming BYTEA
+
+// Stores blob bytes inline in the file_data table (BYTEA)
+class PostgresStorageDriver {
+  constructor() {
+    this.name = 'postgres';
+    this.transactional = true;
+  }
+
+  // Write blob bytes; the file_data row doubles as the blob index
+  async put(client, fileHash, buffer) {
+    await client.query(`
+      INSERT INTO file_data (file_hash, data, size, storage_driver)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (file_hash) DO UPDATE SET data = EXCLUDED.data
+    `, [fileHash, buffer, buffer.length, this.name]);
+  }
+
+  // BYTEA has to be written in a single statement, so the stream is collected first.
+  // Use the local driver when uploads must not be buffered.
+  async putStream(client, fileHash, readable) {
+    const chunks = [];
+    for await (const chunk of readable) {
+      chunks.push(chunk);
+    }
+    await this.put(client, fileHash, Buffer.concat(chunks));
+  }
+
+  // Read the whole blob into memory
+  async get(client, fileHash) {
+    const result = await client.query(
+      'SELECT data FROM file_data WHERE file_hash = $1 AND data IS NOT NULL',
+      [fileHash]
+    );
+
+    if (!result.rows[0]) {
+      throw new Error(`File data not found for hash: ${fileHash}`);
+    }
+
+    return result.rows[0].data;
+  }
+
+  // Stream the blob in fixed-size substrings so large files never sit in memory whole.
+  // Uses the pool rather than the caller's client because the stream outlives the request handler.
+  async stream(client, fileHash, range = {}) {
+    const stat = await this.stat(client, fileHash);
+    if (!stat) {
+      throw new Error(`File data not found for hash: ${fileHash}`);
+    }
+
+    const start = range.start || 0;
+    const end = range.end !== undefined ? Math.min(range.end, stat.size - 1) : stat.size - 1;
+
+    async function* readChunks() {
+      // Postgres substring() offsets are 1-based
+      for (let offset = start; offset <= end; offset += CHUNK_SIZE) {
+        const length = Math.min(CHUNK_SIZE, end - offset + 1);
+        const result = await pool.query(
+          'SELECT substring(data FROM $2 FOR $3) AS chunk FROM file_data WHERE file_hash = $1',
+          [fileHash, offset + 1, length]
+        );
+        yield result.rows[0].chunk;
+      }
+    }
+
+    return Readable.from(readChunks());
+  }
+
+  // Drop blob bytes; the index row itself is managed by fileStorage
+  async delete(client, fileHash) {
+    await client.query(
+      'UPDATE file_data SET data = NULL WHERE file_hash = $1',
+      [fileHash]
+    );
+  }
+
+  async exists(client, fileHash) {
+    const result = await client.query(
+      'SELECT 1 FROM file_data WHERE file_hash = $1 AND data IS NOT NULL',
+      [fileHash]
+    );
+    return result.rows.length > 0;
+  }
+
+  async stat(client, fileHash) {
+    const result = await client.query(
+      'SELECT octet_length(data) AS size, created_at FROM file_data WHERE file_hash = $1 AND data IS NOT NULL',
+      [fileHash]
+    );
+
+    if (!result.rows[0]) {
+      return null;
+    }
+
+    return {
+      size: parseInt(result.rows[0].size),
+      createdAt: result.rows[0].created_at
+    };
+  }
+}
+
+module.exports = PostgresStorageDriver;
@@ -0,0 +1,138 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { pool } = require('../models/database');
+const { getDriver } = require('./storageDrivers');
+const { getBlobInfo, decodeStoredData } = require('./fileStorage');
+
+class StorageMigration {
+  constructor(from, to, options = {}) {
+    if (from === to) {
+      throw new Error('Source and target storage drivers must differ');
+    }
+
+    this.source = getDriver(from);
+    this.target = getDriver(to);
+    this.batchSize = options.batchSize || 100;
+    this.dryRun = options.dryRun || false;
+  }
+
+  // Move a single blob: verify, copy to target, repoint the index row, then drop the source copy
+  async migrateBlob(fileHash) {
+    const buffer = await this.source.get(pool, fileHash);
+
+    // Compressed or encrypted blobs are copied as stored; the hash covers the decoded content
+    const content = await decodeStoredData(pool, await getBlobInfo(pool, fileHash), buffer);
+
+    const computedHash = crypto.createHash('sha256').update(content).digest('hex');
+    if (computedHash !== fileHash.toLowerCase()) {
+      throw new Error(`Content hash mismatch (computed ${computedHash})`);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await this.target.put(client, fileHash, buffer);
+
+      await client.query(
+        'UPDATE file_data SET storage_driver = $1, size = $2, stored_size = $3 WHERE file_hash = $4',
+        [this.target.name, content.length, buffer.length, fileHash]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Only drop the source copy once the index points at the target
+    await this.source.delete(pool, fileHash);
+
+    return buffer.length;
+  }
+
+  // Migrate every blob indexed under the source driver
+  async run() {
+    const countResult = await pool.query(
+      'SELECT COUNT(*) AS total, COALESCE(SUM(COALESCE(stored_size, size)), 0) AS bytes FROM file_data WHERE storage_driver = $1',
+      [this.source.name]
+    );
+    const { total, bytes } = countResult.rows[0];
+
+    console.log(`Found ${total} blobs (${bytes} bytes) on '${this.source.name}' to move to '${this.target.name}'`);
+
+    if (this.dryRun) {
+      return { total: parseInt(total), migrated: 0, failed: 0, bytes: 0, dryRun: true };
+    }
+
+    let migrated = 0;
+    let migratedBytes = 0;
+    const failed = [];
+
+    while (true) {
+      // Migrated rows change driver, so each batch naturally picks up the next set
+      const batch = await pool.query(`
+        SELECT file_hash FROM file_data
+        WHERE storage_driver = $1 AND NOT (file_hash = ANY($2))
+        ORDER BY created_at ASC
+        LIMIT $3
+      `, [this.source.name, failed, this.batchSize]);
+
+      if (batch.rows.length === 0) {
+        break;
+      }
+
+      for (const { file_hash: fileHash } of batch.rows) {
+        try {
+          migratedBytes += await this.migrateBlob(fileHash);
+          migrated++;
+        } catch (error) {
+          console.error(`Failed to migrate blob ${fileHash}:`, error.message);
+          failed.push(fileHash);
+        }
+      }
+
+      console.log(`Migrated ${migrated}/${total} blobs`);
+    }
+
+    return { total: parseInt(total), migrated, failed: failed.length, failedHashes: failed, bytes: migratedBytes };
+  }
+}
+
+module.exports = StorageMigration;
+
+// Allow running as standalone script:
+//   node utils/storageMigration.js --from postgres --to local [--batch-size 100] [--dry-run]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const from = getArg('from');
+  const to = getArg('to');
+
+  if (!from || !to) {
+    console.error('Usage: node utils/storageMigration.js --from <driver> --to <driver> [--batch-size N] [--dry-run]');
+    process.exit(1);
+  }
+
+  const migration = new StorageMigration(from, to, {
+    batchSize: parseInt(getArg('batch-size')) || 100,
+    dryRun: args.includes('--dry-run')
+  });
+
+  migration.run()
+    .then((result) => {
+      console.log('Storage migration completed:', result);
+      process.exit(result.failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error('Storage migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,121 @@
+const { extractPdfText } = require('./pdfText');
+
+// Text extraction for the content search index. A file's format comes from its MIME
+// type, or its extension when the type is generic (application/octet-stream uploads).
+const FORMATS_BY_TYPE = {
+  'application/pdf': 'pdf',
+  'application/json': 'json',
+  'application/ld+json': 'json',
+  'application/x-ndjson': 'text',
+  'application/xml': 'html',
+  'application/xhtml+xml': 'html',
+  'text/html': 'html',
+  'text/xml': 'html',
+  'text/csv': 'text',
+  'text/markdown': 'text'
+};
+const FORMATS_BY_EXTENSION = {
+  pdf: 'pdf',
+  json: 'json',
+  html: 'html',
+  htm: 'html',
+  xml: 'html',
+  csv: 'text',
+  tsv: 'text',
+  md: 'text',
+  markdown: 'text',
+  txt: 'text',
+  log: 'text'
+};
+const INDEXABLE_TYPES = Object.keys(FORMATS_BY_TYPE);
+const INDEXABLE_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION);
+const BINARY_SAMPLE_SIZE = 8192;
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+// Format to extract a file as, or null when its content isn't indexed
+const getTextFormat = (mimeType, filename = '') => {
+  const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+  if (FORMATS_BY_TYPE[type]) {
+    return FORMATS_BY_TYPE[type];
+  }
+  if (type.startsWith('text/')) {
+    return 'text';
+  }
+
+  const extension = filename.includes('.') ? filename.toLowerCase().split('.').pop() : '';
+  return FORMATS_BY_EXTENSION[extension] || null;
+};
+
+// Decode UTF-8 text, refusing content that looks binary
+const decodeText = (buffer) => {
+  if (buffer.subarray(0, BINARY_SAMPLE_SIZE).includes(0)) {
+    throw new Error('Content is not text');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+};
+
+// Visible text of an HTML or XML document
+const htmlToText = (html) => {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<\/?(p|div|br|li|tr|h[1-6]|section|article|header|footer|title)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : ' ';
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+};
+
+// Keys and values of a JSON document, one per line; invalid JSON is indexed as text
+const jsonToText = (source) => {
+  let value;
+  try {
+    value = JSON.parse(source);
+  } catch (error) {
+    return source;
+  }
+
+  const lines = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+    } else if (node && typeof node === 'object') {
+      for (const [key, child] of Object.entries(node)) {
+        lines.push(key);
+        walk(child);
+      }
+    } else if (node !== null && node !== undefined) {
+      lines.push(String(node));
+    }
+  };
+  walk(value);
+  return lines.join('\n');
+};
+
+// Extract the searchable text of a file's content
+const extractText = (buffer, format) => {
+  switch (format) {
+    case 'pdf':
+      return extractPdfText(buffer);
+    case 'html':
+      return htmlToText(decodeText(buffer));
+    case 'json':
+      return jsonToText(decodeText(buffer));
+    case 'text':
+      return decodeText(buffer);
+    default:
+      throw new Error(`Unsupported text format: ${format}`);
+  }
+};
+
+module.exports = {
+  INDEXABLE_TYPES,
+  INDEXABLE_EXTENSIONS,
+  getTextFormat,
+  decodeText,
+  extractText
+};
@@ -0,0 +1,100 @@
+const { getFileBlobHashes, releaseFileData } = require('./fileStorage');
+
+// How long trashed files stay restorable. A bucket's trash_retention_days overrides its
+// owner's account setting, which overrides TRASH_RETENTION_DAYS; NULL means "inherit" at
+// both levels. 0 skips the trash and deletes files outright, and -1 keeps them until
+// they are deleted by hand. The deadline is fixed when a file is trashed
+// (files.restore_until, 'infinity' for never), so a changed setting only affects files
+// trashed afterwards. The cleanup job purges files once their deadline has passed.
+const TRASH_RETENTION_NEVER = -1;
+const MAX_TRASH_RETENTION_DAYS = 3650;
+const parsedDefault = parseInt(process.env.TRASH_RETENTION_DAYS ?? 7);
+const DEFAULT_TRASH_RETENTION_DAYS = Number.isInteger(parsedDefault) ? parsedDefault : 7;
+const TRASH_RETENTION_MESSAGE = `trash_retention_days must be -1 (never purge), 0 (delete immediately) or a number of days up to ${MAX_TRASH_RETENTION_DAYS}`;
+
+// Whether a value can be stored as a retention setting (null clears it)
+const isValidTrashRetention = (value) => {
+  return value === null || (Number.isInteger(value) &&
+    value >= TRASH_RETENTION_NEVER && value <= MAX_TRASH_RETENTION_DAYS);
+};
+
+// Retention that applies given a bucket's and an account's settings
+const resolveTrashRetention = (bucketDays, accountDays) => {
+  return bucketDays ?? accountDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+// Human-readable retention, for messages
+const describeTrashRetention = (days) => {
+  if (days === TRASH_RETENTION_NEVER) {
+    return 'until it is deleted permanently';
+  }
+  return `within ${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+// Delete files for good (versions and derivatives cascade), then collect blobs no
+// other file, version or derivative still uses. Bucket stats are left to the caller.
+const deleteFilesPermanently = async (client, fileIds) => {
+  const blobHashes = await getFileBlobHashes(client, fileIds);
+
+  await client.query('DELETE FROM files WHERE id = ANY($1::uuid[])', [fileIds]);
+
+  for (const hash of blobHashes) {
+    await releaseFileData(client, hash);
+  }
+};
+
+// Move live files to the trash, setting each one's restore deadline from its retention.
+// Files whose retention is 0 are deleted permanently instead. Bucket stats are left to
+// the caller: either way the files no longer count as stored.
+// Returns { trashed: [{ id, retention_days, restore_until }], purged: [id] }.
+const moveToTrash = async (client, fileIds) => {
+  if (fileIds.length === 0) {
+    return { trashed: [], purged: [] };
+  }
+
+  const retentionResult = await client.query(`
+    SELECT f.id, COALESCE(b.trash_retention_days, u.trash_retention_days, $2::int) AS retention_days
+    FROM files f
+    LEFT JOIN buckets b ON b.id = f.bucket_id
+    LEFT JOIN users u ON u.id = f.user_id
+    WHERE f.id = ANY($1::uuid[]) AND f.deleted_at IS NULL
+  `, [fileIds, DEFAULT_TRASH_RETENTION_DAYS]);
+
+  const purged = retentionResult.rows.filter(row => row.retention_days === 0).map(row => row.id);
+  const kept = retentionResult.rows.filter(row => row.retention_days !== 0);
+  let trashed = [];
+
+  if (kept.length > 0) {
+    const trashResult = await client.query(`
+      UPDATE files f
+      SET deleted_at = CURRENT_TIMESTAMP,
+          restore_until = CASE
+            WHEN r.days = $3 THEN 'infinity'::timestamp
+            ELSE CURRENT_TIMESTAMP + make_interval(days => r.days)
+          END
+      FROM unnest($1::uuid[], $2::int[]) AS r(id, days)
+      WHERE f.id = r.id
+      RETURNING f.id, r.days AS retention_days,
+                CASE WHEN isfinite(f.restore_until) THEN f.restore_until END AS restore_until
+    `, [kept.map(row => row.id), kept.map(row => row.retention_days), TRASH_RETENTION_NEVER]);
+    trashed = trashResult.rows;
+  }
+
+  if (purged.length > 0) {
+    await deleteFilesPermanently(client, purged);
+  }
+
+  return { trashed, purged };
+};
+
+module.exports = {
+  TRASH_RETENTION_NEVER,
+  MAX_TRASH_RETENTION_DAYS,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASH_RETENTION_MESSAGE,
+  isValidTrashRetention,
+  resolveTrashRetention,
+  describeTrashRetention,
+  deleteFilesPermanently,
+  moveToTrash
+};
@@ -0,0 +1,546 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('../models/database');
+const FileValidationService = require('./fileValidation');
+const { validateFileSize } = require('./fileLimits');
+const { createError } = require('./errors');
+const analyticsService = require('./analytics');
+const { storeFileStream } = require('./fileStorage');
+const { openStagedUpload, statStagedUpload, removeStagedUpload, removeStagedParts } = require('./uploadStaging');
+const { getArchiveFormat } = require('./archiveReader');
+const { validateTags } = require('./fileFilters');
+const contentIndexer = require('./contentIndex');
+const { moveToTrash } = require('./trash');
+const { isFileLocked, lockedError, defaultRetention } = require('./objectLock');
+const { validateVersionAnnotations, pruneNoncurrentVersions } = require('./versions');
+const { checkQuota } = require('./quotas');
+const { assertNameAccess, assertPathAccess } = require('./permissions');
+
+const SESSION_TTL = 15 * 60 * 1000; // 15 minutes for single-request uploads
+const RESUMABLE_SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours for resumable uploads
+const MAX_FILE_METADATA_SIZE = 16 * 1024; // Serialized bytes of metadata set at upload time
+
+const apiBaseUrl = () => process.env.API_BASE_URL || 'http://localhost:5000';
+
+// Get the tus endpoint for a resumable upload session
+const getResumableUrl = (uploadId) => `${apiBaseUrl()}/api/tus/${uploadId}`;
+
+// Check metadata supplied at upload time; it becomes the file's metadata_json on completion
+const validateFileMetadata = (metadata) => {
+  if (metadata === undefined || metadata === null) {
+    return null;
+  }
+
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw createError('INVALID_REQUEST', { field: 'metadata' }, 'metadata must be an object');
+  }
+
+  if (JSON.stringify(metadata).length > MAX_FILE_METADATA_SIZE) {
+    throw createError('INVALID_REQUEST', {
+      field: 'metadata',
+      maxSize: MAX_FILE_METADATA_SIZE
+    }, `metadata must not exceed ${MAX_FILE_METADATA_SIZE} bytes`);
+  }
+
+  return metadata;
+};
+
+// Build the object key for a file stored in a bucket
+const buildObjectKey = (userId, bucket, name) => {
+  const randomId = uuidv4().split('-')[0];
+  let objectKey = `users/${userId}/buckets/${bucket.slug}/${Date.now()}-${randomId}-${name}`;
+
+  // Add version if versioning enabled
+  if (bucket.versioning_enabled) {
+    objectKey += `?versionId=${uuidv4().split('-')[0]}`;
+  }
+  return objectKey;
+};
+
+// Validate an upload against size limits, bucket policy and quotas, then open a session.
+// Multipart sessions don't know their size up front; it is checked on completion.
+// replaceExisting says the completion will replace same-named files (see recordUploadedFile).
+const createUploadSession = async ({ userId, bucketId, filename, size, contentType, metadata, tags, versionLabel, versionNote, resumable = false, multipart = false, extract, replaceExisting = false, apiKey = null }) => {
+  const required = multipart ? { filename, contentType } : { filename, size, contentType };
+  const missingFields = Object.entries(required)
+    .filter(([, value]) => value === undefined || value === null || value === '')
+    .map(([field]) => field);
+
+  if (missingFields.length > 0) {
+    throw createError('INVALID_REQUEST', { missingFields }, 'Missing required fields');
+  }
+
+  assertPathAccess(apiKey, bucketId, String(filename));
+
+  const fileMetadata = validateFileMetadata(metadata);
+  const fileTags = validateTags(tags);
+  const version = validateVersionAnnotations(
+    { label: versionLabel, note: versionNote },
+    { label: 'versionLabel', note: 'versionNote' }
+  );
+
+  // Validate file size based on media type
+  const sizeValidation = validateFileSize(contentType, size || 0);
+  if (!sizeValidation.isValid) {
+    throw createError('FILE_TOO_LARGE', {
+      maxSize: sizeValidation.limit,
+      receivedSize: size,
+      mimeType: contentType
+    }, `File too large. Maximum size for ${contentType} is ${Math.round(sizeValidation.limit / 1024 / 1024)}MB`);
+  }
+
+  // Get bucket and validate permissions
+  const bucketResult = await pool.query(`
+    SELECT * FROM buckets 
+    WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+  `, [bucketId, userId]);
+
+  const bucket = bucketResult.rows[0];
+  if (!bucket) {
+    throw createError('BUCKET_NOT_FOUND', { bucketId });
+  }
+
+  if (extract !== undefined && typeof extract !== 'boolean') {
+    throw createError('INVALID_REQUEST', { field: 'extract' }, 'extract must be true or false');
+  }
+
+  // Archives are extracted when asked, or by default in buckets set to extract them
+  const archiveFormat = multipart ? null : getArchiveFormat(filename, contentType);
+  const extractFormat = archiveFormat && (extract ?? bucket.extract_archives) ? archiveFormat : null;
+
+  // Entries land in a folder next to the archive, which the API key must cover too
+  if (extractFormat && apiKey) {
+    const { getExtractionRoot } = require('./archiveExtraction');
+    assertNameAccess(apiKey, getExtractionRoot(filename));
+  }
+
+  // Validate file type against bucket policy (extracted entries are checked one by one)
+  const allowedTypes = bucket.allowed_types || ['*'];
+  const typeValidation = FileValidationService.validateFileType(filename, contentType, allowedTypes);
+  
+  if (!extractFormat && !typeValidation.isValid) {
+    const errorInfo = FileValidationService.formatValidationError(typeValidation, allowedTypes);
+    throw createError('INVALID_FILE_TYPE', {
+      allowedTypes: errorInfo.allowedTypes,
+      suggestion: errorInfo.suggestion,
+      validationErrors: typeValidation.errors,
+      receivedType: contentType
+    }, errorInfo.message);
+  }
+
+  // Fail before the upload when it would add a version to a locked file or replace one
+  let existingFiles = [];
+  if ((bucket.versioning_enabled || replaceExisting) && !extractFormat) {
+    const existingResult = await pool.query(`
+      SELECT id, size, original_name, legal_hold, retention_mode, retain_until FROM files
+      WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL
+    `, [bucket.id, filename]);
+
+    existingFiles = existingResult.rows;
+    const locked = existingFiles.find(isFileLocked);
+    if (locked) {
+      throw lockedError(locked);
+    }
+  }
+
+  // Fail before the upload when it can't fit; completion checks again with the real size.
+  // A new version adds no object, and replaced files stop counting once trashed.
+  const replacedBytes = bucket.versioning_enabled
+    ? 0
+    : existingFiles.reduce((total, existing) => total + (parseInt(existing.size) || 0), 0);
+  await checkQuota(pool, {
+    userId,
+    bucketId,
+    bytes: (size || 0) - replacedBytes,
+    objects: bucket.versioning_enabled ? (existingFiles.length > 0 ? 0 : 1) : 1 - existingFiles.length
+  });
+
+  const objectKey = buildObjectKey(userId, bucket, filename);
+
+  // Generate upload session ID
+  const uploadId = uuidv4();
+  const expiresAt = new Date(Date.now() + (resumable || multipart ? RESUMABLE_SESSION_TTL : SESSION_TTL));
+  
+  const signedUrl = `${apiBaseUrl()}/api/storage/upload/${uploadId}`;
+
+  // Store upload session
+  await pool.query(`
+    INSERT INTO upload_sessions 
+    (id, bucket_id, user_id, filename, original_name, mime_type, size, object_key, signed_url, expires_at, metadata_json)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `, [
+    uploadId,
+    bucketId,
+    userId,
+    filename,
+    filename,
+    contentType,
+    multipart ? null : size,
+    objectKey,
+    signedUrl,
+    expiresAt,
+    JSON.stringify({
+      resumable,
+      ...(multipart && { multipart, parts: {} }),
+      ...(fileMetadata && { fileMetadata }),
+      ...(fileTags && { fileTags }),
+      ...((version.label || version.note) && { version }),
+      ...(extractFormat && { extract: extractFormat })
+    })
+  ]);
+
+  return {
+    uploadId,
+    extract: extractFormat,
+    signedUrl,
+    resumableUrl: resumable ? getResumableUrl(uploadId) : null,
+    objectKey,
+    expiresAt
+  };
+};
+
+// Create the file record for stored content, or add it as the next version of the
+// same-named file when the bucket keeps versions. With replaceExisting, same-named
+// files in unversioned buckets are moved to trash so the new file takes their place
+// (S3 overwrite semantics). A locked same-named file (see utils/objectLock.js) can be
+// neither versioned nor replaced, so the upload fails with OBJECT_LOCKED. versionLabel
+// and versionNote annotate the version written.
+const recordUploadedFile = async (client, { bucket, userId, uploadId, name, mimeType, size, objectKey, fileHash, metadata, tags, versionLabel = null, versionNote = null, replaceExisting = false, multipartETag = null }) => {
+  // Check for existing file with same name for versioning
+  let version = 1;
+  let existingFileId = null;
+  
+  if (bucket.versioning_enabled) {
+    const existingResult = await client.query(`
+      SELECT id, version, original_name, legal_hold, retention_mode, retain_until FROM files 
+      WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL
+      ORDER BY version DESC LIMIT 1
+    `, [bucket.id, name]);
+    
+    if (existingResult.rows[0]) {
+      if (isFileLocked(existingResult.rows[0])) {
+        throw lockedError(existingResult.rows[0]);
+      }
+      existingFileId = existingResult.rows[0].id;
+      version = existingResult.rows[0].version + 1;
+    }
+  }
+
+  if (replaceExisting && !bucket.versioning_enabled) {
+    const replacedResult = await client.query(`
+      SELECT id, size, original_name, legal_hold, retention_mode, retain_until FROM files
+      WHERE bucket_id = $1 AND original_name = $2 AND deleted_at IS NULL
+      FOR UPDATE
+    `, [bucket.id, name]);
+
+    const locked = replacedResult.rows.find(isFileLocked);
+    if (locked) {
+      throw lockedError(locked);
+    }
+
+    await moveToTrash(client, replacedResult.rows.map(replaced => replaced.id));
+
+    for (const replaced of replacedResult.rows) {
+      await client.query(
+        'UPDATE buckets SET file_count = file_count - 1, storage_used = storage_used - $1 WHERE id = $2',
+        [replaced.size, bucket.id]
+      );
+    }
+  }
+
+  // Replaced files are in the trash by now, so they no longer count against quotas
+  await checkQuota(client, { userId, bucketId: bucket.id, bytes: size, objects: existingFileId ? 0 : 1 });
+
+  let fileResult;
+  const fileMetadata = metadata || {};
+  
+  if (existingFileId && version > 1) {
+    // Update existing file for new version. Encryption info describes one version's
+    // bytes, so a stale entry is dropped before merging the new upload's metadata.
+    // Tags stay unless the upload sets its own.
+    fileResult = await client.query(`
+      UPDATE files 
+      SET filename = $1, mime_type = $2, size = $3, object_key = $4, file_hash = $5, 
+          version = $6, updated_at = CURRENT_TIMESTAMP,
+          metadata_json = (COALESCE(metadata_json, '{}'::jsonb) - 'encryption') || $8::jsonb,
+          tags = COALESCE($9::jsonb, tags), multipart_etag = $10
+      WHERE id = $7
+      RETURNING *
+    `, [
+      `${fileHash}-${name}`,
+      mimeType,
+      size,
+      objectKey,
+      fileHash,
+      version,
+      existingFileId,
+      JSON.stringify(fileMetadata),
+      tags ? JSON.stringify(tags) : null,
+      multipartETag
+    ]);
+    
+    // Create version history record
+    const versionResult = await client.query(`
+      INSERT INTO file_versions 
+      (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current, label, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, $11, $12)
+      RETURNING id
+    `, [
+      existingFileId,
+      version,
+      `${fileHash}-${name}`,
+      name,
+      mimeType,
+      size,
+      objectKey,
+      fileHash,
+      JSON.stringify(fileMetadata),
+      userId,
+      versionLabel,
+      versionNote
+    ]);
+    
+    // Mark previous versions as not current
+    await client.query(`
+      UPDATE file_versions 
+      SET is_current = false 
+      WHERE file_id = $1 AND version_number < $2
+    `, [existingFileId, version]);
+
+    await client.query(
+      'UPDATE files SET current_version_id = $1 WHERE id = $2',
+      [versionResult.rows[0].id, existingFileId]
+    );
+
+    await pruneNoncurrentVersions(client, existingFileId, bucket.max_noncurrent_versions);
+    
+  } else {
+    // Create new file record, with the bucket's default retention when it has one
+    const retention = defaultRetention(bucket);
+    fileResult = await client.query(`
+      INSERT INTO files 
+      (bucket_id, user_id, upload_session_id, filename, original_name, mime_type, size, object_key, file_hash, is_public, version, created_by, metadata_json, tags, retention_mode, retain_until, multipart_etag)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING *
+    `, [
+      bucket.id,
+      userId,
+      uploadId,
+      `${fileHash}-${name}`,
+      name,
+      mimeType,
+      size,
+      objectKey,
+      fileHash,
+      bucket.is_public_by_default,
+      version,
+      userId,
+      JSON.stringify(fileMetadata),
+      JSON.stringify(tags || {}),
+      retention.mode,
+      retention.retainUntil,
+      multipartETag
+    ]);
+    
+    // Create initial version record
+    await client.query(`
+      INSERT INTO file_versions 
+      (file_id, version_number, filename, original_name, mime_type, size, object_key, file_hash, metadata_json, created_by, is_current, label, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, $11, $12)
+    `, [
+      fileResult.rows[0].id,
+      version,
+      `${fileHash}-${name}`,
+      name,
+      mimeType,
+      size,
+      objectKey,
+      fileHash,
+      JSON.stringify(fileMetadata),
+      userId,
+      versionLabel,
+      versionNote
+    ]);
+  }
+
+  // Update bucket stats. Noncurrent versions keep counting towards storage until they
+  // are deleted, so a new version adds its full size.
+  await client.query(`
+    UPDATE buckets 
+    SET file_count = file_count + $3, storage_used = storage_used + $1
+    WHERE id = $2
+  `, [size, bucket.id, existingFileId ? 0 : 1]);
+
+  // Track analytics
+  await analyticsService.trackUpload(userId, bucket.id, size);
+
+  return fileResult.rows[0];
+};
+
+// Move a staged upload into storage and create (or version) its file record.
+const completeUploadSession = async (uploadId, userId, options = {}) => {
+  const { actualSize, clientHash, replaceExisting = false, multipartETag = null } = options;
+
+  // Get upload session
+  const sessionResult = await pool.query(`
+    SELECT us.*, b.is_public_by_default, b.versioning_enabled,
+           b.object_lock_enabled, b.object_lock_mode, b.object_lock_days, b.max_noncurrent_versions
+    FROM upload_sessions us
+    JOIN buckets b ON us.bucket_id = b.id
+    WHERE us.id = $1 AND us.user_id = $2 AND us.completed_at IS NULL
+  `, [uploadId, userId]);
+
+  const session = sessionResult.rows[0];
+  if (!session) {
+    throw createError('UPLOAD_SESSION_NOT_FOUND', { uploadId });
+  }
+
+  // Check if upload session expired
+  if (new Date() > new Date(session.expires_at)) {
+    throw createError('SIGNED_URL_EXPIRED', { uploadId, expiresAt: session.expires_at });
+  }
+
+  // The body was streamed to staging (signed URL PUT, tus or S3) and its digest recorded
+  const staged = session.metadata_json?.staged;
+  const stagedFile = staged ? await statStagedUpload(uploadId) : null;
+  
+  if (!staged || !stagedFile) {
+    throw createError('UPLOAD_FAILED', {
+      uploadId,
+      reason: 'File data not found in session'
+    }, 'Upload failed - file data not received');
+  }
+
+  // Archives marked for extraction are expanded into files rather than stored whole
+  if (session.metadata_json?.extract) {
+    const { startArchiveExtraction } = require('./archiveExtraction');
+    return { file: null, hashVerification: null, extraction: await startArchiveExtraction(session) };
+  }
+  
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const actualFileSize = staged.size;
+    
+    if (actualSize && actualSize !== actualFileSize) {
+      throw createError('UPLOAD_FAILED', {
+        expectedSize: actualSize,
+        actualSize: actualFileSize,
+        uploadId
+      }, 'File size mismatch');
+    }
+
+    // Sessions without a declared size (S3 multipart) are only size-checked here
+    const sizeValidation = validateFileSize(session.mime_type, actualFileSize);
+    if (!sizeValidation.isValid) {
+      throw createError('FILE_TOO_LARGE', {
+        maxSize: sizeValidation.limit,
+        receivedSize: actualFileSize,
+        mimeType: session.mime_type
+      });
+    }
+
+    // File hash was computed incrementally while the body streamed in
+    const fileHash = staged.sha256;
+      
+    // Move staged data into storage (compressed and encrypted per type and bucket settings)
+    await storeFileStream(client, openStagedUpload(uploadId), fileHash, actualFileSize, {
+      mimeType: session.mime_type,
+      bucketId: session.bucket_id,
+      md5: staged.etag
+    });
+      
+    // Verify client hash if provided
+    let hashVerification = null;
+    if (clientHash) {
+      hashVerification = {
+        clientHash: clientHash.toLowerCase(),
+        serverHash: fileHash,
+        matches: clientHash.toLowerCase() === fileHash
+      };
+      
+      if (!hashVerification.matches) {
+        console.warn(`Hash mismatch for upload ${uploadId}: client=${clientHash}, server=${fileHash}`);
+      }
+    }
+
+    const file = await recordUploadedFile(client, {
+      bucket: {
+        id: session.bucket_id,
+        versioning_enabled: session.versioning_enabled,
+        is_public_by_default: session.is_public_by_default,
+        object_lock_enabled: session.object_lock_enabled,
+        object_lock_mode: session.object_lock_mode,
+        object_lock_days: session.object_lock_days,
+        max_noncurrent_versions: session.max_noncurrent_versions
+      },
+      userId: session.user_id,
+      uploadId,
+      name: session.original_name,
+      mimeType: session.mime_type,
+      size: actualFileSize,
+      objectKey: session.object_key,
+      fileHash,
+      metadata: session.metadata_json?.fileMetadata,
+      tags: session.metadata_json?.fileTags,
+      versionLabel: session.metadata_json?.version?.label,
+      versionNote: session.metadata_json?.version?.note,
+      replaceExisting,
+      multipartETag
+    });
+
+    // Mark upload session as completed
+    await client.query(`
+      UPDATE upload_sessions 
+      SET completed_at = CURRENT_TIMESTAMP 
+      WHERE id = $1
+    `, [uploadId]);
+
+    await client.query('COMMIT');
+
+    await removeStagedUpload(uploadId);
+    contentIndexer.enqueue(file);
+
+    return { file, hashVerification };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record the digest of a fully staged body so the session can be completed
+const recordStagedUpload = async (uploadId, digest) => {
+  await pool.query(`
+    UPDATE upload_sessions 
+    SET metadata_json = jsonb_set(COALESCE(metadata_json, '{}'), '{staged}', $1::jsonb),
+        upload_offset = $3
+    WHERE id = $2
+  `, [JSON.stringify({ size: digest.size, sha256: digest.sha256, etag: digest.md5 }), uploadId, digest.size]);
+};
+
+
+// Drop an unfinished session along with anything staged for it
+const discardUploadSession = async (uploadId) => {
+  await pool.query(
+    'DELETE FROM upload_sessions WHERE id = $1 AND completed_at IS NULL',
+    [uploadId]
+  );
+  await removeStagedUpload(uploadId);
+  await removeStagedParts(uploadId);
+};
+
+module.exports = {
+  SESSION_TTL,
+  RESUMABLE_SESSION_TTL,
+  getResumableUrl,
+  validateFileMetadata,
+  buildObjectKey,
+  createUploadSession,
+  recordUploadedFile,
+  completeUploadSession,
+  recordStagedUpload,
+  discardUploadSession
+};
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Upload bodies are streamed to a staging file keyed by upload session ID,
+// then moved into the storage driver once the session completes.
+const STAGING_DIR = process.env.STORAGE_STAGING_PATH || path.join(os.tmpdir(), 'remocloud-staging');
+
+class UploadTooLargeError extends Error {
+  constructor(limit, received) {
+    super(`Upload exceeds maximum size of ${limit} bytes`);
+    this.name = 'UploadTooLargeError';
+    this.code = 'LIMIT_FILE_SIZE';
+    this.limit = limit;
+    this.received = received;
+  }
+}
+
+// Get staging file path for an upload session
+const getStagingPath = (uploadId) => {
+  if (!/^[a-f0-9-]{36}$/i.test(uploadId)) {
+    throw new Error(`Invalid upload ID: ${uploadId}`);
+  }
+  return path.join(STAGING_DIR, uploadId);
+};
+
+// Get staging file path for one part of a multipart upload
+const getPartStagingPath = (uploadId, partNumber) => {
+  if (!Number.isInteger(partNumber) || partNumber < 1) {
+    throw new Error(`Invalid part number: ${partNumber}`);
+  }
+  return `${getStagingPath(uploadId)}.part${partNumber}`;
+};
+
+// Pass-through that hashes and counts bytes, failing once maxSize is exceeded
+const createDigestStream = (maxSize) => {
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxSize && size > maxSize) {
+        return callback(new UploadTooLargeError(maxSize, size));
+      }
+      sha256.update(chunk);
+      md5.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  stream.digest = () => ({
+    size,
+    sha256: sha256.digest('hex'),
+    md5: md5.digest('hex')
+  });
+
+  return stream;
+};
+
+// Stream a request body into the staging file, hashing as it goes
+const stageUpload = async (readable, uploadId, options = {}) => {
+  const { maxSize } = options;
+  const stagingPath = getStagingPath(uploadId);
+
+  await fsp.mkdir(STAGING_DIR, { recursive: true });
+
+  const digestStream = createDigestStream(maxSize);
+
+  try {
+    await pipeline(readable, digestStream, fs.createWriteStream(stagingPath));
+  } catch (error) {
+    await removeStagedUpload(uploadId);
+    throw error;
+  }
+
+  return digestStream.digest();
+};
+
+// Stream one multipart part to its own staging file, replacing any earlier attempt
+const stagePart = async (readable, uploadId, partNumber, options = {}) => {
+  const { maxSize } = options;
+  const partPath = getPartStagingPath(uploadId, partNumber);
+
+  await fsp.mkdir(STAGING_DIR, { recursive: true });
+
+  const digestStream = createDigestStream(maxSize);
+
+  try {
+    await pipeline(readable, digestStream, fs.createWriteStream(partPath));
+  } catch (error) {
+    await fsp.unlink(partPath).catch(() => {});
+    throw error;
+  }
+
+  return digestStream.digest();
+};
+
+// Concatenate staged parts, in the given order, into the upload's staging file
+const assembleStagedParts = async (uploadId, partNumbers, options = {}) => {
+  const partPaths = partNumbers.map(partNumber => getPartStagingPath(uploadId, partNumber));
+
+  async function* readParts() {
+    for (const partPath of partPaths) {
+      yield* fs.createReadStream(partPath);
+    }
+  }
+
+  return stageUpload(Readable.from(readParts()), uploadId, options);
+};
+
+// Remove every staged part of a multipart upload
+const removeStagedParts = async (uploadId) => {
+  const prefix = `${path.basename(getStagingPath(uploadId))}.part`;
+
+  let entries;
+  try {
+    entries = await fsp.readdir(STAGING_DIR);
+  } catch (error) {
+    return;
+  }
+
+  await Promise.all(entries
+    .filter(entry => entry.startsWith(prefix))
+    .map(entry => fsp.unlink(path.join(STAGING_DIR, entry)).catch(() => {})));
+};
+
+// Append a chunk to a staged upload and return the new offset. Bytes that arrive
+// before a dropped connection stay on disk so the client can resume after them.
+const appendToStagedUpload = async (readable, uploadId, options = {}) => {
+  const { maxLength } = options;
+  const stagingPath = getStagingPath(uploadId);
+
+  await fsp.mkdir(STAGING_DIR, { recursive: true });
+
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (maxLength !== undefined && received > maxLength) {
+        return callback(new UploadTooLargeError(maxLength, received));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(readable, limiter, fs.createWriteStream(stagingPath, { flags: 'a' }));
+
+  const stat = await statStagedUpload(uploadId);
+  return stat ? stat.size : 0;
+};
+
+// Hash a fully staged upload by streaming it back from disk
+const digestStagedUpload = async (uploadId) => {
+  const digestStream = createDigestStream();
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      callback();
+    }
+  });
+
+  await pipeline(openStagedUpload(uploadId), digestStream, sink);
+  return digestStream.digest();
+};
+
+// Open a staged upload for reading
+const openStagedUpload = (uploadId) => {
+  return fs.createReadStream(getStagingPath(uploadId));
+};
+
+// Get staged upload size, or null when nothing is staged
+const statStagedUpload = async (uploadId) => {
+  try {
+    const stats = await fsp.stat(getStagingPath(uploadId));
+    return { size: stats.size, modifiedAt: stats.mtime };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Remove a staged upload (ignores missing files)
+const removeStagedUpload = async (uploadId) => {
+  try {
+    await fsp.unlink(getStagingPath(uploadId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to remove staged upload ${uploadId}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  STAGING_DIR,
+  UploadTooLargeError,
+  getStagingPath,
+  getPartStagingPath,
+  createDigestStream,
+  stageUpload,
+  stagePart,
+  assembleStagedParts,
+  removeStagedParts,
+  appendToStagedUpload,
+  digestStagedUpload,
+  openStagedUpload,
+  statStagedUpload,
+  removeStagedUpload
+};
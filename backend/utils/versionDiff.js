@@ -0,0 +1,523 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { pool } = require('../models/database');
+const { RemoCloudError, createError } = require('./errors');
+const { getFileData, storeFileData } = require('./fileStorage');
+const { getTextFormat, decodeText } = require('./textExtraction');
+const { signCdnPath } = require('../middleware/cdn');
+
+// Comparison of two versions of a file. Text formats (plain text, CSV, JSON, HTML/XML,
+// Markdown) get a line diff: a Myers diff of the two versions' lines, grouped into
+// hunks with `context` unchanged lines around each change, and the same hunks as a
+// unified diff. JSON is pretty-printed first, so only changes to the data show up.
+// Images are scaled to a common size (the older version's, at most MAX_IMAGE_DIMENSION
+// on a side) and compared pixel by pixel; a pixel counts as changed when a channel
+// differs by more than `threshold`. The visual diff is a PNG with the two versions and
+// a highlight of the changed pixels side by side, stored as an image derivative of the
+// newer version and served through a signed CDN URL like transforms. Anything else is
+// compared by size and hash only.
+const DEFAULT_CONTEXT = 3;
+const MAX_CONTEXT = 20;
+const DEFAULT_THRESHOLD = 10;
+const MAX_TEXT_DIFF_SIZE = 2 * 1024 * 1024;
+const MAX_DIFF_LINES = 50000;
+const MAX_EDIT_DISTANCE = 2000;
+const MAX_OUTPUT_LINES = 5000;
+const MAX_IMAGE_DIFF_SIZE = 25 * 1024 * 1024;
+const MAX_IMAGE_DIMENSION = 1024;
+const PANEL_GAP = 8;
+const URL_EXPIRY = 900; // 15 minutes, like transform URLs
+
+// Parse a whole-number query option within [min, max], or use the default
+const parseOption = (value, field, { min, max, fallback }) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw createError('INVALID_REQUEST', { field }, `${field} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+// Split text into lines, without a phantom empty line after a trailing newline
+const splitLines = (text) => {
+  const lines = text.split(/\r?\n/);
+  if (lines.length > 0 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+};
+
+// Shortest edit script between two arrays of lines, as { type, text } operations
+// (' ' kept, '-' removed, '+' added). Returns null when more than maxEdits lines changed.
+const diffLines = (a, b, maxEdits = MAX_EDIT_DISTANCE) => {
+  // Common ends are matched up front; Myers only has to walk the changed middle
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const oldLines = a.slice(prefix, a.length - suffix);
+  const newLines = b.slice(prefix, b.length - suffix);
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds the furthest x on diagonals -d..d before step d
+  const trace = [];
+  let found = n + m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  const middle = [];
+  let x = n;
+  let y = m;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const previousX = at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      middle.push({ type: ' ', text: oldLines[--x] });
+      y--;
+    }
+    if (x === previousX) {
+      middle.push({ type: '+', text: newLines[--y] });
+    } else {
+      middle.push({ type: '-', text: oldLines[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    middle.push({ type: ' ', text: oldLines[--x] });
+    y--;
+  }
+
+  return [
+    ...a.slice(0, prefix).map(text => ({ type: ' ', text })),
+    ...middle.reverse(),
+    ...a.slice(a.length - suffix).map(text => ({ type: ' ', text }))
+  ];
+};
+
+// Group operations into hunks of changes with `context` unchanged lines around them.
+// Lines carry their numbers in the old (oldLine) and new (newLine) version.
+const buildHunks = (ops, context = DEFAULT_CONTEXT) => {
+  const numbered = [];
+  const before = [];
+  let oldLine = 1;
+  let newLine = 1;
+
+  ops.forEach(op => {
+    before.push({ old: oldLine - 1, new: newLine - 1 });
+    numbered.push({
+      type: op.type,
+      text: op.text,
+      oldLine: op.type === '+' ? null : oldLine,
+      newLine: op.type === '-' ? null : newLine
+    });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  // Ranges of lines to show; changes closer than 2 * context share a hunk
+  const ranges = [];
+  numbered.forEach((line, index) => {
+    if (line.type === ' ') {
+      return;
+    }
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(numbered.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  // As in unified diffs, an empty side starts at the line before the change
+  return ranges.map(({ start, end }) => {
+    const lines = numbered.slice(start, end);
+    const oldLines = lines.filter(line => line.type !== '+').length;
+    const newLines = lines.filter(line => line.type !== '-').length;
+
+    return {
+      oldStart: before[start].old + (oldLines > 0 ? 1 : 0),
+      oldLines,
+      newStart: before[start].new + (newLines > 0 ? 1 : 0),
+      newLines,
+      lines
+    };
+  });
+};
+
+// Render hunks as a unified diff
+const formatUnifiedDiff = (hunks, fromLabel, toLabel) => {
+  const output = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+  hunks.forEach(hunk => {
+    output.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    hunk.lines.forEach(line => output.push(`${line.type}${line.text}`));
+  });
+
+  return `${output.join('\n')}\n`;
+};
+
+// Text of a version for diffing; JSON is pretty-printed when it parses
+const readDiffText = (buffer, format) => {
+  const text = decodeText(buffer);
+  if (format !== 'json') {
+    return text;
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Line diff of two versions' content
+const diffText = (fromBuffer, toBuffer, { format, context, fromLabel, toLabel }) => {
+  const fromLines = splitLines(readDiffText(fromBuffer, format));
+  const toLines = splitLines(readDiffText(toBuffer, format));
+
+  if (fromLines.length > MAX_DIFF_LINES || toLines.length > MAX_DIFF_LINES) {
+    return { format, reason: `Versions over ${MAX_DIFF_LINES} lines are compared by size and hash only` };
+  }
+
+  const ops = diffLines(fromLines, toLines);
+  if (!ops) {
+    return { format, reason: `More than ${MAX_EDIT_DISTANCE} lines changed; the versions are too different to diff` };
+  }
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  ops.forEach(op => {
+    if (op.type === '+') stats.added++;
+    else if (op.type === '-') stats.removed++;
+    else stats.unchanged++;
+  });
+
+  let hunks = buildHunks(ops, context);
+  let truncated = false;
+  let outputLines = 0;
+
+  hunks = hunks.filter(hunk => {
+    outputLines += hunk.lines.length;
+    truncated = truncated || outputLines > MAX_OUTPUT_LINES;
+    return !truncated;
+  });
+
+  return {
+    format,
+    stats,
+    hunks,
+    unified: formatUnifiedDiff(hunks, fromLabel, toLabel),
+    truncated
+  };
+};
+
+// Decode an image to RGBA pixels at the given size
+const readPixels = async (buffer, width, height) => {
+  return sharp(buffer)
+    .resize(width, height, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer();
+};
+
+// Pixel comparison of two versions' images, with the side-by-side visual diff as PNG
+const diffImages = async (fromBuffer, toBuffer, { threshold }) => {
+  const [fromMeta, toMeta] = await Promise.all([sharp(fromBuffer).metadata(), sharp(toBuffer).metadata()]);
+
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(fromMeta.width, fromMeta.height));
+  const width = Math.max(1, Math.round(fromMeta.width * scale));
+  const height = Math.max(1, Math.round(fromMeta.height * scale));
+
+  const [fromPixels, toPixels] = await Promise.all([
+    readPixels(fromBuffer, width, height),
+    readPixels(toBuffer, width, height)
+  ]);
+
+  // Panels: old version, new version, and the new version faded to grey with changed
+  // pixels in red (brighter for bigger changes)
+  const rowBytes = width * 4;
+  const canvasWidth = width * 3 + PANEL_GAP * 2;
+  const canvas = Buffer.alloc(canvasWidth * height * 4, 255);
+  let changedPixels = 0;
+  let totalDifference = 0;
+
+  for (let row = 0; row < height; row++) {
+    const rowStart = row * rowBytes;
+    const canvasRow = row * canvasWidth * 4;
+
+    fromPixels.copy(canvas, canvasRow, rowStart, rowStart + rowBytes);
+    toPixels.copy(canvas, canvasRow + (width + PANEL_GAP) * 4, rowStart, rowStart + rowBytes);
+
+    for (let column = 0; column < width; column++) {
+      const i = rowStart + column * 4;
+      const difference = Math.max(
+        Math.abs(fromPixels[i] - toPixels[i]),
+        Math.abs(fromPixels[i + 1] - toPixels[i + 1]),
+        Math.abs(fromPixels[i + 2] - toPixels[i + 2]),
+        Math.abs(fromPixels[i + 3] - toPixels[i + 3])
+      );
+      const target = canvasRow + ((width + PANEL_GAP) * 2 + column) * 4;
+
+      totalDifference += difference;
+      if (difference > threshold) {
+        changedPixels++;
+        canvas[target] = 255;
+        canvas[target + 1] = 255 - difference;
+        canvas[target + 2] = 255 - difference;
+      } else {
+        const grey = Math.round((toPixels[i] * 0.299 + toPixels[i + 1] * 0.587 + toPixels[i + 2] * 0.114) * 0.3 + 178);
+        canvas[target] = grey;
+        canvas[target + 1] = grey;
+        canvas[target + 2] = grey;
+      }
+      canvas[target + 3] = 255;
+    }
+  }
+
+  const totalPixels = width * height;
+  const image = await sharp(canvas, { raw: { width: canvasWidth, height, channels: 4 } }).png().toBuffer();
+
+  return {
+    summary: {
+      from: { width: fromMeta.width, height: fromMeta.height, format: fromMeta.format },
+      to: { width: toMeta.width, height: toMeta.height, format: toMeta.format },
+      sameDimensions: fromMeta.width === toMeta.width && fromMeta.height === toMeta.height,
+      compared: { width, height },
+      threshold,
+      changedPixels,
+      totalPixels,
+      changedPercent: Math.round((changedPixels / totalPixels) * 10000) / 100,
+      meanDifference: Math.round((totalDifference / totalPixels / 255) * 10000) / 100
+    },
+    image: { buffer: image, width: canvasWidth, height }
+  };
+};
+
+// Signed URL of a diff derivative
+const signDiffUrl = (derivative) => {
+  const expiresAt = new Date(Date.now() + URL_EXPIRY * 1000);
+  const signature = signCdnPath(derivative.object_key, expiresAt.getTime(), 'transform');
+
+  return {
+    url: `${process.env.API_BASE_URL || 'http://localhost:5000'}/cdn/${derivative.object_key}?expires=${expiresAt.getTime()}&signature=${signature}&purpose=transform`,
+    expiresAt: expiresAt.toISOString(),
+    width: derivative.width,
+    height: derivative.height,
+    mimeType: derivative.mime_type,
+    size: parseInt(derivative.size),
+    panels: ['from', 'to', 'changes'],
+    panelWidth: (derivative.width - PANEL_GAP * 2) / 3
+  };
+};
+
+// Image comparison, reusing the stored visual diff when this pair was compared before
+const compareImages = async (file, from, to, { threshold }) => {
+  const transformKey = crypto.createHash('md5')
+    .update(JSON.stringify({ diff: [from.id, to.id], threshold }))
+    .digest('hex');
+
+  const cached = await pool.query(
+    'SELECT * FROM image_derivatives WHERE file_id = $1 AND transform_key = $2',
+    [file.id, transformKey]
+  );
+  if (cached.rows[0]) {
+    await pool.query('UPDATE image_derivatives SET accessed_at = CURRENT_TIMESTAMP WHERE id = $1', [cached.rows[0].id]);
+    return { ...cached.rows[0].transform_spec.summary, diffImage: signDiffUrl(cached.rows[0]) };
+  }
+
+  const [fromBuffer, toBuffer] = await Promise.all([getFileData(pool, from.file_hash), getFileData(pool, to.file_hash)]);
+  const { summary, image } = await diffImages(fromBuffer, toBuffer, { threshold });
+  const imageHash = crypto.createHash('sha256').update(image.buffer).digest('hex');
+  const client = await pool.connect();
+  let derivative;
+
+  try {
+    await client.query('BEGIN');
+
+    await storeFileData(client, image.buffer, imageHash, { mimeType: 'image/png', bucketId: file.bucket_id });
+
+    const result = await client.query(`
+      INSERT INTO image_derivatives (
+        file_id, file_version_id, transform_spec, transform_key,
+        object_key, file_hash, mime_type, size, width, height, format
+      ) VALUES ($1, $2, $3, $4, $5, $6, 'image/png', $7, $8, $9, 'png')
+      RETURNING *
+    `, [
+      file.id,
+      to.id,
+      JSON.stringify({ diff: { from: from.id, to: to.id, threshold }, summary }),
+      transformKey,
+      `version-diff-${transformKey}.png`,
+      imageHash,
+      image.buffer.length,
+      image.width,
+      image.height
+    ]);
+    derivative = result.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { ...summary, diffImage: signDiffUrl(derivative) };
+};
+
+// The API's view of a version row
+const describeVersion = (version) => ({
+  id: version.id,
+  versionNumber: version.version_number,
+  isCurrent: version.is_current,
+  label: version.label,
+  name: version.original_name,
+  mimeType: version.mime_type,
+  size: parseInt(version.size),
+  hash: version.file_hash,
+  createdAt: version.created_at
+});
+
+// Compare two versions of one of the user's files. `to` defaults to the current version.
+const compareVersions = async ({ userId, fileId, from, to, context, threshold }) => {
+  if (!from) {
+    throw createError('INVALID_REQUEST', { field: 'from' }, 'from (a version ID) is required');
+  }
+
+  const options = {
+    context: parseOption(context, 'context', { min: 0, max: MAX_CONTEXT, fallback: DEFAULT_CONTEXT }),
+    threshold: parseOption(threshold, 'threshold', { min: 0, max: 254, fallback: DEFAULT_THRESHOLD })
+  };
+
+  const fileResult = await pool.query(
+    'SELECT id, bucket_id, original_name FROM files WHERE id = $1 AND user_id = $2',
+    [fileId, userId]
+  );
+  const file = fileResult.rows[0];
+  if (!file) {
+    throw createError('FILE_NOT_FOUND', { fileId });
+  }
+
+  const versionResult = await pool.query(`
+    SELECT * FROM file_versions
+    WHERE file_id = $1 AND (id::text = $2 OR id::text = $3 OR ($3 IS NULL AND is_current))
+  `, [fileId, from, to || null]);
+
+  const fromVersion = versionResult.rows.find(version => version.id === from);
+  const toVersion = versionResult.rows.find(version => (to ? version.id === to : version.is_current));
+  if (!fromVersion || !toVersion) {
+    throw createError('FILE_NOT_FOUND', { fileId, from, to: to || null }, 'Version not found');
+  }
+  if (fromVersion.id === toVersion.id) {
+    throw createError('INVALID_REQUEST', { from, to: toVersion.id }, 'Pick two different versions to compare');
+  }
+
+  const result = {
+    fileId,
+    from: describeVersion(fromVersion),
+    to: describeVersion(toVersion),
+    identical: fromVersion.file_hash === toVersion.file_hash,
+    sizeDifference: parseInt(toVersion.size) - parseInt(fromVersion.size)
+  };
+
+  const textFormat = [fromVersion, toVersion]
+    .map(version => getTextFormat(version.mime_type, version.original_name))
+    .reduce((a, b) => (a === b ? a : null));
+  const isImage = [fromVersion, toVersion].every(version => (version.mime_type || '').startsWith('image/'));
+
+  if (textFormat && textFormat !== 'pdf') {
+    if (result.identical) {
+      return { ...result, kind: 'text', text: { format: textFormat, stats: null, hunks: [], unified: '', truncated: false } };
+    }
+    if (parseInt(fromVersion.size) > MAX_TEXT_DIFF_SIZE || parseInt(toVersion.size) > MAX_TEXT_DIFF_SIZE) {
+      return { ...result, kind: 'binary', reason: `Text versions over ${MAX_TEXT_DIFF_SIZE / 1024 / 1024}MB are compared by size and hash only` };
+    }
+
+    const [fromBuffer, toBuffer] = await Promise.all([getFileData(pool, fromVersion.file_hash), getFileData(pool, toVersion.file_hash)]);
+    try {
+      const text = diffText(fromBuffer, toBuffer, {
+        format: textFormat,
+        context: options.context,
+        fromLabel: `${fromVersion.original_name} (v${fromVersion.version_number})`,
+        toLabel: `${toVersion.original_name} (v${toVersion.version_number})`
+      });
+      return text.reason
+        ? { ...result, kind: 'binary', reason: text.reason }
+        : { ...result, kind: 'text', text };
+    } catch (error) {
+      return { ...result, kind: 'binary', reason: 'A version is not valid text' };
+    }
+  }
+
+  if (isImage) {
+    if (parseInt(fromVersion.size) > MAX_IMAGE_DIFF_SIZE || parseInt(toVersion.size) > MAX_IMAGE_DIFF_SIZE) {
+      return { ...result, kind: 'binary', reason: `Images over ${MAX_IMAGE_DIFF_SIZE / 1024 / 1024}MB are compared by size and hash only` };
+    }
+
+    try {
+      return { ...result, kind: 'image', image: await compareImages(file, fromVersion, toVersion, options) };
+    } catch (error) {
+      if (error instanceof RemoCloudError) {
+        throw error;
+      }
+      console.error('Image diff error:', error);
+      return { ...result, kind: 'binary', reason: 'The images could not be decoded for comparison' };
+    }
+  }
+
+  return { ...result, kind: 'binary', reason: 'This file type is compared by size and hash only' };
+};
+
+module.exports = {
+  diffLines,
+  buildHunks,
+  formatUnifiedDiff,
+  diffText,
+  diffImages,
+  compareVersions
+};
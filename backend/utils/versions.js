@@ -0,0 +1,120 @@
+const { createError } = require('./errors');
+const { releaseFileData } = require('./fileStorage');
+const { lockedCondition } = require('./objectLock');
+
+// Version history. Each write to a file in a versioned bucket adds a file_versions row,
+// and exactly one row per file is current (is_current). Buckets can limit the
+// noncurrent versions kept per file: max_noncurrent_versions is enforced as new
+// versions are written, and noncurrent_version_days by the daily lifecycle run; NULL
+// keeps them all. A version can carry a short label and a note, set at upload or later.
+// Deleting a version is permanent and takes its bytes out of the bucket's storage_used.
+// Versions of locked files (see utils/objectLock.js) are never deleted.
+const MAX_VERSION_LABEL_LENGTH = 100;
+const MAX_VERSION_NOTE_LENGTH = 2000;
+const MAX_VERSION_RETENTION = 36500;
+const VERSION_RETENTION_MESSAGE = `max_noncurrent_versions and noncurrent_version_days must be null (no limit) or a whole number from 0 to ${MAX_VERSION_RETENTION}`;
+
+// Check one annotation field; undefined leaves it unchanged and null or '' clears it
+const validateAnnotation = (value, field, maxLength) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    throw createError('INVALID_REQUEST', { field }, `${field} must be a string`);
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    throw createError('INVALID_REQUEST', { field, maxLength }, `${field} is limited to ${maxLength} characters`);
+  }
+  return trimmed || null;
+};
+
+// Check a version's { label, note }; fields names them in error messages
+const validateVersionAnnotations = ({ label, note } = {}, fields = { label: 'label', note: 'note' }) => ({
+  label: validateAnnotation(label, fields.label, MAX_VERSION_LABEL_LENGTH),
+  note: validateAnnotation(note, fields.note, MAX_VERSION_NOTE_LENGTH)
+});
+
+// Whether a value can be stored as a bucket's version retention setting
+const isValidVersionRetention = (value) => {
+  return value === null || (Number.isInteger(value) && value >= 0 && value <= MAX_VERSION_RETENTION);
+};
+
+// Total size of a file's noncurrent versions
+const noncurrentVersionBytes = async (client, fileId) => {
+  const result = await client.query(
+    'SELECT COALESCE(SUM(size), 0) AS bytes FROM file_versions WHERE file_id = $1 AND NOT is_current',
+    [fileId]
+  );
+  return parseInt(result.rows[0].bytes) || 0;
+};
+
+// Permanently delete noncurrent versions and release blobs nothing else uses. Current
+// versions and versions of locked files are skipped. Returns the deleted rows.
+const deleteVersions = async (client, versionIds) => {
+  if (versionIds.length === 0) {
+    return [];
+  }
+
+  // Derivatives of a version cascade with it; their blobs are released as well
+  const derivativeResult = await client.query(
+    'SELECT DISTINCT file_hash FROM image_derivatives WHERE file_version_id = ANY($1::uuid[])',
+    [versionIds]
+  );
+
+  const deleted = await client.query(`
+    DELETE FROM file_versions fv
+    USING files f
+    WHERE fv.id = ANY($1::uuid[]) AND f.id = fv.file_id
+      AND NOT fv.is_current AND NOT ${lockedCondition('f')}
+    RETURNING fv.id, fv.file_id, fv.version_number, fv.file_hash, fv.size, f.bucket_id
+  `, [versionIds]);
+
+  const hashes = new Set([
+    ...deleted.rows.map(row => row.file_hash),
+    ...derivativeResult.rows.map(row => row.file_hash)
+  ].filter(Boolean));
+  for (const hash of hashes) {
+    await releaseFileData(client, hash);
+  }
+
+  const bytesByBucket = new Map();
+  deleted.rows.forEach(row => {
+    bytesByBucket.set(row.bucket_id, (bytesByBucket.get(row.bucket_id) || 0) + (parseInt(row.size) || 0));
+  });
+  for (const [bucketId, bytes] of bytesByBucket) {
+    await client.query(
+      'UPDATE buckets SET storage_used = GREATEST(COALESCE(storage_used, 0) - $1, 0) WHERE id = $2',
+      [bytes, bucketId]
+    );
+  }
+
+  return deleted.rows;
+};
+
+// Delete a file's noncurrent versions beyond the newest keepNewest (null keeps all)
+const pruneNoncurrentVersions = async (client, fileId, keepNewest) => {
+  if (keepNewest === null || keepNewest === undefined) {
+    return [];
+  }
+
+  const result = await client.query(`
+    SELECT id FROM file_versions
+    WHERE file_id = $1 AND NOT is_current
+    ORDER BY version_number DESC
+    OFFSET $2
+  `, [fileId, keepNewest]);
+
+  return deleteVersions(client, result.rows.map(row => row.id));
+};
+
+module.exports = {
+  MAX_VERSION_LABEL_LENGTH,
+  MAX_VERSION_NOTE_LENGTH,
+  VERSION_RETENTION_MESSAGE,
+  validateVersionAnnotations,
+  isValidVersionRetention,
+  noncurrentVersionBytes,
+  deleteVersions,
+  pruneNoncurrentVersions
+};
@@ -0,0 +1,225 @@
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+// Streaming ZIP writer. Entries are written one after another with their sizes and
+// CRC in a trailing data descriptor, so nothing is buffered beyond the chunk in
+// flight. ZIP64 fields are used for any entry, offset or count past the 32-bit
+// limits; archives that fit stay plain ZIP for older unzip tools.
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const ZIP16_LIMIT = 0xFFFF;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+const VERSION_ZIP32 = 20;
+const VERSION_ZIP64 = 45;
+
+// MS-DOS time and date fields (local time, 2-second resolution)
+const toDosDateTime = (value) => {
+  const date = value ? new Date(value) : new Date();
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+// Largest size an entry can take on disk, to decide up front whether it needs ZIP64
+// (deflate adds at most 5 bytes per 16KB block to incompressible input)
+const maxStoredSize = (size, method) => {
+  return method === METHOD_DEFLATE ? size + Math.ceil(size / 16384) * 5 + 64 : size;
+};
+
+// Local file header; sizes and CRC follow in the data descriptor
+const localFileHeader = (entry) => {
+  const extra = entry.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (entry.zip64) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2); // Sizes are zero here and live in the descriptor
+  }
+
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(entry.zip64 ? VERSION_ZIP64 : VERSION_ZIP32, 4);
+  header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+  header.writeUInt16LE(entry.method, 8);
+  header.writeUInt16LE(entry.dos.time, 10);
+  header.writeUInt16LE(entry.dos.date, 12);
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(entry.zip64 ? ZIP32_LIMIT : 0, 18);
+  header.writeUInt32LE(entry.zip64 ? ZIP32_LIMIT : 0, 22);
+  header.writeUInt16LE(entry.nameBuffer.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+
+  return Buffer.concat([header, entry.nameBuffer, extra]);
+};
+
+// Data descriptor with the CRC and sizes known once the entry is written
+const dataDescriptor = (entry) => {
+  if (entry.zip64) {
+    const descriptor = Buffer.alloc(24);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    return descriptor;
+  }
+
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(entry.crc, 4);
+  descriptor.writeUInt32LE(entry.compressedSize, 8);
+  descriptor.writeUInt32LE(entry.size, 12);
+  return descriptor;
+};
+
+// Central directory record, with a ZIP64 extra field holding whichever values overflow
+const centralDirectoryHeader = (entry) => {
+  const sizes64 = entry.zip64 || entry.size >= ZIP32_LIMIT || entry.compressedSize >= ZIP32_LIMIT;
+  const offset64 = entry.offset >= ZIP32_LIMIT;
+
+  const fields = [];
+  if (sizes64) fields.push(entry.size, entry.compressedSize);
+  if (offset64) fields.push(entry.offset);
+
+  const extra = fields.length > 0 ? Buffer.alloc(4 + fields.length * 8) : Buffer.alloc(0);
+  if (fields.length > 0) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(fields.length * 8, 2);
+    fields.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  }
+
+  const version = fields.length > 0 || entry.zip64 ? VERSION_ZIP64 : VERSION_ZIP32;
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(version, 4);
+  header.writeUInt16LE(version, 6);
+  header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+  header.writeUInt16LE(entry.method, 10);
+  header.writeUInt16LE(entry.dos.time, 12);
+  header.writeUInt16LE(entry.dos.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(sizes64 ? ZIP32_LIMIT : entry.compressedSize, 20);
+  header.writeUInt32LE(sizes64 ? ZIP32_LIMIT : entry.size, 24);
+  header.writeUInt16LE(entry.nameBuffer.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt16LE(0, 32); // Comment length
+  header.writeUInt16LE(0, 34); // Disk number
+  header.writeUInt16LE(0, 36); // Internal attributes
+  header.writeUInt32LE(0, 38); // External attributes
+  header.writeUInt32LE(offset64 ? ZIP32_LIMIT : entry.offset, 42);
+
+  return Buffer.concat([header, entry.nameBuffer, extra]);
+};
+
+// End of central directory, preceded by the ZIP64 record and locator when needed
+const endOfCentralDirectory = (count, directoryOffset, directorySize) => {
+  const zip64 = count >= ZIP16_LIMIT || directoryOffset >= ZIP32_LIMIT || directorySize >= ZIP32_LIMIT;
+  const records = [];
+
+  if (zip64) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4); // Size of the rest of the record
+    record.writeUInt16LE(VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeUInt32LE(0, 16);
+    record.writeUInt32LE(0, 20);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(directorySize), 40);
+    record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeUInt32LE(0, 4);
+    locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+    locator.writeUInt32LE(1, 16);
+
+    records.push(record, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(zip64 ? ZIP16_LIMIT : count, 8);
+  end.writeUInt16LE(zip64 ? ZIP16_LIMIT : count, 10);
+  end.writeUInt32LE(zip64 ? ZIP32_LIMIT : directorySize, 12);
+  end.writeUInt32LE(zip64 ? ZIP32_LIMIT : directoryOffset, 16);
+  end.writeUInt16LE(0, 20);
+  records.push(end);
+
+  return Buffer.concat(records);
+};
+
+// Build a ZIP from an (async) iterable of { name, size, modifiedAt, compress, open },
+// where open() resolves to a readable of the entry's content. Returns a Readable that
+// pulls each entry only when the consumer is ready for it.
+const createZipStream = (entries) => {
+  async function* generate() {
+    const written = [];
+    let offset = 0;
+
+    for await (const source of entries) {
+      const method = source.compress ? METHOD_DEFLATE : METHOD_STORE;
+      const entry = {
+        nameBuffer: Buffer.from(source.name, 'utf8'),
+        method,
+        dos: toDosDateTime(source.modifiedAt),
+        zip64: maxStoredSize(source.size, method) >= ZIP32_LIMIT,
+        offset,
+        crc: 0,
+        size: 0,
+        compressedSize: 0
+      };
+
+      const header = localFileHeader(entry);
+      yield header;
+      offset += header.length;
+
+      const content = await source.open();
+      async function* checksummed() {
+        for await (const chunk of content) {
+          entry.crc = zlib.crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          yield chunk;
+        }
+      }
+
+      const body = method === METHOD_DEFLATE
+        ? pipeline(Readable.from(checksummed()), zlib.createDeflateRaw(), () => {})
+        : checksummed();
+
+      for await (const chunk of body) {
+        entry.compressedSize += chunk.length;
+        yield chunk;
+      }
+
+      if (!entry.zip64 && (entry.size >= ZIP32_LIMIT || entry.compressedSize >= ZIP32_LIMIT)) {
+        throw new Error(`ZIP entry ${source.name} grew past its recorded size`);
+      }
+
+      const descriptor = dataDescriptor(entry);
+      yield descriptor;
+      offset += entry.compressedSize + descriptor.length;
+      written.push(entry);
+    }
+
+    const directoryOffset = offset;
+    let directorySize = 0;
+    for (const entry of written) {
+      const header = centralDirectoryHeader(entry);
+      directorySize += header.length;
+      yield header;
+    }
+
+    yield endOfCentralDirectory(written.length, directoryOffset, directorySize);
+  }
+
+  return Readable.from(generate());
+};
+
+module.exports = {
+  createZipStream
+};
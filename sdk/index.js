@@ -7,10 +7,16 @@ const ERROR_CODES = {
   UPLOAD_FAILED: 'UPLOAD_FAILED',
   SIGNED_URL_EXPIRED: 'SIGNED_URL_EXPIRED',
   RATE_LIMITED: 'RATE_LIMITED',
+  RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
   QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
   PERMISSION_DENIED: 'PERMISSION_DENIED',
+  INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
   FILE_NOT_FOUND: 'FILE_NOT_FOUND',
-  TRANSFORM_FAILED: 'TRANSFORM_FAILED'
+  OBJECT_LOCKED: 'OBJECT_LOCKED',
+  TRANSFORM_FAILED: 'TRANSFORM_FAILED',
+  ENCRYPTION_ERROR: 'ENCRYPTION_ERROR',
+  ENCRYPTION_KEY_REQUIRED: 'ENCRYPTION_KEY_REQUIRED',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED'
 };
 
 const RETRY_CONFIG = {
@@ -24,12 +30,395 @@ const RETRY_CONFIG = {
     'UPLOAD_FAILED',
     'SIGNED_URL_EXPIRED',
     'STORAGE_ERROR',
-    'TRANSFORM_FAILED'
+    'TRANSFORM_FAILED',
+    'RATE_LIMIT_EXCEEDED'
   ]
 };
 
-// Calculate retry delay with exponential backoff
-function calculateRetryDelay(attempt, config = RETRY_CONFIG) {
+// Scopes an API key can be given
+const API_KEY_SCOPES = ['read', 'write', 'delete', 'admin', 'analytics', 'keys'];
+
+// Resumable (tus) upload settings
+const TUS_VERSION = '1.0.0';
+const RESUMABLE_CHUNK_SIZE = 5 * 1024 * 1024;
+const EXTRACTION_POLL_INTERVAL = 1000;
+
+// Resumable uploads need random access to the file body (Buffer or Blob/File)
+function canSliceFile(file) {
+  return Boolean(file.buffer) || typeof file.slice === 'function';
+}
+
+function sliceFile(file, start, end) {
+  return file.buffer ? file.buffer.subarray(start, end) : file.slice(start, end);
+}
+
+// Client-side end-to-end encryption. Files are encrypted in fixed-size AES-256-GCM chunks
+// before upload with a random data key, which is wrapped by the caller's key and stored
+// in the file's metadata; the server only ever sees ciphertext. Chunk i uses the file
+// nonce with i XORed into its last four bytes and authenticates its index and whether
+// it is the final chunk, so chunks can't be reordered, dropped or truncated unnoticed.
+const E2E_SCHEME = 'remocloud-e2e-v1';
+const E2E_CHUNK_SIZE = 64 * 1024;
+const E2E_KEY_LENGTH = 32;
+const E2E_IV_LENGTH = 12;
+const E2E_TAG_LENGTH = 16;
+
+// Node's crypto module when running outside the browser
+function getNodeCrypto() {
+  return typeof window === 'undefined' ? require('crypto') : null;
+}
+
+// WebCrypto: the browser's global, or the same API from Node's crypto module
+function getWebCrypto() {
+  return typeof crypto !== 'undefined' ? crypto : require('crypto').webcrypto;
+}
+
+function getRandomBytes(length) {
+  const nodeCrypto = getNodeCrypto();
+  if (nodeCrypto) {
+    return new Uint8Array(nodeCrypto.randomBytes(length));
+  }
+  return getWebCrypto().getRandomValues(new Uint8Array(length));
+}
+
+function encodeBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function decodeBase64(value) {
+  if (typeof Buffer !== 'undefined') {
+    return new Uint8Array(Buffer.from(value, 'base64'));
+  }
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+function concatBytes(a, b) {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+}
+
+// Accept a 32-byte key as bytes, 64 hex characters or base64
+function normalizeEncryptionKey(key) {
+  let bytes = null;
+
+  if (typeof key === 'string') {
+    bytes = /^[a-f0-9]{64}$/i.test(key)
+      ? Uint8Array.from(key.match(/../g), hex => parseInt(hex, 16))
+      : decodeBase64(key);
+  } else if (key instanceof Uint8Array) {
+    bytes = key;
+  } else if (key instanceof ArrayBuffer) {
+    bytes = new Uint8Array(key);
+  }
+
+  if (!bytes || bytes.length !== E2E_KEY_LENGTH) {
+    throw new SDKError(
+      'ENCRYPTION_ERROR',
+      'Encryption key must be 32 bytes (Uint8Array/Buffer, 64 hex characters or base64)'
+    );
+  }
+
+  return bytes;
+}
+
+// AES-256-GCM with Node crypto or WebCrypto. Output is ciphertext followed by the tag.
+async function createGcmKey(rawKey) {
+  const nodeCrypto = getNodeCrypto();
+
+  if (nodeCrypto) {
+    return {
+      async encrypt(iv, data, aad) {
+        const cipher = nodeCrypto.createCipheriv('aes-256-gcm', rawKey, iv);
+        if (aad) cipher.setAAD(aad);
+        return new Uint8Array(Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]));
+      },
+      async decrypt(iv, data, aad) {
+        const decipher = nodeCrypto.createDecipheriv('aes-256-gcm', rawKey, iv);
+        if (aad) decipher.setAAD(aad);
+        decipher.setAuthTag(data.subarray(data.length - E2E_TAG_LENGTH));
+        return new Uint8Array(Buffer.concat([decipher.update(data.subarray(0, data.length - E2E_TAG_LENGTH)), decipher.final()]));
+      }
+    };
+  }
+
+  const webCrypto = getWebCrypto();
+  const subtle = webCrypto && webCrypto.subtle;
+  if (!subtle) {
+    throw new SDKError('ENCRYPTION_ERROR', 'WebCrypto is not available in this environment');
+  }
+
+  const key = await subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  const params = (iv, aad) => (aad ? { name: 'AES-GCM', iv, additionalData: aad } : { name: 'AES-GCM', iv });
+
+  return {
+    async encrypt(iv, data, aad) {
+      return new Uint8Array(await subtle.encrypt(params(iv, aad), key, data));
+    },
+    async decrypt(iv, data, aad) {
+      return new Uint8Array(await subtle.decrypt(params(iv, aad), key, data));
+    }
+  };
+}
+
+function getE2EChunkIv(nonce, index) {
+  const iv = new Uint8Array(nonce);
+  const view = new DataView(iv.buffer);
+  view.setUint32(E2E_IV_LENGTH - 4, (view.getUint32(E2E_IV_LENGTH - 4) ^ index) >>> 0);
+  return iv;
+}
+
+function getE2EChunkAad(index, final) {
+  const aad = new Uint8Array(5);
+  new DataView(aad.buffer).setUint32(0, index);
+  aad[4] = final ? 1 : 0;
+  return aad;
+}
+
+// Empty files still get one (empty) authenticated chunk
+function getE2EChunkCount(plaintextSize) {
+  return Math.max(1, Math.ceil(plaintextSize / E2E_CHUNK_SIZE));
+}
+
+// Iterate a Node stream, async iterable or WHATWG ReadableStream
+async function* iterateBytes(source) {
+  if (source[Symbol.asyncIterator]) {
+    for await (const chunk of source) {
+      yield typeof chunk === 'string' ? new TextEncoder().encode(chunk) : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    }
+    return;
+  }
+
+  const reader = source.getReader();
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Read a file (Buffer, Blob/File or Node stream factory) as plaintext chunks of E2E_CHUNK_SIZE
+async function* readE2EPlaintextChunks(file) {
+  if (file.buffer) {
+    for (let offset = 0; offset < file.buffer.length; offset += E2E_CHUNK_SIZE) {
+      yield new Uint8Array(file.buffer.subarray(offset, offset + E2E_CHUNK_SIZE));
+    }
+    return;
+  }
+
+  if (typeof file.slice === 'function' && typeof file.arrayBuffer === 'function') {
+    for (let offset = 0; offset < file.size; offset += E2E_CHUNK_SIZE) {
+      yield new Uint8Array(await file.slice(offset, offset + E2E_CHUNK_SIZE).arrayBuffer());
+    }
+    return;
+  }
+
+  let pending = new Uint8Array(0);
+  for await (const data of iterateBytes(file.stream())) {
+    pending = concatBytes(pending, data);
+    while (pending.length >= E2E_CHUNK_SIZE) {
+      yield pending.slice(0, E2E_CHUNK_SIZE);
+      pending = pending.subarray(E2E_CHUNK_SIZE);
+    }
+  }
+  if (pending.length > 0) {
+    yield pending;
+  }
+}
+
+// Encrypt a file chunk by chunk. The declared file.size fixes which chunk is final.
+async function* encryptE2EChunks(file, cipherKey, nonce) {
+  const totalChunks = getE2EChunkCount(file.size);
+  let index = 0;
+  let size = 0;
+
+  for await (const plaintext of readE2EPlaintextChunks(file)) {
+    size += plaintext.length;
+    yield await cipherKey.encrypt(getE2EChunkIv(nonce, index), plaintext, getE2EChunkAad(index, index === totalChunks - 1));
+    index++;
+  }
+
+  if (size !== file.size) {
+    throw new SDKError('ENCRYPTION_ERROR', `File is ${size} bytes but its size was given as ${file.size}`);
+  }
+
+  if (index === 0) {
+    yield await cipherKey.encrypt(getE2EChunkIv(nonce, 0), new Uint8Array(0), getE2EChunkAad(0, true));
+  }
+}
+
+// Decrypt ciphertext bytes back into plaintext chunks, rejecting truncated input
+async function* decryptE2EChunks(source, cipherKey, nonce, totalChunks) {
+  const encryptedChunkSize = E2E_CHUNK_SIZE + E2E_TAG_LENGTH;
+  let pending = new Uint8Array(0);
+  let index = 0;
+
+  for await (const data of iterateBytes(source)) {
+    pending = concatBytes(pending, data);
+    while (pending.length >= encryptedChunkSize && index < totalChunks - 1) {
+      yield await cipherKey.decrypt(getE2EChunkIv(nonce, index), pending.subarray(0, encryptedChunkSize), getE2EChunkAad(index, false));
+      pending = pending.subarray(encryptedChunkSize);
+      index++;
+    }
+  }
+
+  if (index !== totalChunks - 1 || pending.length < E2E_TAG_LENGTH) {
+    throw new SDKError('DECRYPTION_FAILED', 'Encrypted file is truncated');
+  }
+
+  yield await cipherKey.decrypt(getE2EChunkIv(nonce, index), pending, getE2EChunkAad(index, true));
+}
+
+// Wrap (or unwrap) a per-file data key with the caller's key-encryption key
+async function wrapDataKey(kek, dataKey) {
+  const iv = getRandomBytes(E2E_IV_LENGTH);
+  const wrapped = await (await createGcmKey(kek)).encrypt(iv, dataKey, new TextEncoder().encode(E2E_SCHEME));
+  return encodeBase64(concatBytes(iv, wrapped));
+}
+
+async function unwrapDataKey(kek, wrappedKey) {
+  const bytes = decodeBase64(wrappedKey);
+  try {
+    return await (await createGcmKey(kek)).decrypt(
+      bytes.subarray(0, E2E_IV_LENGTH),
+      bytes.subarray(E2E_IV_LENGTH),
+      new TextEncoder().encode(E2E_SCHEME)
+    );
+  } catch (error) {
+    throw new SDKError('DECRYPTION_FAILED', 'Could not unwrap the file key - wrong encryption key?', {}, error);
+  }
+}
+
+// Encrypt a file for upload. Returns the ciphertext as a file-like object (same shape as
+// the input), its SHA-256 for hash verification and duplicate checks, and the metadata
+// needed to decrypt it. The ciphertext is fixed once prepared, so a prepared upload can
+// be passed to checkDuplicate and then to upload({ encryption: prepared }).
+async function encryptFile(file, options = {}) {
+  const kek = normalizeEncryptionKey(options.key);
+  const dataKey = getRandomBytes(E2E_KEY_LENGTH);
+  const nonce = getRandomBytes(E2E_IV_LENGTH);
+  const cipherKey = await createGcmKey(dataKey);
+  const encryptedSize = file.size + getE2EChunkCount(file.size) * E2E_TAG_LENGTH;
+
+  const metadata = {
+    scheme: E2E_SCHEME,
+    algorithm: 'AES-256-GCM',
+    chunkSize: E2E_CHUNK_SIZE,
+    nonce: encodeBase64(nonce),
+    wrappedKey: await wrapDataKey(kek, dataKey),
+    keyWrapAlgorithm: 'AES-256-GCM',
+    ...(options.keyId && { keyId: options.keyId }),
+    plaintextSize: file.size,
+    plaintextType: file.type || 'application/octet-stream'
+  };
+
+  const nodeCrypto = getNodeCrypto();
+  let encryptedFile;
+  let hash;
+
+  if (nodeCrypto && !file.buffer && typeof file.stream === 'function') {
+    // Hash in one pass, then re-encrypt on demand - the key and nonce are fixed, so every
+    // pass yields the same ciphertext as long as the stream factory yields the same bytes
+    const { Readable } = require('stream');
+    const digest = nodeCrypto.createHash('sha256');
+    for await (const chunk of encryptE2EChunks(file, cipherKey, nonce)) {
+      digest.update(chunk);
+    }
+    hash = digest.digest('hex');
+    encryptedFile = {
+      name: file.name,
+      type: file.type,
+      size: encryptedSize,
+      stream: () => Readable.from((async function* () {
+        for await (const chunk of encryptE2EChunks(file, cipherKey, nonce)) {
+          yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        }
+      })(), { objectMode: false })
+    };
+  } else {
+    const chunks = [];
+    for await (const chunk of encryptE2EChunks(file, cipherKey, nonce)) {
+      chunks.push(chunk);
+    }
+
+    if (nodeCrypto) {
+      const buffer = Buffer.concat(chunks);
+      hash = nodeCrypto.createHash('sha256').update(buffer).digest('hex');
+      encryptedFile = { name: file.name, type: file.type, size: buffer.length, buffer };
+    } else {
+      const blob = new Blob(chunks, { type: 'application/octet-stream' });
+      const digest = await getWebCrypto().subtle.digest('SHA-256', await blob.arrayBuffer());
+      hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+      encryptedFile = typeof File !== 'undefined'
+        ? new File([blob], file.name, { type: 'application/octet-stream' })
+        : Object.assign(blob, { name: file.name });
+    }
+  }
+
+  return { encrypted: true, file: encryptedFile, hash, metadata };
+}
+
+// Expose decrypted chunks the way the platform streams data
+function toPlatformStream(chunks) {
+  if (typeof window === 'undefined') {
+    const { Readable } = require('stream');
+    return Readable.from((async function* () {
+      for await (const chunk of chunks) {
+        yield Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      }
+    })(), { objectMode: false });
+  }
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel() {
+      return chunks.return();
+    }
+  });
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Calculate retry delay with exponential backoff. A server's Retry-After wins over the
+// backoff; a little jitter is added on top so clients don't all retry at once.
+function calculateRetryDelay(attempt, config = RETRY_CONFIG, retryAfter = null) {
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) {
+    return retryAfterMs + Math.random() * Math.min(retryAfterMs * 0.1, 1000);
+  }
+
   const delay = Math.min(
     config.baseDelay * Math.pow(config.backoffFactor, attempt),
     config.maxDelay
@@ -94,7 +483,7 @@ async function withRetry(operation, config = RETRY_CONFIG, context = {}) {
       }
       
       // Wait before retry
-      const delay = calculateRetryDelay(attempt, config);
+      const delay = calculateRetryDelay(attempt, config, error?.response?.headers?.['retry-after']);
       await new Promise(resolve => setTimeout(resolve, delay));
       
       console.warn(`Retrying operation (${attempt + 1}/${config.maxRetries}) after ${delay}ms:`, {
@@ -118,8 +507,9 @@ class RemoCloudSDK {
         'Content-Type': 'application/json'
       },
       timeout: 30000, // 30 second timeout
+      paramsSerializer: { indexes: null }, // Repeated params (filter) as filter=a&filter=b
       retry: 3,
-      retryDelay: (retryCount) => calculateRetryDelay(retryCount - 1)
+      retryDelay: (retryCount, error) => calculateRetryDelay(retryCount - 1, RETRY_CONFIG, error?.response?.headers?.['retry-after'])
     });
     
     // Add request interceptor for retry logic
@@ -166,54 +556,118 @@ class RemoCloudSDK {
     return new RemoCloudSDK(apiKey, baseUrl);
   }
 
+  // Set the default key for client-side encryption (32 bytes, hex or base64)
+  setEncryptionKey(key, options = {}) {
+    this.encryptionKey = key ? normalizeEncryptionKey(key) : null;
+    this.encryptionKeyId = options.keyId || null;
+  }
+
+  // Encrypt a file with the given or default key before uploading it
+  async encryptFile(file, options = {}) {
+    const key = options.key || this.encryptionKey;
+    if (!key) {
+      throw new SDKError('ENCRYPTION_KEY_REQUIRED', 'No encryption key given - call setEncryptionKey or pass { key }');
+    }
+    return encryptFile(file, {
+      key,
+      keyId: options.key ? options.keyId : (options.keyId || this.encryptionKeyId)
+    });
+  }
+
   // Upload file with progress tracking and retry logic
   async upload(bucketId, file, options = {}) {
-    const { onProgress, onError, onComplete, onRetry } = options;
+    const {
+      onProgress, onError, onComplete, onRetry, onExtractionProgress,
+      resumable = false, chunkSize, encryption, pathPrefix = '', extract, tags, metadata,
+      versionLabel, versionNote
+    } = options;
     const uploadId = `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    // Encrypt once up front; the ciphertext is what gets uploaded, hashed and verified
+    let encrypted = null;
+    if (encryption) {
+      encrypted = encryption.encrypted
+        ? encryption
+        : await this.encryptFile(file, encryption === true ? {} : encryption);
+    }
+    const body = encrypted ? encrypted.file : file;
+
+    const useResumable = resumable && canSliceFile(body);
+    let session = null; // Reused across retries so resumable uploads keep their progress
     
     return withRetry(async () => {
       try {
         // Step 1: Initiate upload and get signed URL
-        const fileMetadata = {
-          filename: file.name,
-          size: file.size,
-          contentType: file.type
-        };
-
-        const initiateResponse = await this.client.post(
-          `/buckets/${bucketId}/uploads`, 
-          fileMetadata
-        );
+        if (!session || !useResumable) {
+          const fileMetadata = {
+            filename: `${pathPrefix}${file.name}`,
+            size: body.size,
+            contentType: file.type,
+            resumable: useResumable,
+            ...(extract !== undefined && { extract }),
+            ...(tags && { tags }),
+            ...(versionLabel && { versionLabel }),
+            ...(versionNote && { versionNote }),
+            ...((metadata || encrypted) && {
+              metadata: { ...metadata, ...(encrypted && { encryption: encrypted.metadata }) }
+            })
+          };
+
+          const initiateResponse = await this.client.post(
+            `/buckets/${bucketId}/uploads`, 
+            fileMetadata
+          );
 
-        const { uploadId: serverUploadId, signedUrl, headersToInclude } = initiateResponse.data;
+          session = initiateResponse.data;
+        }
 
-        // Step 2: Upload directly to signed URL with retry
-        const uploadResponse = await this.uploadDirectWithRetry(
-          signedUrl, 
-          file, 
-          headersToInclude,
-          onProgress,
-          { uploadId, bucketId }
-        );
+        const { uploadId: serverUploadId, signedUrl, resumableUrl, headersToInclude } = session;
+        let etag = null;
 
-        if (!uploadResponse.ok) {
-          throw new SDKError(
-            'UPLOAD_FAILED',
-            `Upload failed: ${uploadResponse.statusText}`,
-            { uploadId, bucketId, status: uploadResponse.status }
+        if (useResumable) {
+          // Step 2: Upload in chunks, continuing from the server's offset
+          await this.uploadResumable(resumableUrl, body, {
+            onProgress,
+            chunkSize,
+            context: { uploadId, bucketId, serverUploadId }
+          });
+        } else {
+          // Step 2: Upload directly to signed URL with retry
+          const uploadResponse = await this.uploadDirectWithRetry(
+            signedUrl, 
+            body, 
+            headersToInclude,
+            onProgress,
+            { uploadId, bucketId }
           );
+
+          if (!uploadResponse.ok) {
+            throw new SDKError(
+              'UPLOAD_FAILED',
+              `Upload failed: ${uploadResponse.statusText}`,
+              { uploadId, bucketId, status: uploadResponse.status }
+            );
+          }
+          etag = uploadResponse.headers.get('etag');
         }
 
         // Step 3: Complete upload
         const completeResponse = await this.client.post(
           `/uploads/${serverUploadId}/complete`,
           {
-            etag: uploadResponse.headers.get('etag'),
-            actualSize: file.size
+            etag,
+            actualSize: body.size,
+            ...(encrypted && { clientHash: encrypted.hash })
           }
         );
 
-        const result = completeResponse.data;
+        let result = completeResponse.data;
+
+        // Archives are extracted after the upload completes; wait for the report
+        if (completeResponse.status === 202 && result.extraction) {
+          const extraction = await this.waitForExtraction(serverUploadId, { onProgress: onExtractionProgress });
+          result = { ...result, extraction };
+        }
         
         if (onComplete) {
           onComplete(result);
@@ -223,6 +677,7 @@ class RemoCloudSDK {
       } catch (error) {
         // Handle specific upload errors
         if (error.response?.status === 410) {
+          session = null;
           throw new SDKError(
             'SIGNED_URL_EXPIRED',
             'Upload URL expired, restarting upload',
@@ -234,7 +689,7 @@ class RemoCloudSDK {
           throw new SDKError(
             'FILE_TOO_LARGE',
             'File size exceeds limit',
-            { uploadId, bucketId, fileSize: file.size }
+            { uploadId, bucketId, fileSize: body.size }
           );
         }
         
@@ -246,6 +701,83 @@ class RemoCloudSDK {
     }, RETRY_CONFIG, { operation: 'upload', uploadId, bucketId });
   }
 
+  // Upload a file to a tus endpoint chunk by chunk, starting from the server's offset
+  async uploadResumable(resumableUrl, file, options = {}) {
+    const { onProgress, chunkSize = RESUMABLE_CHUNK_SIZE, context = {} } = options;
+    let offset = await this.getResumableOffset(resumableUrl);
+
+    while (offset < file.size) {
+      const chunkOffset = offset;
+      let attempt = 0;
+
+      offset = await withRetry(async () => {
+        // A failed attempt may have stored part of the chunk, so ask the server where to continue
+        const start = attempt++ === 0 ? chunkOffset : await this.getResumableOffset(resumableUrl);
+        const chunk = sliceFile(file, start, Math.min(start + chunkSize, file.size));
+
+        const response = await this.client.patch(resumableUrl, chunk, {
+          headers: {
+            'Tus-Resumable': TUS_VERSION,
+            'Upload-Offset': String(start),
+            'Content-Type': 'application/offset+octet-stream'
+          },
+          timeout: 300000, // 5 minutes per chunk
+          maxBodyLength: Infinity
+        });
+
+        return parseInt(response.headers['upload-offset']);
+      }, {
+        ...RETRY_CONFIG,
+        retryableErrors: ['NETWORK_ERROR', 'TIMEOUT_ERROR']
+      }, { ...context, operation: 'uploadChunk', offset: chunkOffset });
+
+      if (onProgress) {
+        onProgress((offset / file.size) * 100, offset, file.size);
+      }
+    }
+  }
+
+  // Get the number of bytes a resumable upload has received so far
+  async getResumableOffset(resumableUrl) {
+    const response = await this.client.head(resumableUrl, {
+      headers: { 'Tus-Resumable': TUS_VERSION }
+    });
+    return parseInt(response.headers['upload-offset']) || 0;
+  }
+
+  // Resume an interrupted resumable upload with the same file
+  async resumeUpload(uploadId, file, options = {}) {
+    const { onProgress, onComplete, chunkSize } = options;
+
+    const status = await this.getUploadStatus(uploadId);
+    if (!status.resumableUrl) {
+      throw new SDKError(
+        'UPLOAD_FAILED',
+        'Upload session is not resumable',
+        { uploadId }
+      );
+    }
+
+    await this.uploadResumable(status.resumableUrl, file, {
+      onProgress,
+      chunkSize,
+      context: { serverUploadId: uploadId }
+    });
+
+    const completeResponse = await this.client.post(
+      `/uploads/${uploadId}/complete`,
+      { actualSize: file.size }
+    );
+
+    const result = completeResponse.data;
+
+    if (onComplete) {
+      onComplete(result);
+    }
+
+    return result;
+  }
+
   // Direct upload to signed URL with progress and retry
   async uploadDirectWithRetry(signedUrl, file, headers = {}, onProgress, context = {}) {
     return withRetry(async () => {
@@ -336,9 +868,12 @@ class RemoCloudSDK {
       }
       });
     } else {
-      // Node.js environment - use fetch or axios
-      const response = await axios.put(signedUrl, file, {
+      // Node.js environment - send Buffers as-is and pipe streams so large files aren't buffered
+      const body = file.buffer || (typeof file.stream === 'function' ? file.stream() : file);
+      const response = await axios.put(signedUrl, body, {
         headers,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
         onUploadProgress: onProgress ? (progressEvent) => {
           const progress = (progressEvent.loaded / progressEvent.total) * 100;
           onProgress(progress, progressEvent.loaded, progressEvent.total);
@@ -361,6 +896,28 @@ class RemoCloudSDK {
     return response.data;
   }
 
+  // Poll an archive upload until extraction finishes and return its report
+  async waitForExtraction(uploadId, options = {}) {
+    const { onProgress } = options;
+
+    while (true) {
+      const status = await withRetry(
+        () => this.getUploadStatus(uploadId),
+        RETRY_CONFIG,
+        { operation: 'getUploadStatus', uploadId }
+      );
+      const extraction = status.extraction;
+
+      if (!extraction || extraction.status !== 'running') {
+        return extraction;
+      }
+      if (onProgress) {
+        onProgress(extraction);
+      }
+      await new Promise(resolve => setTimeout(resolve, EXTRACTION_POLL_INTERVAL));
+    }
+  }
+
   // Cancel upload
   async cancelUpload(uploadId) {
     const response = await this.client.delete(`/uploads/${uploadId}`);
@@ -412,13 +969,95 @@ class RemoCloudSDK {
     });
   }
 
+  // Look up a file's client-side encryption metadata and unwrap its data key.
+  // Returns null for files that weren't encrypted by the SDK.
+  async getFileDecryption(fileId, options = {}) {
+    const response = await this.client.get(`/files/${fileId}`);
+    const metadata = response.data.metadata_json?.encryption;
+
+    if (!metadata || metadata.scheme !== E2E_SCHEME) {
+      return null;
+    }
+
+    const key = options.key || this.encryptionKey;
+    if (!key) {
+      throw new SDKError(
+        'ENCRYPTION_KEY_REQUIRED',
+        'File is end-to-end encrypted - call setEncryptionKey or pass { encryption: { key } }',
+        { fileId, keyId: metadata.keyId }
+      );
+    }
+
+    const dataKey = await unwrapDataKey(normalizeEncryptionKey(key), metadata.wrappedKey);
+
+    return {
+      metadata,
+      cipherKey: await createGcmKey(dataKey),
+      nonce: decodeBase64(metadata.nonce),
+      totalChunks: getE2EChunkCount(metadata.plaintextSize)
+    };
+  }
+
+  // Fetch ciphertext from a download URL and decrypt it chunk by chunk
+  async openDecryptedStream(urlData, decryption) {
+    let source;
+
+    if (typeof window !== 'undefined') {
+      const response = await fetch(urlData.url, {
+        headers: urlData.cacheHeaders || {}
+      });
+
+      if (!response.ok) {
+        throw new Error(`Download failed: ${response.statusText}`);
+      }
+      source = response.body;
+    } else {
+      const response = await axios.get(urlData.url, {
+        responseType: 'stream',
+        headers: urlData.cacheHeaders || {}
+      });
+      source = response.data;
+    }
+
+    return decryptE2EChunks(source, decryption.cipherKey, decryption.nonce, decryption.totalChunks);
+  }
+
   // Download file with secure URL handling
   async downloadFile(fileId, filename, options = {}) {
+    const decryption = options.encryption === false
+      ? null
+      : await this.getFileDecryption(fileId, options.encryption || {});
+
     const urlData = await this.getDownloadUrl(fileId, { 
       ...options, 
       purpose: 'download' 
     });
 
+    if (decryption) {
+      const chunks = await this.openDecryptedStream(urlData, decryption);
+
+      if (typeof window === 'undefined') {
+        return toPlatformStream(chunks);
+      }
+
+      // Decrypt fully in the browser, then save under the original type
+      const parts = [];
+      for await (const chunk of chunks) {
+        parts.push(chunk);
+      }
+      const blobUrl = window.URL.createObjectURL(new Blob(parts, { type: decryption.metadata.plaintextType }));
+
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      window.URL.revokeObjectURL(blobUrl);
+      return;
+    }
+
     if (typeof window !== 'undefined') {
       // Browser environment
       if (urlData.isPublic || options.direct) {
@@ -464,9 +1103,16 @@ class RemoCloudSDK {
     }
   }
 
-  // Download file stream
+  // Download file stream (decrypted when the file is end-to-end encrypted)
   async downloadStream(fileId, options = {}) {
+    const decryption = options.encryption === false
+      ? null
+      : await this.getFileDecryption(fileId, options.encryption || {});
     const urlData = await this.getDownloadUrl(fileId, options);
+
+    if (decryption) {
+      return toPlatformStream(await this.openDecryptedStream(urlData, decryption));
+    }
     
     if (typeof fetch !== 'undefined') {
       // Browser environment
@@ -606,13 +1252,6 @@ class RemoCloudSDK {
     return response.data;
   }
 
-  async downloadFile(fileId) {
-    const response = await this.client.get(`/files/${fileId}/download`, {
-      responseType: 'blob'
-    });
-    return response.data;
-  }
-
   async deleteFile(fileId) {
     const response = await this.client.delete(`/files/${fileId}`);
     return response.data;
@@ -768,6 +1407,36 @@ class BucketsResource {
     const response = await this.client.delete(`/buckets/${bucketId}`);
     return response.data;
   }
+
+  async getLifecycle(bucketId) {
+    const response = await this.client.get(`/buckets/${bucketId}/lifecycle`);
+    return response.data;
+  }
+
+  // Replace the bucket's lifecycle rules
+  async setLifecycle(bucketId, rules) {
+    const response = await this.client.put(`/buckets/${bucketId}/lifecycle`, { rules });
+    return response.data;
+  }
+
+  // Report what the saved rules, or the rules given, would do without applying them
+  async dryRunLifecycle(bucketId, rules) {
+    const response = await this.client.post(`/buckets/${bucketId}/lifecycle/dry-run`, rules ? { rules } : {});
+    return response.data;
+  }
+
+  // Object lock settings ({ enabled, mode, days }) and how many files are locked
+  async getObjectLock(bucketId) {
+    const response = await this.client.get(`/buckets/${bucketId}/object-lock`);
+    return response.data;
+  }
+
+  // Enable object lock (it can't be turned off again) and set the default retention of
+  // new files: mode 'governance' or 'compliance' for a number of days, or both null
+  async setObjectLock(bucketId, config) {
+    const response = await this.client.put(`/buckets/${bucketId}/object-lock`, config);
+    return response.data;
+  }
 }
 
 class FilesResource {
@@ -782,11 +1451,143 @@ class FilesResource {
     return response.data;
   }
 
+  // Search file contents; params: bucket_id, type, from, to, filter, limit, offset
+  async search(q, params = {}) {
+    const response = await this.client.get('/files/search', {
+      params: { q, ...params }
+    });
+    return response.data;
+  }
+
+  // List one folder level: files directly under prefix plus sub-folders as commonPrefixes
+  async browse(bucketId, prefix = '', params = {}) {
+    const response = await this.client.get(`/files/buckets/${bucketId}`, {
+      params: { prefix, delimiter: '/', ...params }
+    });
+    return response.data;
+  }
+
+  // Copy a file; destination is { bucketId, name, replace } (defaults: same bucket and name)
+  async copy(fileId, destination = {}) {
+    const response = await this.client.post(`/files/${fileId}/copy`, destination);
+    return response.data;
+  }
+
+  // Move or rename a file, keeping its ID and version history
+  async move(fileId, destination = {}) {
+    const response = await this.client.post(`/files/${fileId}/move`, destination);
+    return response.data;
+  }
+
+  // Run one operation over many files: { operation, fileIds | filter, params }.
+  // Operations: trash, delete, restore, set_visibility, set_metadata, move
+  async batch(request) {
+    const response = await this.client.post('/files/batch', request);
+    return response.data;
+  }
+
+  // Signed URL for a streamed ZIP of { fileIds } or { bucketId, prefix }; also takes name and expiry
+  async createArchive(selection) {
+    const response = await this.client.post('/files/archive', selection);
+    return response.data;
+  }
+
+  async getFolders(bucketId) {
+    const response = await this.client.get(`/files/buckets/${bucketId}/folders`);
+    return response.data.folders;
+  }
+
+  async createFolder(bucketId, path) {
+    const response = await this.client.post(`/files/buckets/${bucketId}/folders`, { path });
+    return response.data.folder;
+  }
+
+  async renameFolder(bucketId, path, name) {
+    const response = await this.client.post(`/files/buckets/${bucketId}/folders/rename`, { path, name });
+    return response.data.folder;
+  }
+
+  async moveFolder(bucketId, path, destination) {
+    const response = await this.client.post(`/files/buckets/${bucketId}/folders/move`, { path, destination });
+    return response.data.folder;
+  }
+
+  async deleteFolder(bucketId, path) {
+    const response = await this.client.delete(`/files/buckets/${bucketId}/folders`, { params: { path } });
+    return response.data.folder;
+  }
+
   async get(fileId) {
     const response = await this.client.get(`/files/${fileId}`);
     return response.data;
   }
 
+  // Update original_name, is_public, metadata_json or tags
+  async update(fileId, updates) {
+    const response = await this.client.put(`/files/${fileId}`, updates);
+    return response.data;
+  }
+
+  // Replace the file's tags ({ key: value }); {} clears them
+  async setTags(fileId, tags) {
+    return this.update(fileId, { tags });
+  }
+
+  // Replace the file's custom metadata
+  async setMetadata(fileId, metadata) {
+    return this.update(fileId, { metadata_json: metadata });
+  }
+
+  // { locked, legalHold, mode, retainUntil }
+  async getLockStatus(fileId) {
+    const file = await this.get(fileId);
+    return file.lock;
+  }
+
+  // Set or extend retention: { mode, retainUntil }. Shortening or removing (null mode and
+  // date) works only for governance retention, with bypassGovernance: true
+  async setRetention(fileId, retention) {
+    const response = await this.client.put(`/files/${fileId}/retention`, retention);
+    return response.data.lock;
+  }
+
+  async setLegalHold(fileId, enabled) {
+    const response = await this.client.put(`/files/${fileId}/legal-hold`, { enabled });
+    return response.data.lock;
+  }
+
+  // Newest first; is_current marks the live one
+  async listVersions(fileId) {
+    const response = await this.client.get(`/files/${fileId}/versions`);
+    return response.data.versions;
+  }
+
+  async restoreVersion(fileId, versionId) {
+    const response = await this.client.post(`/files/${fileId}/versions/${versionId}/restore`);
+    return response.data;
+  }
+
+  // Set { label, note }; null or '' clears one, leaving it out keeps it
+  async updateVersion(fileId, versionId, { label, note } = {}) {
+    const response = await this.client.put(`/files/${fileId}/versions/${versionId}`, { label, note });
+    return response.data.version;
+  }
+
+  // Compare two versions (to defaults to the current one): a line diff for text, pixel
+  // stats and a visual diff URL for images. Options: context, threshold
+  async compareVersions(fileId, from, to, options = {}) {
+    const response = await this.client.get(`/files/${fileId}/versions/compare`, {
+      params: { from, ...(to && { to }), ...options }
+    });
+    return response.data;
+  }
+
+  // Permanently delete a noncurrent version
+  async deleteVersion(fileId, versionId) {
+    const response = await this.client.delete(`/files/${fileId}/versions/${versionId}`);
+    return response.data;
+  }
+
   async upload(bucketId, file, options = {}) {
     // Use the main SDK upload method
     return this.client.sdk.upload(bucketId, file, options);
@@ -834,6 +1635,12 @@ class AnalyticsResource {
     return response.data;
   }
 
+  // Quota usage and headroom for the account and each bucket
+  async usage() {
+    const response = await this.client.get('/analytics/usage');
+    return response.data;
+  }
+
   async topFiles(limit = 10) {
     const response = await this.client.get(`/analytics/top-files?limit=${limit}`);
     return response.data;
@@ -861,8 +1668,22 @@ class KeysResource {
     return response.data;
   }
 
-  async create(name, scopes = ['read', 'write']) {
-    const response = await this.client.post('/keys', { name, scopes });
+  // Create a key with some of API_KEY_SCOPES, optionally limited to buckets (IDs) and to
+  // file names starting with pathPrefixes, and with its own rateLimits per route class
+  async create(name, scopes = ['read', 'write'], { bucketIds, pathPrefixes, rateLimits } = {}) {
+    const response = await this.client.post('/keys', {
+      name,
+      scopes,
+      bucket_ids: bucketIds,
+      path_prefixes: pathPrefixes,
+      rate_limits: rateLimits
+    });
+    return response.data;
+  }
+
+  // Issue new S3 gateway credentials for a key ({ accessKeyId, secretAccessKey })
+  async createS3Credentials(keyId) {
+    const response = await this.client.post(`/keys/${keyId}/s3-credentials`);
     return response.data;
   }
 
@@ -875,6 +1696,8 @@ class KeysResource {
 // Export error classes and utilities
 RemoCloudSDK.SDKError = SDKError;
 RemoCloudSDK.ERROR_CODES = ERROR_CODES;
+RemoCloudSDK.API_KEY_SCOPES = API_KEY_SCOPES;
+RemoCloudSDK.encryptFile = encryptFile;
 RemoCloudSDK.RETRY_CONFIG = RETRY_CONFIG;
 RemoCloudSDK.withRetry = withRetry;
 
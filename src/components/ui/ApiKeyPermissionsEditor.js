@@ -0,0 +1,105 @@
+import React from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { bucketsAPI } from '../../services/api';
+
+// Scopes as enforced by the API (backend/utils/permissions.js)
+export const API_KEY_SCOPES = [
+  { id: 'read', description: 'List and download files, read bucket settings' },
+  { id: 'write', description: 'Upload, edit, copy, move and restore files' },
+  { id: 'delete', description: 'Trash files and delete versions' },
+  { id: 'admin', description: 'Create, configure and delete buckets; includes every scope' },
+  { id: 'analytics', description: 'View usage and analytics reports' },
+  { id: 'keys', description: 'Manage API keys, up to this key\'s own access' }
+];
+
+export const DEFAULT_PERMISSIONS = { scopes: ['read', 'write'], bucketIds: [], pathPrefixes: '' };
+
+// Form state to the fields POST /keys takes; no buckets or prefixes means no limit
+export const toKeyPermissions = ({ scopes, bucketIds, pathPrefixes }) => {
+  const prefixes = pathPrefixes.split('\n').map(prefix => prefix.trim()).filter(Boolean);
+  return {
+    scopes,
+    bucket_ids: bucketIds.length > 0 ? bucketIds : null,
+    path_prefixes: prefixes.length > 0 ? prefixes : null
+  };
+};
+
+// Scopes, buckets and path prefixes for a new API key
+const ApiKeyPermissionsEditor = ({ value, onChange }) => {
+  const { data: buckets = [] } = useQuery({
+    queryKey: ['buckets'],
+    queryFn: () => bucketsAPI.getAll().then(res => res.data)
+  });
+
+  const toggle = (list, item, checked) => (checked ? [...list, item] : list.filter(entry => entry !== item));
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+          Scopes
+        </label>
+        <div className="space-y-2">
+          {API_KEY_SCOPES.map((scope) => (
+            <label key={scope.id} className="flex items-start gap-3">
+              <input
+                type="checkbox"
+                checked={value.scopes.includes(scope.id)}
+                onChange={(e) => onChange({ ...value, scopes: toggle(value.scopes, scope.id, e.target.checked) })}
+                className="w-4 h-4 mt-0.5 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+              />
+              <span>
+                <span className="block text-sm text-text-primary-light dark:text-text-primary-dark capitalize">
+                  {scope.id}
+                </span>
+                <span className="block text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                  {scope.description}
+                </span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-1">
+          Buckets
+        </label>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mb-2">
+          Leave all unchecked to allow every bucket.
+        </p>
+        <div className="max-h-32 overflow-y-auto space-y-2">
+          {buckets.map((bucket) => (
+            <label key={bucket.id} className="flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={value.bucketIds.includes(bucket.id)}
+                onChange={(e) => onChange({ ...value, bucketIds: toggle(value.bucketIds, bucket.id, e.target.checked) })}
+                className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+              />
+              <span className="text-sm text-text-primary-light dark:text-text-primary-dark">{bucket.name}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-1">
+          Path Prefixes
+        </label>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mb-2">
+          One per line, e.g. <code>images/</code>. Leave empty to allow every path.
+        </p>
+        <textarea
+          value={value.pathPrefixes}
+          onChange={(e) => onChange({ ...value, pathPrefixes: e.target.value })}
+          className="input-field font-mono text-sm"
+          rows={3}
+          placeholder="uploads/public/"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeyPermissionsEditor;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { FileSearch, FileText, Loader } from 'lucide-react';
+
+// Snippet text with the matched words wrapped in <mark>
+const HighlightedSnippet = ({ snippet, highlights = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  highlights.forEach(({ start, end }, index) => {
+    if (start > position) {
+      parts.push(snippet.slice(position, start));
+    }
+    parts.push(
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700 text-inherit rounded px-0.5">
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  parts.push(snippet.slice(position));
+
+  return <>{parts}</>;
+};
+
+const ContentSearchResults = ({
+  files,
+  isLoading,
+  hasMore,
+  isFetchingMore,
+  onLoadMore,
+  onOpen,
+  formatFileSize,
+  formatDate
+}) => {
+  if (isLoading) {
+    return (
+      <div className="card p-8 text-center">
+        <div className="animate-spin w-8 h-8 border-2 border-primary-light border-t-transparent rounded-full mx-auto mb-4"></div>
+        <p className="text-text-secondary-light dark:text-text-secondary-dark">Searching file contents...</p>
+      </div>
+    );
+  }
+
+  if (files.length === 0) {
+    return (
+      <div className="card p-12 text-center">
+        <FileSearch className="w-16 h-16 text-text-secondary-light dark:text-text-secondary-dark mx-auto mb-4" />
+        <h3 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
+          No matching content
+        </h3>
+        <p className="text-text-secondary-light dark:text-text-secondary-dark">
+          Content search covers text, JSON, CSV, Markdown, HTML and PDF files. Newly uploaded files may take a moment to be indexed.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="card divide-y divide-surface-variant-light dark:divide-surface-variant-dark">
+        {files.map((file) => (
+          <button
+            key={file.id}
+            onClick={() => onOpen(file)}
+            className="w-full text-left p-4 hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
+          >
+            <div className="flex items-center gap-2 mb-1">
+              <FileText className="w-4 h-4 flex-shrink-0 text-text-secondary-light dark:text-text-secondary-dark" />
+              <span className="font-medium text-text-primary-light dark:text-text-primary-dark truncate">
+                {file.original_name}
+              </span>
+              <span className="ml-auto text-xs text-text-secondary-light dark:text-text-secondary-dark flex-shrink-0">
+                {formatFileSize(file.size)} • {formatDate(file.created_at)}
+              </span>
+            </div>
+            {file.snippet && (
+              <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark line-clamp-3">
+                <HighlightedSnippet snippet={file.snippet} highlights={file.highlights} />
+              </p>
+            )}
+          </button>
+        ))}
+      </div>
+
+      {hasMore && (
+        <div className="text-center">
+          <button
+            onClick={onLoadMore}
+            disabled={isFetchingMore}
+            className="btn-secondary flex items-center gap-2 mx-auto"
+          >
+            {isFetchingMore ? (
+              <>
+                <Loader className="w-4 h-4 animate-spin" />
+                Loading...
+              </>
+            ) : (
+              'Load More Results'
+            )}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ContentSearchResults;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { Lock, Gavel, Save, X, Edit3 } from 'lucide-react';
+import { filesAPI } from '../../services/api';
+import { useToast } from './Toast';
+
+// Lock status from a file row: retention only counts while its date is in the future
+export const getLockStatus = (file) => {
+  const retentionActive = Boolean(file?.retain_until) && new Date(file.retain_until) > new Date();
+  const legalHold = file?.legal_hold === true;
+
+  return {
+    locked: legalHold || retentionActive,
+    legalHold,
+    mode: retentionActive ? file.retention_mode : null,
+    retainUntil: retentionActive ? file.retain_until : null
+  };
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const getErrorMessage = (error, fallback) => {
+  const apiError = error.response?.data?.error;
+  return apiError?.message || apiError || fallback;
+};
+
+const FileLockPanel = ({ file, onUpdate }) => {
+  const toast = useToast();
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [mode, setMode] = useState('governance');
+  const [retainUntil, setRetainUntil] = useState('');
+  const [bypassGovernance, setBypassGovernance] = useState(false);
+  // The saved lock fields, until the parent passes a refreshed file
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => {
+    setSaved(null);
+  }, [file]);
+
+  const status = saved || getLockStatus(file);
+
+  useEffect(() => {
+    if (!isEditing) {
+      setMode(status.mode || 'governance');
+      setRetainUntil(toDateInput(status.retainUntil));
+      setBypassGovernance(false);
+    }
+  }, [isEditing, status.mode, status.retainUntil]);
+
+  const applyResponse = (response) => {
+    setSaved(response.data.lock);
+    if (onUpdate) onUpdate();
+  };
+
+  const handleSaveRetention = async (remove = false) => {
+    setIsSaving(true);
+    try {
+      const response = await filesAPI.setRetention(file.id, remove
+        ? { mode: null, retainUntil: null, bypassGovernance }
+        : { mode, retainUntil: new Date(`${retainUntil}T23:59:59`).toISOString(), bypassGovernance });
+      applyResponse(response);
+      setIsEditing(false);
+      toast.success(remove ? 'Retention removed' : 'Retention updated');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to update retention'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleLegalHold = async () => {
+    setIsSaving(true);
+    try {
+      const response = await filesAPI.setLegalHold(file.id, !status.legalHold);
+      applyResponse(response);
+      toast.success(status.legalHold ? 'Legal hold released' : 'Legal hold placed');
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to update legal hold'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!file || file.deleted_at) return null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide">
+          <Lock className="w-3 h-3 inline mr-1" />
+          Object Lock
+        </label>
+        {!isEditing && (
+          <button
+            onClick={() => setIsEditing(true)}
+            className="p-1 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary transition-colors"
+            title="Edit retention"
+          >
+            <Edit3 className="w-3 h-3" />
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-1 text-sm text-text-primary-light dark:text-text-primary-dark">
+        {status.retainUntil ? (
+          <p>
+            <span className="capitalize">{status.mode}</span> retention until{' '}
+            {new Date(status.retainUntil).toLocaleDateString()}
+          </p>
+        ) : (
+          <p className="text-text-secondary-light dark:text-text-secondary-dark">No retention</p>
+        )}
+        {status.legalHold && (
+          <p className="flex items-center gap-1 text-warning-light">
+            <Gavel className="w-3 h-3" />
+            On legal hold
+          </p>
+        )}
+        {status.locked && (
+          <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+            This file can't be deleted, replaced or given new versions while it is locked.
+          </p>
+        )}
+      </div>
+
+      {isEditing && (
+        <div className="mt-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <select
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              className="input-field text-xs py-1 flex-1"
+            >
+              <option value="governance">Governance</option>
+              <option value="compliance">Compliance</option>
+            </select>
+            <input
+              type="date"
+              value={retainUntil}
+              onChange={(e) => setRetainUntil(e.target.value)}
+              className="input-field text-xs py-1 flex-1"
+            />
+          </div>
+          {status.mode === 'governance' && (
+            <label className="flex items-center gap-2 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+              <input
+                type="checkbox"
+                checked={bypassGovernance}
+                onChange={(e) => setBypassGovernance(e.target.checked)}
+                className="w-4 h-4 text-primary-light focus:ring-primary-light rounded"
+              />
+              Allow shortening or removing governance retention
+            </label>
+          )}
+          <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+            Compliance retention can only be extended, never shortened or removed.
+          </p>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => handleSaveRetention(false)}
+              disabled={isSaving || !retainUntil}
+              className="btn-primary text-xs px-3 py-1 flex items-center gap-1 disabled:opacity-50"
+            >
+              <Save className="w-3 h-3" />
+              {isSaving ? 'Saving...' : 'Save'}
+            </button>
+            {status.mode === 'governance' && (
+              <button
+                onClick={() => handleSaveRetention(true)}
+                disabled={isSaving || !bypassGovernance}
+                className="btn-secondary text-xs px-3 py-1 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            )}
+            <button
+              onClick={() => setIsEditing(false)}
+              disabled={isSaving}
+              className="btn-secondary text-xs px-3 py-1 flex items-center gap-1"
+            >
+              <X className="w-3 h-3" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <button
+        onClick={handleToggleLegalHold}
+        disabled={isSaving}
+        className="mt-2 flex items-center gap-1 text-xs text-primary hover:underline disabled:opacity-50"
+      >
+        <Gavel className="w-3 h-3" />
+        {status.legalHold ? 'Release legal hold' : 'Place legal hold'}
+      </button>
+    </div>
+  );
+};
+
+export default FileLockPanel;
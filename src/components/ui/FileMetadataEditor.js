@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Tag, Plus, Trash2, Edit3, Save, X, Braces } from 'lucide-react';
+import { filesAPI } from '../../services/api';
+import { useToast } from './Toast';
+
+// metadata_json arrives as an object from the API, but older rows may hold a string
+const parseMetadata = (metadata) => {
+  if (!metadata) return {};
+  if (typeof metadata === 'string') {
+    try {
+      return JSON.parse(metadata);
+    } catch (error) {
+      return {};
+    }
+  }
+  return metadata;
+};
+
+const toTagRows = (tags) => Object.entries(tags || {}).map(([key, value]) => ({ key, value }));
+
+const FileMetadataEditor = ({ file, onUpdate }) => {
+  const toast = useToast();
+  const [isEditing, setIsEditing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [tagRows, setTagRows] = useState([]);
+  const [metadataText, setMetadataText] = useState('{}');
+  const [metadataError, setMetadataError] = useState(null);
+  // The saved values, until the parent passes a refreshed file
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => {
+    setSaved(null);
+  }, [file]);
+
+  const current = saved || file;
+  const metadata = parseMetadata(current?.metadata_json);
+  const tags = current?.tags || {};
+
+  // Reset the form whenever the file changes or editing is cancelled
+  useEffect(() => {
+    if (!isEditing) {
+      setTagRows(toTagRows(current?.tags));
+      setMetadataText(JSON.stringify(parseMetadata(current?.metadata_json), null, 2));
+      setMetadataError(null);
+    }
+  }, [current, isEditing]);
+
+  const updateTagRow = (index, field, value) => {
+    setTagRows(rows => rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleSave = async () => {
+    let parsedMetadata;
+    try {
+      parsedMetadata = JSON.parse(metadataText || '{}');
+    } catch (error) {
+      setMetadataError('Metadata must be valid JSON');
+      return;
+    }
+    if (!parsedMetadata || typeof parsedMetadata !== 'object' || Array.isArray(parsedMetadata)) {
+      setMetadataError('Metadata must be a JSON object');
+      return;
+    }
+
+    const nextTags = {};
+    for (const row of tagRows) {
+      const key = row.key.trim();
+      if (!key) continue;
+      if (key.includes('=')) {
+        toast.error(`Tag key "${key}" cannot contain "="`);
+        return;
+      }
+      nextTags[key] = row.value;
+    }
+
+    setIsSaving(true);
+    try {
+      const response = await filesAPI.update(file.id, { tags: nextTags, metadata_json: parsedMetadata });
+      setSaved(response.data);
+      if (onUpdate) onUpdate();
+      setIsEditing(false);
+      toast.success('Tags and metadata updated');
+    } catch (error) {
+      console.error('Failed to update metadata:', error);
+      const apiError = error.response?.data?.error;
+      toast.error(apiError?.message || apiError || 'Failed to update tags and metadata');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!file) return null;
+
+  if (!isEditing) {
+    const tagEntries = Object.entries(tags);
+    const hasMetadata = Object.keys(metadata).length > 0;
+
+    return (
+      <div className="space-y-4">
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide">
+              <Tag className="w-3 h-3 inline mr-1" />
+              Tags
+            </label>
+            <button
+              onClick={() => setIsEditing(true)}
+              className="p-1 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary transition-colors"
+              title="Edit tags and metadata"
+            >
+              <Edit3 className="w-3 h-3" />
+            </button>
+          </div>
+          {tagEntries.length > 0 ? (
+            <div className="flex flex-wrap gap-1">
+              {tagEntries.map(([key, value]) => (
+                <span
+                  key={key}
+                  className="px-2 py-0.5 text-xs rounded-full bg-primary/10 text-primary font-mono"
+                >
+                  {value ? `${key}=${value}` : key}
+                </span>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">No tags</p>
+          )}
+        </div>
+
+        {hasMetadata && (
+          <div>
+            <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide mb-2 block">
+              <Braces className="w-3 h-3 inline mr-1" />
+              Custom Metadata
+            </label>
+            <div className="text-xs font-mono bg-surface-light dark:bg-surface-dark p-2 rounded max-h-32 overflow-y-auto">
+              <pre className="text-text-secondary-light dark:text-text-secondary-dark whitespace-pre-wrap">
+                {JSON.stringify(metadata, null, 2)}
+              </pre>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide mb-2 block">
+          <Tag className="w-3 h-3 inline mr-1" />
+          Tags
+        </label>
+        <div className="space-y-2">
+          {tagRows.map((row, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                type="text"
+                value={row.key}
+                onChange={(e) => updateTagRow(index, 'key', e.target.value)}
+                placeholder="key"
+                className="input-field text-xs py-1 flex-1 min-w-0"
+              />
+              <input
+                type="text"
+                value={row.value}
+                onChange={(e) => updateTagRow(index, 'value', e.target.value)}
+                placeholder="value"
+                className="input-field text-xs py-1 flex-1 min-w-0"
+              />
+              <button
+                onClick={() => setTagRows(rows => rows.filter((_, i) => i !== index))}
+                className="p-1 text-text-secondary-light dark:text-text-secondary-dark hover:text-red-500 transition-colors"
+                title="Remove tag"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => setTagRows(rows => [...rows, { key: '', value: '' }])}
+            className="flex items-center gap-1 text-xs text-primary hover:underline"
+          >
+            <Plus className="w-3 h-3" />
+            Add tag
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide mb-2 block">
+          <Braces className="w-3 h-3 inline mr-1" />
+          Custom Metadata
+        </label>
+        <textarea
+          value={metadataText}
+          onChange={(e) => {
+            setMetadataText(e.target.value);
+            setMetadataError(null);
+          }}
+          rows={6}
+          spellCheck={false}
+          className="input-field text-xs font-mono w-full"
+        />
+        {metadataError && (
+          <p className="text-xs text-red-500 mt-1">{metadataError}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className="btn-primary text-xs px-3 py-1 flex items-center gap-1 disabled:opacity-50"
+        >
+          <Save className="w-3 h-3" />
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+        <button
+          onClick={() => setIsEditing(false)}
+          disabled={isSaving}
+          className="btn-secondary text-xs px-3 py-1 flex items-center gap-1"
+        >
+          <X className="w-3 h-3" />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FileMetadataEditor;
@@ -29,6 +29,8 @@ import { downloadService } from '../../services/download';
 import transformService from '../../services/transforms';
 import { useToast } from './Toast';
 import HashDisplay from './HashDisplay';
+import FileMetadataEditor from './FileMetadataEditor';
+import FileLockPanel from './FileLockPanel';
 
 const FilePreviewModal = ({ file, isOpen, onClose, onUpdate }) => {
   const toast = useToast();
@@ -530,19 +532,11 @@ const FilePreviewModal = ({ file, isOpen, onClose, onUpdate }) => {
                     </div>
                   )}
 
-                  {/* Metadata JSON */}
-                  {file.metadata_json && Object.keys(JSON.parse(file.metadata_json || '{}')).length > 0 && (
-                    <div>
-                      <label className="text-xs font-medium text-text-secondary-light dark:text-text-secondary-dark uppercase tracking-wide mb-2 block">
-                        Custom Metadata
-                      </label>
-                      <div className="text-xs font-mono bg-surface-light dark:bg-surface-dark p-2 rounded max-h-32 overflow-y-auto">
-                        <pre className="text-text-secondary-light dark:text-text-secondary-dark whitespace-pre-wrap">
-                          {JSON.stringify(JSON.parse(file.metadata_json), null, 2)}
-                        </pre>
-                      </div>
-                    </div>
-                  )}
+                  {/* Retention and Legal Hold */}
+                  <FileLockPanel file={file} onUpdate={onUpdate} />
+
+                  {/* Tags and Metadata */}
+                  <FileMetadataEditor file={file} onUpdate={onUpdate} />
                 </div>
               </div>
             </div>
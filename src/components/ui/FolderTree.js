@@ -0,0 +1,108 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { ChevronRight, ChevronDown, Folder, FolderOpen, HardDrive } from 'lucide-react';
+
+// Ancestors of a folder path, outermost first ('a/b/' -> ['a/', 'a/b/'])
+const getAncestorPaths = (path) => {
+  const segments = path.split('/').filter(Boolean);
+  return segments.map((_, index) => `${segments.slice(0, index + 1).join('/')}/`);
+};
+
+const FolderTree = ({ folders = [], currentPath = '', onNavigate, rootLabel = 'All files' }) => {
+  const [expanded, setExpanded] = useState(() => new Set(getAncestorPaths(currentPath)));
+
+  // Keep the path to the current folder open when navigating from elsewhere
+  useEffect(() => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      getAncestorPaths(currentPath).forEach(path => next.add(path));
+      return next;
+    });
+  }, [currentPath]);
+
+  const childrenByParent = useMemo(() => {
+    const map = {};
+    folders.forEach(folder => {
+      (map[folder.parent] = map[folder.parent] || []).push(folder);
+    });
+    return map;
+  }, [folders]);
+
+  const toggle = (path) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  const renderFolders = (parent, depth) => (childrenByParent[parent] || []).map(folder => {
+    const hasChildren = !!childrenByParent[folder.path];
+    const isOpen = expanded.has(folder.path);
+    const isCurrent = folder.path === currentPath;
+    const FolderIcon = isCurrent ? FolderOpen : Folder;
+
+    return (
+      <li key={folder.path}>
+        <div
+          className={`flex items-center gap-1 rounded-lg pr-2 transition-colors ${
+            isCurrent
+              ? 'bg-primary-light bg-opacity-10 text-primary-light dark:text-primary-dark'
+              : 'text-text-primary-light dark:text-text-primary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark'
+          }`}
+          style={{ paddingLeft: `${depth * 12}px` }}
+        >
+          <button
+            onClick={() => toggle(folder.path)}
+            className={`p-1 text-text-secondary-light dark:text-text-secondary-dark ${hasChildren ? '' : 'invisible'}`}
+            title={isOpen ? 'Collapse' : 'Expand'}
+          >
+            {isOpen ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+          </button>
+          <button
+            onClick={() => onNavigate(folder.path)}
+            className="flex items-center gap-2 flex-1 min-w-0 py-1.5 text-left text-sm"
+            title={`/${folder.path}`}
+          >
+            <FolderIcon className="w-4 h-4 flex-shrink-0" />
+            <span className="truncate">{folder.name}</span>
+            <span className="ml-auto text-xs text-text-secondary-light dark:text-text-secondary-dark">
+              {folder.fileCount}
+            </span>
+          </button>
+        </div>
+        {hasChildren && isOpen && (
+          <ul>{renderFolders(folder.path, depth + 1)}</ul>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <nav className="space-y-1">
+      <button
+        onClick={() => onNavigate('')}
+        className={`w-full flex items-center gap-2 px-2 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+          currentPath === ''
+            ? 'bg-primary-light bg-opacity-10 text-primary-light dark:text-primary-dark'
+            : 'text-text-primary-light dark:text-text-primary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark'
+        }`}
+      >
+        <HardDrive className="w-4 h-4" />
+        {rootLabel}
+      </button>
+      {folders.length === 0 ? (
+        <p className="px-2 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+          No folders yet
+        </p>
+      ) : (
+        <ul>{renderFolders('', 0)}</ul>
+      )}
+    </nav>
+  );
+};
+
+export default FolderTree;
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { 
   Hash, 
   Copy, 
@@ -8,11 +9,21 @@ import {
   AlertTriangle,
   Loader,
   Eye,
-  EyeOff
+  EyeOff,
+  ShieldAlert,
+  Clock
 } from 'lucide-react';
 import { HashService } from '../../services/hash';
+import { filesAPI } from '../../services/api';
 import { useToast } from './Toast';
 
+const ISSUE_LABELS = {
+  hash_mismatch: 'Stored content no longer matches its hash',
+  unreadable: 'Stored content could not be decrypted or decompressed',
+  missing_data: 'Stored content is missing from storage',
+  missing_index: 'Stored content is missing from the blob index'
+};
+
 const HashDisplay = ({ 
   hash, 
   fileId, 
@@ -22,11 +33,19 @@ const HashDisplay = ({
   compact = false 
 }) => {
   const toast = useToast();
+  const queryClient = useQueryClient();
   const [copied, setCopied] = useState(false);
   const [isVerifying, setIsVerifying] = useState(false);
   const [showFullHash, setShowFullHash] = useState(false);
   const [verificationResult, setVerificationResult] = useState(null);
 
+  // Background scrubber status for this file's stored content
+  const { data: scrubStatus } = useQuery({
+    queryKey: ['file-integrity', fileId],
+    queryFn: () => filesAPI.getHash(fileId).then(res => res.data.integrity),
+    enabled: !!fileId && !!hash && !compact
+  });
+
   const handleCopyHash = async () => {
     if (!hash) return;
     
@@ -47,6 +66,7 @@ const HashDisplay = ({
     try {
       const result = await onVerify(fileId);
       setVerificationResult(result);
+      queryClient.invalidateQueries(['file-integrity', fileId]);
       
       if (result.integrity.overall) {
         toast.success('File integrity verified successfully');
@@ -104,6 +124,35 @@ const HashDisplay = ({
         </div>
       </div>
 
+      {/* Scrub Status */}
+      {scrubStatus && (
+        scrubStatus.status === 'corrupted' ? (
+          <div className="flex items-start gap-2 p-2 rounded-lg border border-danger-light bg-danger-light bg-opacity-10 text-danger-light text-xs">
+            <ShieldAlert className="w-4 h-4 flex-shrink-0" />
+            <div>
+              <div className="font-medium">{ISSUE_LABELS[scrubStatus.issue] || 'Stored content is corrupted'}</div>
+              <div className="opacity-75">
+                Detected {new Date(scrubStatus.detectedAt).toLocaleString()}
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center gap-1 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+            {scrubStatus.status === 'verified' ? (
+              <>
+                <Shield className="w-3 h-3 text-accent-light" />
+                Content verified {new Date(scrubStatus.lastScrubbedAt).toLocaleString()}
+              </>
+            ) : (
+              <>
+                <Clock className="w-3 h-3" />
+                Not yet checked by the integrity scrubber
+              </>
+            )}
+          </div>
+        )
+      )}
+
       {/* Actions */}
       <div className="flex items-center gap-2">
         <button
@@ -181,6 +230,9 @@ const HashDisplay = ({
               ) : (
                 <div className="space-y-1 text-xs opacity-90">
                   <div>Stored hash: {verificationResult.integrity.storedHashValid ? '✓ Valid' : '✗ Invalid'}</div>
+                  {verificationResult.integrity.issue && (
+                    <div>{ISSUE_LABELS[verificationResult.integrity.issue] || verificationResult.integrity.details}</div>
+                  )}
                   {verificationResult.clientHash && (
                     <div>Client hash: {verificationResult.integrity.clientHashValid ? '✓ Matches' : '✗ Mismatch'}</div>
                   )}
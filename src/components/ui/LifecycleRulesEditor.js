@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Plus, Trash2, Save, PlayCircle, Clock } from 'lucide-react';
+import { bucketsAPI } from '../../services/api';
+import { useToast } from './Toast';
+
+// Rules are edited as flat form rows; blank day/version fields leave an action out
+const toFormRule = (rule) => ({
+  id: rule.id,
+  name: rule.name || '',
+  enabled: rule.enabled !== false,
+  prefix: rule.filter?.prefix || '',
+  tags: Object.entries(rule.filter?.tags || {})
+    .map(([key, value]) => (value ? `${key}=${value}` : key))
+    .join(', '),
+  expirationDays: rule.expiration?.days ?? '',
+  noncurrentDays: rule.noncurrentVersionExpiration?.days ?? '',
+  keepNewest: rule.noncurrentVersionExpiration?.keepNewest ?? '',
+  abortUploadsDays: rule.abortIncompleteUploads?.days ?? ''
+});
+
+const emptyFormRule = () => ({
+  name: '',
+  enabled: true,
+  prefix: '',
+  tags: '',
+  expirationDays: '',
+  noncurrentDays: '',
+  keepNewest: '',
+  abortUploadsDays: ''
+});
+
+const toNumber = (value) => (value === '' || value === null ? undefined : Number(value));
+
+// "env=dev, team" becomes { env: 'dev', team: '' }
+const parseTags = (text) => {
+  const tags = {};
+  text.split(',').forEach(entry => {
+    const [key, ...rest] = entry.split('=');
+    if (key.trim()) {
+      tags[key.trim()] = rest.join('=').trim();
+    }
+  });
+  return tags;
+};
+
+const toRule = (form) => {
+  const rule = {
+    name: form.name.trim(),
+    enabled: form.enabled,
+    filter: { prefix: form.prefix, tags: parseTags(form.tags) }
+  };
+  if (form.id) {
+    rule.id = form.id;
+  }
+  if (form.expirationDays !== '') {
+    rule.expiration = { days: toNumber(form.expirationDays) };
+  }
+  if (form.noncurrentDays !== '' || form.keepNewest !== '') {
+    rule.noncurrentVersionExpiration = {
+      days: toNumber(form.noncurrentDays),
+      keepNewest: toNumber(form.keepNewest)
+    };
+  }
+  if (form.abortUploadsDays !== '') {
+    rule.abortIncompleteUploads = { days: toNumber(form.abortUploadsDays) };
+  }
+  return rule;
+};
+
+const getErrorMessage = (error, fallback) => {
+  const apiError = error.response?.data?.error;
+  return apiError?.message || apiError || fallback;
+};
+
+const NumberField = ({ label, value, onChange, placeholder }) => (
+  <label className="block">
+    <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">{label}</span>
+    <input
+      type="number"
+      min="0"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={placeholder}
+      className="input-field text-xs py-1 mt-1"
+    />
+  </label>
+);
+
+// Dry-run outcome of one action: a count line and the first few affected items
+const ActionReport = ({ label, report, formatBytes }) => {
+  if (!report) return null;
+
+  return (
+    <div className="text-xs">
+      <p className="text-text-primary-light dark:text-text-primary-dark">
+        {label}: <span className="font-medium">{report.count}</span>
+        {report.bytes > 0 && ` (${formatBytes(report.bytes)})`}
+      </p>
+      {report.items.length > 0 && (
+        <ul className="mt-1 ml-3 text-text-secondary-light dark:text-text-secondary-dark">
+          {report.items.slice(0, 5).map((item) => (
+            <li key={item.versionId || item.uploadId || item.fileId} className="truncate font-mono">
+              {item.name}
+              {item.versionNumber !== undefined && ` (v${item.versionNumber})`}
+            </li>
+          ))}
+          {report.count > 5 && <li>and {report.count - 5} more</li>}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const LifecycleRulesEditor = ({ bucket, formatBytes }) => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [rules, setRules] = useState([]);
+  const [report, setReport] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['bucket-lifecycle', bucket.id],
+    queryFn: () => bucketsAPI.getLifecycle(bucket.id).then(res => res.data)
+  });
+
+  useEffect(() => {
+    if (data) {
+      setRules(data.rules.map(toFormRule));
+    }
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => bucketsAPI.updateLifecycle(bucket.id, rules.map(toRule)),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['bucket-lifecycle', bucket.id], response.data);
+      toast.success('Lifecycle rules saved');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to save lifecycle rules'))
+  });
+
+  const dryRunMutation = useMutation({
+    mutationFn: () => bucketsAPI.dryRunLifecycle(bucket.id, rules.map(toRule)),
+    onSuccess: (response) => setReport(response.data),
+    onError: (error) => toast.error(getErrorMessage(error, 'Dry run failed'))
+  });
+
+  const updateRule = (index, field, value) => {
+    setRules(current => current.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+    setReport(null);
+  };
+
+  const removeRule = (index) => {
+    setRules(current => current.filter((_, i) => i !== index));
+    setReport(null);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="animate-spin w-6 h-6 border-2 border-primary-light border-t-transparent rounded-full mx-auto"></div>
+    );
+  }
+
+  const lastRun = data?.lastRun;
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+        Rules run once a day. Expired files go to the trash; noncurrent versions and
+        incomplete uploads are deleted. Leave a field blank to skip that action.
+      </p>
+
+      {lastRun && (
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark flex items-center gap-1">
+          <Clock className="w-3 h-3" />
+          Last run {new Date(lastRun.ranAt).toLocaleString()}: {lastRun.totals.expiredFiles} files trashed,{' '}
+          {lastRun.totals.deletedVersions} versions deleted, {lastRun.totals.abortedUploads} uploads aborted
+        </p>
+      )}
+
+      <div className="space-y-3 max-h-[50vh] overflow-y-auto pr-1">
+        {rules.length === 0 && (
+          <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">No lifecycle rules</p>
+        )}
+
+        {rules.map((rule, index) => {
+          const ruleReport = report?.rules[index];
+
+          return (
+            <div
+              key={rule.id || `new-${index}`}
+              className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark space-y-3"
+            >
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, 'name', e.target.value)}
+                  placeholder="Rule name"
+                  className="input-field text-sm py-1 flex-1 min-w-0"
+                />
+                <label className="flex items-center gap-1 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(index, 'enabled', e.target.checked)}
+                    className="w-4 h-4 text-primary-light focus:ring-primary-light rounded"
+                  />
+                  Enabled
+                </label>
+                <button
+                  type="button"
+                  onClick={() => removeRule(index)}
+                  className="p-1 text-text-secondary-light dark:text-text-secondary-dark hover:text-red-500 transition-colors"
+                  title="Remove rule"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2">
+                <label className="block">
+                  <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Name prefix</span>
+                  <input
+                    type="text"
+                    value={rule.prefix}
+                    onChange={(e) => updateRule(index, 'prefix', e.target.value)}
+                    placeholder="logs/"
+                    className="input-field text-xs py-1 mt-1 font-mono"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Tags</span>
+                  <input
+                    type="text"
+                    value={rule.tags}
+                    onChange={(e) => updateRule(index, 'tags', e.target.value)}
+                    placeholder="env=dev, temp"
+                    className="input-field text-xs py-1 mt-1 font-mono"
+                  />
+                </label>
+                <NumberField
+                  label="Trash files after (days)"
+                  value={rule.expirationDays}
+                  onChange={(value) => updateRule(index, 'expirationDays', value)}
+                  placeholder="Never"
+                />
+                <NumberField
+                  label="Abort uploads after (days)"
+                  value={rule.abortUploadsDays}
+                  onChange={(value) => updateRule(index, 'abortUploadsDays', value)}
+                  placeholder="Never"
+                />
+                <NumberField
+                  label="Delete old versions after (days)"
+                  value={rule.noncurrentDays}
+                  onChange={(value) => updateRule(index, 'noncurrentDays', value)}
+                  placeholder="Never"
+                />
+                <NumberField
+                  label="Keep newest old versions"
+                  value={rule.keepNewest}
+                  onChange={(value) => updateRule(index, 'keepNewest', value)}
+                  placeholder="All"
+                />
+              </div>
+
+              {ruleReport && (
+                <div className="pt-2 border-t border-surface-variant-light dark:border-surface-variant-dark space-y-2">
+                  <ActionReport label="Files to trash" report={ruleReport.expiration} formatBytes={formatBytes} />
+                  <ActionReport
+                    label="Versions to delete"
+                    report={ruleReport.noncurrentVersionExpiration}
+                    formatBytes={formatBytes}
+                  />
+                  <ActionReport
+                    label="Uploads to abort"
+                    report={ruleReport.abortIncompleteUploads}
+                    formatBytes={formatBytes}
+                  />
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        type="button"
+        onClick={() => {
+          setRules(current => [...current, emptyFormRule()]);
+          setReport(null);
+        }}
+        className="flex items-center gap-1 text-sm text-primary hover:underline"
+      >
+        <Plus className="w-4 h-4" />
+        Add rule
+      </button>
+
+      <div className="flex gap-3 pt-2">
+        <button
+          type="button"
+          onClick={() => dryRunMutation.mutate()}
+          disabled={dryRunMutation.isPending}
+          className="flex-1 btn-secondary flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <PlayCircle className="w-4 h-4" />
+          {dryRunMutation.isPending ? 'Checking...' : 'Dry Run'}
+        </button>
+        <button
+          type="button"
+          onClick={() => saveMutation.mutate()}
+          disabled={saveMutation.isPending}
+          className="flex-1 btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          {saveMutation.isPending ? 'Saving...' : 'Save Rules'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LifecycleRulesEditor;
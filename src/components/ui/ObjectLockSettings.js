@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Save, LockKeyhole } from 'lucide-react';
+import { bucketsAPI } from '../../services/api';
+import { useToast } from './Toast';
+
+const getErrorMessage = (error, fallback) => {
+  const apiError = error.response?.data?.error;
+  return apiError?.message || apiError || fallback;
+};
+
+// Blank mode means new files get no default retention
+const ObjectLockSettings = ({ bucket }) => {
+  const toast = useToast();
+  const queryClient = useQueryClient();
+  const [enabled, setEnabled] = useState(false);
+  const [mode, setMode] = useState('');
+  const [days, setDays] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['bucket-object-lock', bucket.id],
+    queryFn: () => bucketsAPI.getObjectLock(bucket.id).then(res => res.data)
+  });
+
+  useEffect(() => {
+    if (data) {
+      setEnabled(data.enabled);
+      setMode(data.mode || '');
+      setDays(data.days ?? '');
+    }
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => bucketsAPI.updateObjectLock(bucket.id, {
+      enabled,
+      mode: enabled && mode ? mode : null,
+      days: enabled && mode ? Number(days) : null
+    }),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['bucket-object-lock', bucket.id], response.data);
+      queryClient.invalidateQueries(['buckets']);
+      toast.success('Object lock settings saved');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to save object lock settings'))
+  });
+
+  if (isLoading) {
+    return (
+      <div className="animate-spin w-6 h-6 border-2 border-primary-light border-t-transparent rounded-full mx-auto"></div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+        Locked files can't be deleted, replaced, given new versions or restored to old ones,
+        and the bucket can't be deleted while it holds any. Object lock can't be turned off
+        once enabled.
+      </p>
+
+      {data?.lockedFiles > 0 && (
+        <p className="text-xs text-warning-light flex items-center gap-1">
+          <LockKeyhole className="w-3 h-3" />
+          {data.lockedFiles} {data.lockedFiles === 1 ? 'file is' : 'files are'} locked
+        </p>
+      )}
+
+      <label className="flex items-center justify-between">
+        <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+          Enable Object Lock
+        </span>
+        <input
+          type="checkbox"
+          checked={enabled}
+          disabled={data?.enabled}
+          onChange={(e) => setEnabled(e.target.checked)}
+          className="w-4 h-4 text-primary-light focus:ring-primary-light rounded disabled:opacity-50"
+        />
+      </label>
+
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Default retention mode</span>
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            disabled={!enabled}
+            className="input-field text-sm mt-1 disabled:opacity-50"
+          >
+            <option value="">None</option>
+            <option value="governance">Governance</option>
+            <option value="compliance">Compliance</option>
+          </select>
+        </label>
+        <label className="block">
+          <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Default retention (days)</span>
+          <input
+            type="number"
+            min="1"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            disabled={!enabled || !mode}
+            className="input-field text-sm mt-1 disabled:opacity-50"
+          />
+        </label>
+      </div>
+
+      <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+        Governance retention can be shortened by the owner on purpose; compliance retention
+        can only be extended. The default applies to files created from now on.
+      </p>
+
+      <button
+        type="button"
+        onClick={() => saveMutation.mutate()}
+        disabled={saveMutation.isPending || (enabled && !!mode && !days)}
+        className="w-full btn-primary flex items-center justify-center gap-2 disabled:opacity-50"
+      >
+        <Save className="w-4 h-4" />
+        {saveMutation.isPending ? 'Saving...' : 'Save Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default ObjectLockSettings;
@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Usage of one quota as returned by /analytics/usage; nothing is shown without a limit.
+// The bar turns amber past the warning threshold and red once the limit is reached.
+const QuotaUsageBar = ({ label, usage, format = (value) => value.toLocaleString() }) => {
+  if (!usage?.limit) return null;
+
+  const barColor = usage.exceeded
+    ? 'bg-danger-light'
+    : usage.warning
+      ? 'bg-warning-light'
+      : 'bg-primary-light dark:bg-primary-dark';
+
+  return (
+    <div>
+      <div className="flex justify-between items-center text-xs mb-1">
+        <span className="text-text-secondary-light dark:text-text-secondary-dark">{label}</span>
+        <span className={usage.exceeded ? 'text-danger-light' : usage.warning ? 'text-warning-light' : 'text-text-primary-light dark:text-text-primary-dark'}>
+          {format(usage.used)} of {format(usage.limit)} ({usage.percent}%)
+        </span>
+      </div>
+      <div className="h-2 rounded-full bg-surface-variant-light dark:bg-surface-variant-dark overflow-hidden">
+        <div
+          className={`h-full rounded-full ${barColor}`}
+          style={{ width: `${Math.min(usage.percent, 100)}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default QuotaUsageBar;
@@ -0,0 +1,35 @@
+import React from 'react';
+
+// Retention in days: -1 keeps trashed files until deleted by hand, 0 skips the trash
+const PRESET_DAYS = [1, 7, 14, 30, 90, 365];
+
+export const describeTrashRetention = (days) => {
+  if (days === -1) return 'Never purge';
+  if (days === 0) return 'Delete immediately';
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+// inheritLabel adds an option for null, which falls back to the next level's setting
+const TrashRetentionSelect = ({ value, onChange, inheritLabel, className = 'input-field' }) => {
+  const options = [0, ...PRESET_DAYS, -1];
+  if (value !== null && value !== undefined && !options.includes(value)) {
+    options.splice(options.length - 1, 0, value);
+  }
+
+  return (
+    <select
+      value={value === null || value === undefined ? '' : String(value)}
+      onChange={(e) => onChange(e.target.value === '' ? null : parseInt(e.target.value, 10))}
+      className={className}
+    >
+      {inheritLabel && <option value="">{inheritLabel}</option>}
+      {options.map((days) => (
+        <option key={days} value={String(days)}>
+          {describeTrashRetention(days)}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default TrashRetentionSelect;
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Upload, 
@@ -14,7 +14,8 @@ import {
   Play,
   RotateCcw,
   Hash,
-  AlertTriangle
+  AlertTriangle,
+  FileArchive
 } from 'lucide-react';
 import DuplicateWarningModal from './DuplicateWarningModal';
 import FileValidationModal from './FileValidationModal';
@@ -22,11 +23,13 @@ import { FileValidationService } from '../../services/fileValidation';
 
 const UploadZone = ({ 
   bucketId, 
+  pathPrefix = '',
   onUploadComplete, 
   onUploadError,
   className = '',
   multiple = true,
-  accept = '*/*'
+  accept = '*/*',
+  extractArchives = false
 }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const [uploads, setUploads] = useState([]);
@@ -35,8 +38,14 @@ const UploadZone = ({
   const [showValidationModal, setShowValidationModal] = useState(false);
   const [validationResult, setValidationResult] = useState(null);
   const [pendingFile, setPendingFile] = useState(null);
+  const [extract, setExtract] = useState(extractArchives);
   const fileInputRef = useRef(null);
 
+  // Follow the bucket's default when switching buckets
+  useEffect(() => {
+    setExtract(extractArchives);
+  }, [bucketId, extractArchives]);
+
   const getFileIcon = (file) => {
     const type = file.type.split('/')[0];
     switch (type) {
@@ -135,12 +144,11 @@ const UploadZone = ({
     if (!upload) return;
 
     const { uploadService } = await import('../../services/upload');
-    
-    setUploads(prev => prev.map(u => 
-      u.id === uploadId ? { ...u, status: 'pending', progress: 0, error: null } : u
-    ));
 
-    uploadService.upload(bucketId, upload.file, {
+    const callbacks = {
+      uploadId,
+      pathPrefix,
+      extract,
       skipDuplicateCheck: true, // Skip duplicate check on retry
       onStateChange: (state) => {
         setUploads(prev => prev.map(u => 
@@ -153,7 +161,19 @@ const UploadZone = ({
       onError: (error) => {
         if (onUploadError) onUploadError(error, upload.file);
       }
-    });
+    };
+
+    // Resumable uploads continue from the last byte the server received
+    if (upload.resumable) {
+      uploadService.resumeUpload(uploadId, callbacks);
+      return;
+    }
+    
+    setUploads(prev => prev.map(u => 
+      u.id === uploadId ? { ...u, status: 'pending', progress: 0, error: null } : u
+    ));
+
+    uploadService.upload(bucketId, upload.file, callbacks);
   };
 
   const handleContinueUpload = async () => {
@@ -167,6 +187,9 @@ const UploadZone = ({
     ));
 
     uploadService.upload(bucketId, pendingFile.file, {
+      uploadId: pendingFile.uploadId,
+      pathPrefix,
+      extract,
       skipDuplicateCheck: true, // Skip duplicate check when continuing
       onStateChange: (state) => {
         setUploads(prev => prev.map(u => 
@@ -249,6 +272,9 @@ const UploadZone = ({
     // Start upload with a small delay to show the pending state
     setTimeout(() => {
       uploadService.upload(bucketId, file, {
+        uploadId,
+        pathPrefix,
+        extract,
         onStateChange: (state) => {
           setUploads(prev => prev.map(upload => 
             upload.id === uploadId ? { ...upload, ...state } : upload
@@ -303,6 +329,11 @@ const UploadZone = ({
         
         <p className="text-text-secondary-light dark:text-text-secondary-dark mb-4">
           Drag and drop files here, or click to select files
+          {pathPrefix && (
+            <span className="block text-sm mt-1">
+              Uploading to <span className="font-medium">/{pathPrefix}</span>
+            </span>
+          )}
         </p>
         
         <button className="btn-primary">
@@ -319,6 +350,17 @@ const UploadZone = ({
         />
       </motion.div>
 
+      <label className="flex items-center gap-2 text-sm text-text-secondary-light dark:text-text-secondary-dark cursor-pointer">
+        <input
+          type="checkbox"
+          checked={extract}
+          onChange={(e) => setExtract(e.target.checked)}
+          className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+        />
+        <FileArchive className="w-4 h-4" />
+        Extract ZIP and tar archives into folders
+      </label>
+
       {/* Upload Queue */}
       <AnimatePresence>
         {uploads.length > 0 && (
@@ -403,8 +445,15 @@ const UploadZone = ({
                             )}
                             {upload.status === 'initiating' && 'Preparing...'}
                             {upload.status === 'uploading' && `Uploading... ${Math.round(upload.progress)}%`}
+                            {upload.status === 'resuming' && 'Resuming...'}
                             {upload.status === 'finalizing' && 'Finalizing...'}
-                            {upload.status === 'completed' && 'Completed'}
+                            {upload.status === 'extracting' && (
+                              `Extracting... ${upload.extraction?.processed || 0} entries (${Math.round(upload.progress || 0)}%)`
+                            )}
+                            {upload.status === 'completed' && (upload.result?.extraction
+                              ? `Extracted ${upload.result.extraction.extracted}, skipped ${upload.result.extraction.skipped}, failed ${upload.result.extraction.failed}`
+                              : 'Completed'
+                            )}
                             {upload.status === 'error' && upload.error}
                           </span>
                         </div>
@@ -415,7 +464,7 @@ const UploadZone = ({
                             <button
                               onClick={() => retryUpload(upload.id)}
                               className="p-1 text-primary-light dark:text-primary-dark hover:bg-primary-light hover:bg-opacity-10 rounded"
-                              title="Retry upload"
+                              title={upload.resumable ? "Resume upload" : "Retry upload"}
                             >
                               <RotateCcw className="w-4 h-4" />
                             </button>
@@ -432,6 +481,25 @@ const UploadZone = ({
                           )}
                         </div>
                       </div>
+
+                      {/* Extraction report: entries that didn't become files */}
+                      {upload.result?.extraction?.entries?.some(entry => entry.status !== 'extracted') && (
+                        <details className="mt-2 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                          <summary className="cursor-pointer">Entries not extracted</summary>
+                          <ul className="mt-1 space-y-1 max-h-32 overflow-y-auto">
+                            {upload.result.extraction.entries
+                              .filter(entry => entry.status !== 'extracted')
+                              .map((entry, index) => (
+                                <li key={`${entry.path}-${index}`} className="flex gap-2">
+                                  <span className="truncate font-mono">{entry.path}</span>
+                                  <span className={entry.status === 'failed' ? 'text-danger-light' : ''}>
+                                    {entry.error?.message || entry.reason}
+                                  </span>
+                                </li>
+                              ))}
+                          </ul>
+                        </details>
+                      )}
                     </div>
                   </div>
                 </motion.div>
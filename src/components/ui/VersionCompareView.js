@@ -0,0 +1,265 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { ArrowLeft, ArrowRight, Columns, AlignLeft, Info, Copy } from 'lucide-react';
+import { filesAPI } from '../../services/api';
+import { useToast } from './Toast';
+
+const getErrorMessage = (error, fallback) => {
+  const apiError = error.response?.data?.error;
+  return apiError?.message || apiError || fallback;
+};
+
+const LINE_STYLES = {
+  '+': 'bg-green-50 dark:bg-green-900 dark:bg-opacity-30 text-green-800 dark:text-green-300',
+  '-': 'bg-red-50 dark:bg-red-900 dark:bg-opacity-30 text-red-800 dark:text-red-300',
+  ' ': 'text-text-primary-light dark:text-text-primary-dark'
+};
+
+// Pair a hunk's lines into side-by-side rows: removals next to the additions that follow them
+const toSideBySideRows = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      rows.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach(line => {
+    if (line.type === '-') {
+      removed.push(line);
+    } else if (line.type === '+') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+const LineNumber = ({ value }) => (
+  <span className="select-none w-10 pr-2 text-right text-text-secondary-light dark:text-text-secondary-dark flex-shrink-0">
+    {value ?? ''}
+  </span>
+);
+
+const DiffCell = ({ line, number }) => (
+  <div className={`flex min-w-0 ${line ? LINE_STYLES[line.type] : 'bg-surface-variant-light dark:bg-surface-variant-dark'}`}>
+    <LineNumber value={line ? number : null} />
+    <span className="whitespace-pre-wrap break-all flex-1">{line ? line.text || ' ' : ''}</span>
+  </div>
+);
+
+const TextDiff = ({ text, layout }) => {
+  if (text.hunks.length === 0) {
+    return (
+      <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">No line changes.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-3 font-mono text-xs">
+      {text.hunks.map((hunk, index) => (
+        <div key={index} className="rounded border border-surface-variant-light dark:border-surface-variant-dark overflow-hidden">
+          <div className="px-2 py-1 bg-surface-variant-light dark:bg-surface-variant-dark text-text-secondary-light dark:text-text-secondary-dark">
+            @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+          </div>
+          {layout === 'inline'
+            ? hunk.lines.map((line, lineIndex) => (
+              <div key={lineIndex} className={`flex ${LINE_STYLES[line.type]}`}>
+                <LineNumber value={line.oldLine} />
+                <LineNumber value={line.newLine} />
+                <span className="select-none w-4 flex-shrink-0">{line.type}</span>
+                <span className="whitespace-pre-wrap break-all flex-1">{line.text || ' '}</span>
+              </div>
+            ))
+            : toSideBySideRows(hunk.lines).map((row, rowIndex) => (
+              <div key={rowIndex} className="grid grid-cols-2 divide-x divide-surface-variant-light dark:divide-surface-variant-dark">
+                <DiffCell line={row.left} number={row.left?.oldLine} />
+                <DiffCell line={row.right} number={row.right?.newLine} />
+              </div>
+            ))}
+        </div>
+      ))}
+      {text.truncated && (
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+          The diff is too long to show in full.
+        </p>
+      )}
+    </div>
+  );
+};
+
+const ImageDiff = ({ image }) => (
+  <div className="space-y-3">
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+      <div>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">From</p>
+        <p className="text-text-primary-light dark:text-text-primary-dark">
+          {image.from.width} × {image.from.height} {image.from.format}
+        </p>
+      </div>
+      <div>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">To</p>
+        <p className="text-text-primary-light dark:text-text-primary-dark">
+          {image.to.width} × {image.to.height} {image.to.format}
+        </p>
+      </div>
+      <div>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Changed pixels</p>
+        <p className="text-text-primary-light dark:text-text-primary-dark">
+          {image.changedPercent}% ({image.changedPixels.toLocaleString()})
+        </p>
+      </div>
+      <div>
+        <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Mean difference</p>
+        <p className="text-text-primary-light dark:text-text-primary-dark">{image.meanDifference}%</p>
+      </div>
+    </div>
+
+    {!image.sameDimensions && (
+      <p className="text-xs text-warning-light">
+        The versions have different dimensions; both were scaled to {image.compared.width} × {image.compared.height} to compare.
+      </p>
+    )}
+
+    <div>
+      <div className="grid grid-cols-3 text-xs text-center text-text-secondary-light dark:text-text-secondary-dark mb-1">
+        <span>From</span>
+        <span>To</span>
+        <span>Changes</span>
+      </div>
+      <img
+        src={image.diffImage.url}
+        alt="Visual diff of the two versions"
+        className="w-full rounded border border-surface-variant-light dark:border-surface-variant-dark"
+      />
+    </div>
+  </div>
+);
+
+// Compare two versions of a file; text diffs switch between inline and side by side
+const VersionCompareView = ({ file, versions, initialFrom, onBack }) => {
+  const toast = useToast();
+  const current = versions.find(version => version.is_current) || versions[0];
+  const [fromId, setFromId] = useState(initialFrom);
+  const [toId, setToId] = useState(current?.id);
+  const [layout, setLayout] = useState('side-by-side');
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['version-compare', file.id, fromId, toId],
+    queryFn: () => filesAPI.compareVersions(file.id, { from: fromId, to: toId }).then(res => res.data),
+    enabled: !!fromId && !!toId && fromId !== toId
+  });
+
+  const copyUnified = async () => {
+    try {
+      await navigator.clipboard.writeText(data.text.unified);
+      toast.success('Diff copied');
+    } catch (copyError) {
+      toast.error('Failed to copy diff');
+    }
+  };
+
+  const versionOptions = versions.map(version => (
+    <option key={version.id} value={version.id}>
+      v{version.version_number}{version.label ? ` – ${version.label}` : ''}{version.is_current ? ' (current)' : ''}
+    </option>
+  ));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onBack}
+          className="p-1.5 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary transition-colors"
+          title="Back to history"
+        >
+          <ArrowLeft className="w-4 h-4" />
+        </button>
+        <select value={fromId} onChange={(e) => setFromId(e.target.value)} className="input-field text-sm py-1 w-auto">
+          {versionOptions}
+        </select>
+        <ArrowRight className="w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+        <select value={toId} onChange={(e) => setToId(e.target.value)} className="input-field text-sm py-1 w-auto">
+          {versionOptions}
+        </select>
+
+        {data?.kind === 'text' && (
+          <div className="flex items-center gap-1 ml-auto">
+            <button
+              onClick={() => setLayout('side-by-side')}
+              className={`p-1.5 rounded ${layout === 'side-by-side' ? 'text-primary' : 'text-text-secondary-light dark:text-text-secondary-dark'}`}
+              title="Side by side"
+            >
+              <Columns className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setLayout('inline')}
+              className={`p-1.5 rounded ${layout === 'inline' ? 'text-primary' : 'text-text-secondary-light dark:text-text-secondary-dark'}`}
+              title="Inline"
+            >
+              <AlignLeft className="w-4 h-4" />
+            </button>
+            <button
+              onClick={copyUnified}
+              className="p-1.5 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary"
+              title="Copy unified diff"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {fromId === toId ? (
+        <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">Pick two different versions.</p>
+      ) : isLoading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin w-8 h-8 border-2 border-primary-light border-t-transparent rounded-full mx-auto mb-4"></div>
+          <p className="text-text-secondary-light dark:text-text-secondary-dark">Comparing versions...</p>
+        </div>
+      ) : error ? (
+        <p className="text-sm text-danger-light">{getErrorMessage(error, 'Failed to compare versions')}</p>
+      ) : data && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-xs text-text-secondary-light dark:text-text-secondary-dark">
+            {data.identical ? (
+              <span>The versions have identical content.</span>
+            ) : (
+              <>
+                {data.text?.stats && (
+                  <span>
+                    <span className="text-green-600 dark:text-green-400">+{data.text.stats.added}</span>{' '}
+                    <span className="text-red-600 dark:text-red-400">-{data.text.stats.removed}</span> lines
+                  </span>
+                )}
+                <span>
+                  Size {data.sizeDifference >= 0 ? '+' : ''}{data.sizeDifference.toLocaleString()} bytes
+                </span>
+              </>
+            )}
+          </div>
+
+          {data.kind === 'text' && <TextDiff text={data.text} layout={layout} />}
+          {data.kind === 'image' && <ImageDiff image={data.image} />}
+          {data.kind === 'binary' && (
+            <div className="flex items-start gap-2 text-sm text-text-secondary-light dark:text-text-secondary-dark">
+              <Info className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <p>{data.reason}</p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VersionCompareView;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { 
@@ -11,16 +11,37 @@ import {
   Check,
   Clock,
   ArrowRight,
-  AlertCircle
+  AlertCircle,
+  Trash2,
+  Edit3,
+  Save,
+  Tag,
+  GitCompare
 } from 'lucide-react';
 import { filesAPI } from '../../services/api';
 import { useToast } from './Toast';
+import VersionCompareView from './VersionCompareView';
+
+const getErrorMessage = (error, fallback) => {
+  const apiError = error.response?.data?.error;
+  return apiError?.message || apiError || fallback;
+};
 
 const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
   const toast = useToast();
   const queryClient = useQueryClient();
   const [showRestoreConfirm, setShowRestoreConfirm] = useState(false);
   const [versionToRestore, setVersionToRestore] = useState(null);
+  const [versionToDelete, setVersionToDelete] = useState(null);
+  const [editingVersionId, setEditingVersionId] = useState(null);
+  const [labelDraft, setLabelDraft] = useState('');
+  const [noteDraft, setNoteDraft] = useState('');
+  // Version to compare with the current one; set while the compare view is open
+  const [compareFrom, setCompareFrom] = useState(null);
+
+  useEffect(() => {
+    setCompareFrom(null);
+  }, [isOpen, file?.id]);
 
   const { data: versionsData, isLoading } = useQuery({
     queryKey: ['file-versions', file?.id],
@@ -44,6 +65,41 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
     }
   });
 
+  const updateMutation = useMutation({
+    mutationFn: ({ versionId, label, note }) => filesAPI.updateVersion(file.id, versionId, { label, note }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['file-versions', file.id]);
+      setEditingVersionId(null);
+      toast.success('Version details saved');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to save version details'))
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (versionId) => filesAPI.deleteVersion(file.id, versionId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries(['file-versions', file.id]);
+      queryClient.invalidateQueries(['buckets']);
+      if (onUpdate) onUpdate();
+      setVersionToDelete(null);
+      toast.success(`Version ${data.data.versionNumber} deleted`);
+    },
+    onError: (error) => {
+      setVersionToDelete(null);
+      toast.error(getErrorMessage(error, 'Failed to delete version'));
+    }
+  });
+
+  const startEditing = (version) => {
+    setEditingVersionId(version.id);
+    setLabelDraft(version.label || '');
+    setNoteDraft(version.note || '');
+  };
+
+  const saveEditing = () => {
+    updateMutation.mutate({ versionId: editingVersionId, label: labelDraft, note: noteDraft });
+  };
+
   const formatFileSize = (bytes) => {
     if (!bytes) return '0 B';
     const k = 1024;
@@ -88,6 +144,9 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
   if (!file) return null;
 
   const versions = versionsData?.versions || [];
+  const noncurrentBytes = versions
+    .filter(version => !version.is_current)
+    .reduce((sum, version) => sum + (parseInt(version.size) || 0), 0);
 
   return (
     <AnimatePresence>
@@ -103,7 +162,7 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
             initial={{ scale: 0.9, opacity: 0 }}
             animate={{ scale: 1, opacity: 1 }}
             exit={{ scale: 0.9, opacity: 0 }}
-            className="card max-w-2xl w-full h-full md:h-auto md:max-h-[80vh] overflow-hidden md:rounded-2xl"
+            className={`card ${compareFrom ? 'max-w-5xl' : 'max-w-2xl'} w-full h-full md:h-auto md:max-h-[80vh] overflow-hidden md:rounded-2xl flex flex-col`}
             onClick={(e) => e.stopPropagation()}
           >
             {/* Header */}
@@ -117,6 +176,11 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
                   <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
                     {file.original_name}
                   </p>
+                  {versions.length > 1 && (
+                    <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                      {versions.length - 1} previous {versions.length === 2 ? 'version' : 'versions'} using {formatFileSize(noncurrentBytes)}
+                    </p>
+                  )}
                 </div>
               </div>
               
@@ -130,7 +194,14 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
 
             {/* Content */}
             <div className="flex-1 overflow-y-auto p-6">
-              {isLoading ? (
+              {compareFrom ? (
+                <VersionCompareView
+                  file={file}
+                  versions={versions}
+                  initialFrom={compareFrom}
+                  onBack={() => setCompareFrom(null)}
+                />
+              ) : isLoading ? (
                 <div className="text-center py-8">
                   <div className="animate-spin w-8 h-8 border-2 border-primary-light border-t-transparent rounded-full mx-auto mb-4"></div>
                   <p className="text-text-secondary-light dark:text-text-secondary-dark">
@@ -185,6 +256,12 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
                                     Current
                                   </span>
                                 )}
+                                {version.label && (
+                                  <span className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-accent-light bg-opacity-10 text-accent-light">
+                                    <Tag className="w-3 h-3" />
+                                    {version.label}
+                                  </span>
+                                )}
                                 {version.restored_from_version && (
                                   <span className="px-2 py-0.5 text-xs rounded-full bg-secondary-light bg-opacity-10 text-secondary-light">
                                     Restored from v{version.restored_from_version}
@@ -206,18 +283,86 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
                             </div>
                           </div>
 
-                          {!version.is_current && (
+                          <div className="flex items-center gap-2">
                             <button
-                              onClick={() => handleRestoreClick(version)}
-                              disabled={restoreMutation.isPending}
-                              className="flex items-center gap-2 px-3 py-1.5 text-sm bg-accent-light text-white rounded-lg hover:bg-opacity-90 transition-opacity disabled:opacity-50"
+                              onClick={() => startEditing(version)}
+                              className="p-1.5 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary transition-colors"
+                              title="Edit label and note"
                             >
-                              <RotateCcw className="w-3 h-3" />
-                              Restore
+                              <Edit3 className="w-4 h-4" />
                             </button>
-                          )}
+                            {!version.is_current && (
+                              <>
+                                <button
+                                  onClick={() => setCompareFrom(version.id)}
+                                  className="p-1.5 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-primary transition-colors"
+                                  title="Compare with current version"
+                                >
+                                  <GitCompare className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => setVersionToDelete(version)}
+                                  disabled={deleteMutation.isPending}
+                                  className="p-1.5 rounded text-text-secondary-light dark:text-text-secondary-dark hover:text-danger-light transition-colors disabled:opacity-50"
+                                  title="Delete version permanently"
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleRestoreClick(version)}
+                                  disabled={restoreMutation.isPending}
+                                  className="flex items-center gap-2 px-3 py-1.5 text-sm bg-accent-light text-white rounded-lg hover:bg-opacity-90 transition-opacity disabled:opacity-50"
+                                >
+                                  <RotateCcw className="w-3 h-3" />
+                                  Restore
+                                </button>
+                              </>
+                            )}
+                          </div>
                         </div>
 
+                        {editingVersionId === version.id ? (
+                          <div className="mb-3 space-y-2">
+                            <input
+                              type="text"
+                              value={labelDraft}
+                              onChange={(e) => setLabelDraft(e.target.value)}
+                              maxLength={100}
+                              placeholder="Label, e.g. final draft"
+                              className="input-field text-sm"
+                            />
+                            <textarea
+                              value={noteDraft}
+                              onChange={(e) => setNoteDraft(e.target.value)}
+                              maxLength={2000}
+                              rows={2}
+                              placeholder="Note"
+                              className="input-field text-sm"
+                            />
+                            <div className="flex items-center gap-2">
+                              <button
+                                onClick={saveEditing}
+                                disabled={updateMutation.isPending}
+                                className="btn-primary text-xs px-3 py-1 flex items-center gap-1 disabled:opacity-50"
+                              >
+                                <Save className="w-3 h-3" />
+                                {updateMutation.isPending ? 'Saving...' : 'Save'}
+                              </button>
+                              <button
+                                onClick={() => setEditingVersionId(null)}
+                                disabled={updateMutation.isPending}
+                                className="btn-secondary text-xs px-3 py-1"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          </div>
+                        ) : version.note && (
+                          <p className="mb-3 text-sm text-text-primary-light dark:text-text-primary-dark whitespace-pre-wrap">
+                            {version.note}
+                          </p>
+                        )}
+
                         {/* Version Details */}
                         <div className="grid grid-cols-2 md:grid-cols-3 gap-4 text-sm">
                           <div>
@@ -271,6 +416,57 @@ const VersionHistoryModal = ({ file, isOpen, onClose, onUpdate }) => {
             </div>
           </motion.div>
 
+          {/* Delete Confirmation Modal */}
+          <AnimatePresence>
+            {versionToDelete && (
+              <motion.div
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                exit={{ opacity: 0 }}
+                className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-60 p-4"
+                onClick={() => setVersionToDelete(null)}
+              >
+                <motion.div
+                  initial={{ scale: 0.9, opacity: 0 }}
+                  animate={{ scale: 1, opacity: 1 }}
+                  exit={{ scale: 0.9, opacity: 0 }}
+                  className="card max-w-md w-full p-6"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <div className="flex items-start gap-3 mb-4">
+                    <AlertCircle className="w-6 h-6 text-danger-light flex-shrink-0 mt-0.5" />
+                    <div>
+                      <h3 className="text-lg font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
+                        Delete Version {versionToDelete.version_number}?
+                      </h3>
+                      <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                        This permanently deletes the version and frees {formatFileSize(versionToDelete.size)}.
+                        It can't be restored afterwards.
+                      </p>
+                    </div>
+                  </div>
+
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => setVersionToDelete(null)}
+                      className="flex-1 btn-secondary"
+                      disabled={deleteMutation.isPending}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => deleteMutation.mutate(versionToDelete.id)}
+                      disabled={deleteMutation.isPending}
+                      className="flex-1 bg-danger-light hover:bg-opacity-90 text-white px-4 py-2 rounded-lg font-medium transition-opacity disabled:opacity-50"
+                    >
+                      {deleteMutation.isPending ? 'Deleting...' : 'Delete Version'}
+                    </button>
+                  </div>
+                </motion.div>
+              </motion.div>
+            )}
+          </AnimatePresence>
+
           {/* Restore Confirmation Modal */}
           <AnimatePresence>
             {showRestoreConfirm && versionToRestore && (
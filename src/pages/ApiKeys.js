@@ -11,14 +11,19 @@ import {
   Calendar,
   Shield,
   X,
-  CheckCircle
+  CheckCircle,
+  HardDrive
 } from 'lucide-react';
-import { apiKeysAPI } from '../services/api';
+import { apiKeysAPI, bucketsAPI } from '../services/api';
+import ApiKeyPermissionsEditor, { DEFAULT_PERMISSIONS, toKeyPermissions } from '../components/ui/ApiKeyPermissionsEditor';
+
+// S3-compatible gateway lives next to the REST API, outside /api
+const S3_ENDPOINT = (process.env.REACT_APP_API_URL || 'http://localhost:5000/api').replace(/\/api\/?$/, '') + '/s3';
 
 const ApiKeys = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [newKeyName, setNewKeyName] = useState('');
-  const [newKeyScopes, setNewKeyScopes] = useState(['read', 'write']);
+  const [newKeyPermissions, setNewKeyPermissions] = useState(DEFAULT_PERMISSIONS);
   const [createdKey, setCreatedKey] = useState(null);
   const [showCreatedKey, setShowCreatedKey] = useState(false);
   const [keySafely, setKeySafely] = useState(false);
@@ -30,13 +35,26 @@ const ApiKeys = () => {
     queryFn: () => apiKeysAPI.getAll().then(res => res.data)
   });
 
+  const { data: buckets = [] } = useQuery({
+    queryKey: ['buckets'],
+    queryFn: () => bucketsAPI.getAll().then(res => res.data)
+  });
+
   const createMutation = useMutation({
-    mutationFn: ({ name, scopes }) => apiKeysAPI.create(name, scopes),
+    mutationFn: ({ name, permissions }) => apiKeysAPI.create(name, permissions),
     onSuccess: (response) => {
       setCreatedKey(response.data);
       setShowCreateModal(false);
       setNewKeyName('');
-      setNewKeyScopes(['read', 'write']);
+      setNewKeyPermissions(DEFAULT_PERMISSIONS);
+      queryClient.invalidateQueries(['apiKeys']);
+    }
+  });
+
+  const s3CredentialsMutation = useMutation({
+    mutationFn: (keyId) => apiKeysAPI.createS3Credentials(keyId),
+    onSuccess: (response) => {
+      setCreatedKey({ s3Credentials: response.data });
       queryClient.invalidateQueries(['apiKeys']);
     }
   });
@@ -50,8 +68,8 @@ const ApiKeys = () => {
 
   const handleCreate = (e) => {
     e.preventDefault();
-    if (!newKeyName.trim()) return;
-    createMutation.mutate({ name: newKeyName, scopes: newKeyScopes });
+    if (!newKeyName.trim() || newKeyPermissions.scopes.length === 0) return;
+    createMutation.mutate({ name: newKeyName, permissions: toKeyPermissions(newKeyPermissions) });
   };
 
   const handleCopy = async (text) => {
@@ -63,6 +81,18 @@ const ApiKeys = () => {
     }
   };
 
+  // Buckets and path prefixes a key is limited to, or null when it has neither
+  const describeLimits = (key) => {
+    const limits = [];
+    if (key.bucket_ids) {
+      limits.push(key.bucket_ids.map(id => buckets.find(bucket => bucket.id === id)?.name || 'deleted bucket').join(', '));
+    }
+    if (key.path_prefixes) {
+      limits.push(key.path_prefixes.join(', '));
+    }
+    return limits.length > 0 ? limits.join(' · ') : null;
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -152,7 +182,7 @@ const ApiKeys = () => {
                           </div>
                         </td>
                         <td className="p-4">
-                          <div className="flex gap-1">
+                          <div className="flex flex-wrap gap-1">
                             {key.scopes.map((scope) => (
                               <span
                                 key={scope}
@@ -162,6 +192,11 @@ const ApiKeys = () => {
                               </span>
                             ))}
                           </div>
+                          {describeLimits(key) && (
+                            <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                              Limited to {describeLimits(key)}
+                            </p>
+                          )}
                         </td>
                         <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
                           {formatDate(key.created_at)}
@@ -182,6 +217,15 @@ const ApiKeys = () => {
                         </td>
                         <td className="p-4">
                           <div className="flex justify-end gap-2">
+                            {!key.revoked_at && (
+                              <button
+                                onClick={() => s3CredentialsMutation.mutate(key.id)}
+                                className="p-2 text-text-secondary-light dark:text-text-secondary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark rounded-lg transition-colors"
+                                title={key.access_key_id ? 'Reissue S3 credentials' : 'Issue S3 credentials'}
+                              >
+                                <HardDrive className="w-4 h-4" />
+                              </button>
+                            )}
                             {!key.revoked_at && (
                               <button
                                 onClick={() => revokeMutation.mutate(key.id)}
@@ -225,7 +269,7 @@ const ApiKeys = () => {
                   <div className="space-y-2 text-sm">
                     <div className="flex justify-between">
                       <span className="text-text-secondary-light dark:text-text-secondary-dark">Scopes:</span>
-                      <div className="flex gap-1">
+                      <div className="flex flex-wrap justify-end gap-1">
                         {key.scopes.map((scope) => (
                           <span
                             key={scope}
@@ -236,6 +280,14 @@ const ApiKeys = () => {
                         ))}
                       </div>
                     </div>
+                    {describeLimits(key) && (
+                      <div className="flex justify-between gap-4">
+                        <span className="text-text-secondary-light dark:text-text-secondary-dark">Limited to:</span>
+                        <span className="text-right text-text-primary-light dark:text-text-primary-dark">
+                          {describeLimits(key)}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span className="text-text-secondary-light dark:text-text-secondary-dark">Created:</span>
                       <span className="text-text-primary-light dark:text-text-primary-dark">
@@ -251,7 +303,14 @@ const ApiKeys = () => {
                   </div>
 
                   {!key.revoked_at && (
-                    <div className="mt-4 pt-4 border-t border-surface-variant-light dark:border-surface-variant-dark">
+                    <div className="mt-4 pt-4 border-t border-surface-variant-light dark:border-surface-variant-dark space-y-2">
+                      <button
+                        onClick={() => s3CredentialsMutation.mutate(key.id)}
+                        className="w-full flex items-center justify-center gap-2 py-2 text-text-secondary-light dark:text-text-secondary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark rounded-lg transition-colors"
+                      >
+                        <HardDrive className="w-4 h-4" />
+                        {key.access_key_id ? 'Reissue S3 Credentials' : 'Issue S3 Credentials'}
+                      </button>
                       <button
                         onClick={() => revokeMutation.mutate(key.id)}
                         className="w-full flex items-center justify-center gap-2 py-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
@@ -281,7 +340,7 @@ const ApiKeys = () => {
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
               exit={{ scale: 0.9, opacity: 0 }}
-              className="card p-6 max-w-md w-full"
+              className="card p-6 max-w-md w-full max-h-[90vh] overflow-y-auto"
             >
               <div className="flex justify-between items-center mb-6">
                 <h3 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark">
@@ -310,32 +369,13 @@ const ApiKeys = () => {
                   />
                 </div>
 
-                <div>
-                  <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
-                    Scopes
-                  </label>
-                  <div className="space-y-2">
-                    {['read', 'write', 'delete'].map((scope) => (
-                      <label key={scope} className="flex items-center gap-3">
-                        <input
-                          type="checkbox"
-                          checked={newKeyScopes.includes(scope)}
-                          onChange={(e) => {
-                            if (e.target.checked) {
-                              setNewKeyScopes([...newKeyScopes, scope]);
-                            } else {
-                              setNewKeyScopes(newKeyScopes.filter(s => s !== scope));
-                            }
-                          }}
-                          className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
-                        />
-                        <span className="text-sm text-text-primary-light dark:text-text-primary-dark capitalize">
-                          {scope}
-                        </span>
-                      </label>
-                    ))}
-                  </div>
-                </div>
+                <ApiKeyPermissionsEditor value={newKeyPermissions} onChange={setNewKeyPermissions} />
+
+                {createMutation.error && (
+                  <p className="text-sm text-danger-light">
+                    {createMutation.error.response?.data?.error?.message || 'Failed to create API key'}
+                  </p>
+                )}
 
                 <div className="flex gap-3 pt-4">
                   <button
@@ -377,39 +417,73 @@ const ApiKeys = () => {
               <div className="text-center mb-6">
                 <CheckCircle className="w-12 h-12 text-accent-light mx-auto mb-4" />
                 <h3 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
-                  API Key Created
+                  {createdKey.key ? 'API Key Created' : 'S3 Credentials Issued'}
                 </h3>
                 <p className="text-text-secondary-light dark:text-text-secondary-dark">
-                  Copy your API key now. You won't be able to see it again.
+                  Copy your {createdKey.key ? 'API key' : 'credentials'} now. You won't be able to see {createdKey.key ? 'it' : 'them'} again.
                 </p>
               </div>
 
               <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
-                    API Key
-                  </label>
-                  <div className="flex gap-2">
-                    <input
-                      type={showCreatedKey ? 'text' : 'password'}
-                      value={createdKey.key}
-                      readOnly
-                      className="input-field flex-1 font-mono text-sm"
-                    />
-                    <button
-                      onClick={() => setShowCreatedKey(!showCreatedKey)}
-                      className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
-                    >
-                      {showCreatedKey ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                    </button>
-                    <button
-                      onClick={() => handleCopy(createdKey.key)}
-                      className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
-                    >
-                      <Copy className="w-4 h-4" />
-                    </button>
+                {createdKey.key && (
+                  <div>
+                    <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                      API Key
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type={showCreatedKey ? 'text' : 'password'}
+                        value={createdKey.key}
+                        readOnly
+                        className="input-field flex-1 font-mono text-sm"
+                      />
+                      <button
+                        onClick={() => setShowCreatedKey(!showCreatedKey)}
+                        className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
+                      >
+                        {showCreatedKey ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+                      </button>
+                      <button
+                        onClick={() => handleCopy(createdKey.key)}
+                        className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
+                      >
+                        <Copy className="w-4 h-4" />
+                      </button>
+                    </div>
                   </div>
-                </div>
+                )}
+
+                {createdKey.s3Credentials && (
+                  <div className="space-y-3">
+                    <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                      S3-compatible endpoint: <span className="font-mono">{S3_ENDPOINT}</span>
+                    </p>
+                    {[
+                      ['Access Key ID', createdKey.s3Credentials.accessKeyId],
+                      ['Secret Access Key', createdKey.s3Credentials.secretAccessKey]
+                    ].map(([label, value]) => (
+                      <div key={label}>
+                        <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                          {label}
+                        </label>
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={value}
+                            readOnly
+                            className="input-field flex-1 font-mono text-sm"
+                          />
+                          <button
+                            onClick={() => handleCopy(value)}
+                            className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors"
+                          >
+                            <Copy className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
 
                 <label className="flex items-center gap-3">
                   <input
@@ -419,7 +493,7 @@ const ApiKeys = () => {
                     className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
                   />
                   <span className="text-sm text-text-primary-light dark:text-text-primary-dark">
-                    I have stored this API key safely
+                    I have stored {createdKey.key ? 'this API key' : 'these credentials'} safely
                   </span>
                 </label>
 
@@ -15,14 +15,30 @@ import {
   X,
   MoreVertical,
   Edit,
-  GitBranch
+  GitBranch,
+  Archive,
+  ShieldCheck,
+  RefreshCw,
+  FileArchive,
+  Clock,
+  LockKeyhole,
+  AlertTriangle
 } from 'lucide-react';
 import { bucketsAPI } from '../services/api';
+import analyticsService from '../services/analytics';
 import Modal from '../components/ui/Modal';
+import LifecycleRulesEditor from '../components/ui/LifecycleRulesEditor';
+import ObjectLockSettings from '../components/ui/ObjectLockSettings';
+import TrashRetentionSelect from '../components/ui/TrashRetentionSelect';
+import QuotaUsageBar from '../components/ui/QuotaUsageBar';
+
+const BYTES_PER_MB = 1024 * 1024;
 
 const Buckets = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [lifecycleBucket, setLifecycleBucket] = useState(null);
+  const [objectLockBucket, setObjectLockBucket] = useState(null);
   const [selectedBucket, setSelectedBucket] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [bucketToDelete, setBucketToDelete] = useState(null);
@@ -32,6 +48,8 @@ const Buckets = () => {
     name: '',
     is_public_by_default: false,
     versioning_enabled: false,
+    encryption_enabled: false,
+    extract_archives: false,
     allowed_types: ['*']
   });
 
@@ -42,6 +60,15 @@ const Buckets = () => {
     queryFn: () => bucketsAPI.getAll().then(res => res.data)
   });
 
+  const { data: usage } = useQuery({
+    queryKey: ['quota-usage'],
+    queryFn: () => analyticsService.getUsage()
+  });
+  // Usage of buckets that have limits of their own
+  const quotaByBucket = new Map((usage?.buckets || [])
+    .filter(bucket => bucket.storage.limit || bucket.objects.limit)
+    .map(bucket => [bucket.id, bucket]));
+
   const createMutation = useMutation({
     mutationFn: (bucketData) => bucketsAPI.create(bucketData),
     onSuccess: () => {
@@ -51,6 +78,8 @@ const Buckets = () => {
         name: '',
         is_public_by_default: false,
         versioning_enabled: false,
+        encryption_enabled: false,
+        extract_archives: false,
         allowed_types: ['*']
       });
     }
@@ -60,11 +89,24 @@ const Buckets = () => {
     mutationFn: ({ bucketId, updates }) => bucketsAPI.update(bucketId, updates),
     onSuccess: () => {
       queryClient.invalidateQueries(['buckets']);
+      queryClient.invalidateQueries(['quota-usage']);
       setShowSettingsModal(false);
       setSelectedBucket(null);
     }
   });
 
+  const rotateKeyMutation = useMutation({
+    mutationFn: (bucketId) => bucketsAPI.rotateKey(bucketId),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['buckets']);
+      setSelectedBucket(prev => prev && {
+        ...prev,
+        encryption_key_version: response.data.encryption_key_version,
+        encryption_key_created_at: new Date().toISOString()
+      });
+    }
+  });
+
   const deleteMutation = useMutation({
     mutationFn: (bucketId) => bucketsAPI.delete(bucketId),
     onSuccess: () => {
@@ -89,12 +131,20 @@ const Buckets = () => {
         name: selectedBucket.name,
         is_public_by_default: selectedBucket.is_public_by_default,
         versioning_enabled: selectedBucket.versioning_enabled,
-        allowed_types: selectedBucket.allowed_types
+        encryption_enabled: selectedBucket.encryption_enabled,
+        extract_archives: selectedBucket.extract_archives,
+        allowed_types: selectedBucket.allowed_types,
+        trash_retention_days: selectedBucket.trash_retention_days ?? null,
+        max_noncurrent_versions: selectedBucket.max_noncurrent_versions ?? null,
+        noncurrent_version_days: selectedBucket.noncurrent_version_days ?? null,
+        storage_quota_bytes: selectedBucket.storage_quota_bytes ? Number(selectedBucket.storage_quota_bytes) : null,
+        object_quota: selectedBucket.object_quota || null
       }
     });
   };
 
   const handleDelete = (bucket) => {
+    deleteMutation.reset();
     setBucketToDelete(bucket);
     setShowDeleteConfirm(true);
     setActiveDropdown(null);
@@ -107,11 +157,22 @@ const Buckets = () => {
   };
 
   const openSettings = (bucket) => {
+    rotateKeyMutation.reset();
     setSelectedBucket({ ...bucket });
     setShowSettingsModal(true);
     setActiveDropdown(null);
   };
 
+  const openLifecycle = (bucket) => {
+    setLifecycleBucket(bucket);
+    setActiveDropdown(null);
+  };
+
+  const openObjectLock = (bucket) => {
+    setObjectLockBucket(bucket);
+    setActiveDropdown(null);
+  };
+
   const formatBytes = (bytes) => {
     if (!bytes) return '0 B';
     const k = 1024;
@@ -202,6 +263,20 @@ const Buckets = () => {
                         <Settings className="w-4 h-4" />
                         Settings
                       </button>
+                      <button
+                        onClick={() => openLifecycle(bucket)}
+                        className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors text-left"
+                      >
+                        <Clock className="w-4 h-4" />
+                        Lifecycle Rules
+                      </button>
+                      <button
+                        onClick={() => openObjectLock(bucket)}
+                        className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors text-left"
+                      >
+                        <LockKeyhole className="w-4 h-4" />
+                        Object Lock
+                      </button>
                       <button
                         onClick={() => handleDelete(bucket)}
                         className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors text-left text-danger-light dark:text-danger-dark"
@@ -241,6 +316,26 @@ const Buckets = () => {
                         <span className="text-xs font-medium">Versioned</span>
                       </div>
                     )}
+                    {bucket.encryption_enabled && (
+                      <div
+                        className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-accent-light bg-opacity-10 text-accent-light"
+                        title={bucket.encryption_key_version ? `Encrypted at rest (key v${bucket.encryption_key_version})` : 'Encrypted at rest'}
+                      >
+                        <ShieldCheck className="w-3 h-3" />
+                        <span className="text-xs font-medium">Encrypted</span>
+                      </div>
+                    )}
+                    {bucket.object_lock_enabled && (
+                      <div
+                        className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-warning-light bg-opacity-10 text-warning-light"
+                        title={bucket.object_lock_mode
+                          ? `New files get ${bucket.object_lock_mode} retention for ${bucket.object_lock_days} days`
+                          : 'Object lock enabled'}
+                      >
+                        <LockKeyhole className="w-3 h-3" />
+                        <span className="text-xs font-medium">Locked</span>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -266,6 +361,52 @@ const Buckets = () => {
                     {formatBytes(bucket.storage_used)}
                   </span>
                 </div>
+
+                {Number(bucket.noncurrent_versions) > 0 && (
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center gap-2 text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                      <GitBranch className="w-4 h-4" />
+                      Old versions
+                    </div>
+                    <span
+                      className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark"
+                      title="Noncurrent versions, included in Storage"
+                    >
+                      {bucket.noncurrent_versions} ({formatBytes(bucket.noncurrent_storage_used)})
+                    </span>
+                  </div>
+                )}
+
+                {Number(bucket.physical_storage_used) < Number(bucket.storage_used) && (
+                  <div className="flex justify-between items-center">
+                    <div className="flex items-center gap-2 text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                      <Archive className="w-4 h-4" />
+                      On disk
+                    </div>
+                    <span
+                      className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark"
+                      title="Physical bytes after compression"
+                    >
+                      {formatBytes(bucket.physical_storage_used)}
+                      <span className="ml-1 text-xs text-green-600 dark:text-green-400">
+                        (-{Math.round((1 - bucket.physical_storage_used / bucket.storage_used) * 100)}%)
+                      </span>
+                    </span>
+                  </div>
+                )}
+
+                {quotaByBucket.has(bucket.id) && (
+                  <div className="space-y-2 pt-1">
+                    <QuotaUsageBar label="Storage limit" usage={quotaByBucket.get(bucket.id).storage} format={formatBytes} />
+                    <QuotaUsageBar label="File limit" usage={quotaByBucket.get(bucket.id).objects} />
+                    {(quotaByBucket.get(bucket.id).storage.warning || quotaByBucket.get(bucket.id).objects.warning) && (
+                      <p className="flex items-center gap-1 text-xs text-warning-light">
+                        <AlertTriangle className="w-3 h-3" />
+                        Near this bucket's limit; uploads that don't fit will be rejected
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
 
               {/* Actions */}
@@ -362,6 +503,46 @@ const Buckets = () => {
               />
             </label>
 
+            <label className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <ShieldCheck className="w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+                <div>
+                  <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                    Encrypt at Rest
+                  </span>
+                  <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                    Encrypt stored files with a per-bucket key
+                  </p>
+                </div>
+              </div>
+              <input
+                type="checkbox"
+                checked={newBucket.encryption_enabled}
+                onChange={(e) => setNewBucket({ ...newBucket, encryption_enabled: e.target.checked })}
+                className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+              />
+            </label>
+
+            <label className="flex items-center justify-between">
+              <div className="flex items-center gap-3">
+                <FileArchive className="w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+                <div>
+                  <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                    Extract Archives
+                  </span>
+                  <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                    Unpack uploaded ZIP and tar files into folders
+                  </p>
+                </div>
+              </div>
+              <input
+                type="checkbox"
+                checked={newBucket.extract_archives}
+                onChange={(e) => setNewBucket({ ...newBucket, extract_archives: e.target.checked })}
+                className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+              />
+            </label>
+
             <div>
               <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
                 Allowed File Types
@@ -483,6 +664,129 @@ const Buckets = () => {
                 />
               </label>
 
+              {selectedBucket.versioning_enabled && (
+                <div className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark space-y-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    <label className="block">
+                      <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Max old versions per file</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={selectedBucket.max_noncurrent_versions ?? ''}
+                        onChange={(e) => setSelectedBucket({
+                          ...selectedBucket,
+                          max_noncurrent_versions: e.target.value === '' ? null : parseInt(e.target.value, 10)
+                        })}
+                        placeholder="No limit"
+                        className="input-field text-sm mt-1"
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Delete old versions after (days)</span>
+                      <input
+                        type="number"
+                        min="0"
+                        value={selectedBucket.noncurrent_version_days ?? ''}
+                        onChange={(e) => setSelectedBucket({
+                          ...selectedBucket,
+                          noncurrent_version_days: e.target.value === '' ? null : parseInt(e.target.value, 10)
+                        })}
+                        placeholder="Never"
+                        className="input-field text-sm mt-1"
+                      />
+                    </label>
+                  </div>
+                  <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                    Old versions count towards storage
+                    {Number(selectedBucket.noncurrent_versions) > 0
+                      ? ` (${selectedBucket.noncurrent_versions} using ${formatBytes(selectedBucket.noncurrent_storage_used)})`
+                      : ''}
+                    . Versions over either limit are deleted permanently; locked files keep theirs.
+                  </p>
+                </div>
+              )}
+
+              <div className="p-3 rounded-lg border border-surface-variant-light dark:border-surface-variant-dark space-y-3">
+                <label className="flex items-center justify-between cursor-pointer">
+                  <div className="flex items-center gap-3">
+                    <ShieldCheck className={`w-4 h-4 ${
+                      selectedBucket.encryption_enabled
+                        ? 'text-accent-light'
+                        : 'text-text-secondary-light dark:text-text-secondary-dark'
+                    }`} />
+                    <div>
+                      <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                        Encrypt at Rest
+                      </span>
+                      <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                        {selectedBucket.encryption_enabled
+                          ? 'New files are encrypted with this bucket\'s key'
+                          : 'Files already encrypted stay encrypted if this is turned off'
+                        }
+                      </p>
+                    </div>
+                  </div>
+                  <input
+                    type="checkbox"
+                    checked={!!selectedBucket.encryption_enabled}
+                    onChange={(e) => setSelectedBucket({ ...selectedBucket, encryption_enabled: e.target.checked })}
+                    className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+                  />
+                </label>
+
+                {selectedBucket.encryption_key_version && (
+                  <div className="flex items-center justify-between gap-3 pt-3 border-t border-surface-variant-light dark:border-surface-variant-dark">
+                    <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                      Key version {selectedBucket.encryption_key_version}
+                      {selectedBucket.encryption_key_created_at && (
+                        <> &middot; since {new Date(selectedBucket.encryption_key_created_at).toLocaleDateString()}</>
+                      )}
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => rotateKeyMutation.mutate(selectedBucket.id)}
+                      disabled={rotateKeyMutation.isPending}
+                      className="btn-secondary text-xs flex items-center gap-1 disabled:opacity-50"
+                      title="Issue a new bucket key and re-wrap existing data keys"
+                    >
+                      <RefreshCw className={`w-3 h-3 ${rotateKeyMutation.isPending ? 'animate-spin' : ''}`} />
+                      {rotateKeyMutation.isPending ? 'Rotating...' : 'Rotate Key'}
+                    </button>
+                  </div>
+                )}
+
+                {rotateKeyMutation.isSuccess && (
+                  <p className="text-xs text-accent-light">
+                    {rotateKeyMutation.data.data.message} ({rotateKeyMutation.data.data.rewrapped_keys} data keys re-wrapped)
+                  </p>
+                )}
+                {(rotateKeyMutation.isError || updateMutation.isError) && (
+                  <p className="text-xs text-danger-light dark:text-danger-dark">
+                    {(rotateKeyMutation.error || updateMutation.error)?.response?.data?.error || 'Request failed'}
+                  </p>
+                )}
+              </div>
+
+              <label className="flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <FileArchive className="w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+                  <div>
+                    <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark">
+                      Extract Archives
+                    </span>
+                    <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+                      Unpack uploaded ZIP and tar files by default
+                    </p>
+                  </div>
+                </div>
+                <input
+                  type="checkbox"
+                  checked={!!selectedBucket.extract_archives}
+                  onChange={(e) => setSelectedBucket({ ...selectedBucket, extract_archives: e.target.checked })}
+                  className="w-4 h-4 text-primary-light focus:ring-primary-light border-surface-variant-light dark:border-surface-variant-dark rounded"
+                />
+              </label>
+
               <div>
                 <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
                   Allowed File Types
@@ -503,6 +807,59 @@ const Buckets = () => {
                   Restrict what file types can be uploaded to this bucket
                 </p>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                  Trash Retention
+                </label>
+                <TrashRetentionSelect
+                  value={selectedBucket.trash_retention_days}
+                  onChange={(days) => setSelectedBucket({ ...selectedBucket, trash_retention_days: days })}
+                  inheritLabel="Account default"
+                />
+                <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                  How long deleted files can be restored. Files already in the trash keep their deadline.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                  Quotas
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  <label className="block">
+                    <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Storage limit (MB)</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={selectedBucket.storage_quota_bytes ? Math.round(selectedBucket.storage_quota_bytes / BYTES_PER_MB) : ''}
+                      onChange={(e) => setSelectedBucket({
+                        ...selectedBucket,
+                        storage_quota_bytes: e.target.value === '' ? null : parseInt(e.target.value, 10) * BYTES_PER_MB
+                      })}
+                      placeholder="No limit"
+                      className="input-field text-sm mt-1"
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-xs text-text-secondary-light dark:text-text-secondary-dark">Max files</span>
+                    <input
+                      type="number"
+                      min="1"
+                      value={selectedBucket.object_quota ?? ''}
+                      onChange={(e) => setSelectedBucket({
+                        ...selectedBucket,
+                        object_quota: e.target.value === '' ? null : parseInt(e.target.value, 10)
+                      })}
+                      placeholder="No limit"
+                      className="input-field text-sm mt-1"
+                    />
+                  </label>
+                </div>
+                <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                  Live files and their old versions count; files in the trash don't. Your account's limits apply as well.
+                </p>
+              </div>
             </div>
 
             <div className="flex gap-3 pt-4">
@@ -525,6 +882,28 @@ const Buckets = () => {
         )}
       </Modal>
 
+      {/* Lifecycle Rules Modal */}
+      <Modal
+        isOpen={!!lifecycleBucket}
+        onClose={() => setLifecycleBucket(null)}
+        title={lifecycleBucket ? `Lifecycle Rules: ${lifecycleBucket.name}` : 'Lifecycle Rules'}
+        maxWidth="max-w-2xl"
+      >
+        {lifecycleBucket && (
+          <LifecycleRulesEditor bucket={lifecycleBucket} formatBytes={formatBytes} />
+        )}
+      </Modal>
+
+      {/* Object Lock Modal */}
+      <Modal
+        isOpen={!!objectLockBucket}
+        onClose={() => setObjectLockBucket(null)}
+        title={objectLockBucket ? `Object Lock: ${objectLockBucket.name}` : 'Object Lock'}
+        maxWidth="max-w-lg"
+      >
+        {objectLockBucket && <ObjectLockSettings bucket={objectLockBucket} />}
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteConfirm}
@@ -538,6 +917,12 @@ const Buckets = () => {
               Are you sure you want to delete the bucket "{bucketToDelete.name}"? 
               This action cannot be undone and will delete all files in the bucket.
             </p>
+
+            {deleteMutation.isError && (
+              <p className="text-sm text-danger-light dark:text-danger-dark">
+                {deleteMutation.error?.response?.data?.error?.message || 'Failed to delete bucket'}
+              </p>
+            )}
             
             <div className="flex gap-3 pt-4">
               <button
@@ -13,12 +13,14 @@ import {
   HardDrive,
   Activity,
   Download,
-  BarChart3
+  BarChart3,
+  AlertTriangle
 } from 'lucide-react';
 import { bucketsAPI, apiKeysAPI } from '../services/api';
 import analyticsService from '../services/analytics';
 import StatsCard from '../components/ui/StatsCard';
 import AnalyticsChart from '../components/ui/AnalyticsChart';
+import QuotaUsageBar from '../components/ui/QuotaUsageBar';
 import { Link } from 'react-router-dom';
 import { authService } from '../services/auth';
 
@@ -48,6 +50,22 @@ const Dashboard = () => {
     staleTime: 5 * 60 * 1000 // 5 minutes
   });
 
+  const { data: usage } = useQuery({
+    queryKey: ['quota-usage'],
+    queryFn: () => analyticsService.getUsage()
+  });
+
+  const hasAccountQuota = Boolean(usage?.account.storage.limit || usage?.account.objects.limit);
+  // Limits at or past the warning threshold, account first
+  const quotaWarnings = usage ? [
+    ...['storage', 'objects']
+      .filter(resource => usage.account[resource].warning)
+      .map(resource => ({ name: 'Your account', resource, usage: usage.account[resource] })),
+    ...usage.buckets.flatMap(bucket => ['storage', 'objects']
+      .filter(resource => bucket[resource].warning)
+      .map(resource => ({ name: bucket.name, resource, usage: bucket[resource] })))
+  ] : [];
+
   useEffect(() => {
     // Show onboarding if user has no buckets or API keys
     if (buckets.length === 0 && apiKeys.length === 0) {
@@ -150,6 +168,39 @@ const Dashboard = () => {
         />
       </div>
 
+      {/* Quotas */}
+      {(hasAccountQuota || quotaWarnings.length > 0) && (
+        <div className="card p-6 space-y-4">
+          <h2 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark">
+            Usage Limits
+          </h2>
+
+          {hasAccountQuota && (
+            <div className="space-y-3">
+              <QuotaUsageBar label="Storage" usage={usage.account.storage} format={analyticsService.formatBytes} />
+              <QuotaUsageBar label="Files" usage={usage.account.objects} format={analyticsService.formatNumber} />
+            </div>
+          )}
+
+          {quotaWarnings.map(warning => (
+            <div
+              key={`${warning.name}-${warning.resource}`}
+              className={`flex items-start gap-2 text-sm ${warning.usage.exceeded ? 'text-danger-light' : 'text-warning-light'}`}
+            >
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>
+                {warning.name} {warning.usage.exceeded ? 'has reached' : 'is near'} its{' '}
+                {warning.resource === 'storage' ? 'storage' : 'file'} limit
+                {warning.resource === 'storage'
+                  ? ` (${analyticsService.formatBytes(warning.usage.remaining)} left)`
+                  : ` (${analyticsService.formatNumber(warning.usage.remaining)} files left)`}
+                . Uploads that don't fit will be rejected.
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Usage Trend Chart */}
       {analytics?.daily && analytics.daily.length > 0 && (
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
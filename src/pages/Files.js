@@ -25,23 +25,52 @@ import {
   Copy,
   History,
   RotateCcw,
-  Clock
+  Clock,
+  Folder,
+  FolderPlus,
+  ChevronRight,
+  Pencil,
+  Move,
+  X,
+  FileArchive,
+  FileSearch,
+  Lock
 } from 'lucide-react';
 import { filesAPI, bucketsAPI } from '../services/api';
 import { useQuery } from '@tanstack/react-query';
 import UploadZone from '../components/ui/UploadZone';
 import FilePreviewModal from '../components/ui/FilePreviewModal';
+import { getLockStatus } from '../components/ui/FileLockPanel';
 import VersionHistoryModal from '../components/ui/VersionHistoryModal';
 import DeleteConfirmModal from '../components/ui/DeleteConfirmModal';
 import ImageTransformModal from '../components/ui/ImageTransformModal';
+import FolderTree from '../components/ui/FolderTree';
+import ContentSearchResults from '../components/ui/ContentSearchResults';
+import Modal from '../components/ui/Modal';
 import { downloadService } from '../services/download';
 import transformService from '../services/transforms';
 import { useToast } from '../components/ui/Toast';
 
+// Split the search box into name search and tag:/meta. filter expressions
+const parseSearchQuery = (query) => {
+  const terms = [];
+  const filters = [];
+  query.trim().split(/\s+/).filter(Boolean).forEach(term => {
+    if (term.startsWith('tag:') || term.startsWith('meta.')) {
+      filters.push(term);
+    } else {
+      terms.push(term);
+    }
+  });
+  return { q: terms.join(' ') || undefined, filters };
+};
+
 const Files = () => {
   const toast = useToast();
   const [selectedBucket, setSelectedBucket] = useState('');
+  const [currentPath, setCurrentPath] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchMode, setSearchMode] = useState('name'); // 'name' or 'content'
   const [showUploadZone, setShowUploadZone] = useState(false);
   const [activeDropdown, setActiveDropdown] = useState(null);
   const [selectedFile, setSelectedFile] = useState(null);
@@ -58,6 +87,16 @@ const Files = () => {
     sortOrder: 'DESC'
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [folderAction, setFolderAction] = useState(null); // { type: 'create' | 'rename' | 'move', folder }
+  const [folderInput, setFolderInput] = useState('');
+  const [isSavingFolder, setIsSavingFolder] = useState(false);
+  const [transferAction, setTransferAction] = useState(null); // { mode: 'copy' | 'move', file }
+  const [transferForm, setTransferForm] = useState({ bucketId: '', name: '', replace: false });
+  const [isTransferring, setIsTransferring] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showBulkMove, setShowBulkMove] = useState(false);
+  const [bulkMoveForm, setBulkMoveForm] = useState({ bucketId: '', folder: '' });
+  const [isBatching, setIsBatching] = useState(false);
   
   const queryClient = useQueryClient();
 
@@ -84,11 +123,19 @@ const Files = () => {
     };
   }, []);
 
+  // Selections only make sense within the folder they were made in
+  React.useEffect(() => {
+    setSelectedIds([]);
+  }, [selectedBucket, currentPath]);
+
   const { data: buckets = [] } = useQuery({
     queryKey: ['buckets'],
     queryFn: () => bucketsAPI.getAll().then(res => res.data)
   });
 
+  const parsedSearch = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const isContentSearch = searchMode === 'content' && !!parsedSearch.q;
+
   // Infinite query for files with pagination
   const {
     data: filesData,
@@ -98,12 +145,15 @@ const Files = () => {
     isLoading,
     refetch
   } = useInfiniteQuery({
-    queryKey: ['files', selectedBucket, searchQuery, filters],
+    queryKey: ['files', selectedBucket, currentPath, searchQuery, filters],
     queryFn: ({ pageParam }) => {
       const params = {
         cursor: pageParam,
         limit: 20,
-        q: searchQuery || undefined,
+        prefix: currentPath || undefined,
+        delimiter: '/',
+        q: parsedSearch.q,
+        filter: parsedSearch.filters.length > 0 ? parsedSearch.filters : undefined,
         type: filters.type || undefined,
         sortBy: filters.sortBy,
         sortOrder: filters.sortOrder
@@ -114,14 +164,80 @@ const Files = () => {
         : filesAPI.getAll(params).then(res => res.data);
     },
     getNextPageParam: (lastPage) => lastPage.pagination.nextCursor,
-    enabled: !!selectedBucket
+    enabled: !!selectedBucket && !isContentSearch
+  });
+
+  // Content search ranks files by their text instead of listing the folder
+  const {
+    data: contentSearchData,
+    fetchNextPage: fetchMoreContentResults,
+    hasNextPage: hasMoreContentResults,
+    isFetchingNextPage: isFetchingMoreContentResults,
+    isLoading: isSearchingContent
+  } = useInfiniteQuery({
+    queryKey: ['file-content-search', selectedBucket, searchQuery, filters.type],
+    queryFn: ({ pageParam }) => filesAPI.search({
+      q: parsedSearch.q,
+      bucket_id: selectedBucket,
+      type: filters.type || undefined,
+      filter: parsedSearch.filters.length > 0 ? parsedSearch.filters : undefined,
+      offset: pageParam,
+      limit: 20
+    }).then(res => res.data),
+    initialPageParam: 0,
+    getNextPageParam: (lastPage) => lastPage.pagination.nextOffset ?? undefined,
+    enabled: !!selectedBucket && isContentSearch
   });
 
+  const contentResults = useMemo(() => {
+    return contentSearchData?.pages?.flatMap(page => page.files) || [];
+  }, [contentSearchData]);
+
   // Flatten files from all pages
   const files = useMemo(() => {
     return filesData?.pages?.flatMap(page => page.files) || [];
   }, [filesData]);
 
+  // Sub-folders of the current folder arrive with the first page
+  const folders = useMemo(() => {
+    return filesData?.pages?.[0]?.commonPrefixes || [];
+  }, [filesData]);
+
+  const { data: folderTree = [] } = useQuery({
+    queryKey: ['folders', selectedBucket],
+    queryFn: () => filesAPI.getFolders(selectedBucket).then(res => res.data.folders),
+    enabled: !!selectedBucket
+  });
+
+  const bucketName = buckets.find(bucket => bucket.id === selectedBucket)?.name || 'Bucket';
+
+  const breadcrumbs = useMemo(() => {
+    const segments = currentPath.split('/').filter(Boolean);
+    return segments.map((name, index) => ({
+      name,
+      path: `${segments.slice(0, index + 1).join('/')}/`
+    }));
+  }, [currentPath]);
+
+  // Names are shown relative to the folder being browsed
+  const getDisplayName = (file) => {
+    return file.original_name.startsWith(currentPath)
+      ? file.original_name.slice(currentPath.length)
+      : file.original_name;
+  };
+
+  const getBaseName = (name) => name.slice(name.lastIndexOf('/') + 1);
+
+  const getParentPath = (path) => {
+    const trimmed = path.slice(0, -1);
+    return trimmed.slice(0, trimmed.lastIndexOf('/') + 1);
+  };
+
+  const getErrorMessage = (error, fallback) => {
+    const apiError = error.response?.data?.error;
+    return apiError?.userMessage || apiError?.message || apiError || fallback;
+  };
+
   const getFileIcon = (mimeType) => {
     if (!mimeType) return File;
     const type = mimeType.split('/')[0];
@@ -154,13 +270,197 @@ const Files = () => {
 
   const handleUploadComplete = (result) => {
     queryClient.invalidateQueries(['files', selectedBucket]);
+    queryClient.invalidateQueries(['folders', selectedBucket]);
     queryClient.invalidateQueries(['buckets']);
   };
 
+  const handleBucketChange = (bucketId) => {
+    setSelectedBucket(bucketId);
+    setCurrentPath('');
+  };
+
+  const openFolderAction = (type, folder = null) => {
+    setFolderAction({ type, folder });
+    if (type === 'rename') {
+      setFolderInput(folder.name);
+    } else if (type === 'move') {
+      setFolderInput(getParentPath(folder.prefix));
+    } else {
+      setFolderInput('');
+    }
+  };
+
+  const closeFolderAction = () => {
+    setFolderAction(null);
+    setFolderInput('');
+  };
+
+  const handleFolderSubmit = async (e) => {
+    e.preventDefault();
+    if (!folderAction) return;
+
+    const { type, folder } = folderAction;
+    setIsSavingFolder(true);
+    try {
+      if (type === 'create') {
+        await filesAPI.createFolder(selectedBucket, `${currentPath}${folderInput}`);
+        toast.success(`Folder "${folderInput}" created`);
+      } else if (type === 'rename') {
+        const response = await filesAPI.renameFolder(selectedBucket, folder.prefix, folderInput);
+        toast.success(response.data.message);
+      } else {
+        const response = await filesAPI.moveFolder(selectedBucket, folder.prefix, folderInput);
+        toast.success(response.data.message);
+      }
+
+      queryClient.invalidateQueries(['files', selectedBucket]);
+      queryClient.invalidateQueries(['folders', selectedBucket]);
+
+      // The folder being browsed may have been renamed or moved away
+      if (folder && currentPath.startsWith(folder.prefix)) {
+        setCurrentPath('');
+      }
+      closeFolderAction();
+    } catch (error) {
+      console.error('Folder action failed:', error);
+      toast.error(getErrorMessage(error, `Failed to ${type} folder`));
+    } finally {
+      setIsSavingFolder(false);
+    }
+  };
+
+  const handleDeleteFolder = async (folder) => {
+    try {
+      await filesAPI.deleteFolder(selectedBucket, folder.prefix);
+      queryClient.invalidateQueries(['files', selectedBucket]);
+      queryClient.invalidateQueries(['folders', selectedBucket]);
+      toast.success(`Folder "${folder.name}" deleted`);
+    } catch (error) {
+      console.error('Folder delete failed:', error);
+      toast.error(getErrorMessage(error, 'Failed to delete folder'));
+    }
+  };
+
+  const openTransfer = (mode, file) => {
+    setTransferAction({ mode, file });
+    setTransferForm({ bucketId: file.bucket_id, name: file.original_name, replace: false });
+  };
+
+  const closeTransfer = () => {
+    setTransferAction(null);
+  };
+
+  const handleTransferSubmit = async (e) => {
+    e.preventDefault();
+    if (!transferAction) return;
+
+    const { mode, file } = transferAction;
+    setIsTransferring(true);
+    try {
+      const destination = {
+        bucketId: transferForm.bucketId,
+        name: transferForm.name,
+        replace: transferForm.replace
+      };
+      const response = mode === 'copy'
+        ? await filesAPI.copy(file.id, destination)
+        : await filesAPI.move(file.id, destination);
+
+      queryClient.invalidateQueries(['files']);
+      queryClient.invalidateQueries(['folders']);
+      queryClient.invalidateQueries(['buckets']);
+      toast.success(response.data.message);
+      closeTransfer();
+    } catch (error) {
+      console.error(`${mode} failed:`, error);
+      toast.error(getErrorMessage(error, `Failed to ${mode} file`));
+    } finally {
+      setIsTransferring(false);
+    }
+  };
+
+  const transferTargetBucket = buckets.find(bucket => bucket.id === transferForm.bucketId);
+
+  const toggleSelected = (fileId) => {
+    setSelectedIds(prev => prev.includes(fileId)
+      ? prev.filter(id => id !== fileId)
+      : [...prev, fileId]);
+  };
+
+  const allSelected = files.length > 0 && files.every(file => selectedIds.includes(file.id));
+
+  const toggleSelectAll = () => {
+    setSelectedIds(allSelected ? [] : files.map(file => file.id));
+  };
+
+  // Run one batch request over the selection; files that failed stay selected
+  const runBulkAction = async (operation, params, verb) => {
+    setIsBatching(true);
+    try {
+      const response = await filesAPI.batch({ operation, fileIds: selectedIds, params });
+      const { results, summary } = response.data;
+
+      queryClient.invalidateQueries(['files']);
+      queryClient.invalidateQueries(['folders']);
+      queryClient.invalidateQueries(['buckets']);
+      queryClient.invalidateQueries(['trash']);
+
+      if (summary.succeeded > 0) {
+        toast.success(`${summary.succeeded} ${summary.succeeded === 1 ? 'file' : 'files'} ${verb}`);
+      }
+      if (summary.failed > 0) {
+        const firstError = results.find(result => !result.success).error;
+        toast.error(`${summary.failed} failed: ${firstError.message}`);
+      }
+
+      setSelectedIds(results.filter(result => !result.success).map(result => result.fileId));
+      return summary;
+    } catch (error) {
+      console.error(`Batch ${operation} failed:`, error);
+      toast.error(getErrorMessage(error, 'Bulk action failed'));
+      return null;
+    } finally {
+      setIsBatching(false);
+    }
+  };
+
+  const openBulkMove = () => {
+    setBulkMoveForm({ bucketId: selectedBucket, folder: currentPath });
+    setShowBulkMove(true);
+  };
+
+  const handleBulkMoveSubmit = async (e) => {
+    e.preventDefault();
+    const summary = await runBulkAction('move', {
+      bucketId: bulkMoveForm.bucketId,
+      folder: bulkMoveForm.folder
+    }, 'moved');
+    if (summary && summary.failed === 0) {
+      setShowBulkMove(false);
+    }
+  };
+
+  // Folders a folder can move into: anywhere except itself and its own sub-folders
+  const moveDestinations = useMemo(() => {
+    const source = folderAction?.type === 'move' ? folderAction.folder.prefix : null;
+    if (!source) return [];
+    return folderTree.filter(folder => !folder.path.startsWith(source));
+  }, [folderAction, folderTree]);
+
+  // selection is { fileIds } or { bucketId, prefix }
+  const handleDownloadArchive = async (selection) => {
+    try {
+      const archive = await downloadService.downloadArchive(selection);
+      toast.success(`Downloading ${archive.name} (${archive.fileCount} ${archive.fileCount === 1 ? 'file' : 'files'})`);
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to create ZIP archive'));
+    }
+  };
+
   const handleDownload = async (file) => {
     try {
-      await downloadService.downloadFile(file.id, file.original_name);
-      toast.success(`Downloading ${file.original_name}`);
+      await downloadService.downloadFile(file.id, getBaseName(file.original_name));
+      toast.success(`Downloading ${getBaseName(file.original_name)}`);
     } catch (error) {
       console.error('Download failed:', error);
       toast.error('Download failed');
@@ -196,13 +496,13 @@ const Files = () => {
       queryClient.invalidateQueries(['files', selectedBucket]);
       queryClient.invalidateQueries(['buckets']);
       
-      toast.success('File moved to trash. Can be restored within 7 days.');
+      toast.success(response.data.message);
       
       setShowDeleteConfirm(false);
       setFileToDelete(null);
     } catch (error) {
       console.error('Delete failed:', error);
-      toast.error('Failed to delete file');
+      toast.error(getErrorMessage(error, 'Failed to delete file'));
     } finally {
       setIsDeleting(false);
     }
@@ -253,6 +553,42 @@ const Files = () => {
     { value: 'application', label: 'Applications' }
   ];
 
+  const renderFolderActions = (folder) => (
+    <>
+      <button
+        onClick={() => handleDownloadArchive({ bucketId: selectedBucket, prefix: folder.prefix })}
+        disabled={folder.fileCount === 0}
+        className="p-2 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors disabled:opacity-50"
+        title="Download folder as ZIP"
+      >
+        <FileArchive className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => openFolderAction('rename', folder)}
+        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+        title="Rename folder"
+      >
+        <Pencil className="w-4 h-4" />
+      </button>
+      <button
+        onClick={() => openFolderAction('move', folder)}
+        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+        title="Move folder"
+      >
+        <Move className="w-4 h-4" />
+      </button>
+      {folder.fileCount === 0 && (
+        <button
+          onClick={() => handleDeleteFolder(folder)}
+          className="p-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+          title="Delete empty folder"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+    </>
+  );
+
   const sortOptions = [
     { value: 'created_at', label: 'Date Created' },
     { value: 'original_name', label: 'Name' },
@@ -294,7 +630,7 @@ const Files = () => {
             </label>
             <select
               value={selectedBucket}
-              onChange={(e) => setSelectedBucket(e.target.value)}
+              onChange={(e) => handleBucketChange(e.target.value)}
               className="input-field"
             >
               <option value="">Choose a bucket...</option>
@@ -312,15 +648,39 @@ const Files = () => {
               <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
                 Search Files
               </label>
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
-                <input
-                  type="text"
-                  placeholder="Search files..."
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  className="input-field pl-10"
-                />
+              <div className="flex gap-2">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+                  <input
+                    type="text"
+                    placeholder={searchMode === 'content'
+                      ? 'Search inside documents, e.g. "quarterly report" -draft'
+                      : 'Search files, or tag:key=value / meta.key=value'}
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                    className="input-field pl-10"
+                  />
+                </div>
+                <div className="flex rounded-lg border border-surface-variant-light dark:border-surface-variant-dark overflow-hidden flex-shrink-0">
+                  {[
+                    { mode: 'name', label: 'Name', icon: Search },
+                    { mode: 'content', label: 'Content', icon: FileSearch }
+                  ].map(({ mode, label, icon: Icon }) => (
+                    <button
+                      key={mode}
+                      onClick={() => setSearchMode(mode)}
+                      className={`px-3 flex items-center gap-1 text-sm transition-colors ${
+                        searchMode === mode
+                          ? 'bg-primary-light text-white'
+                          : 'text-text-secondary-light dark:text-text-secondary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark'
+                      }`}
+                      title={mode === 'content' ? 'Search the text inside files' : 'Search file names'}
+                    >
+                      <Icon className="w-4 h-4" />
+                      {label}
+                    </button>
+                  ))}
+                </div>
               </div>
             </div>
           )}
@@ -433,6 +793,8 @@ const Files = () => {
           >
             <UploadZone
               bucketId={selectedBucket}
+              pathPrefix={currentPath}
+              extractArchives={!!buckets.find(bucket => bucket.id === selectedBucket)?.extract_archives}
               onUploadComplete={handleUploadComplete}
               onUploadError={(error) => console.error('Upload error:', error)}
             />
@@ -451,325 +813,588 @@ const Files = () => {
             Choose a bucket to view and manage your files
           </p>
         </div>
-      ) : isLoading ? (
-        <div className="card p-8 text-center">
-          <div className="animate-spin w-8 h-8 border-2 border-primary-light border-t-transparent rounded-full mx-auto mb-4"></div>
-          <p className="text-text-secondary-light dark:text-text-secondary-dark">Loading files...</p>
-        </div>
-      ) : files.length === 0 ? (
-        <div className="card p-12 text-center">
-          <FilesIcon className="w-16 h-16 text-text-secondary-light dark:text-text-secondary-dark mx-auto mb-4" />
-          <h3 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
-            {searchQuery ? 'No files found' : 'No files yet'}
-          </h3>
-          <p className="text-text-secondary-light dark:text-text-secondary-dark mb-6">
-            {searchQuery 
-              ? 'Try adjusting your search terms or filters'
-              : 'Upload your first file to get started'
-            }
-          </p>
-          {!searchQuery && (
-            <button
-              onClick={() => setShowUploadZone(true)}
-              className="btn-primary"
-            >
-              Upload Files
-            </button>
-          )}
-        </div>
       ) : (
-        <div className="space-y-4">
-          {/* Desktop Table */}
-          <div className="hidden md:block card overflow-hidden">
-            <div className="overflow-x-auto">
-              <table className="w-full">
-                <thead className="bg-surface-variant-light dark:bg-surface-variant-dark">
-                  <tr>
-                    <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Name</th>
-                    <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Size</th>
-                    <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Type</th>
-                    <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Visibility</th>
-                    <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Uploaded</th>
-                    <th className="text-right p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {files.map((file) => {
-                    const FileIcon = getFileIcon(file.mime_type);
-                    
-                    return (
-                      <tr key={file.id} className="border-t border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors">
-                        <td className="p-4">
-                          <button
-                            onClick={() => handleFileClick(file)}
-                            className="flex items-center gap-3 text-left hover:text-primary-light dark:hover:text-primary-dark transition-colors"
-                          >
-                            <FileIcon className="w-5 h-5 text-text-secondary-light dark:text-text-secondary-dark" />
-                            <div>
-                              <span className={`font-medium ${
-                                file.is_deleted 
-                                  ? 'text-text-secondary-light dark:text-text-secondary-dark line-through'
-                                  : 'text-text-primary-light dark:text-text-primary-dark'
-                              }`}>
-                                {file.original_name}
-                              </span>
-                              {file.version > 1 && (
-                                <span className="ml-2 px-1 py-0.5 text-xs rounded bg-secondary-light bg-opacity-10 text-secondary-light">
-                                  v{file.version}
-                                </span>
-                              )}
-                              {file.is_deleted && (
-                                <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-danger-light bg-opacity-10 text-danger-light flex items-center gap-1">
-                                  <Clock className="w-3 h-3" />
-                                  Deleted
-                                </span>
-                              )}
-                            </div>
-                          </button>
-                        </td>
-                        <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
-                          {formatFileSize(file.size)}
-                        </td>
-                        <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
-                          {file.mime_type}
-                        </td>
-                        <td className="p-4">
-                          <div className="flex items-center gap-1">
-                            {file.is_public ? (
-                              <div 
-                                className="flex items-center gap-1 px-2 py-1 rounded-full bg-warning-light bg-opacity-10 text-warning-light cursor-pointer hover:bg-opacity-20 transition-colors"
-                                onClick={() => handleCopyLink(file)}
-                                title="Click to copy public link"
-                              >
-                                <Eye className="w-3 h-3" />
-                                <span className="text-xs font-medium">Public</span>
-                              </div>
-                            ) : (
-                              <div className="flex items-center gap-1 px-2 py-1 rounded-full bg-accent-light bg-opacity-10 text-accent-light">
-                                <EyeOff className="w-3 h-3" />
-                                <span className="text-xs font-medium">Private</span>
-                              </div>
-                            )}
-                          </div>
-                        </td>
-                        <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
-                          {formatDate(file.created_at)}
-                        </td>
-                        <td className="p-4">
-                          <div className="flex justify-end gap-2">
-                            {file.is_deleted ? (
-                              <>
-                                <button
-                                  onClick={() => handleRestore(file.id)}
-                                  className="p-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Restore file"
-                                >
-                                  <RotateCcw className="w-4 h-4" />
-                                </button>
-                                <button
-                                  onClick={() => handleDeleteClick(file)}
-                                  className="p-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Delete permanently"
-                                >
-                                  <Trash2 className="w-4 h-4" />
-                                </button>
-                              </>
-                            ) : (
-                              <>
-                                {transformService.isImage(file.mime_type) && (
-                                  <button
-                                    onClick={() => handleImageTransform(file)}
-                                    className="p-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                    title="Transform image"
-                                  >
-                                    <Image className="w-4 h-4" />
-                                  </button>
-                                )}
-                                <button
-                                  onClick={() => handleVersionHistory(file)}
-                                  className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Version history"
-                                >
-                                  <History className="w-4 h-4" />
-                                </button>
-                                <button
-                                  onClick={() => handleCopyLink(file)}
-                                  className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Copy link"
-                                >
-                                  <LinkIcon className="w-4 h-4" />
-                                </button>
-                                <button
-                                  onClick={() => handleDownload(file)}
-                                  className="p-2 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Download"
-                                >
-                                  <Download className="w-4 h-4" />
-                                </button>
-                                <button
-                                  onClick={() => handleDeleteClick(file)}
-                                  className="p-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
-                                  title="Delete"
-                                >
-                                  <Trash2 className="w-4 h-4" />
-                                </button>
-                              </>
-                            )}
-                          </div>
-                        </td>
-                      </tr>
-                    );
-                  })}
-                </tbody>
-              </table>
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Folder Tree */}
+          <div className="card p-4 lg:col-span-1 self-start">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-text-primary-light dark:text-text-primary-dark">
+                Folders
+              </h3>
+              <button
+                onClick={() => openFolderAction('create')}
+                className="p-1 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                title="New folder"
+              >
+                <FolderPlus className="w-4 h-4" />
+              </button>
             </div>
+            <FolderTree
+              folders={folderTree}
+              currentPath={currentPath}
+              onNavigate={setCurrentPath}
+              rootLabel={bucketName}
+            />
           </div>
 
-          {/* Mobile Cards */}
-          <div className="md:hidden space-y-4">
-            {files.map((file) => {
-              const FileIcon = getFileIcon(file.mime_type);
-              
-              return (
-                <div key={file.id} className="card p-4">
+          <div className="lg:col-span-3 space-y-4">
+            {/* Breadcrumb */}
+            <div className="flex items-center justify-between gap-4">
+              <nav className="flex items-center flex-wrap gap-1 text-sm min-w-0">
+                <button
+                  onClick={() => setCurrentPath('')}
+                  className={`font-medium hover:text-primary-light dark:hover:text-primary-dark transition-colors ${
+                    currentPath ? 'text-text-secondary-light dark:text-text-secondary-dark' : 'text-text-primary-light dark:text-text-primary-dark'
+                  }`}
+                >
+                  {bucketName}
+                </button>
+                {breadcrumbs.map((crumb) => (
+                  <React.Fragment key={crumb.path}>
+                    <ChevronRight className="w-4 h-4 text-text-secondary-light dark:text-text-secondary-dark" />
+                    <button
+                      onClick={() => setCurrentPath(crumb.path)}
+                      className={`font-medium hover:text-primary-light dark:hover:text-primary-dark transition-colors ${
+                        crumb.path === currentPath ? 'text-text-primary-light dark:text-text-primary-dark' : 'text-text-secondary-light dark:text-text-secondary-dark'
+                      }`}
+                    >
+                      {crumb.name}
+                    </button>
+                  </React.Fragment>
+                ))}
+              </nav>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleDownloadArchive({ bucketId: selectedBucket, prefix: currentPath })}
+                  disabled={files.length === 0 && folders.length === 0}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                  title={currentPath ? 'Download this folder as ZIP' : 'Download the whole bucket as ZIP'}
+                >
+                  <FileArchive className="w-4 h-4" />
+                  Download as ZIP
+                </button>
+                <button
+                  onClick={() => openFolderAction('create')}
+                  className="btn-secondary flex items-center gap-2"
+                >
+                  <FolderPlus className="w-4 h-4" />
+                  New Folder
+                </button>
+              </div>
+            </div>
+
+            {/* Bulk Actions */}
+            {selectedIds.length > 0 && (
+              <div className="card p-3 flex flex-wrap items-center gap-2">
+                <span className="text-sm font-medium text-text-primary-light dark:text-text-primary-dark mr-auto">
+                  {selectedIds.length} selected
+                </span>
+                <button
+                  onClick={() => runBulkAction('set_visibility', { isPublic: true }, 'made public')}
+                  disabled={isBatching}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Eye className="w-4 h-4" />
+                  Make Public
+                </button>
+                <button
+                  onClick={() => runBulkAction('set_visibility', { isPublic: false }, 'made private')}
+                  disabled={isBatching}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <EyeOff className="w-4 h-4" />
+                  Make Private
+                </button>
+                <button
+                  onClick={() => handleDownloadArchive({ fileIds: selectedIds })}
+                  className="btn-secondary flex items-center gap-2"
+                >
+                  <FileArchive className="w-4 h-4" />
+                  Download as ZIP
+                </button>
+                <button
+                  onClick={openBulkMove}
+                  disabled={isBatching}
+                  className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                >
+                  <Move className="w-4 h-4" />
+                  Move
+                </button>
+                <button
+                  onClick={() => runBulkAction('trash', {}, 'moved to trash')}
+                  disabled={isBatching}
+                  className="flex items-center gap-2 px-4 py-2 rounded-lg text-danger-light hover:bg-danger-light hover:bg-opacity-10 transition-colors disabled:opacity-50"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  Trash
+                </button>
+                <button
+                  onClick={() => setSelectedIds([])}
+                  className="p-2 text-text-secondary-light dark:text-text-secondary-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark rounded-lg transition-colors"
+                  title="Clear selection"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
+            {isContentSearch ? (
+              <ContentSearchResults
+                files={contentResults}
+                isLoading={isSearchingContent}
+                hasMore={hasMoreContentResults}
+                isFetchingMore={isFetchingMoreContentResults}
+                onLoadMore={() => fetchMoreContentResults()}
+                onOpen={handleFileClick}
+                formatFileSize={formatFileSize}
+                formatDate={formatDate}
+              />
+            ) : isLoading ? (
+              <div className="card p-8 text-center">
+                <div className="animate-spin w-8 h-8 border-2 border-primary-light border-t-transparent rounded-full mx-auto mb-4"></div>
+                <p className="text-text-secondary-light dark:text-text-secondary-dark">Loading files...</p>
+              </div>
+            ) : files.length === 0 && folders.length === 0 ? (
+              <div className="card p-12 text-center">
+                <FilesIcon className="w-16 h-16 text-text-secondary-light dark:text-text-secondary-dark mx-auto mb-4" />
+                <h3 className="text-xl font-semibold text-text-primary-light dark:text-text-primary-dark mb-2">
+                  {searchQuery ? 'No files found' : currentPath ? 'This folder is empty' : 'No files yet'}
+                </h3>
+                <p className="text-text-secondary-light dark:text-text-secondary-dark mb-6">
+                  {searchQuery 
+                    ? 'Try adjusting your search terms or filters'
+                    : 'Upload your first file to get started'
+                  }
+                </p>
+                {!searchQuery && (
                   <button
-                    onClick={() => handleFileClick(file)}
-                    className="w-full text-left"
+                    onClick={() => setShowUploadZone(true)}
+                    className="btn-primary"
                   >
-                    <div className="flex items-start justify-between mb-3">
-                      <div className="flex items-center gap-3 flex-1 min-w-0">
-                        <FileIcon className="w-5 h-5 text-text-secondary-light dark:text-text-secondary-dark flex-shrink-0" />
-                        <div className="min-w-0">
-                          <h3 className={`font-medium truncate ${
-                            file.is_deleted 
-                              ? 'text-text-secondary-light dark:text-text-secondary-dark line-through'
-                              : 'text-text-primary-light dark:text-text-primary-dark'
-                          }`}>
-                            {file.original_name}
-                            {file.version > 1 && (
-                              <span className="ml-2 px-1 py-0.5 text-xs rounded bg-secondary-light bg-opacity-10 text-secondary-light">
-                                v{file.version}
-                              </span>
-                            )}
-                            {file.is_deleted && (
-                              <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-danger-light bg-opacity-10 text-danger-light">
-                                Deleted
-                              </span>
-                            )}
-                          </h3>
-                          <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
-                            {formatFileSize(file.size)} • {formatDate(file.created_at)}
-                          </p>
-                        </div>
-                      </div>
-                      
-                      <div className="flex items-center gap-1 flex-shrink-0">
-                        {file.is_public ? (
-                          <div 
-                            className="flex items-center gap-1 px-2 py-1 rounded-full bg-warning-light bg-opacity-10 text-warning-light cursor-pointer hover:bg-opacity-20 transition-colors"
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              handleCopyLink(file);
-                            }}
-                            title="Tap to copy public link"
-                          >
-                            <Eye className="w-3 h-3" />
-                            <span className="text-xs font-medium">Public</span>
-                          </div>
-                        ) : (
-                          <div className="flex items-center gap-1 px-2 py-1 rounded-full bg-accent-light bg-opacity-10 text-accent-light">
-                            <EyeOff className="w-3 h-3" />
-                            <span className="text-xs font-medium">Private</span>
-                          </div>
-                        )}
-                      </div>
-                    </div>
+                    Upload Files
                   </button>
-                  
-                  <div className={`${file.is_deleted ? 'grid-cols-2' : transformService.isImage(file.mime_type) ? 'grid-cols-5' : 'grid-cols-4'} grid gap-2 pt-3 border-t border-surface-variant-light dark:border-surface-variant-dark`}>
-                    {file.is_deleted ? (
-                      <>
-                        <button
-                          onClick={() => handleRestore(file.id)}
-                          className="flex items-center justify-center gap-2 py-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
-                        >
-                          <RotateCcw className="w-4 h-4" />
-                          Restore
-                        </button>
-                        <button
-                          onClick={() => handleDeleteClick(file)}
-                          className="flex items-center justify-center gap-2 py-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                          Delete
-                        </button>
-                      </>
-                    ) : (
-                      <>
-                        {transformService.isImage(file.mime_type) && (
-                          <button
-                            onClick={() => handleImageTransform(file)}
-                            className="flex items-center justify-center gap-2 py-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
-                          >
-                            <Image className="w-4 h-4" />
-                            Transform
-                          </button>
-                        )}
-                        <button
-                          onClick={() => handleVersionHistory(file)}
-                          className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
-                        >
-                          <History className="w-4 h-4" />
-                          Versions
-                        </button>
-                        <button
-                          onClick={() => handleCopyLink(file)}
-                          className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
-                        >
-                          <LinkIcon className="w-4 h-4" />
-                          Copy
-                        </button>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {/* Desktop Table */}
+                <div className="hidden md:block card overflow-hidden">
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-surface-variant-light dark:bg-surface-variant-dark">
+                        <tr>
+                          <th className="w-10 pl-4">
+                            <input
+                              type="checkbox"
+                              checked={allSelected}
+                              onChange={toggleSelectAll}
+                              disabled={files.length === 0}
+                              title="Select all files"
+                            />
+                          </th>
+                          <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Name</th>
+                          <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Size</th>
+                          <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Type</th>
+                          <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Visibility</th>
+                          <th className="text-left p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Uploaded</th>
+                          <th className="text-right p-4 font-medium text-text-primary-light dark:text-text-primary-dark">Actions</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {folders.map((folder) => (
+                          <tr key={folder.prefix} className="border-t border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors">
+                            <td className="pl-4" />
+                            <td className="p-4">
+                              <button
+                                onClick={() => setCurrentPath(folder.prefix)}
+                                className="flex items-center gap-3 text-left hover:text-primary-light dark:hover:text-primary-dark transition-colors"
+                              >
+                                <Folder className="w-5 h-5 text-primary-light dark:text-primary-dark" />
+                                <span className="font-medium text-text-primary-light dark:text-text-primary-dark">
+                                  {folder.name}
+                                </span>
+                              </button>
+                            </td>
+                            <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                              {formatFileSize(folder.totalSize)}
+                            </td>
+                            <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                              Folder
+                            </td>
+                            <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                              {folder.fileCount} {folder.fileCount === 1 ? 'file' : 'files'}
+                            </td>
+                            <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                              —
+                            </td>
+                            <td className="p-4">
+                              <div className="flex justify-end gap-2">
+                                {renderFolderActions(folder)}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                        {files.map((file) => {
+                          const FileIcon = getFileIcon(file.mime_type);
+                    
+                          return (
+                            <tr key={file.id} className="border-t border-surface-variant-light dark:border-surface-variant-dark hover:bg-surface-variant-light dark:hover:bg-surface-variant-dark transition-colors">
+                              <td className="pl-4">
+                                <input
+                                  type="checkbox"
+                                  checked={selectedIds.includes(file.id)}
+                                  onChange={() => toggleSelected(file.id)}
+                                />
+                              </td>
+                              <td className="p-4">
+                                <button
+                                  onClick={() => handleFileClick(file)}
+                                  className="flex items-center gap-3 text-left hover:text-primary-light dark:hover:text-primary-dark transition-colors"
+                                >
+                                  <FileIcon className="w-5 h-5 text-text-secondary-light dark:text-text-secondary-dark" />
+                                  <div>
+                                    <span className={`font-medium ${
+                                      file.is_deleted 
+                                        ? 'text-text-secondary-light dark:text-text-secondary-dark line-through'
+                                        : 'text-text-primary-light dark:text-text-primary-dark'
+                                    }`}>
+                                      {getDisplayName(file)}
+                                    </span>
+                                    {file.version > 1 && (
+                                      <span className="ml-2 px-1 py-0.5 text-xs rounded bg-secondary-light bg-opacity-10 text-secondary-light">
+                                        v{file.version}
+                                      </span>
+                                    )}
+                                    {getLockStatus(file).locked && (
+                                      <span
+                                        className="ml-2 inline-flex items-center px-1 py-0.5 text-xs rounded bg-warning-light bg-opacity-10 text-warning-light"
+                                        title={getLockStatus(file).legalHold ? 'On legal hold' : 'Under retention'}
+                                      >
+                                        <Lock className="w-3 h-3" />
+                                      </span>
+                                    )}
+                                    {file.is_deleted && (
+                                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-danger-light bg-opacity-10 text-danger-light flex items-center gap-1">
+                                        <Clock className="w-3 h-3" />
+                                        Deleted
+                                      </span>
+                                    )}
+                                  </div>
+                                </button>
+                              </td>
+                              <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                                {formatFileSize(file.size)}
+                              </td>
+                              <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                                {file.mime_type}
+                              </td>
+                              <td className="p-4">
+                                <div className="flex items-center gap-1">
+                                  {file.is_public ? (
+                                    <div 
+                                      className="flex items-center gap-1 px-2 py-1 rounded-full bg-warning-light bg-opacity-10 text-warning-light cursor-pointer hover:bg-opacity-20 transition-colors"
+                                      onClick={() => handleCopyLink(file)}
+                                      title="Click to copy public link"
+                                    >
+                                      <Eye className="w-3 h-3" />
+                                      <span className="text-xs font-medium">Public</span>
+                                    </div>
+                                  ) : (
+                                    <div className="flex items-center gap-1 px-2 py-1 rounded-full bg-accent-light bg-opacity-10 text-accent-light">
+                                      <EyeOff className="w-3 h-3" />
+                                      <span className="text-xs font-medium">Private</span>
+                                    </div>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="p-4 text-text-secondary-light dark:text-text-secondary-dark">
+                                {formatDate(file.created_at)}
+                              </td>
+                              <td className="p-4">
+                                <div className="flex justify-end gap-2">
+                                  {file.is_deleted ? (
+                                    <>
+                                      <button
+                                        onClick={() => handleRestore(file.id)}
+                                        className="p-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Restore file"
+                                      >
+                                        <RotateCcw className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => handleDeleteClick(file)}
+                                        className="p-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Delete permanently"
+                                      >
+                                        <Trash2 className="w-4 h-4" />
+                                      </button>
+                                    </>
+                                  ) : (
+                                    <>
+                                      {transformService.isImage(file.mime_type) && (
+                                        <button
+                                          onClick={() => handleImageTransform(file)}
+                                          className="p-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                          title="Transform image"
+                                        >
+                                          <Image className="w-4 h-4" />
+                                        </button>
+                                      )}
+                                      <button
+                                        onClick={() => handleVersionHistory(file)}
+                                        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Version history"
+                                      >
+                                        <History className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => openTransfer('copy', file)}
+                                        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Copy to..."
+                                      >
+                                        <Copy className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => openTransfer('move', file)}
+                                        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Move to..."
+                                      >
+                                        <Move className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => handleCopyLink(file)}
+                                        className="p-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Copy link"
+                                      >
+                                        <LinkIcon className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => handleDownload(file)}
+                                        className="p-2 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Download"
+                                      >
+                                        <Download className="w-4 h-4" />
+                                      </button>
+                                      <button
+                                        onClick={() => handleDeleteClick(file)}
+                                        className="p-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                        title="Delete"
+                                      >
+                                        <Trash2 className="w-4 h-4" />
+                                      </button>
+                                    </>
+                                  )}
+                                </div>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {/* Mobile Cards */}
+                <div className="md:hidden space-y-4">
+                  {folders.map((folder) => (
+                    <div key={folder.prefix} className="card p-4">
+                      <div className="flex items-center justify-between gap-3">
                         <button
-                          onClick={() => handleDownload(file)}
-                          className="flex items-center justify-center gap-2 py-2 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                          onClick={() => setCurrentPath(folder.prefix)}
+                          className="flex items-center gap-3 flex-1 min-w-0 text-left"
                         >
-                          <Download className="w-4 h-4" />
-                          Download
+                          <Folder className="w-5 h-5 text-primary-light dark:text-primary-dark flex-shrink-0" />
+                          <div className="min-w-0">
+                            <h3 className="font-medium truncate text-text-primary-light dark:text-text-primary-dark">
+                              {folder.name}
+                            </h3>
+                            <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                              {folder.fileCount} {folder.fileCount === 1 ? 'file' : 'files'} • {formatFileSize(folder.totalSize)}
+                            </p>
+                          </div>
                         </button>
+                        <div className="flex gap-1 flex-shrink-0">
+                          {renderFolderActions(folder)}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                  {files.map((file) => {
+                    const FileIcon = getFileIcon(file.mime_type);
+              
+                    return (
+                      <div key={file.id} className="card p-4">
+                        <label className="flex items-center gap-2 mb-3 text-xs text-text-secondary-light dark:text-text-secondary-dark cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={selectedIds.includes(file.id)}
+                            onChange={() => toggleSelected(file.id)}
+                          />
+                          Select
+                        </label>
                         <button
-                          onClick={() => handleDeleteClick(file)}
-                          className="flex items-center justify-center gap-2 py-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+                          onClick={() => handleFileClick(file)}
+                          className="w-full text-left"
                         >
-                          <Trash2 className="w-4 h-4" />
-                          Delete
+                          <div className="flex items-start justify-between mb-3">
+                            <div className="flex items-center gap-3 flex-1 min-w-0">
+                              <FileIcon className="w-5 h-5 text-text-secondary-light dark:text-text-secondary-dark flex-shrink-0" />
+                              <div className="min-w-0">
+                                <h3 className={`font-medium truncate ${
+                                  file.is_deleted 
+                                    ? 'text-text-secondary-light dark:text-text-secondary-dark line-through'
+                                    : 'text-text-primary-light dark:text-text-primary-dark'
+                                }`}>
+                                  {getDisplayName(file)}
+                                  {file.version > 1 && (
+                                    <span className="ml-2 px-1 py-0.5 text-xs rounded bg-secondary-light bg-opacity-10 text-secondary-light">
+                                      v{file.version}
+                                    </span>
+                                  )}
+                                  {getLockStatus(file).locked && (
+                                    <span
+                                      className="ml-2 inline-flex items-center px-1 py-0.5 text-xs rounded bg-warning-light bg-opacity-10 text-warning-light"
+                                      title={getLockStatus(file).legalHold ? 'On legal hold' : 'Under retention'}
+                                    >
+                                      <Lock className="w-3 h-3" />
+                                    </span>
+                                  )}
+                                  {file.is_deleted && (
+                                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-danger-light bg-opacity-10 text-danger-light">
+                                      Deleted
+                                    </span>
+                                  )}
+                                </h3>
+                                <p className="text-sm text-text-secondary-light dark:text-text-secondary-dark">
+                                  {formatFileSize(file.size)} • {formatDate(file.created_at)}
+                                </p>
+                              </div>
+                            </div>
+                      
+                            <div className="flex items-center gap-1 flex-shrink-0">
+                              {file.is_public ? (
+                                <div 
+                                  className="flex items-center gap-1 px-2 py-1 rounded-full bg-warning-light bg-opacity-10 text-warning-light cursor-pointer hover:bg-opacity-20 transition-colors"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleCopyLink(file);
+                                  }}
+                                  title="Tap to copy public link"
+                                >
+                                  <Eye className="w-3 h-3" />
+                                  <span className="text-xs font-medium">Public</span>
+                                </div>
+                              ) : (
+                                <div className="flex items-center gap-1 px-2 py-1 rounded-full bg-accent-light bg-opacity-10 text-accent-light">
+                                  <EyeOff className="w-3 h-3" />
+                                  <span className="text-xs font-medium">Private</span>
+                                </div>
+                              )}
+                            </div>
+                          </div>
                         </button>
-                      </>
-                    )}
-                  </div>
+                  
+                        <div className={`${file.is_deleted ? 'grid-cols-2' : transformService.isImage(file.mime_type) ? 'grid-cols-4' : 'grid-cols-3'} grid gap-2 pt-3 border-t border-surface-variant-light dark:border-surface-variant-dark`}>
+                          {file.is_deleted ? (
+                            <>
+                              <button
+                                onClick={() => handleRestore(file.id)}
+                                className="flex items-center justify-center gap-2 py-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <RotateCcw className="w-4 h-4" />
+                                Restore
+                              </button>
+                              <button
+                                onClick={() => handleDeleteClick(file)}
+                                className="flex items-center justify-center gap-2 py-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              {transformService.isImage(file.mime_type) && (
+                                <button
+                                  onClick={() => handleImageTransform(file)}
+                                  className="flex items-center justify-center gap-2 py-2 text-accent-light hover:bg-accent-light hover:bg-opacity-10 rounded-lg transition-colors"
+                                >
+                                  <Image className="w-4 h-4" />
+                                  Transform
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleVersionHistory(file)}
+                                className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <History className="w-4 h-4" />
+                                Versions
+                              </button>
+                              <button
+                                onClick={() => openTransfer('copy', file)}
+                                className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <Copy className="w-4 h-4" />
+                                Copy
+                              </button>
+                              <button
+                                onClick={() => openTransfer('move', file)}
+                                className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <Move className="w-4 h-4" />
+                                Move
+                              </button>
+                              <button
+                                onClick={() => handleCopyLink(file)}
+                                className="flex items-center justify-center gap-2 py-2 text-secondary-light hover:bg-secondary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <LinkIcon className="w-4 h-4" />
+                                Copy
+                              </button>
+                              <button
+                                onClick={() => handleDownload(file)}
+                                className="flex items-center justify-center gap-2 py-2 text-primary-light hover:bg-primary-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <Download className="w-4 h-4" />
+                                Download
+                              </button>
+                              <button
+                                onClick={() => handleDeleteClick(file)}
+                                className="flex items-center justify-center gap-2 py-2 text-danger-light hover:bg-danger-light hover:bg-opacity-10 rounded-lg transition-colors"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
                 </div>
-              );
-            })}
-          </div>
 
-          {/* Load More Button */}
-          {hasNextPage && (
-            <div className="text-center">
-              <button
-                onClick={() => fetchNextPage()}
-                disabled={isFetchingNextPage}
-                className="btn-secondary flex items-center gap-2 mx-auto"
-              >
-                {isFetchingNextPage ? (
-                  <>
-                    <Loader className="w-4 h-4 animate-spin" />
-                    Loading...
-                  </>
-                ) : (
-                  'Load More Files'
+                {/* Load More Button */}
+                {hasNextPage && (
+                  <div className="text-center">
+                    <button
+                      onClick={() => fetchNextPage()}
+                      disabled={isFetchingNextPage}
+                      className="btn-secondary flex items-center gap-2 mx-auto"
+                    >
+                      {isFetchingNextPage ? (
+                        <>
+                          <Loader className="w-4 h-4 animate-spin" />
+                          Loading...
+                        </>
+                      ) : (
+                        'Load More Files'
+                      )}
+                    </button>
+                  </div>
                 )}
-              </button>
-            </div>
-          )}
+              </div>
+            )}
+          </div>
         </div>
       )}
 
@@ -814,6 +1439,222 @@ const Files = () => {
         retentionDays={7}
       />
 
+      {/* Folder Modal */}
+      <Modal
+        isOpen={!!folderAction}
+        onClose={closeFolderAction}
+        title={
+          folderAction?.type === 'rename' ? 'Rename Folder'
+            : folderAction?.type === 'move' ? 'Move Folder'
+            : 'New Folder'
+        }
+      >
+        {folderAction && (
+          <form onSubmit={handleFolderSubmit} className="space-y-6">
+            {folderAction.type === 'move' ? (
+              <div>
+                <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                  Move "{folderAction.folder.name}" into
+                </label>
+                <select
+                  value={folderInput}
+                  onChange={(e) => setFolderInput(e.target.value)}
+                  className="input-field"
+                >
+                  <option value="">/ ({bucketName})</option>
+                  {moveDestinations.map((folder) => (
+                    <option key={folder.path} value={folder.path}>
+                      /{folder.path}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                  Every file inside the folder moves with it
+                </p>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                  Folder Name
+                </label>
+                <input
+                  type="text"
+                  value={folderInput}
+                  onChange={(e) => setFolderInput(e.target.value)}
+                  className="input-field"
+                  placeholder="e.g., reports"
+                  required
+                  autoFocus
+                />
+                <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                  {folderAction.type === 'rename'
+                    ? 'Every file inside the folder is renamed with it'
+                    : `Created in /${currentPath}`}
+                </p>
+              </div>
+            )}
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={closeFolderAction}
+                className="flex-1 btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isSavingFolder}
+                className="flex-1 btn-primary disabled:opacity-50"
+              >
+                {isSavingFolder ? 'Saving...' : folderAction.type === 'move' ? 'Move Folder' : folderAction.type === 'rename' ? 'Rename Folder' : 'Create Folder'}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Copy / Move Modal */}
+      <Modal
+        isOpen={!!transferAction}
+        onClose={closeTransfer}
+        title={transferAction?.mode === 'move' ? 'Move File' : 'Copy File'}
+        maxWidth="max-w-lg"
+      >
+        {transferAction && (
+          <form onSubmit={handleTransferSubmit} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                Destination Bucket
+              </label>
+              <select
+                value={transferForm.bucketId}
+                onChange={(e) => setTransferForm({ ...transferForm, bucketId: e.target.value })}
+                className="input-field"
+              >
+                {buckets.map((bucket) => (
+                  <option key={bucket.id} value={bucket.id}>
+                    {bucket.name}{bucket.id === transferAction.file.bucket_id ? ' (current)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+                Name
+              </label>
+              <input
+                type="text"
+                value={transferForm.name}
+                onChange={(e) => setTransferForm({ ...transferForm, name: e.target.value })}
+                className="input-field"
+                placeholder="e.g., reports/2024/summary.pdf"
+                required
+              />
+              <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+                Include a folder path to place it in a folder
+              </p>
+            </div>
+
+            <label className="flex items-center gap-3 text-sm text-text-primary-light dark:text-text-primary-dark cursor-pointer">
+              <input
+                type="checkbox"
+                checked={transferForm.replace}
+                onChange={(e) => setTransferForm({ ...transferForm, replace: e.target.checked })}
+              />
+              Replace a file with the same name (it moves to trash)
+            </label>
+
+            <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark">
+              {transferAction.mode === 'move'
+                ? 'The file keeps its version history, metadata and links.'
+                : transferTargetBucket?.versioning_enabled
+                  ? 'Versioning is on in this bucket: copying onto an existing name adds a new version.'
+                  : 'The copy shares stored data with the original, so it takes no extra space.'}
+            </p>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={closeTransfer}
+                className="flex-1 btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={isTransferring}
+                className="flex-1 btn-primary disabled:opacity-50"
+              >
+                {isTransferring
+                  ? (transferAction.mode === 'move' ? 'Moving...' : 'Copying...')
+                  : (transferAction.mode === 'move' ? 'Move File' : 'Copy File')}
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Bulk Move Modal */}
+      <Modal
+        isOpen={showBulkMove}
+        onClose={() => setShowBulkMove(false)}
+        title={`Move ${selectedIds.length} ${selectedIds.length === 1 ? 'File' : 'Files'}`}
+      >
+        <form onSubmit={handleBulkMoveSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+              Destination Bucket
+            </label>
+            <select
+              value={bulkMoveForm.bucketId}
+              onChange={(e) => setBulkMoveForm({ ...bulkMoveForm, bucketId: e.target.value })}
+              className="input-field"
+            >
+              {buckets.map((bucket) => (
+                <option key={bucket.id} value={bucket.id}>
+                  {bucket.name}{bucket.id === selectedBucket ? ' (current)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-text-primary-light dark:text-text-primary-dark mb-2">
+              Folder
+            </label>
+            <input
+              type="text"
+              value={bulkMoveForm.folder}
+              onChange={(e) => setBulkMoveForm({ ...bulkMoveForm, folder: e.target.value })}
+              className="input-field"
+              placeholder="e.g., reports/2024 (empty for the bucket root)"
+            />
+            <p className="text-xs text-text-secondary-light dark:text-text-secondary-dark mt-1">
+              Files keep their names; those that clash with an existing file are skipped
+            </p>
+          </div>
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={() => setShowBulkMove(false)}
+              className="flex-1 btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isBatching}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              {isBatching ? 'Moving...' : 'Move Files'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
       {/* Image Transform Modal */}
       <ImageTransformModal
         file={selectedImageFile}
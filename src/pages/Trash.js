@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Trash2, RotateCcw, AlertTriangle, Clock, FileText, Image, Video, Music, Archive } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
-import api, { filesAPI } from '../services/api';
+import api, { authAPI, filesAPI } from '../services/api';
+import TrashRetentionSelect from '../components/ui/TrashRetentionSelect';
 
 const Trash = () => {
   const [selectedFiles, setSelectedFiles] = useState([]);
@@ -13,6 +14,22 @@ const Trash = () => {
     queryFn: () => filesAPI.getTrash().then(res => res.data)
   });
 
+  const { data: settings } = useQuery({
+    queryKey: ['account-settings'],
+    queryFn: () => authAPI.getSettings().then(res => res.data)
+  });
+
+  const retentionMutation = useMutation({
+    mutationFn: (days) => authAPI.updateSettings({ trash_retention_days: days }),
+    onSuccess: (response) => {
+      queryClient.setQueryData(['account-settings'], response.data);
+    },
+    onError: (error) => {
+      const apiError = error.response?.data?.error;
+      alert(apiError?.message || apiError || 'Failed to update trash retention');
+    }
+  });
+
   const restoreMutation = useMutation({
     mutationFn: (fileId) => filesAPI.restore(fileId),
     onSuccess: (data) => {
@@ -40,6 +57,32 @@ const Trash = () => {
     }
   });
 
+  // Restore or delete the whole selection in one request
+  const batchMutation = useMutation({
+    mutationFn: ({ operation, fileIds }) => filesAPI.batch({ operation, fileIds }),
+    onSuccess: (response) => {
+      const { operation, results, summary } = response.data;
+      queryClient.invalidateQueries(['trash']);
+      queryClient.invalidateQueries(['files']);
+      queryClient.invalidateQueries(['buckets']);
+
+      // Files that couldn't be processed stay selected
+      setSelectedFiles(results.filter(result => !result.success).map(result => result.fileId));
+
+      const verb = operation === 'restore' ? 'restored' : 'permanently deleted';
+      if (summary.failed > 0) {
+        const firstError = results.find(result => !result.success).error;
+        alert(`${summary.succeeded} of ${summary.requested} files ${verb}. ${summary.failed} failed: ${firstError.message}`);
+      } else if (operation === 'restore') {
+        alert(`${summary.succeeded} ${summary.succeeded === 1 ? 'file has' : 'files have'} been restored`);
+      }
+    },
+    onError: (error) => {
+      const apiError = error.response?.data?.error;
+      alert(apiError?.message || apiError || 'Bulk action failed');
+    }
+  });
+
   const getFileIcon = (mimeType) => {
     if (mimeType?.startsWith('image/')) return <Image className="w-5 h-5 text-blue-500" />;
     if (mimeType?.startsWith('video/')) return <Video className="w-5 h-5 text-purple-500" />;
@@ -102,6 +145,16 @@ const Trash = () => {
 
   const files = trashData?.files || [];
 
+  const retentionDays = settings?.effective_trash_retention_days;
+  let retentionText = 'Files are permanently deleted when their restore period ends';
+  if (retentionDays === -1) {
+    retentionText = 'Files stay in the trash until you delete them';
+  } else if (retentionDays === 0) {
+    retentionText = 'Deleted files are removed immediately instead of being kept in the trash';
+  } else if (retentionDays) {
+    retentionText = `Files are permanently deleted ${retentionDays} ${retentionDays === 1 ? 'day' : 'days'} after being moved to the trash`;
+  }
+
 
 
   return (
@@ -110,8 +163,20 @@ const Trash = () => {
         <div>
           <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Trash</h1>
           <p className="text-gray-500 dark:text-gray-400 mt-1">
-            Files will be permanently deleted after 7 days
+            {retentionText}
           </p>
+          {settings && (
+            <label className="flex items-center gap-2 mt-2 text-sm text-gray-500 dark:text-gray-400">
+              Account default
+              <TrashRetentionSelect
+                value={settings.trash_retention_days}
+                onChange={(days) => retentionMutation.mutate(days)}
+                inheritLabel={`Server default (${settings.default_trash_retention_days} days)`}
+                className="px-2 py-1 text-sm bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md"
+              />
+              <span className="text-xs">Buckets can override this in their settings</span>
+            </label>
+          )}
         </div>
         
 
@@ -128,8 +193,8 @@ const Trash = () => {
             {selectedFiles.length > 0 && (
               <>
                 <button
-                  onClick={() => selectedFiles.forEach(handleRestore)}
-                  disabled={restoreMutation.isPending}
+                  onClick={() => batchMutation.mutate({ operation: 'restore', fileIds: selectedFiles })}
+                  disabled={batchMutation.isPending}
                   className="px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
                 >
                   <RotateCcw className="w-4 h-4 mr-2 inline" />
@@ -137,11 +202,11 @@ const Trash = () => {
                 </button>
                 <button
                   onClick={() => {
-                    if (window.confirm('Permanently delete selected files? This cannot be undone.')) {
-                      selectedFiles.forEach(handlePermanentDelete);
+                    if (window.confirm(`Permanently delete ${selectedFiles.length} selected ${selectedFiles.length === 1 ? 'file' : 'files'}? This cannot be undone.`)) {
+                      batchMutation.mutate({ operation: 'delete', fileIds: selectedFiles });
                     }
                   }}
-                  disabled={permanentDeleteMutation.isPending}
+                  disabled={batchMutation.isPending}
                   className="px-3 py-2 text-sm font-medium text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50"
                 >
                   <Trash2 className="w-4 h-4 mr-2 inline" />
@@ -234,7 +299,7 @@ const Trash = () => {
                         ) : (
                           <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200">
                             <Clock className="w-3 h-3 mr-1" />
-                            {formatDistanceToNow(new Date(file.restore_until))}
+                            {file.restore_until ? formatDistanceToNow(new Date(file.restore_until)) : 'Kept until deleted'}
                           </span>
                         )}
                       </div>
@@ -92,6 +92,7 @@ const Uploads = () => {
         <div className="card p-6">
           <UploadZone
             bucketId={selectedBucket}
+            extractArchives={!!buckets.find(bucket => bucket.id === selectedBucket)?.extract_archives}
             onUploadComplete={handleUploadComplete}
             onUploadError={handleUploadError}
           />
@@ -27,6 +27,12 @@ class AnalyticsService {
     return response.data;
   }
 
+  // Get quota usage and headroom for the account and each bucket
+  async getUsage() {
+    const response = await api.get('/analytics/usage');
+    return response.data;
+  }
+
   // Get top files by downloads
   async getTopFiles(limit = 10) {
     const response = await api.get(`/analytics/top-files?limit=${limit}`);
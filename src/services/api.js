@@ -36,13 +36,16 @@ export const authAPI = {
   register: (email, password) => api.post('/auth/register', { email, password }),
   login: (email, password) => api.post('/auth/login', { email, password }),
   verify: () => api.get('/auth/verify'),
+  getSettings: () => api.get('/auth/settings'),
+  updateSettings: (settings) => api.put('/auth/settings', settings),
 };
 
 // API Keys API
 export const apiKeysAPI = {
   getAll: () => api.get('/keys'),
-  create: (name, scopes) => api.post('/keys', { name, scopes }),
+  create: (name, permissions) => api.post('/keys', { name, ...permissions }),
   revoke: (keyId) => api.delete(`/keys/${keyId}`),
+  createS3Credentials: (keyId) => api.post(`/keys/${keyId}/s3-credentials`),
 };
 
 // Buckets API
@@ -53,6 +56,13 @@ export const bucketsAPI = {
   update: (bucketId, updates) => api.put(`/buckets/${bucketId}`, updates),
   delete: (bucketId) => api.delete(`/buckets/${bucketId}`),
   getStats: (bucketId) => api.get(`/buckets/${bucketId}/stats`),
+  rotateKey: (bucketId) => api.post(`/buckets/${bucketId}/encryption/rotate`),
+  getLifecycle: (bucketId) => api.get(`/buckets/${bucketId}/lifecycle`),
+  updateLifecycle: (bucketId, rules) => api.put(`/buckets/${bucketId}/lifecycle`, { rules }),
+  // Report what the given (or saved) rules would do without applying them
+  dryRunLifecycle: (bucketId, rules) => api.post(`/buckets/${bucketId}/lifecycle/dry-run`, rules ? { rules } : {}),
+  getObjectLock: (bucketId) => api.get(`/buckets/${bucketId}/object-lock`),
+  updateObjectLock: (bucketId, config) => api.put(`/buckets/${bucketId}/object-lock`, config),
 };
 
 // Upload API
@@ -61,6 +71,8 @@ export const uploadAPI = {
   complete: (uploadId, completionData) => api.post(`/uploads/${uploadId}/complete`, completionData),
   getStatus: (uploadId) => api.get(`/uploads/${uploadId}`),
   cancel: (uploadId) => api.delete(`/uploads/${uploadId}`),
+  // Current offset of a resumable (tus) upload
+  getOffset: (resumableUrl) => api.head(resumableUrl, { headers: { 'Tus-Resumable': '1.0.0' } }),
   uploadDirect: async (signedUrl, file, headers = {}) => {
     // Direct upload to signed URL (bypasses our API)
     const response = await fetch(signedUrl, {
@@ -78,11 +90,21 @@ export const uploadAPI = {
 
 // Files API
 export const filesAPI = {
-  getAll: (params = {}) => api.get('/files', { params }),
+  getAll: (params = {}) => api.get('/files', { params, paramsSerializer: { indexes: null } }),
   getTrash: (params = {}) => api.get('/files/trash', { params }),
-  getBucketFiles: (bucketId, params = {}) => api.get(`/files/buckets/${bucketId}`, { params }),
+  getBucketFiles: (bucketId, params = {}) => api.get(`/files/buckets/${bucketId}`, { params, paramsSerializer: { indexes: null } }),
+  search: (params = {}) => api.get('/files/search', { params, paramsSerializer: { indexes: null } }),
+  getFolders: (bucketId) => api.get(`/files/buckets/${bucketId}/folders`),
+  createFolder: (bucketId, path) => api.post(`/files/buckets/${bucketId}/folders`, { path }),
+  renameFolder: (bucketId, path, name) => api.post(`/files/buckets/${bucketId}/folders/rename`, { path, name }),
+  moveFolder: (bucketId, path, destination) => api.post(`/files/buckets/${bucketId}/folders/move`, { path, destination }),
+  deleteFolder: (bucketId, path) => api.delete(`/files/buckets/${bucketId}/folders`, { params: { path } }),
   getById: (fileId) => api.get(`/files/${fileId}`),
   update: (fileId, updates) => api.put(`/files/${fileId}`, updates),
+  copy: (fileId, destination) => api.post(`/files/${fileId}/copy`, destination),
+  move: (fileId, destination) => api.post(`/files/${fileId}/move`, destination),
+  batch: (payload) => api.post('/files/batch', payload),
+  createArchive: (selection) => api.post('/files/archive', selection),
   getSignedUrl: (fileId, options = {}) => api.post(`/files/${fileId}/signed-url`, options),
   getPublicUrl: (fileId) => api.get(`/files/${fileId}/public-url`),
   upload: (file, bucketId) => {
@@ -98,6 +120,12 @@ export const filesAPI = {
   restore: (fileId) => api.post(`/files/${fileId}/restore`),
   getVersions: (fileId) => api.get(`/files/${fileId}/versions`),
   restoreVersion: (fileId, versionId) => api.post(`/files/${fileId}/versions/${versionId}/restore`),
+  updateVersion: (fileId, versionId, data) => api.put(`/files/${fileId}/versions/${versionId}`, data),
+  deleteVersion: (fileId, versionId) => api.delete(`/files/${fileId}/versions/${versionId}`),
+  compareVersions: (fileId, params) => api.get(`/files/${fileId}/versions/compare`, { params }),
+  // retention is { mode, retainUntil, bypassGovernance }; null mode and date remove it
+  setRetention: (fileId, retention) => api.put(`/files/${fileId}/retention`, retention),
+  setLegalHold: (fileId, enabled) => api.put(`/files/${fileId}/legal-hold`, { enabled }),
   getHash: (fileId) => api.get(`/files/${fileId}/hash`),
   verifyIntegrity: (fileId) => api.post(`/files/${fileId}/verify`),
   checkDuplicate: (bucketId, hash) => api.post(`/buckets/${bucketId}/check-duplicate`, { hash }),
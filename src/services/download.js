@@ -71,6 +71,27 @@ export class DownloadService {
     }
   }
 
+  // Download several files, a folder ({ bucketId, prefix }) or a bucket as one ZIP.
+  // The archive is streamed from a signed URL, so it isn't cached like file URLs.
+  async downloadArchive(selection, options = {}) {
+    try {
+      const response = await filesAPI.createArchive({ ...selection, ...options });
+      const archive = response.data;
+
+      const link = document.createElement('a');
+      link.href = archive.url;
+      link.download = archive.name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      return archive;
+    } catch (error) {
+      console.error('Archive download failed:', error);
+      throw error;
+    }
+  }
+
   // Get streaming URL for media files
   async getStreamUrl(fileId, options = {}) {
     return this.getDownloadUrl(fileId, { 
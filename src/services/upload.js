@@ -1,6 +1,13 @@
 import { uploadAPI, bucketsAPI } from './api';
 import { HashService } from './hash';
 
+const RESUMABLE_THRESHOLD = 5 * 1024 * 1024; // Files above 5MB upload in resumable chunks
+const RESUMABLE_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_RETRIES = 3;
+const RESUMABLE_STORAGE_KEY = 'resumableUploads';
+const TUS_VERSION = '1.0.0';
+const EXTRACTION_POLL_INTERVAL = 1000;
+
 export class UploadService {
   constructor() {
     this.activeUploads = new Map();
@@ -8,8 +15,9 @@ export class UploadService {
 
   // Main upload method with 3-step process
   async upload(bucketId, file, options = {}) {
-    const { onStateChange, onComplete, onError, skipDuplicateCheck = false } = options;
-    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const { onStateChange, onComplete, skipDuplicateCheck = false, pathPrefix = '', extract } = options;
+    const uploadId = options.uploadId || `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const resumable = file.size > RESUMABLE_THRESHOLD;
 
     try {
       // Step 0: Compute client-side hash for small files and check duplicates
@@ -49,89 +57,267 @@ export class UploadService {
         }
       }
 
-      // Step 1: Initiate upload
+      // Step 1: Initiate upload (or pick up a resumable session left by an earlier attempt)
       this.updateState(uploadId, { status: 'initiating', progress: 10 }, onStateChange);
-      
-      const fileMetadata = {
-        filename: file.name,
-        size: file.size,
-        contentType: file.type,
-        lastModified: file.lastModified,
-        clientHash: clientHash // Include client hash if computed
-      };
 
-      const initiateResponse = await uploadAPI.initiate(bucketId, fileMetadata);
-      const { uploadId: serverUploadId, signedUrl, headersToInclude, expiresAt } = initiateResponse.data;
+      let uploadInfo = resumable ? await this.findResumableSession(bucketId, file) : null;
+
+      if (!uploadInfo) {
+        const fileMetadata = {
+          filename: `${pathPrefix}${file.name}`, // Folder path, e.g. "reports/2024/"
+          size: file.size,
+          contentType: file.type,
+          lastModified: file.lastModified,
+          clientHash: clientHash, // Include client hash if computed
+          resumable,
+          ...(extract !== undefined && { extract }) // Unset falls back to the bucket's default
+        };
+
+        const initiateResponse = await uploadAPI.initiate(bucketId, fileMetadata);
+        const { uploadId: serverUploadId, signedUrl, resumableUrl, headersToInclude, expiresAt } = initiateResponse.data;
+
+        uploadInfo = {
+          serverUploadId,
+          signedUrl,
+          resumableUrl,
+          headersToInclude,
+          expiresAt
+        };
+
+        if (resumableUrl) {
+          this.saveResumableSession(bucketId, file, uploadInfo);
+        }
+      }
 
       // Store upload info
       this.activeUploads.set(uploadId, {
-        serverUploadId,
+        ...uploadInfo,
         file,
         bucketId,
-        signedUrl,
-        headersToInclude,
-        expiresAt
+        clientHash,
+        resumable: Boolean(uploadInfo.resumableUrl)
       });
 
-      // Step 2: Upload directly to signed URL
-      this.updateState(uploadId, { status: 'uploading', progress: 0 }, onStateChange);
-      
-      const uploadResponse = await this.uploadDirect(
-        signedUrl, 
-        file, 
-        headersToInclude,
-        (progress) => {
-          this.updateState(uploadId, { status: 'uploading', progress }, onStateChange);
-        }
-      );
+      return await this.transferAndComplete(uploadId, options);
+    } catch (error) {
+      return this.handleUploadError(uploadId, error, options);
+    }
+  }
+
+  // Step 2 and 3: send the bytes, then complete the session
+  async transferAndComplete(uploadId, options = {}) {
+    const { onStateChange, onComplete } = options;
+    const uploadInfo = this.activeUploads.get(uploadId);
+    const { file, bucketId, serverUploadId, signedUrl, resumableUrl, headersToInclude, clientHash } = uploadInfo;
+
+    // Step 2: Upload directly to signed URL, or in resumable chunks for large files
+    this.updateState(uploadId, { status: 'uploading', progress: 0, resumable: uploadInfo.resumable }, onStateChange);
+
+    let etag = null;
+    const onProgress = (progress) => {
+      this.updateState(uploadId, { status: 'uploading', progress }, onStateChange);
+    };
+
+    if (uploadInfo.resumable) {
+      await this.uploadResumable(resumableUrl, file, onProgress);
+    } else {
+      const uploadResponse = await this.uploadDirect(signedUrl, file, headersToInclude, onProgress);
 
       if (!uploadResponse.ok) {
         throw new Error(`Upload failed: ${uploadResponse.statusText}`);
       }
+      etag = uploadResponse.headers.get('etag');
+    }
 
-      // Step 3: Complete upload
-      this.updateState(uploadId, { status: 'finalizing', progress: 95 }, onStateChange);
-      
-      const completeResponse = await uploadAPI.complete(serverUploadId, {
-        etag: uploadResponse.headers.get('etag'),
-        actualSize: file.size,
-        clientHash: clientHash,
-        enableVersioning: true // Enable versioning for all uploads
-      });
+    // Step 3: Complete upload
+    this.updateState(uploadId, { status: 'finalizing', progress: 95 }, onStateChange);
+    
+    const completeResponse = await uploadAPI.complete(serverUploadId, {
+      etag,
+      actualSize: file.size,
+      clientHash: clientHash,
+      enableVersioning: true // Enable versioning for all uploads
+    });
 
-      const result = completeResponse.data;
-      
-      this.updateState(uploadId, { 
-        status: 'completed', 
-        progress: 100, 
-        result 
-      }, onStateChange);
+    let result = completeResponse.data;
 
-      // Clean up
+    // Clean up; the server session is complete even if an archive is still being extracted
+    this.activeUploads.delete(uploadId);
+    if (uploadInfo.resumable) {
+      this.forgetResumableSession(bucketId, file);
+    }
+
+    if (completeResponse.status === 202 && result.extraction) {
+      const extraction = await this.waitForExtraction(uploadId, serverUploadId, result.extraction, onStateChange);
+      if (extraction?.status === 'failed') {
+        throw new Error(`Extraction failed: ${extraction.error?.message || 'unknown error'}`);
+      }
+      result = { ...result, extraction };
+    }
+    
+    this.updateState(uploadId, { 
+      status: 'completed', 
+      progress: 100, 
+      result 
+    }, onStateChange);
+    
+    if (onComplete) {
+      onComplete(result);
+    }
+
+    return result;
+  }
+
+  handleUploadError(uploadId, error, options = {}) {
+    const { onStateChange, onError } = options;
+    const uploadInfo = this.activeUploads.get(uploadId);
+    const resumable = Boolean(uploadInfo?.resumable);
+
+    console.error('Upload failed:', error);
+    
+    this.updateState(uploadId, { 
+      status: 'error', 
+      error: error.message || 'Upload failed',
+      resumable
+    }, onStateChange);
+
+    // Resumable uploads stay registered so resumeUpload can pick up where they stopped
+    if (!resumable) {
       this.activeUploads.delete(uploadId);
-      
-      if (onComplete) {
-        onComplete(result);
+    }
+    
+    if (onError) {
+      onError(error);
+    }
+    
+    throw error;
+  }
+
+  // Send a file to a tus endpoint in chunks, starting from the server's current offset
+  async uploadResumable(resumableUrl, file, onProgress) {
+    let offset = await this.getResumableOffset(resumableUrl);
+    let retries = 0;
+
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + RESUMABLE_CHUNK_SIZE);
+      const chunkStart = offset;
+
+      try {
+        offset = await this.uploadChunk(resumableUrl, chunk, offset, (loaded) => {
+          if (onProgress) {
+            onProgress(((chunkStart + loaded) / file.size) * 90); // Reserve 10% for finalization
+          }
+        });
+        retries = 0;
+      } catch (error) {
+        if (!error.retryable || retries >= MAX_CHUNK_RETRIES) {
+          throw error;
+        }
+
+        retries++;
+        const delay = 1000 * Math.pow(2, retries);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        // Part of the chunk may have landed before the connection dropped
+        offset = await this.getResumableOffset(resumableUrl);
       }
+    }
+  }
 
-      return result;
+  // PATCH one chunk and resolve with the server's new offset
+  uploadChunk(resumableUrl, chunk, offset, onProgress) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+
+      if (onProgress) {
+        xhr.upload.addEventListener('progress', (event) => {
+          if (event.lengthComputable) {
+            onProgress(event.loaded);
+          }
+        });
+      }
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status === 204) {
+          resolve(parseInt(xhr.getResponseHeader('Upload-Offset')));
+        } else {
+          const error = new Error(`Upload failed: ${xhr.statusText || xhr.status}`);
+          // Offset conflicts and locks clear up once we re-read the offset
+          error.retryable = xhr.status === 409 || xhr.status === 423 || xhr.status >= 500;
+          reject(error);
+        }
+      });
+
+      xhr.addEventListener('error', () => {
+        const error = new Error('Upload interrupted');
+        error.retryable = true;
+        reject(error);
+      });
+
+      xhr.addEventListener('abort', () => {
+        reject(new Error('Upload cancelled'));
+      });
+
+      xhr.open('PATCH', resumableUrl);
+      xhr.setRequestHeader('Authorization', `Bearer ${localStorage.getItem('token')}`);
+      xhr.setRequestHeader('Tus-Resumable', TUS_VERSION);
+      xhr.setRequestHeader('Upload-Offset', String(offset));
+      xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+
+      xhr.send(chunk);
+    });
+  }
+
+  async getResumableOffset(resumableUrl) {
+    const response = await uploadAPI.getOffset(resumableUrl);
+    return parseInt(response.headers['upload-offset']) || 0;
+  }
+
+  // Resumable sessions are remembered per file so a reload can continue them
+  getResumableKey(bucketId, file) {
+    return `${bucketId}:${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  loadResumableSessions() {
+    try {
+      return JSON.parse(localStorage.getItem(RESUMABLE_STORAGE_KEY)) || {};
     } catch (error) {
-      console.error('Upload failed:', error);
-      
-      this.updateState(uploadId, { 
-        status: 'error', 
-        error: error.message || 'Upload failed' 
-      }, onStateChange);
+      return {};
+    }
+  }
 
-      // Clean up
-      this.activeUploads.delete(uploadId);
-      
-      if (onError) {
-        onError(error);
+  saveResumableSession(bucketId, file, uploadInfo) {
+    const sessions = this.loadResumableSessions();
+    sessions[this.getResumableKey(bucketId, file)] = {
+      serverUploadId: uploadInfo.serverUploadId,
+      resumableUrl: uploadInfo.resumableUrl,
+      expiresAt: uploadInfo.expiresAt
+    };
+    localStorage.setItem(RESUMABLE_STORAGE_KEY, JSON.stringify(sessions));
+  }
+
+  forgetResumableSession(bucketId, file) {
+    const sessions = this.loadResumableSessions();
+    delete sessions[this.getResumableKey(bucketId, file)];
+    localStorage.setItem(RESUMABLE_STORAGE_KEY, JSON.stringify(sessions));
+  }
+
+  // Return a stored session for this file if the server still has it
+  async findResumableSession(bucketId, file) {
+    const stored = this.loadResumableSessions()[this.getResumableKey(bucketId, file)];
+    if (!stored) return null;
+
+    if (new Date(stored.expiresAt) > new Date()) {
+      try {
+        await this.getResumableOffset(stored.resumableUrl);
+        return stored;
+      } catch (error) {
+        // Session completed, cancelled or cleaned up on the server
       }
-      
-      throw error;
     }
+
+    this.forgetResumableSession(bucketId, file);
+    return null;
   }
 
   // Direct upload to signed URL with progress tracking
@@ -240,10 +426,32 @@ export class UploadService {
       } catch (error) {
         console.warn('Failed to cancel upload on server:', error);
       }
+      if (uploadInfo.resumable) {
+        this.forgetResumableSession(uploadInfo.bucketId, uploadInfo.file);
+      }
       this.activeUploads.delete(uploadId);
     }
   }
 
+  // Follow an archive upload while the server extracts it
+  async waitForExtraction(uploadId, serverUploadId, extraction, onStateChange) {
+    let current = extraction;
+
+    while (current && current.status === 'running') {
+      this.updateState(uploadId, {
+        status: 'extracting',
+        progress: current.progress,
+        extraction: current
+      }, onStateChange);
+
+      await new Promise(resolve => setTimeout(resolve, EXTRACTION_POLL_INTERVAL));
+      const response = await uploadAPI.getStatus(serverUploadId);
+      current = response.data.extraction;
+    }
+
+    return current;
+  }
+
   // Get upload status
   async getUploadStatus(uploadId) {
     const uploadInfo = this.activeUploads.get(uploadId);
@@ -302,10 +510,20 @@ export class UploadService {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   }
 
-  // Resume upload (for future implementation)
-  async resumeUpload(uploadId) {
-    // TODO: Implement resumable uploads
-    throw new Error('Resume upload not yet implemented');
+  // Resume a failed resumable upload from the server's current offset
+  async resumeUpload(uploadId, options = {}) {
+    const uploadInfo = this.activeUploads.get(uploadId);
+    if (!uploadInfo || !uploadInfo.resumable) {
+      throw new Error('Upload cannot be resumed');
+    }
+
+    this.updateState(uploadId, { status: 'resuming', error: null }, options.onStateChange);
+
+    try {
+      return await this.transferAndComplete(uploadId, options);
+    } catch (error) {
+      return this.handleUploadError(uploadId, error, options);
+    }
   }
 
   // Get active uploads